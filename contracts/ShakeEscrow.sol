@@ -55,12 +55,14 @@ contract ShakeEscrow is ReentrancyGuard {
     error TooManyChildren();
     error SelfDeal();
     error ZeroAddress();
+    error NotDesignatedWorker();
 
     // --- State ---
     IERC20 public immutable usdc;
     IAgentRegistry public registry;
     IFeeOracle public feeOracle;
     address public treasury;
+    address public immutable trustedForwarder; // ERC-2771 forwarder for gasless agent calls (0 = disabled)
     uint256 public constant protocolFeeBps = 250; // 2.5% (fallback when no oracle)
     uint48 public constant disputeWindow = 48 hours;
     uint48 public constant MAX_FREEZE_DURATION = 7 days;
@@ -90,6 +92,7 @@ contract ShakeEscrow is ReentrancyGuard {
     mapping(uint256 => uint256[]) public childShakes;     // parent -> children
     mapping(uint256 => uint256) public remainingBudget;   // shakeId -> remaining USDC budget for child hires
     mapping(uint256 => uint48) public disputedAt;          // shakeId -> timestamp when dispute was raised
+    mapping(uint256 => address) public designatedWorker;   // shakeId -> only address that may accept (0 = anyone)
 
     // --- Events ---
     event ShakeCreated(uint256 indexed shakeId, address indexed requester, uint256 amount, bytes32 taskHash);
@@ -105,12 +108,17 @@ contract ShakeEscrow is ReentrancyGuard {
     event ParentFrozen(uint256 indexed parentShakeId, uint256 indexed childShakeId);
     event ParentUnfrozen(uint256 indexed parentShakeId);
     event ForceResolved(uint256 indexed shakeId);
+    event WorkerDesignated(uint256 indexed shakeId, address indexed worker);
 
-    constructor(address _usdc, address _treasury) {
+    /// @param _forwarder ERC-2771 forwarder trusted to append the signer (zero disables relaying).
+    ///        Fixed at deployment, as in OpenZeppelin's ERC2771Context: a settable forwarder would let
+    ///        its admin act as any user.
+    constructor(address _usdc, address _treasury, address _forwarder) {
         if (_usdc == address(0)) revert ZeroAddress();
         if (_treasury == address(0)) revert ZeroAddress();
         usdc = IERC20(_usdc);
         treasury = _treasury;
+        trustedForwarder = _forwarder;
     }
 
     // --- Admin ---
@@ -129,6 +137,22 @@ contract ShakeEscrow is ReentrancyGuard {
         emit FeeOracleUpdated(_oracle);
     }
 
+    // --- ERC-2771 ---
+
+    /// @notice Whether `forwarder` may append the original signer to calldata
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
+    }
+
+    /// @dev The agent behind a call: the signer appended by the trusted forwarder, else msg.sender.
+    ///      Treasury-only calls keep checking msg.sender so they are never relayed.
+    function _msgSender() internal view returns (address) {
+        if (msg.data.length >= 20 && isTrustedForwarder(msg.sender)) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
     /// @notice Get effective fee in bps — uses oracle if set, else static fallback
     function _getFeeBps(uint256 shakeId) internal view returns (uint256) {
         if (address(feeOracle) != address(0)) {
@@ -158,28 +182,7 @@ contract ShakeEscrow is ReentrancyGuard {
         uint48 deadline,
         bytes32 taskHash
     ) external nonReentrant returns (uint256 shakeId) {
-        if (amount == 0) revert AmountZero();
-        if (deadline == 0) revert DeadlineZero();
-
-        shakeId = nextShakeId++;
-        shakes[shakeId] = Shake({
-            requester: msg.sender,
-            worker: address(0),
-            amount: amount,
-            parentShakeId: 0,
-            deadline: uint48(block.timestamp) + deadline,
-            deliveredAt: 0,
-            status: ShakeStatus.Pending,
-            taskHash: taskHash,
-            deliveryHash: bytes32(0),
-            isChildShake: false,
-            disputeFrozenUntil: 0,
-            requesterPubKeyHash: bytes32(0),
-            encryptedDeliveryKey: bytes32(0)
-        });
-
-        usdc.safeTransferFrom(msg.sender, address(this), amount);
-        emit ShakeCreated(shakeId, msg.sender, amount, taskHash);
+        return _createShake(amount, deadline, taskHash, bytes32(0));
     }
 
     /// @notice Create a shake with encrypted delivery support
@@ -190,12 +193,36 @@ contract ShakeEscrow is ReentrancyGuard {
         bytes32 taskHash,
         bytes32 requesterPubKeyHash
     ) external nonReentrant returns (uint256 shakeId) {
+        return _createShake(amount, deadline, taskHash, requesterPubKeyHash);
+    }
+
+    /// @notice Create a shake only `worker` can accept — the outcome of an off-chain negotiation
+    /// @param worker The agent whose quote was chosen
+    function createShakeFor(
+        uint256 amount,
+        uint48 deadline,
+        bytes32 taskHash,
+        address worker
+    ) external nonReentrant returns (uint256 shakeId) {
+        if (worker == address(0)) revert ZeroAddress();
+        shakeId = _createShake(amount, deadline, taskHash, bytes32(0));
+        _designateWorker(shakeId, worker);
+    }
+
+    /// @dev Root shake funded by the caller's USDC
+    function _createShake(
+        uint256 amount,
+        uint48 deadline,
+        bytes32 taskHash,
+        bytes32 requesterPubKeyHash
+    ) internal returns (uint256 shakeId) {
         if (amount == 0) revert AmountZero();
         if (deadline == 0) revert DeadlineZero();
+        address sender = _msgSender();
 
         shakeId = nextShakeId++;
         shakes[shakeId] = Shake({
-            requester: msg.sender,
+            requester: sender,
             worker: address(0),
             amount: amount,
             parentShakeId: 0,
@@ -210,30 +237,40 @@ contract ShakeEscrow is ReentrancyGuard {
             encryptedDeliveryKey: bytes32(0)
         });
 
-        usdc.safeTransferFrom(msg.sender, address(this), amount);
-        emit ShakeCreated(shakeId, msg.sender, amount, taskHash);
+        usdc.safeTransferFrom(sender, address(this), amount);
+        emit ShakeCreated(shakeId, sender, amount, taskHash);
+    }
+
+    /// @dev Reserve a Pending shake for `worker` (checked in acceptShake)
+    function _designateWorker(uint256 shakeId, address worker) internal {
+        designatedWorker[shakeId] = worker;
+        emit WorkerDesignated(shakeId, worker);
     }
 
     /// @notice Accept a shake — the "handshake" that seals the deal
-    /// @dev Child shakes cannot be accepted by their own requester (anti-self-dealing)
+    /// @dev Child shakes cannot be accepted by their own requester (anti-self-dealing);
+    ///      shakes with a designated worker only by that worker
     function acceptShake(uint256 shakeId) external {
         Shake storage s = shakes[shakeId];
         if (s.status != ShakeStatus.Pending) revert NotPending();
         if (block.timestamp >= s.deadline) revert DeadlinePassed();
         if (s.worker != address(0)) revert AlreadyAccepted();
-        if (s.isChildShake && msg.sender == s.requester) revert SelfDeal();
+        address sender = _msgSender();
+        if (s.isChildShake && sender == s.requester) revert SelfDeal();
+        address designated = designatedWorker[shakeId];
+        if (designated != address(0) && sender != designated) revert NotDesignatedWorker();
 
-        s.worker = msg.sender;
+        s.worker = sender;
         s.status = ShakeStatus.Active;
         remainingBudget[shakeId] = s.amount; // Worker can allocate up to full amount to sub-agents
-        emit ShakeAccepted(shakeId, msg.sender);
+        emit ShakeAccepted(shakeId, sender);
     }
 
     /// @notice Worker delivers proof — starts dispute window
     function deliverShake(uint256 shakeId, bytes32 deliveryHash) external {
         Shake storage s = shakes[shakeId];
         if (s.status != ShakeStatus.Active) revert NotActive();
-        if (msg.sender != s.worker) revert NotWorker();
+        if (_msgSender() != s.worker) revert NotWorker();
 
         s.deliveryHash = deliveryHash;
         s.deliveredAt = uint48(block.timestamp);
@@ -246,7 +283,7 @@ contract ShakeEscrow is ReentrancyGuard {
     function deliverShakeEncrypted(uint256 shakeId, bytes32 deliveryHash, bytes32 encryptedDeliveryKey) external {
         Shake storage s = shakes[shakeId];
         if (s.status != ShakeStatus.Active) revert NotActive();
-        if (msg.sender != s.worker) revert NotWorker();
+        if (_msgSender() != s.worker) revert NotWorker();
 
         s.deliveryHash = deliveryHash;
         s.encryptedDeliveryKey = encryptedDeliveryKey;
@@ -264,7 +301,7 @@ contract ShakeEscrow is ReentrancyGuard {
         // Subtree cleanliness: no descendant can be Disputed
         if (!_isSubtreeClean(shakeId)) revert SubtreeNotClean();
 
-        bool isRequester = msg.sender == s.requester;
+        bool isRequester = _msgSender() == s.requester;
         // Dispute window considers frozen extension: max(deliveredAt + disputeWindow, disputeFrozenUntil)
         uint48 effectiveWindow = s.deliveredAt + disputeWindow;
         if (s.disputeFrozenUntil > effectiveWindow) {
@@ -304,12 +341,13 @@ contract ShakeEscrow is ReentrancyGuard {
     function disputeShake(uint256 shakeId) external {
         Shake storage s = shakes[shakeId];
         if (s.status != ShakeStatus.Delivered) revert NotDelivered();
-        if (msg.sender != s.requester) revert NotRequester();
+        address sender = _msgSender();
+        if (sender != s.requester) revert NotRequester();
         if (block.timestamp >= s.deliveredAt + disputeWindow) revert DisputeWindowClosed();
 
         s.status = ShakeStatus.Disputed;
         disputedAt[shakeId] = uint48(block.timestamp);
-        emit ShakeDisputed(shakeId, msg.sender);
+        emit ShakeDisputed(shakeId, sender);
 
         // Freeze parent chain — walk up and extend dispute windows
         _freezeParentChain(shakeId);
@@ -417,9 +455,35 @@ contract ShakeEscrow is ReentrancyGuard {
         uint48 deadline,
         bytes32 taskHash
     ) external nonReentrant returns (uint256 childId) {
+        return _createChildShake(parentShakeId, amount, deadline, taskHash);
+    }
+
+    /// @notice Create a child shake only `worker` can accept — a negotiated sub-hire
+    /// @param worker The sub-agent whose quote was chosen (not the parent's worker)
+    function createChildShakeFor(
+        uint256 parentShakeId,
+        uint256 amount,
+        uint48 deadline,
+        bytes32 taskHash,
+        address worker
+    ) external nonReentrant returns (uint256 childId) {
+        if (worker == address(0)) revert ZeroAddress();
+        if (worker == _msgSender()) revert SelfDeal();
+        childId = _createChildShake(parentShakeId, amount, deadline, taskHash);
+        _designateWorker(childId, worker);
+    }
+
+    /// @dev Child shake funded from the parent's remaining budget
+    function _createChildShake(
+        uint256 parentShakeId,
+        uint256 amount,
+        uint48 deadline,
+        bytes32 taskHash
+    ) internal returns (uint256 childId) {
         Shake storage parent = shakes[parentShakeId];
         if (parent.status != ShakeStatus.Active) revert ParentNotActive();
-        if (msg.sender != parent.worker) revert NotParentWorker();
+        address sender = _msgSender();
+        if (sender != parent.worker) revert NotParentWorker();
         if (amount > remainingBudget[parentShakeId]) revert ExceedsParentBudget();
         if (childShakes[parentShakeId].length >= MAX_CHILDREN) revert TooManyChildren();
         if (amount == 0) revert AmountZero();
@@ -430,7 +494,7 @@ contract ShakeEscrow is ReentrancyGuard {
 
         childId = nextShakeId++;
         shakes[childId] = Shake({
-            requester: msg.sender,
+            requester: sender,
             worker: address(0),
             amount: amount,
             parentShakeId: parentShakeId,
@@ -448,7 +512,7 @@ contract ShakeEscrow is ReentrancyGuard {
         // No new USDC transfer needed — funds already in contract from parent
         childShakes[parentShakeId].push(childId);
         emit ChildShakeCreated(parentShakeId, childId, amount);
-        emit ShakeCreated(childId, msg.sender, amount, taskHash);
+        emit ShakeCreated(childId, sender, amount, taskHash);
     }
 
     // --- Dispute Cascade Internals ---
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title ShakeForwarder
+ * @notice ERC-2771 forwarder for gasless Clawshake actions.
+ *         Agents sign an EIP-712 ForwardRequest (per-signer nonce, deadline);
+ *         a funded relayer submits it and ShakeEscrow sees the signer as the caller
+ *         when it was deployed with this contract as its trusted forwarder.
+ */
+contract ShakeForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("ShakeForwarder") {}
+}
@@ -33,7 +33,7 @@ async function main() {
   const registry = await AgentRegistry.deploy();
 
   const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
-  const escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address);
+  const escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
 
   await escrow.setRegistry(await registry.getAddress());
   await registry.authorizeCaller(await escrow.getAddress());
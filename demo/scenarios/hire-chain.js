@@ -28,7 +28,7 @@ async function main() {
   const registry = await AgentRegistry.deploy();
 
   const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
-  const escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address);
+  const escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
 
   // Fund everyone
   await usdc.faucet(client.address, 10000_000000);
@@ -10,7 +10,8 @@ async function main() {
   console.log("Deploying ShakeEscrow...");
   const escrow = await ShakeEscrow.deploy(
     "0x036CbD53842c5426634e7929541eC2318f3dCF7e",
-    deployer.address
+    deployer.address,
+    hre.ethers.ZeroAddress // no ERC-2771 forwarder
   );
   await escrow.waitForDeployment();
   const addr = await escrow.getAddress();
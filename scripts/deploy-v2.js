@@ -12,7 +12,8 @@ async function main() {
   // Deploy ShakeEscrow v2
   console.log("\nDeploying ShakeEscrow v2...");
   const ShakeEscrow = await hre.ethers.getContractFactory("ShakeEscrow");
-  const escrow = await ShakeEscrow.deploy(USDC, deployer.address);
+  // No ERC-2771 forwarder: relaying needs a redeploy with one (see deploy.js)
+  const escrow = await ShakeEscrow.deploy(USDC, deployer.address, hre.ethers.ZeroAddress);
   await escrow.waitForDeployment();
   const escrowAddr = await escrow.getAddress();
   console.log("ShakeEscrow v2 deployed:", escrowAddr);
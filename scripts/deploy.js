@@ -28,9 +28,16 @@ async function main() {
   const registryAddr = await registry.getAddress();
   console.log("AgentRegistry deployed:", registryAddr);
 
+  // Deploy ShakeForwarder first: the escrow trusts it for relayed (gasless) calls from construction
+  const ShakeForwarder = await hre.ethers.getContractFactory("ShakeForwarder");
+  const forwarder = await ShakeForwarder.deploy();
+  await forwarder.waitForDeployment();
+  const forwarderAddr = await forwarder.getAddress();
+  console.log("ShakeForwarder deployed:", forwarderAddr);
+
   // Deploy ShakeEscrow (treasury = deployer for now)
   const ShakeEscrow = await hre.ethers.getContractFactory("ShakeEscrow");
-  const escrow = await ShakeEscrow.deploy(usdcAddress, deployer.address);
+  const escrow = await ShakeEscrow.deploy(usdcAddress, deployer.address, forwarderAddr);
   await escrow.waitForDeployment();
   const escrowAddr = await escrow.getAddress();
   console.log("ShakeEscrow deployed:", escrowAddr);
@@ -43,7 +50,8 @@ async function main() {
     contracts: {
       usdc: usdcAddress,
       agentRegistry: registryAddr,
-      shakeEscrow: escrowAddr
+      shakeEscrow: escrowAddr,
+      shakeForwarder: forwarderAddr
     }
   };
 
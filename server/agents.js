@@ -0,0 +1,134 @@
+/**
+ * Agent Discovery
+ *
+ * Hydrates AgentRegistry addresses into full passports and implements the
+ * filtering, sorting and paging behind GET /agents and GET /agents/top.
+ * Candidate sets come from the registry's own discovery views:
+ *
+ *   skill      searchBySkill (exact and canonical spelling, see skills.js)
+ *   minRating  getAgentsByMinRating — percent, converted to basis points
+ *   top        getTopAgents — success rate order, agents with ≥ 5 shakes, max 50
+ *
+ * Combined filters are intersected. GET /agents ranks the candidates on
+ * sort keys rebuilt from the indexed AgentRegistered / ShakeRecorded events
+ * and reads passports for the returned page only.
+ */
+
+const { normalizeSkill } = require("./skills");
+
+const SORTS = {
+  rating: (a, b) => b.successRate - a.successRate || b.totalShakes - a.totalShakes,
+  shakes: (a, b) => b.totalShakes - a.totalShakes,
+  earned: (a, b) => {
+    const diff = BigInt(b.totalEarned) - BigInt(a.totalEarned);
+    return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+  },
+  name: (a, b) => a.name.localeCompare(b.name),
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const TOP_MAX = 50; // AgentRegistry.getTopAgents cap
+
+/** Passport + skills for one address, shaped like GET /agent/:address. */
+async function hydrateAgent(registry, address) {
+  const [passport, skills] = await Promise.all([registry.getPassport(address), registry.getSkills(address)]);
+  return {
+    address,
+    agentId: passport.agentId,
+    name: passport.name,
+    skills,
+    totalShakes: Number(passport.totalShakes),
+    totalEarned: passport.totalEarned.toString(),
+    totalEarnedUSDC: Number(passport.totalEarned) / 1e6,
+    successRate: Number(passport.successRate) / 100, // Convert bps to percentage
+    disputesLost: Number(passport.disputesLost),
+    active: passport.active,
+  };
+}
+
+/**
+ * Sort keys (name, totalShakes, totalEarned, successRate) of every indexed
+ * agent, replaying AgentRegistry.recordShake over the ShakeRecorded events.
+ */
+function rankingsOf(store) {
+  const rankings = new Map();
+  for (const e of store.listEventsNamed("AgentRegistry", "AgentRegistered")) {
+    rankings.set(e.args.agent, { name: e.args.name, totalShakes: 0, totalEarned: 0n, disputesLost: 0, successRate: 100 });
+  }
+  for (const e of store.listEventsNamed("AgentRegistry", "ShakeRecorded")) {
+    const r = rankings.get(e.args.agent);
+    if (!r) continue;
+    r.totalShakes++;
+    r.totalEarned += BigInt(e.args.earned);
+    if (!e.args.success) r.disputesLost++;
+    r.successRate = Math.floor(((r.totalShakes - r.disputesLost) * 10000) / r.totalShakes) / 100;
+  }
+  return rankings;
+}
+
+/** Order candidate addresses by `sort`; agents the index hasn't seen yet go last. */
+function rankAgents(store, addresses, sort) {
+  const rankings = rankingsOf(store);
+  const known = addresses.filter((addr) => rankings.has(addr));
+  const unknown = addresses.filter((addr) => !rankings.has(addr));
+  known.sort((a, b) => SORTS[sort](rankings.get(a), rankings.get(b)));
+  return [...known, ...unknown];
+}
+
+/** Parse ?limit=&offset= (throws on malformed input). */
+function parsePaging(query, maxLimit = MAX_LIMIT) {
+  const limit = query.limit === undefined ? Math.min(DEFAULT_LIMIT, maxLimit) : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw new Error(`Invalid limit, expected 1-${maxLimit}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) throw new Error("Invalid offset");
+  return { limit, offset };
+}
+
+/** Parse ?skill=&minRating=&sort= plus paging for GET /agents. */
+function parseAgentQuery(query) {
+  const out = { ...parsePaging(query), sort: query.sort || "rating" };
+  if (!SORTS[out.sort]) throw new Error(`Invalid sort, expected one of: ${Object.keys(SORTS).join(", ")}`);
+
+  if (query.skill !== undefined) {
+    if (!String(query.skill).trim()) throw new Error("Invalid skill");
+    out.skill = String(query.skill).trim();
+  }
+  if (query.minRating !== undefined) {
+    const rating = Number(query.minRating);
+    if (!Number.isFinite(rating) || rating < 0 || rating > 100) throw new Error("Invalid minRating, expected 0-100");
+    out.minRating = rating;
+  }
+  return out;
+}
+
+/** Addresses matching the skill / rating filters, in registry order. */
+async function findAgents(registry, { skill, minRating }) {
+  const ratingBps = Math.ceil((minRating || 0) * 100);
+  if (skill === undefined) return [...(await registry.getAgentsByMinRating(ratingBps))];
+
+  // Issued together so a multicall runner batches them
+  const spellings = [...new Set([skill, normalizeSkill(skill)])];
+  const [byRating, ...matches] = await Promise.all([
+    registry.getAgentsByMinRating(ratingBps),
+    ...spellings.map((spelling) => registry.searchBySkill(spelling)),
+  ]);
+  const bySkill = new Set(matches.flatMap((found) => [...found]));
+  return [...byRating].filter((addr) => bySkill.has(addr));
+}
+
+/** One page of `agents` (addresses or hydrated passports). */
+function page(agents, { limit, offset }) {
+  const slice = agents.slice(offset, offset + limit);
+  return {
+    total: agents.length,
+    offset,
+    limit,
+    nextOffset: offset + slice.length < agents.length ? offset + slice.length : null,
+    agents: slice,
+  };
+}
+
+module.exports = { hydrateAgent, parsePaging, parseAgentQuery, findAgents, rankAgents, page, SORTS, TOP_MAX };
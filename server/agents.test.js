@@ -0,0 +1,154 @@
+/**
+ * Agent Discovery Tests
+ *
+ * Registers a handful of agents with recorded history and checks
+ * GET /agents (skill, rating, combined filters, sorting on indexed history,
+ * paging) and GET /agents/top against the registry's discovery views.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+
+describe("x402 Agent Discovery", function () {
+  let registry, escrow, usdc;
+  let deployer, agents;
+  let x402, server, port;
+
+  // name, skills, [successes, failures], earned per success (USDC)
+  const PROFILES = [
+    ["Scraper-1", ["scraping", "etl"], [6, 0], 10],
+    ["Scraper-2", ["web_scraping"], [4, 1], 50],
+    ["Analyst-1", ["data_analysis", "visualization"], [9, 1], 20],
+    ["Analyst-2", ["data_analysis"], [3, 2], 5],
+    ["Coder-1", ["coding"], [0, 0], 0],
+    ["Coder-2", ["coding", "etl"], [5, 0], 1],
+  ];
+
+  before(async function () {
+    const signers = await ethers.getSigners();
+    deployer = signers[0];
+    agents = signers.slice(1, 1 + PROFILES.length);
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    registry = await AgentRegistry.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+
+    // The deployer stands in for the escrow when recording history
+    await registry.authorizeCaller(deployer.address);
+    for (let i = 0; i < PROFILES.length; i++) {
+      const [name, skills, [wins, losses], earned] = PROFILES[i];
+      await registry.connect(agents[i]).register(name, skills);
+      for (let w = 0; w < wins; w++) await registry.recordShake(agents[i].address, earned * 1e6, true);
+      for (let l = 0; l < losses; l++) await registry.recordShake(agents[i].address, 0, false);
+    }
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+      startBlock: (await usdc.deploymentTransaction().wait()).blockNumber,
+    });
+    await x402.getIndexer().sync();
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function get(path) {
+    const res = await fetch(`http://localhost:${port}${path}`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  const names = (body) => body.agents.map((a) => a.name);
+
+  it("GET /agents — lists every agent with hydrated passports, best rated first", async function () {
+    const { status, body } = await get("/agents");
+    expect(status).to.equal(200);
+    expect(body.total).to.equal(6);
+    expect(body.sort).to.equal("rating");
+    expect(names(body).slice(0, 3)).to.deep.equal(["Scraper-1", "Coder-2", "Coder-1"]);
+
+    const analyst = body.agents.find((a) => a.name === "Analyst-1");
+    expect(analyst.skills).to.deep.equal(["data_analysis", "visualization"]);
+    expect(analyst.totalShakes).to.equal(10);
+    expect(analyst.successRate).to.equal(90);
+    expect(analyst.totalEarned).to.equal("180000000");
+  });
+
+  it("GET /agents?skill — matches exact and canonical skill spellings", async function () {
+    const { body } = await get("/agents?skill=Web%20Scraping");
+    expect(names(body).sort()).to.deep.equal(["Scraper-2"]);
+
+    const etl = await get("/agents?skill=etl");
+    expect(names(etl.body).sort()).to.deep.equal(["Coder-2", "Scraper-1"]);
+  });
+
+  it("GET /agents?skill&minRating — intersects skill and rating filters", async function () {
+    const { body } = await get("/agents?skill=data_analysis&minRating=80");
+    expect(names(body)).to.deep.equal(["Analyst-1"]);
+
+    const all = await get("/agents?skill=data_analysis&minRating=0");
+    expect(names(all.body)).to.deep.equal(["Analyst-1", "Analyst-2"]);
+  });
+
+  it("GET /agents — sorts and pages", async function () {
+    const first = await get("/agents?sort=earned&limit=2");
+    expect(names(first.body)).to.deep.equal(["Scraper-2", "Analyst-1"]);
+    expect(first.body.nextOffset).to.equal(2);
+
+    const second = await get("/agents?sort=earned&limit=2&offset=2");
+    expect(names(second.body)).to.deep.equal(["Scraper-1", "Analyst-2"]);
+
+    const last = await get("/agents?sort=name&limit=5&offset=5");
+    expect(names(last.body)).to.deep.equal(["Scraper-2"]);
+    expect(last.body.nextOffset).to.equal(null);
+  });
+
+  it("GET /agents — reads passports for the returned page only", async function () {
+    const getPassport = registry.interface.getFunction("getPassport").selector;
+    const call = ethers.provider.call.bind(ethers.provider);
+    let reads = 0;
+    ethers.provider.call = (tx) => {
+      if (tx.data && tx.data.startsWith(getPassport)) reads++;
+      return call(tx);
+    };
+    try {
+      const { body } = await get("/agents?sort=shakes&limit=2");
+      expect(names(body)).to.deep.equal(["Analyst-1", "Scraper-1"]);
+      expect(body.total).to.equal(6);
+      expect(reads).to.equal(2);
+    } finally {
+      ethers.provider.call = call;
+    }
+  });
+
+  it("GET /agents — rejects malformed parameters", async function () {
+    expect((await get("/agents?sort=vibes")).status).to.equal(400);
+    expect((await get("/agents?minRating=120")).status).to.equal(400);
+    expect((await get("/agents?limit=0")).status).to.equal(400);
+    expect((await get("/agents?offset=-1")).status).to.equal(400);
+  });
+
+  it("GET /agents/top — ranks agents with at least 5 shakes", async function () {
+    const { status, body } = await get("/agents/top");
+    expect(status).to.equal(200);
+    expect(names(body)).to.deep.equal(["Scraper-1", "Coder-2", "Analyst-1", "Scraper-2", "Analyst-2"]);
+    expect(body.agents[0].successRate).to.equal(100);
+
+    const paged = await get("/agents/top?limit=2&offset=2");
+    expect(names(paged.body)).to.deep.equal(["Analyst-1", "Scraper-2"]);
+
+    const etl = await get("/agents/top?skill=etl");
+    expect(names(etl.body)).to.deep.equal(["Scraper-1", "Coder-2"]);
+  });
+});
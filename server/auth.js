@@ -0,0 +1,265 @@
+/**
+ * Sign-In with Ethereum & API Keys
+ *
+ * Optional authentication for the x402 server. Nothing requires it — it only
+ * identifies callers so rate limits (ratelimit.js) can give agents and
+ * service accounts more room than anonymous traffic.
+ *
+ *   - SIWE (EIP-4361): GET /auth/nonce hands out a single-use nonce and a
+ *     ready-to-sign message; POST /auth/siwe verifies the signed message and
+ *     issues a session token bound to the signing address
+ *     (`Authorization: Bearer siwe_…`). Messages must name the configured
+ *     domain (SIWE_DOMAIN); without one SIWE is off, since the request's
+ *     Host header is the client's to choose.
+ *   - API keys for service accounts (`X-API-Key: csk_…`), configured through
+ *     API_KEYS or minted at runtime by an admin. Only their SHA-256 is kept.
+ *
+ * Nonces, sessions and runtime keys live in memory; a restart logs everyone out.
+ */
+
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const SESSION_PREFIX = "siwe_";
+const API_KEY_PREFIX = "csk_";
+const DEFAULT_NONCE_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const SIWE_DISABLED = "SIWE sign-in disabled (SIWE_DOMAIN not set)";
+
+const HEADER_SUFFIX = " wants you to sign in with your Ethereum account:";
+// EIP-4361 fields after the statement, in order, with the property they parse into
+const FIELDS = [
+  ["URI", "uri"],
+  ["Version", "version"],
+  ["Chain ID", "chainId"],
+  ["Nonce", "nonce"],
+  ["Issued At", "issuedAt"],
+  ["Expiration Time", "expirationTime"],
+  ["Not Before", "notBefore"],
+  ["Request ID", "requestId"],
+];
+const REQUIRED_FIELDS = ["uri", "version", "chainId", "nonce", "issuedAt"];
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const randomToken = (prefix) => prefix + crypto.randomBytes(24).toString("hex");
+
+/** Render an EIP-4361 message. */
+function buildSiweMessage({ domain, address, statement, uri, version = "1", chainId, nonce, issuedAt, expirationTime, notBefore, requestId, resources }) {
+  const lines = [`${domain}${HEADER_SUFFIX}`, address, ""];
+  if (statement) lines.push(statement, "");
+  lines.push(`URI: ${uri}`, `Version: ${version}`, `Chain ID: ${chainId}`, `Nonce: ${nonce}`, `Issued At: ${issuedAt}`);
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  if (notBefore) lines.push(`Not Before: ${notBefore}`);
+  if (requestId) lines.push(`Request ID: ${requestId}`);
+  if (resources && resources.length) lines.push("Resources:", ...resources.map((r) => `- ${r}`));
+  return lines.join("\n");
+}
+
+/** Parse an EIP-4361 message. Throws on anything malformed. */
+function parseSiweMessage(message) {
+  if (typeof message !== "string") throw new Error("SIWE message must be a string");
+  const lines = message.split("\n");
+
+  const header = lines[0] || "";
+  if (!header.endsWith(HEADER_SUFFIX)) throw new Error("Not a SIWE message");
+  const parsed = { domain: header.slice(0, -HEADER_SUFFIX.length).replace(/^[a-z][a-z0-9+.-]*:\/\//i, "") };
+  if (!parsed.domain) throw new Error("SIWE message has no domain");
+  if (!ethers.isAddress(lines[1])) throw new Error("SIWE message has an invalid address");
+  parsed.address = ethers.getAddress(lines[1]);
+
+  // Optional statement between the address and the first field
+  let i = 2;
+  const statement = [];
+  while (i < lines.length && !lines[i].startsWith("URI: ")) {
+    if (lines[i] !== "") statement.push(lines[i]);
+    i++;
+  }
+  parsed.statement = statement.length ? statement.join("\n") : null;
+
+  let field = 0;
+  for (; i < lines.length && lines[i] !== "Resources:"; i++) {
+    while (field < FIELDS.length && !lines[i].startsWith(`${FIELDS[field][0]}: `)) field++;
+    if (field === FIELDS.length) throw new Error(`Unexpected SIWE line: ${lines[i]}`);
+    const [label, key] = FIELDS[field++];
+    parsed[key] = lines[i].slice(label.length + 2);
+  }
+  parsed.resources = lines.slice(i + 1).filter((l) => l.startsWith("- ")).map((l) => l.slice(2));
+
+  for (const key of REQUIRED_FIELDS) {
+    if (!parsed[key]) throw new Error(`SIWE message is missing ${key}`);
+  }
+  if (parsed.version !== "1") throw new Error("Unsupported SIWE version");
+  if (!/^\d+$/.test(parsed.chainId)) throw new Error("Invalid SIWE chain ID");
+  parsed.chainId = Number(parsed.chainId);
+  if (!/^[A-Za-z0-9]{8,}$/.test(parsed.nonce)) throw new Error("Invalid SIWE nonce");
+  for (const key of ["issuedAt", "expirationTime", "notBefore"]) {
+    if (parsed[key] !== undefined && Number.isNaN(Date.parse(parsed[key]))) {
+      throw new Error(`Invalid SIWE ${key}`);
+    }
+  }
+  return parsed;
+}
+
+class SiweAuth {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.domain] expected message domain; SIWE is disabled without one
+   * @param {number} [opts.nonceTtlMs]
+   * @param {number} [opts.sessionTtlMs] session lifetime, cut short by the message's Expiration Time
+   */
+  constructor({ domain, nonceTtlMs = DEFAULT_NONCE_TTL_MS, sessionTtlMs = DEFAULT_SESSION_TTL_MS } = {}) {
+    this.domain = domain || null;
+    this.nonceTtlMs = nonceTtlMs;
+    this.sessionTtlMs = sessionTtlMs;
+    this.nonces = new Map(); // nonce → expiresAt
+    this.sessions = new Map(); // sha256(token) → { address, chainId, issuedAt, expiresAt }
+  }
+
+  /** Issue a single-use nonce. */
+  createNonce(now = Date.now()) {
+    this._prune(now);
+    const nonce = crypto.randomBytes(12).toString("hex");
+    const expiresAt = now + this.nonceTtlMs;
+    this.nonces.set(nonce, expiresAt);
+    return { nonce, expiresAt };
+  }
+
+  /**
+   * Verify a signed SIWE message and open a session.
+   * Returns { token, address, chainId, expiresAt } or { status, error }.
+   */
+  signIn({ message, signature, chainId }, now = Date.now()) {
+    if (!this.domain) return { status: 503, error: SIWE_DISABLED };
+
+    let siwe;
+    try {
+      siwe = parseSiweMessage(message);
+    } catch (err) {
+      return { status: 400, error: err.message };
+    }
+
+    if (siwe.domain !== this.domain) {
+      return { status: 401, error: `SIWE domain must be ${this.domain}` };
+    }
+    if (siwe.chainId !== chainId) {
+      return { status: 401, error: `SIWE chain ID must be ${chainId}` };
+    }
+    if (siwe.expirationTime && Date.parse(siwe.expirationTime) <= now) {
+      return { status: 401, error: "SIWE message has expired" };
+    }
+    if (siwe.notBefore && Date.parse(siwe.notBefore) > now) {
+      return { status: 401, error: "SIWE message is not yet valid" };
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch {
+      return { status: 400, error: "Invalid signature" };
+    }
+    if (signer !== siwe.address) {
+      return { status: 401, error: "Signature does not match the SIWE address" };
+    }
+
+    // Spend the nonce only once the signature checks out
+    const nonceExpiry = this.nonces.get(siwe.nonce);
+    if (nonceExpiry === undefined || nonceExpiry <= now) {
+      return { status: 401, error: "Unknown or expired nonce" };
+    }
+    this.nonces.delete(siwe.nonce);
+
+    let expiresAt = now + this.sessionTtlMs;
+    if (siwe.expirationTime) expiresAt = Math.min(expiresAt, Date.parse(siwe.expirationTime));
+    const token = randomToken(SESSION_PREFIX);
+    this.sessions.set(sha256(token), { address: siwe.address, chainId, issuedAt: now, expiresAt });
+    return { token, address: siwe.address, chainId, expiresAt };
+  }
+
+  /** Session of a bearer token, or null when unknown or expired. */
+  session(token, now = Date.now()) {
+    const key = sha256(token);
+    const session = this.sessions.get(key);
+    if (!session) return null;
+    if (session.expiresAt <= now) {
+      this.sessions.delete(key);
+      return null;
+    }
+    return session;
+  }
+
+  signOut(token) {
+    return this.sessions.delete(sha256(token));
+  }
+
+  _prune(now) {
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt <= now) this.nonces.delete(nonce);
+    }
+    for (const [key, session] of this.sessions) {
+      if (session.expiresAt <= now) this.sessions.delete(key);
+    }
+  }
+}
+
+class ApiKeys {
+  constructor() {
+    this.keys = new Map(); // sha256(key) → { name, createdAt }
+  }
+
+  /**
+   * Load keys from "name:key,name:key" (the API_KEYS format).
+   * Throws on malformed entries or keys without the csk_ prefix.
+   */
+  static parse(spec) {
+    const apiKeys = new ApiKeys();
+    for (const entry of (spec || "").split(",").map((e) => e.trim()).filter(Boolean)) {
+      const [name, key] = entry.split(":");
+      if (!name || !key || !key.startsWith(API_KEY_PREFIX)) {
+        throw new Error(`Invalid API key entry "${name || entry}", expected name:${API_KEY_PREFIX}…`);
+      }
+      apiKeys.add(name, key);
+    }
+    return apiKeys;
+  }
+
+  add(name, key, now = Date.now()) {
+    if (this.has(name)) throw new Error(`API key "${name}" already exists`);
+    this.keys.set(sha256(key), { name, createdAt: now });
+  }
+
+  /** Mint a key for a new service account; the plaintext is only returned here. */
+  create(name, now = Date.now()) {
+    const key = randomToken(API_KEY_PREFIX);
+    this.add(name, key, now);
+    return { name, key, createdAt: now };
+  }
+
+  has(name) {
+    return this.list().some((k) => k.name === name);
+  }
+
+  revoke(name) {
+    for (const [hash, entry] of this.keys) {
+      if (entry.name === name) return this.keys.delete(hash);
+    }
+    return false;
+  }
+
+  /** Service account a key belongs to, or null. */
+  lookup(key) {
+    return this.keys.get(sha256(key)) || null;
+  }
+
+  list() {
+    return [...this.keys.values()];
+  }
+}
+
+module.exports = {
+  SiweAuth,
+  ApiKeys,
+  buildSiweMessage,
+  parseSiweMessage,
+  SESSION_PREFIX,
+  API_KEY_PREFIX,
+};
@@ -0,0 +1,224 @@
+/**
+ * SIWE & API Key Tests
+ *
+ * Signs in with EIP-4361 messages from hardhat signers, checks the session
+ * token, tier (agent vs registered agent) and the ways a login is refused,
+ * and covers API keys for service accounts from config and the admin routes.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const { buildSiweMessage, parseSiweMessage } = require("./auth");
+
+const SERVICE_KEY = "csk_" + "ab".repeat(24);
+const ADMIN_TOKEN = "admin-secret";
+const SIWE_DOMAIN = "clawshake.test";
+
+describe("x402 Authentication", function () {
+  let escrow, registry;
+  let deployer, registered, stranger;
+  let x402, server, port, config;
+
+  before(async function () {
+    [deployer, registered, stranger] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const usdc = await MockUSDC.deploy();
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    registry = await AgentRegistry.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+    await registry.connect(registered).register("signed-in", ["etl"]);
+
+    x402 = require("./x402.js");
+    config = {
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+      apiKeys: `indexer:${SERVICE_KEY}`,
+      adminToken: ADMIN_TOKEN,
+    };
+    x402.initContracts({ ...config, siweDomain: SIWE_DOMAIN });
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function request(method, path, body, headers = {}) {
+    const res = await fetch(`http://localhost:${port}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: res.status === 204 ? null : await res.json() };
+  }
+
+  // Fetch a prepared message for `signer`, optionally edit it, sign and submit
+  async function signIn(signer, edit = (m) => m) {
+    const { body } = await request("GET", `/auth/nonce?address=${signer.address}`);
+    const message = edit(body.message, body.nonce);
+    return request("POST", "/auth/siwe", { message, signature: await signer.signMessage(message) });
+  }
+
+  const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+  it("GET /auth/nonce — prepares a SIWE message for the server's domain and chain", async function () {
+    const { status, body } = await request("GET", `/auth/nonce?address=${stranger.address.toLowerCase()}`);
+    expect(status).to.equal(200);
+    const siwe = parseSiweMessage(body.message);
+    expect(siwe).to.deep.include({ domain: SIWE_DOMAIN, address: stranger.address, chainId: 31337, nonce: body.nonce, version: "1" });
+    expect(Date.parse(siwe.expirationTime)).to.equal(body.expiresAt);
+
+    expect((await request("GET", "/auth/nonce")).body.message).to.equal(undefined);
+    expect((await request("GET", "/auth/nonce?address=0xnope")).status).to.equal(400);
+  });
+
+  it("POST /auth/siwe — issues a session token bound to the signer", async function () {
+    const agent = await signIn(stranger);
+    expect(agent.status).to.equal(200);
+    expect(agent.body).to.deep.include({ address: stranger.address, chainId: 31337, tier: "agent" });
+    expect(agent.body.token).to.match(/^siwe_[0-9a-f]{48}$/);
+
+    const session = await request("GET", "/auth/session", null, bearer(agent.body.token));
+    expect(session.body).to.deep.include({ tier: "agent", address: stranger.address, service: null });
+
+    const member = await signIn(registered);
+    expect(member.body.tier).to.equal("registered");
+  });
+
+  it("POST /auth/siwe — refuses replayed nonces, foreign domains and chains, bad signatures", async function () {
+    const { body } = await request("GET", `/auth/nonce?address=${stranger.address}`);
+    const signature = await stranger.signMessage(body.message);
+    expect((await request("POST", "/auth/siwe", { message: body.message, signature })).status).to.equal(200);
+    const replay = await request("POST", "/auth/siwe", { message: body.message, signature });
+    expect(replay.status).to.equal(401);
+    expect(replay.body.error).to.equal("Unknown or expired nonce");
+
+    const foreign = await signIn(stranger, (m) => m.replace(SIWE_DOMAIN, "evil.example"));
+    expect(foreign.body.error).to.equal(`SIWE domain must be ${SIWE_DOMAIN}`);
+
+    const otherChain = await signIn(stranger, (m) => m.replace("Chain ID: 31337", "Chain ID: 8453"));
+    expect(otherChain.body.error).to.equal("SIWE chain ID must be 31337");
+
+    const expired = await signIn(stranger, (m) => m.replace(/Expiration Time: .*/, "Expiration Time: 2020-01-01T00:00:00.000Z"));
+    expect(expired.body.error).to.equal("SIWE message has expired");
+
+    const { body: fresh } = await request("GET", `/auth/nonce?address=${stranger.address}`);
+    const impostor = await request("POST", "/auth/siwe", { message: fresh.message, signature: await registered.signMessage(fresh.message) });
+    expect(impostor.status).to.equal(401);
+    expect(impostor.body.error).to.equal("Signature does not match the SIWE address");
+
+    const unknownNonce = await signIn(stranger, (m, nonce) => m.replace(nonce, "deadbeefdeadbeef"));
+    expect(unknownNonce.status).to.equal(401);
+
+    expect((await request("POST", "/auth/siwe", { message: "hello", signature: "0x" })).status).to.equal(400);
+  });
+
+  it("POST /auth/siwe — checks SIWE_DOMAIN whatever Host the client sends", async function () {
+    // fetch() won't override Host, so go through http.request
+    const withHost = (method, path, hostHeader, body) =>
+      new Promise((resolve, reject) => {
+        const payload = body ? JSON.stringify(body) : "";
+        const req = http.request(
+          { port, path, method, headers: { Host: hostHeader, "Content-Type": "application/json", "Content-Length": Buffer.byteLength(payload) } },
+          (res) => {
+            let text = "";
+            res.on("data", (chunk) => (text += chunk));
+            res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+          }
+        );
+        req.on("error", reject);
+        req.end(payload);
+      });
+
+    const { body } = await withHost("GET", `/auth/nonce?address=${stranger.address}`, "evil.example");
+    expect(parseSiweMessage(body.message).domain).to.equal(SIWE_DOMAIN);
+
+    const message = body.message.replaceAll(SIWE_DOMAIN, "evil.example");
+    const spoofed = await withHost("POST", "/auth/siwe", "evil.example", { message, signature: await stranger.signMessage(message) });
+    expect(spoofed.status).to.equal(401);
+    expect(spoofed.body.error).to.equal(`SIWE domain must be ${SIWE_DOMAIN}`);
+  });
+
+  it("DELETE /auth/session — signs out; stale tokens are rejected", async function () {
+    const { body } = await signIn(stranger);
+    expect((await request("DELETE", "/auth/session", null, bearer(body.token))).status).to.equal(204);
+
+    const after = await request("GET", "/auth/session", null, bearer(body.token));
+    expect(after.status).to.equal(401);
+    expect(after.body.error).to.equal("Invalid or expired session");
+
+    // Without credentials the caller is simply anonymous
+    expect((await request("GET", "/auth/session")).body.tier).to.equal("anonymous");
+    expect((await request("DELETE", "/auth/session")).status).to.equal(401);
+  });
+
+  it("X-API-Key — identifies service accounts; admins mint and revoke keys", async function () {
+    const configured = await request("GET", "/auth/session", null, { "X-API-Key": SERVICE_KEY });
+    expect(configured.body).to.deep.include({ tier: "service", service: "indexer" });
+    expect((await request("GET", "/health", null, { "X-API-Key": "csk_wrong" })).status).to.equal(401);
+
+    const admin = bearer(ADMIN_TOKEN);
+    expect((await request("POST", "/admin/api-keys", { name: "crawler" })).status).to.equal(401);
+    const minted = await request("POST", "/admin/api-keys", { name: "crawler" }, admin);
+    expect(minted.status).to.equal(201);
+    expect(minted.body.key).to.match(/^csk_/);
+    expect((await request("POST", "/admin/api-keys", { name: "crawler" }, admin)).status).to.equal(409);
+
+    const listed = await request("GET", "/admin/api-keys", null, admin);
+    expect(listed.body.keys.map((k) => k.name)).to.deep.equal(["indexer", "crawler"]);
+    expect(JSON.stringify(listed.body)).to.not.include(minted.body.key);
+
+    expect((await request("GET", "/auth/session", null, { "X-API-Key": minted.body.key })).body.service).to.equal("crawler");
+    expect((await request("DELETE", "/admin/api-keys/crawler", null, admin)).status).to.equal(204);
+    expect((await request("GET", "/auth/session", null, { "X-API-Key": minted.body.key })).status).to.equal(401);
+  });
+
+  it("refuses SIWE while SIWE_DOMAIN is unset", async function () {
+    const { body } = await request("GET", `/auth/nonce?address=${stranger.address}`);
+    x402.initContracts(config);
+    try {
+      const nonce = await request("GET", `/auth/nonce?address=${stranger.address}`);
+      expect(nonce.status).to.equal(503);
+      expect(nonce.body).to.deep.include({ error: "SIWE sign-in disabled (SIWE_DOMAIN not set)", code: "NOT_CONFIGURED" });
+
+      const message = body.message.replaceAll(SIWE_DOMAIN, `localhost:${port}`);
+      const signIn = await request("POST", "/auth/siwe", { message, signature: await stranger.signMessage(message) });
+      expect(signIn.status).to.equal(503);
+    } finally {
+      x402.initContracts({ ...config, siweDomain: SIWE_DOMAIN });
+    }
+  });
+
+  describe("SIWE messages", function () {
+    it("round-trips optional fields and resources", function () {
+      const fields = {
+        domain: "clawshake.xyz",
+        address: stranger.address,
+        uri: "https://clawshake.xyz",
+        chainId: 84532,
+        nonce: "abcdef0123456789",
+        issuedAt: "2026-01-01T00:00:00.000Z",
+        notBefore: "2026-01-01T00:00:00.000Z",
+        requestId: "req-1",
+        resources: ["https://clawshake.xyz/jobs", "ipfs://bafy"],
+      };
+      const parsed = parseSiweMessage(buildSiweMessage(fields));
+      expect(parsed).to.deep.include({ ...fields, statement: null, version: "1" });
+    });
+
+    it("rejects malformed messages", function () {
+      const base = { domain: "a.xyz", address: stranger.address, uri: "https://a.xyz", chainId: 1, nonce: "abcdef0123456789", issuedAt: "2026-01-01T00:00:00Z" };
+      expect(() => parseSiweMessage("hello")).to.throw("Not a SIWE message");
+      expect(() => parseSiweMessage(buildSiweMessage({ ...base, nonce: "short" }))).to.throw("Invalid SIWE nonce");
+      expect(() => parseSiweMessage(buildSiweMessage({ ...base, version: "2" }))).to.throw("Unsupported SIWE version");
+      expect(() => parseSiweMessage(buildSiweMessage(base).replace(/\nNonce: .*/, ""))).to.throw("missing nonce");
+    });
+  });
+});
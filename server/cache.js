@@ -0,0 +1,100 @@
+/**
+ * Block-Scoped Response Cache
+ *
+ * Caches read responses for the block they were computed at. An entry is
+ * served only while the chain head is still that block; the first request
+ * that sees a newer block drops the whole cache. Indexed events and reorgs
+ * clear it too, since index-backed responses change when the indexer catches
+ * up rather than when the block arrives.
+ *
+ * Used as Express middleware on GET routes: hits are answered with
+ * `X-Cache: HIT` and `X-Cache-Block`; only 200 JSON responses are stored.
+ */
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+class BlockCache {
+  /**
+   * @param {object} opts
+   * @param {import("ethers").Provider} opts.provider head block source
+   * @param {import("events").EventEmitter} [opts.indexer] cleared on "event" / "reorg"
+   * @param {number} [opts.maxEntries] 0 disables caching
+   */
+  constructor({ provider, indexer, maxEntries = DEFAULT_MAX_ENTRIES }) {
+    this.provider = provider;
+    this.maxEntries = maxEntries;
+    this.block = null;
+    this.entries = new Map(); // key → body
+    this.generation = 0; // bumped on every invalidation
+    this.stats = { hits: 0, misses: 0, invalidations: 0 };
+    if (indexer) {
+      indexer.on("event", () => this.invalidate());
+      indexer.on("reorg", () => this.invalidate());
+    }
+  }
+
+  invalidate() {
+    this.entries.clear();
+    this.generation++;
+    this.stats.invalidations++;
+  }
+
+  /** Current head; a new block invalidates everything cached for the old one. */
+  async head() {
+    const block = await this.provider.getBlockNumber();
+    if (block !== this.block) {
+      if (this.block !== null) this.invalidate();
+      this.block = block;
+    }
+    return block;
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  // Store unless the cache moved on while the response was being computed
+  set(key, body, block, generation) {
+    if (block !== this.block || generation !== this.generation) return;
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, body);
+  }
+}
+
+/** Express middleware caching GET responses; `getCache(req)` picks the network's cache. */
+function cacheResponses(getCache) {
+  return async (req, res, next) => {
+    const cache = getCache(req);
+    if (!cache || cache.maxEntries === 0) return next();
+
+    let block;
+    try {
+      block = await cache.head();
+    } catch {
+      return next(); // RPC hiccup — serve uncached
+    }
+    const generation = cache.generation;
+    const key = req.url;
+
+    const hit = cache.get(key);
+    res.set("X-Cache-Block", String(block));
+    if (hit !== undefined) {
+      cache.stats.hits++;
+      res.set("X-Cache", "HIT");
+      return res.json(hit);
+    }
+
+    cache.stats.misses++;
+    res.set("X-Cache", "MISS");
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode === 200) cache.set(key, body, block, generation);
+      return json(body);
+    };
+    next();
+  };
+}
+
+module.exports = { BlockCache, cacheResponses, DEFAULT_MAX_ENTRIES };
@@ -0,0 +1,246 @@
+/**
+ * Cross-Chain Request Tracking
+ *
+ * Ties the two halves of a CCTP shake together: `initiateShake` on the source
+ * domain (USDC burned, request stored) and `fulfillShake` on the destination
+ * (USDC minted, shake created). Each CCTP domain is read through its own
+ * provider and CrossChainShake deployment.
+ *
+ * CrossChainInitiated / CrossChainFulfilled logs of the server's own domain
+ * come from the event index. Other domains aren't indexed, so a
+ * DomainEventScanner reads their logs forward from the deployment block in
+ * `batchSize` chunks, resuming from where the previous request stopped.
+ *
+ * Request lifecycle:
+ *   pending_attestation  burned on the source chain, Circle has not attested yet
+ *   attested             attestation available — fulfillShake can be called
+ *   fulfilled            CrossChainFulfilled seen on the destination (shakeId known)
+ *
+ * Attestation status comes from Circle's Iris API, or from LocalAttestation
+ * — a stand-in that treats a burn as attested once it has enough
+ * confirmations, for local chains using MockTokenMessenger.
+ */
+
+const { ethers } = require("ethers");
+
+const DOMAIN_NAMES = {
+  0: "ethereum",
+  1: "avalanche",
+  2: "optimism",
+  3: "arbitrum",
+  6: "base",
+  7: "polygon",
+};
+
+/** Circle Iris attestation service (CCTP v2 `/v2/messages` endpoint). */
+class IrisAttestation {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+  }
+
+  async status({ sourceDomain, txHash }) {
+    const res = await fetch(`${this.baseUrl}/v2/messages/${sourceDomain}?transactionHash=${txHash}`);
+    if (res.status === 404) return { status: "pending", source: "iris" };
+    if (!res.ok) throw new Error(`Attestation service returned HTTP ${res.status}`);
+
+    const { messages = [] } = await res.json();
+    const message = messages[0];
+    if (!message || message.status !== "complete") return { status: "pending", source: "iris" };
+    return { status: "complete", source: "iris", message: message.message, attestation: message.attestation };
+  }
+}
+
+/**
+ * Local stand-in for Circle's attester: a burn counts as attested once its
+ * transaction has `confirmations` confirmations on the source chain. Pair it
+ * with MockTokenMessenger.simulateMint to play the mint side.
+ */
+class LocalAttestation {
+  constructor({ confirmations = 1 } = {}) {
+    this.confirmations = confirmations;
+  }
+
+  async status({ provider, txHash, sourceDomain, nonce }) {
+    const receipt = await provider.getTransactionReceipt(txHash);
+    const confirmations = receipt ? await receipt.confirmations() : 0;
+    if (confirmations < this.confirmations) {
+      return { status: "pending", source: "local", confirmations, required: this.confirmations };
+    }
+    return {
+      status: "complete",
+      source: "local",
+      confirmations,
+      attestation: ethers.solidityPackedKeccak256(["uint32", "uint64", "bytes32"], [sourceDomain, nonce, txHash]),
+    };
+  }
+}
+
+/** CrossChainShake events of the local domain, read from the indexer's store. */
+class IndexedEvents {
+  /** @param {import("./store").ShakeStore} store */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /** First `name` event of `requestId`: { txHash, blockNumber, args }, or null. */
+  async find(name, requestId) {
+    const [event] = this.store.listEventsNamed("CrossChainShake", name, (e) => e.args.requestId === String(requestId));
+    return event || null;
+  }
+}
+
+/**
+ * CrossChainShake events of a domain the indexer doesn't follow. Logs are
+ * fetched forward from `startBlock` in `batchSize` chunks; the cursor and the
+ * events found so far are kept, so each lookup only reads new blocks. Blocks
+ * already read are not re-checked for reorgs.
+ */
+class DomainEventScanner {
+  /**
+   * @param {object} opts
+   * @param {import("ethers").Provider} opts.provider
+   * @param {import("ethers").Contract} opts.crossChain
+   * @param {number} opts.startBlock CrossChainShake deployment block
+   * @param {number} [opts.batchSize=2000] Max blocks per eth_getLogs call
+   */
+  constructor({ provider, crossChain, startBlock, batchSize = 2000 }) {
+    this.provider = provider;
+    this.crossChain = crossChain;
+    this.cursor = startBlock;
+    this.batchSize = batchSize;
+    this.events = new Map(); // "name:requestId" → first matching event
+    this._scanning = null;
+  }
+
+  async find(name, requestId) {
+    await this.scan();
+    return this.events.get(`${name}:${requestId}`) || null;
+  }
+
+  /** Read logs up to the current head. Concurrent callers share one run. */
+  scan() {
+    if (!this._scanning) {
+      this._scanning = this._scan().finally(() => {
+        this._scanning = null;
+      });
+    }
+    return this._scanning;
+  }
+
+  async _scan() {
+    const head = await this.provider.getBlockNumber();
+    const address = await this.crossChain.getAddress();
+    while (this.cursor <= head) {
+      const to = Math.min(this.cursor + this.batchSize - 1, head);
+      const logs = await this.provider.getLogs({ address, fromBlock: this.cursor, toBlock: to });
+      for (const log of logs) {
+        let parsed;
+        try {
+          parsed = this.crossChain.interface.parseLog(log);
+        } catch {
+          continue;
+        }
+        if (!parsed || (parsed.name !== "CrossChainInitiated" && parsed.name !== "CrossChainFulfilled")) continue;
+        const key = `${parsed.name}:${parsed.args.requestId}`;
+        if (this.events.has(key)) continue;
+        this.events.set(key, {
+          txHash: log.transactionHash,
+          blockNumber: log.blockNumber,
+          args: Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name, String(parsed.args[i])])),
+        });
+      }
+      this.cursor = to + 1;
+    }
+  }
+}
+
+class CrossChainTracker {
+  /**
+   * @param {object} opts
+   * @param {Map<number, { provider: import("ethers").Provider, crossChain: import("ethers").Contract, events: IndexedEvents | DomainEventScanner }>} opts.domains
+   * @param {number} opts.localDomain Domain this server's own chain belongs to
+   * @param {{ status(args): Promise<object> }} opts.attestation IrisAttestation or LocalAttestation
+   */
+  constructor({ domains, localDomain, attestation }) {
+    this.domains = domains;
+    this.localDomain = localDomain;
+    this.attestation = attestation;
+  }
+
+  domain(id) {
+    const entry = this.domains.get(Number(id));
+    if (!entry) throw new Error(`Unknown CCTP domain ${id}`);
+    return entry;
+  }
+
+  /** Request ID for a source-domain CCTP nonce, or null if none maps to it. */
+  async requestIdByNonce(sourceDomain, nonce) {
+    const { crossChain } = this.domain(sourceDomain);
+    const requestId = await crossChain.getRequestByNonce(sourceDomain, nonce);
+    // Unmapped nonces read as request 0 — confirm the request really carries this nonce
+    const req = await crossChain.getRequest(requestId);
+    if (req.initiator === ethers.ZeroAddress) return null;
+    if (Number(req.sourceDomain) !== Number(sourceDomain) || req.cctpNonce !== BigInt(nonce)) return null;
+    return Number(requestId);
+  }
+
+  /** Full status of a request initiated on `sourceDomain`, or null if it doesn't exist. */
+  async track(sourceDomain, requestId) {
+    const source = this.domain(sourceDomain);
+    const req = await source.crossChain.getRequest(requestId);
+    if (req.initiator === ethers.ZeroAddress) return null;
+
+    const initiated = await source.events.find("CrossChainInitiated", requestId);
+    const destinationDomain = initiated ? Number(initiated.args.destinationDomain) : null;
+    const burn = initiated ? { txHash: initiated.txHash, blockNumber: initiated.blockNumber } : null;
+
+    const nonce = req.cctpNonce;
+    const attestation = burn
+      ? await this.attestation.status({ provider: source.provider, sourceDomain: Number(sourceDomain), nonce, txHash: burn.txHash })
+      : { status: "unknown" };
+
+    const fulfillment = await this._fulfillment(destinationDomain, requestId, Number(sourceDomain), nonce);
+
+    let status = "pending_attestation";
+    if (fulfillment) status = "fulfilled";
+    else if (attestation.status === "complete") status = "attested";
+
+    return {
+      requestId: Number(requestId),
+      status,
+      initiator: req.initiator,
+      amount: req.amount.toString(),
+      deadline: Number(req.deadline),
+      taskHash: req.taskHash,
+      nonce: nonce.toString(),
+      source: { domain: Number(sourceDomain), chain: DOMAIN_NAMES[sourceDomain] || null, burn },
+      attestation,
+      destination: {
+        domain: destinationDomain,
+        chain: DOMAIN_NAMES[destinationDomain] || null,
+        tracked: destinationDomain !== null && this.domains.has(destinationDomain),
+        fulfillment,
+      },
+      shakeId: fulfillment ? fulfillment.shakeId : null,
+    };
+  }
+
+  async _fulfillment(destinationDomain, requestId, sourceDomain, nonce) {
+    const dest = this.domains.get(destinationDomain);
+    if (!dest) return null;
+
+    // Request IDs are per deployment; only trust a fulfillment of the same (domain, nonce)
+    const destReq = await dest.crossChain.getRequest(requestId);
+    if (Number(destReq.sourceDomain) !== sourceDomain || destReq.cctpNonce !== nonce) return null;
+
+    const fulfilled = await dest.events.find("CrossChainFulfilled", requestId);
+    if (!fulfilled) return null;
+    return {
+      txHash: fulfilled.txHash,
+      blockNumber: fulfilled.blockNumber,
+      shakeId: Number(fulfilled.args.shakeId),
+    };
+  }
+}
+
+module.exports = { CrossChainTracker, IndexedEvents, DomainEventScanner, IrisAttestation, LocalAttestation, DOMAIN_NAMES };
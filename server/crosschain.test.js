@@ -0,0 +1,166 @@
+/**
+ * Cross-Chain Tracking Tests
+ *
+ * Runs the CCTP flow against MockTokenMessenger with LocalAttestation standing
+ * in for Circle: initiate → attested → simulateMint + fulfillShake, and checks
+ * GET /crosschain/:requestId and /crosschain/by-nonce/:domain/:nonce. A second
+ * CrossChainShake on the same node plays another domain, whose logs are
+ * scanned forward from its deployment block instead of indexed.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const { LocalAttestation, DomainEventScanner } = require("./crosschain");
+
+const BASE = 6;
+const ARBITRUM = 3;
+
+describe("x402 Cross-Chain Tracking", function () {
+  let usdc, escrow, cctp, crossChain, arbCctp, arbCrossChain;
+  let deployer, agent;
+  let x402, server, port, arbStartBlock;
+
+  before(async function () {
+    [deployer, agent] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+
+    const MockTokenMessenger = await ethers.getContractFactory("MockTokenMessenger");
+    const CrossChainShake = await ethers.getContractFactory("CrossChainShake");
+    cctp = await MockTokenMessenger.deploy(await usdc.getAddress());
+    crossChain = await CrossChainShake.deploy(await usdc.getAddress(), await cctp.getAddress(), await escrow.getAddress(), BASE);
+    arbCctp = await MockTokenMessenger.deploy(await usdc.getAddress());
+    arbCrossChain = await CrossChainShake.deploy(await usdc.getAddress(), await arbCctp.getAddress(), await escrow.getAddress(), ARBITRUM);
+    arbStartBlock = (await arbCrossChain.deploymentTransaction().wait()).blockNumber;
+
+    await usdc.faucet(agent.address, 10000_000000);
+    await usdc.connect(agent).approve(await crossChain.getAddress(), ethers.MaxUint256);
+    await usdc.connect(agent).approve(await arbCrossChain.getAddress(), ethers.MaxUint256);
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      crossChainAddress: await crossChain.getAddress(),
+      crossChainLocalDomain: BASE,
+      crossChainDomains: { [ARBITRUM]: { provider: ethers.provider, address: await arbCrossChain.getAddress(), startBlock: arbStartBlock } },
+      attestation: new LocalAttestation({ confirmations: 2 }),
+      startBlock: (await usdc.deploymentTransaction().wait()).blockNumber,
+    });
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  // The local domain answers from the index, so catch it up first
+  async function get(path) {
+    await x402.getIndexer().sync();
+    const res = await fetch(`http://localhost:${port}${path}`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  const mine = () => ethers.provider.send("evm_mine", []);
+
+  let burnTx;
+
+  it("reports a fresh burn as pending attestation", async function () {
+    const recipient = ethers.zeroPadValue(await crossChain.getAddress(), 32);
+    burnTx = await crossChain.connect(agent).initiateShake(200_000000, 86400, ethers.id("bridged task"), BASE, recipient);
+    await burnTx.wait();
+
+    const { status, body } = await get("/crosschain/0");
+    expect(status).to.equal(200);
+    expect(body.status).to.equal("pending_attestation");
+    expect(body.initiator).to.equal(agent.address);
+    expect(body.amount).to.equal("200000000");
+    expect(body.nonce).to.equal("0");
+    expect(body.source).to.deep.include({ domain: BASE, chain: "base" });
+    expect(body.source.burn.txHash).to.equal(burnTx.hash);
+    expect(body.attestation).to.deep.include({ status: "pending", confirmations: 1, required: 2 });
+    expect(body.shakeId).to.equal(null);
+  });
+
+  it("marks the request attested once the stand-in attester signs off", async function () {
+    await mine();
+    const { body } = await get("/crosschain/0");
+    expect(body.status).to.equal("attested");
+    expect(body.attestation.status).to.equal("complete");
+    expect(body.attestation.attestation).to.match(/^0x[0-9a-f]{64}$/);
+  });
+
+  it("links the fulfillment tx and resulting shake", async function () {
+    await cctp.simulateMint(0, await crossChain.getAddress());
+    const fulfillTx = await crossChain.fulfillShake(0);
+    await fulfillTx.wait();
+
+    const { body } = await get("/crosschain/0");
+    expect(body.status).to.equal("fulfilled");
+    expect(body.destination.domain).to.equal(BASE);
+    expect(body.destination.fulfillment.txHash).to.equal(fulfillTx.hash);
+    expect(body.shakeId).to.equal(0);
+    expect((await escrow.getShake(body.shakeId)).amount).to.equal(200_000000n);
+  });
+
+  it("looks requests up by source-domain CCTP nonce", async function () {
+    const { status, body } = await get(`/crosschain/by-nonce/${BASE}/0`);
+    expect(status).to.equal(200);
+    expect(body.requestId).to.equal(0);
+    expect(body.status).to.equal("fulfilled");
+
+    expect((await get(`/crosschain/by-nonce/${BASE}/7`)).status).to.equal(404);
+  });
+
+  it("reads each domain through its own deployment", async function () {
+    const recipient = ethers.zeroPadValue(await crossChain.getAddress(), 32);
+    await arbCrossChain.connect(agent).initiateShake(50_000000, 86400, ethers.id("from arbitrum"), BASE, recipient);
+    await mine();
+
+    const { body } = await get(`/crosschain/0?domain=${ARBITRUM}`);
+    expect(body.source.chain).to.equal("arbitrum");
+    expect(body.amount).to.equal("50000000");
+    // Base's request 0 was a different (domain, nonce) — its fulfillment must not be attributed here
+    expect(body.status).to.equal("attested");
+    expect(body.destination.fulfillment).to.equal(null);
+
+    const byNonce = await get(`/crosschain/by-nonce/${ARBITRUM}/0`);
+    expect(byNonce.body.amount).to.equal("50000000");
+  });
+
+  it("scans another domain forward from its deployment block in batches", async function () {
+    const scanner = new DomainEventScanner({ provider: ethers.provider, crossChain: arbCrossChain, startBlock: arbStartBlock, batchSize: 3 });
+    const calls = [];
+    const getLogs = ethers.provider.getLogs.bind(ethers.provider);
+    scanner.provider = { getBlockNumber: () => ethers.provider.getBlockNumber(), getLogs: (filter) => (calls.push(filter), getLogs(filter)) };
+
+    const initiated = await scanner.find("CrossChainInitiated", 0);
+    expect(initiated.args).to.deep.include({ requestId: "0", amount: "50000000", destinationDomain: String(BASE) });
+    expect(calls[0].fromBlock).to.equal(arbStartBlock);
+    expect(calls.every((c) => c.toBlock - c.fromBlock < 3)).to.equal(true);
+    const head = await ethers.provider.getBlockNumber();
+    expect(scanner.cursor).to.equal(head + 1);
+
+    // Later lookups resume from the cursor
+    calls.length = 0;
+    expect(await scanner.find("CrossChainFulfilled", 0)).to.equal(null);
+    expect(calls).to.deep.equal([]);
+    await mine();
+    await scanner.find("CrossChainFulfilled", 0);
+    expect(calls.map((c) => c.fromBlock)).to.deep.equal([head + 1]);
+  });
+
+  it("rejects unknown requests, domains and malformed IDs", async function () {
+    expect((await get("/crosschain/5")).status).to.equal(404);
+    expect((await get("/crosschain/0?domain=7")).status).to.equal(400);
+    expect((await get("/crosschain/abc")).status).to.equal(400);
+    expect((await get("/crosschain/by-nonce/6/x")).status).to.equal(400);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Encrypted Delivery
+ *
+ * HTTP view of EncryptedDelivery.sol and the encrypted fields on ShakeEscrow.
+ * Requesters register an ECIES public key (secp256k1, 33 or 65 bytes); the
+ * worker encrypts the deliverable to it, stores the ciphertext metadata in
+ * EncryptedDelivery and delivers with `deliverShakeEncrypted`. The symmetric
+ * key may only be revealed once the shake is Released.
+ */
+
+const { ethers } = require("ethers");
+const { STATUS, STATUS_NAMES } = require("./tree");
+
+/** Normalized public key hex, or throws if it isn't a valid secp256k1 point. */
+function validatePubKey(pubKey) {
+  if (typeof pubKey !== "string" || !ethers.isHexString(pubKey)) {
+    throw new Error("pubKey must be a hex string");
+  }
+  const length = ethers.dataLength(pubKey);
+  if (length !== 33 && length !== 65) {
+    throw new Error("pubKey must be a 33-byte compressed or 65-byte uncompressed secp256k1 key");
+  }
+  try {
+    ethers.SigningKey.computePublicKey(pubKey);
+  } catch {
+    throw new Error("pubKey is not a valid secp256k1 point");
+  }
+  return pubKey.toLowerCase();
+}
+
+/** Value to pass as `requesterPubKeyHash` to createShakeEncrypted. */
+function pubKeyHashOf(pubKey) {
+  return ethers.keccak256(pubKey);
+}
+
+/**
+ * Delivery state for one shake: escrow fields, the stored EncryptedProof (if
+ * any) and whether the decryption key may be revealed.
+ * `encryptedDelivery` may be null when no contract is configured.
+ */
+async function describeDelivery({ escrow, encryptedDelivery }, shakeId) {
+  const s = await escrow.getShake(shakeId);
+  const encrypted = s.requesterPubKeyHash !== ethers.ZeroHash;
+
+  let proof = null;
+  let requesterPubKey = null;
+  if (encryptedDelivery) {
+    if (await encryptedDelivery.hasEncryptedDelivery(shakeId)) {
+      const p = await encryptedDelivery.getEncryptedDelivery(shakeId);
+      proof = {
+        worker: p.worker,
+        ephemeralPubKey: p.ephemeralPubKey,
+        nonce: p.nonce,
+        ciphertextHash: p.ciphertextHash,
+        authTag: p.authTag,
+        storedAt: Number(p.storedAt),
+      };
+    }
+    const key = await encryptedDelivery.getRequesterPubKey(s.requester);
+    requesterPubKey = key === "0x" ? null : key;
+  }
+
+  const status = Number(s.status);
+  const released = status === STATUS.Released;
+  return {
+    shakeId,
+    status: STATUS_NAMES[status] || "Unknown",
+    requester: s.requester,
+    worker: s.worker,
+    delivered: Number(s.deliveredAt) > 0,
+    deliveredAt: Number(s.deliveredAt),
+    deliveryHash: s.deliveryHash,
+    encrypted,
+    requesterPubKeyHash: s.requesterPubKeyHash,
+    requesterPubKey,
+    // The registered key may have been rotated since the shake was created
+    pubKeyMatches: encrypted && requesterPubKey ? pubKeyHashOf(requesterPubKey) === s.requesterPubKeyHash : null,
+    encryptedDeliveryKey: s.encryptedDeliveryKey === ethers.ZeroHash ? null : s.encryptedDeliveryKey,
+    proof,
+    released,
+    keyRevealable: released,
+  };
+}
+
+module.exports = { validatePubKey, pubKeyHashOf, describeDelivery };
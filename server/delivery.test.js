@@ -0,0 +1,137 @@
+/**
+ * Encrypted Delivery Tests
+ *
+ * Registers a requester key through the tx built by PUT /pubkey/:address,
+ * runs an encrypted shake end to end and checks GET /shake/:id/delivery
+ * before and after release.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+
+describe("x402 Encrypted Delivery", function () {
+  let usdc, escrow, encrypted;
+  let deployer, requester, worker;
+  let x402, server, port;
+  const encryptionKey = ethers.Wallet.createRandom().signingKey;
+
+  before(async function () {
+    [deployer, requester, worker] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+    const EncryptedDelivery = await ethers.getContractFactory("EncryptedDelivery");
+    encrypted = await EncryptedDelivery.deploy(await escrow.getAddress());
+
+    await usdc.faucet(requester.address, 10000_000000);
+    await usdc.connect(requester).approve(await escrow.getAddress(), ethers.MaxUint256);
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      encryptedDeliveryAddress: await encrypted.getAddress(),
+      startBlock: (await usdc.deploymentTransaction().wait()).blockNumber,
+    });
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function request(method, path, body) {
+    const res = await fetch(`http://localhost:${port}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  const sync = () => x402.getIndexer().sync();
+
+  it("PUT /pubkey/:address — builds the registerPubKey transaction", async function () {
+    const { status, body } = await request("PUT", `/pubkey/${requester.address}`, { pubKey: encryptionKey.publicKey });
+    expect(status).to.equal(200);
+    expect(body.pubKeyHash).to.equal(ethers.keccak256(encryptionKey.publicKey));
+    expect(body.alreadyRegistered).to.equal(false);
+    expect(body.transaction.to).to.equal(await encrypted.getAddress());
+    expect(body.transaction.from).to.equal(requester.address);
+
+    await (await requester.sendTransaction({ to: body.transaction.to, data: body.transaction.data })).wait();
+
+    const again = await request("PUT", `/pubkey/${requester.address}`, { pubKey: encryptionKey.publicKey });
+    expect(again.body.alreadyRegistered).to.equal(true);
+  });
+
+  it("PUT /pubkey/:address — rejects keys that are not secp256k1 points", async function () {
+    expect((await request("PUT", `/pubkey/${requester.address}`, { pubKey: "0x1234" })).status).to.equal(400);
+    const offCurve = "0x04" + "11".repeat(64);
+    const res = await request("PUT", `/pubkey/${requester.address}`, { pubKey: offCurve });
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.equal("pubKey is not a valid secp256k1 point");
+  });
+
+  it("GET /pubkey/:address — returns the registered key", async function () {
+    const { status, body } = await request("GET", `/pubkey/${requester.address}`);
+    expect(status).to.equal(200);
+    expect(body.pubKey).to.equal(encryptionKey.publicKey);
+    expect((await request("GET", `/pubkey/${worker.address}`)).status).to.equal(404);
+  });
+
+  it("GET /shake/:id/delivery — serves the EncryptedProof, key withheld until release", async function () {
+    const pubKeyHash = ethers.keccak256(encryptionKey.publicKey);
+    await escrow.connect(requester).createShakeEncrypted(300_000000, 86400, ethers.id("secret task"), pubKeyHash);
+    await escrow.connect(worker).acceptShake(0);
+
+    const ephemeral = ethers.Wallet.createRandom().signingKey.publicKey;
+    const ciphertextHash = ethers.id("ciphertext");
+    await encrypted.connect(worker).storeEncryptedDelivery(0, ephemeral, "0x" + "ab".repeat(12), ciphertextHash, "0x" + "cd".repeat(16));
+    await escrow.connect(worker).deliverShakeEncrypted(0, ethers.id("plaintext"), ethers.id("wrapped key"));
+    await sync();
+
+    const { status, body } = await request("GET", "/shake/0/delivery");
+    expect(status).to.equal(200);
+    expect(body.encrypted).to.equal(true);
+    expect(body.status).to.equal("Delivered");
+    expect(body.requesterPubKeyHash).to.equal(pubKeyHash);
+    expect(body.pubKeyMatches).to.equal(true);
+    expect(body.encryptedDeliveryKey).to.equal(ethers.id("wrapped key"));
+    expect(body.proof.worker).to.equal(worker.address);
+    expect(body.proof.ephemeralPubKey).to.equal(ephemeral);
+    expect(body.proof.ciphertextHash).to.equal(ciphertextHash);
+    expect(body.released).to.equal(false);
+    expect(body.keyRevealable).to.equal(false);
+
+    const stored = x402.getIndexer().store.listEvents((e) => e.name === "EncryptedDeliveryStored");
+    expect(stored).to.have.length(1);
+    expect(stored[0].shakeIds).to.deep.equal([0]);
+  });
+
+  it("GET /shake/:id/delivery — reports the key as revealable once released", async function () {
+    await escrow.connect(requester).releaseShake(0);
+    await sync();
+
+    const { body } = await request("GET", "/shake/0/delivery");
+    expect(body.status).to.equal("Released");
+    expect(body.keyRevealable).to.equal(true);
+  });
+
+  it("GET /shake/:id/delivery — plain shakes report no encryption", async function () {
+    await escrow.connect(requester).createShake(10_000000, 86400, ethers.id("plain task"));
+    await sync();
+
+    const { body } = await request("GET", "/shake/1/delivery");
+    expect(body.encrypted).to.equal(false);
+    expect(body.proof).to.equal(null);
+    expect(body.pubKeyMatches).to.equal(null);
+    expect((await request("GET", "/shake/42/delivery")).status).to.equal(404);
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Dispute Case Files
+ *
+ * disputeShake takes no reason and resolveDispute(shakeId, workerWins) records
+ * none, so the argument happens here, as EIP-712 signed messages under the
+ * "Clawshake Disputes" domain of the chain and escrow:
+ *
+ *   Evidence  a bundle from the requester or worker of a Delivered or
+ *             Disputed shake: a statement, content hashes (IPFS digests,
+ *             deliveryHash, ...) and links (http, https, ipfs, ar).
+ *   Ruling    the treasury's decision with its rationale. It names the
+ *             caseHash it was made on — keccak256 of the evidence IDs in
+ *             submission order — so it can't claim evidence it didn't see.
+ *
+ * The case file puts the task spec, delivery, both sides' evidence, the
+ * shake's timeline and its hire subtree together. Publishing a ruling closes
+ * the case to new evidence; while the shake is still Disputed the ruling comes
+ * back with the resolveDispute transaction for the treasury to send.
+ *
+ * Each party can file at most LIMITS.bundles bundles per case. Failures come
+ * back as { status, error } for the route to send.
+ */
+
+const { ethers } = require("ethers");
+const { escrowDomain, recoverSigner } = require("./eip712");
+const { buildTree, flatten, STATUS, STATUS_NAMES } = require("./tree");
+
+const DOMAIN_NAME = "Clawshake Disputes";
+const DOMAIN_VERSION = "1";
+
+const EVIDENCE_TYPES = {
+  Evidence: [
+    { name: "shakeId", type: "uint256" },
+    { name: "submitter", type: "address" },
+    { name: "statement", type: "string" },
+    { name: "contentHashes", type: "bytes32[]" },
+    { name: "links", type: "string[]" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+const RULING_TYPES = {
+  Ruling: [
+    { name: "shakeId", type: "uint256" },
+    { name: "workerWins", type: "bool" },
+    { name: "rationale", type: "string" },
+    { name: "caseHash", type: "bytes32" },
+  ],
+};
+
+// Published by GET /disputes: one signTypedData `types` argument per message
+const DISPUTE_TYPES = { Evidence: EVIDENCE_TYPES, Ruling: RULING_TYPES };
+
+// bundles: evidence bundles per party (requester or worker) per case
+const LIMITS = { statement: 10000, rationale: 10000, contentHashes: 20, links: 20, bundles: 10 };
+const LINK_PROTOCOLS = ["http:", "https:", "ipfs:", "ar:"];
+const OPEN_FOR_EVIDENCE = new Set([STATUS.Delivered, STATUS.Disputed]);
+
+/** Signing domain for a chain and escrow. */
+function disputeDomain(chainId, escrowAddress) {
+  return escrowDomain(DOMAIN_NAME, DOMAIN_VERSION, chainId, escrowAddress);
+}
+
+// --- Parsing ---
+
+function textOf(value, name, max) {
+  if (typeof value !== "string" || !value.trim()) throw new Error(`${name} is required`);
+  if (value.length > max) throw new Error(`${name} is longer than ${max} characters`);
+  return value;
+}
+
+function shakeIdOf(value) {
+  if (!/^\d+$/.test(String(value))) throw new Error("Invalid shakeId");
+  return BigInt(value).toString();
+}
+
+/** Signed evidence fields from a request body, normalized (throws on malformed input). */
+function parseEvidence(input) {
+  if (!ethers.isAddress(input.submitter)) throw new Error("Invalid submitter address");
+  const { contentHashes, links } = input;
+  if (!Array.isArray(contentHashes) || !contentHashes.every((hash) => ethers.isHexString(hash, 32))) {
+    throw new Error("contentHashes must be an array of bytes32 hashes");
+  }
+  if (contentHashes.length > LIMITS.contentHashes) throw new Error(`At most ${LIMITS.contentHashes} contentHashes`);
+  if (!Array.isArray(links)) throw new Error("links must be an array of URLs");
+  if (links.length > LIMITS.links) throw new Error(`At most ${LIMITS.links} links`);
+  links.forEach((link, i) => {
+    let url;
+    try {
+      url = new URL(link);
+    } catch {
+      throw new Error(`Invalid links[${i}], expected a URL`);
+    }
+    if (!LINK_PROTOCOLS.includes(url.protocol)) {
+      throw new Error(`Invalid links[${i}], expected one of: ${LINK_PROTOCOLS.map((p) => p.slice(0, -1)).join(", ")}`);
+    }
+  });
+  if (!/^\d+$/.test(String(input.nonce))) throw new Error("Invalid nonce, expected an unsigned integer");
+  return {
+    shakeId: shakeIdOf(input.shakeId),
+    submitter: ethers.getAddress(input.submitter),
+    statement: textOf(input.statement, "statement", LIMITS.statement),
+    contentHashes: contentHashes.map((hash) => hash.toLowerCase()),
+    links,
+    nonce: BigInt(input.nonce).toString(),
+  };
+}
+
+/** Signed ruling fields from a request body, normalized (throws on malformed input). */
+function parseRuling(input) {
+  if (typeof input.workerWins !== "boolean") throw new Error("Invalid workerWins, expected true or false");
+  if (!ethers.isHexString(input.caseHash, 32)) throw new Error("Invalid caseHash");
+  return {
+    shakeId: shakeIdOf(input.shakeId),
+    workerWins: input.workerWins,
+    rationale: textOf(input.rationale, "rationale", LIMITS.rationale),
+    caseHash: input.caseHash.toLowerCase(),
+  };
+}
+
+// --- Cases ---
+
+function caseOf(store, shakeId) {
+  return store.getCase(shakeId) || { shakeId, evidence: [], ruling: null };
+}
+
+/** keccak256 of the case's evidence IDs in submission order (keccak256 of nothing when empty). */
+function caseHashOf(record) {
+  return ethers.keccak256(ethers.concat(record.evidence.map((entry) => entry.evidenceId)));
+}
+
+// Latest indexed ShakeEscrow event of a shake by name
+function lastEvent(store, shakeId, name) {
+  const events = store.listEventsNamed("ShakeEscrow", name, (e) => e.shakeIds[0] === shakeId);
+  return events[events.length - 1] || null;
+}
+
+/**
+ * Add a signed evidence bundle to the case of indexed shake `s`.
+ * @param {import("./store").ShakeStore} store
+ * @param {object} domain disputeDomain()
+ * @param {object} s indexed shake
+ * @param {{ evidence: object, signature: string }} body
+ * @param {number} now latest block timestamp
+ */
+function submitEvidence(store, domain, s, { evidence: input, signature }, now) {
+  let evidence;
+  try {
+    evidence = parseEvidence(input);
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+  if (evidence.shakeId !== String(s.shakeId)) return { status: 400, error: "Evidence is for a different shake" };
+
+  const signer = recoverSigner(domain, EVIDENCE_TYPES, evidence, signature);
+  if (!signer) return { status: 400, error: "Invalid signature" };
+  if (signer !== evidence.submitter) return { status: 401, error: "Signature does not match submitter" };
+  const role = signer === s.requester ? "requester" : signer === s.worker ? "worker" : null;
+  if (!role) return { status: 403, error: "Only the shake's requester or worker can submit evidence" };
+
+  const record = caseOf(store, s.shakeId);
+  if (record.ruling) return { status: 409, error: "Case is closed: a ruling has been published" };
+  if (!OPEN_FOR_EVIDENCE.has(s.status)) {
+    return { status: 409, error: `Shake is ${STATUS_NAMES[s.status]}; evidence is taken while it is Delivered or Disputed` };
+  }
+
+  const evidenceId = ethers.TypedDataEncoder.hash(domain, EVIDENCE_TYPES, evidence);
+  if (record.evidence.some((entry) => entry.evidenceId === evidenceId)) {
+    return { status: 409, error: "Evidence already submitted", evidenceId };
+  }
+  if (record.evidence.filter((entry) => entry.role === role).length >= LIMITS.bundles) {
+    return { status: 409, error: `The ${role} has already filed ${LIMITS.bundles} evidence bundles` };
+  }
+
+  const entry = { evidenceId, role, ...evidence, signature, submittedAt: now };
+  record.evidence.push(entry);
+  store.putCase(record);
+  store.save();
+  return entry;
+}
+
+/**
+ * Publish the treasury's signed ruling on indexed shake `s`. Resolves to
+ * { record, resolved } — resolved is the indexed DisputeResolved event when
+ * the treasury already settled on-chain (the ruling must agree with it).
+ */
+function publishRuling(store, domain, s, { ruling: input, signature }, treasury, now) {
+  let ruling;
+  try {
+    ruling = parseRuling(input);
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+  if (ruling.shakeId !== String(s.shakeId)) return { status: 400, error: "Ruling is for a different shake" };
+
+  const signer = recoverSigner(domain, RULING_TYPES, ruling, signature);
+  if (!signer) return { status: 400, error: "Invalid signature" };
+  if (signer !== treasury) return { status: 403, error: "Only the treasury can publish rulings" };
+
+  const record = caseOf(store, s.shakeId);
+  if (record.ruling) return { status: 409, error: "A ruling has already been published" };
+  const resolved = lastEvent(store, s.shakeId, "DisputeResolved");
+  if (resolved) {
+    if (resolved.args.workerWins !== ruling.workerWins) {
+      return { status: 409, error: "Ruling contradicts the on-chain resolution", workerWins: resolved.args.workerWins };
+    }
+  } else if (s.status !== STATUS.Disputed) {
+    return { status: 409, error: "Shake is not disputed" };
+  }
+  const caseHash = caseHashOf(record);
+  if (ruling.caseHash !== caseHash) {
+    return { status: 409, error: "caseHash does not match the case file; re-read it and sign again", caseHash };
+  }
+
+  record.ruling = { ...ruling, signer, signature, publishedAt: now };
+  store.putCase(record);
+  store.save();
+  return { record, resolved };
+}
+
+/** The case file of indexed shake `s`. */
+function describeCase(store, s, now) {
+  const record = caseOf(store, s.shakeId);
+  const disputed = lastEvent(store, s.shakeId, "ShakeDisputed");
+  const resolved = lastEvent(store, s.shakeId, "DisputeResolved");
+
+  const events = store
+    .listEvents((e) => e.contract === "ShakeEscrow" && e.shakeIds.includes(s.shakeId))
+    .map((e) => ({ type: e.name, at: e.timestamp, blockNumber: e.blockNumber, txHash: e.txHash, args: e.args }));
+  const submissions = record.evidence.map((entry) => ({ type: "EvidenceSubmitted", at: entry.submittedAt, evidenceId: entry.evidenceId, role: entry.role }));
+  const ruling = record.ruling ? [{ type: "RulingPublished", at: record.ruling.publishedAt, workerWins: record.ruling.workerWins }] : [];
+  // Stable sort: events keep chain order, off-chain entries follow what they saw
+  const timeline = [...events, ...submissions, ...ruling].sort((a, b) => a.at - b.at);
+
+  const tree = buildTree(store, s.shakeId, now);
+  const evidenceBy = (role) => record.evidence.filter((entry) => entry.role === role);
+  return {
+    shakeId: s.shakeId,
+    status: STATUS_NAMES[s.status] || "Unknown",
+    requester: s.requester,
+    worker: s.worker,
+    amount: s.amount,
+    amountUSDC: Number(s.amount) / 1e6,
+    parentShakeId: s.isChildShake ? s.parentShakeId : null,
+    taskHash: s.taskHash,
+    task: store.getTask(s.taskHash),
+    delivery: {
+      deliveryHash: s.deliveryHash === ethers.ZeroHash ? null : s.deliveryHash,
+      deliveredAt: s.deliveredAt || null,
+    },
+    disputedAt: disputed ? disputed.timestamp : null,
+    evidence: { requester: evidenceBy("requester"), worker: evidenceBy("worker") },
+    caseHash: caseHashOf(record),
+    open: !record.ruling && OPEN_FOR_EVIDENCE.has(s.status),
+    timeline,
+    subtree: {
+      disputedShakeIds: flatten(tree).filter((node) => node.statusCode === STATUS.Disputed).map((node) => node.shakeId),
+      tree,
+    },
+    ruling: record.ruling,
+    resolution: resolved && {
+      workerWins: resolved.args.workerWins,
+      at: resolved.timestamp,
+      txHash: resolved.txHash,
+      matchesRuling: record.ruling ? record.ruling.workerWins === resolved.args.workerWins : null,
+    },
+  };
+}
+
+/** Disputed shakes awaiting a ruling or resolution, oldest dispute first, with evidence counts. */
+function docket(store) {
+  return store
+    .listShakes((s) => s.status === STATUS.Disputed)
+    .map((s) => {
+      const record = caseOf(store, s.shakeId);
+      const disputed = lastEvent(store, s.shakeId, "ShakeDisputed");
+      return {
+        shakeId: s.shakeId,
+        requester: s.requester,
+        worker: s.worker,
+        amount: s.amount,
+        disputedAt: disputed ? disputed.timestamp : null,
+        evidence: {
+          requester: record.evidence.filter((entry) => entry.role === "requester").length,
+          worker: record.evidence.filter((entry) => entry.role === "worker").length,
+        },
+        ruled: record.ruling !== null,
+      };
+    })
+    .sort((a, b) => (a.disputedAt || 0) - (b.disputedAt || 0));
+}
+
+module.exports = {
+  disputeDomain,
+  submitEvidence,
+  publishRuling,
+  describeCase,
+  caseHashOf,
+  docket,
+  parseEvidence,
+  parseRuling,
+  DISPUTE_TYPES,
+  LIMITS,
+};
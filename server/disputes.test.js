@@ -0,0 +1,246 @@
+/**
+ * Dispute Case File Tests
+ *
+ * A disputed shake whose worker has in turn disputed its own sub-hire: both
+ * sides file signed evidence, the case file assembles task, delivery,
+ * evidence, timeline and the disputed subtree, and the treasury publishes a
+ * signed ruling that comes back as the resolveDispute transaction. Also:
+ * outsiders, forged or stale signatures, closed cases and rulings made after
+ * an on-chain resolution.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+
+const USDC = (n) => BigInt(n) * 1_000000n;
+const DAY = 86400;
+
+describe("x402 Disputes", function () {
+  let escrow;
+  let treasury, requester, worker, sub, outsider;
+  let x402, server, port;
+  let domain, types, taskHash, deliveryHash;
+  let nonce = 0;
+
+  before(async function () {
+    [treasury, requester, worker, sub, outsider] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const usdc = await MockUSDC.deploy();
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    const registry = await AgentRegistry.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), treasury.address, ethers.ZeroAddress);
+
+    await usdc.faucet(requester.address, 1000_000000);
+    await usdc.connect(requester).approve(await escrow.getAddress(), ethers.MaxUint256);
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+      validateResponses: true,
+    });
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+
+    ({ body: { taskHash } } = await request("POST", "/tasks", {
+      title: "Landing page copy",
+      description: "Three headline variants and body copy",
+      requiredSkills: ["copywriting"],
+    }));
+    deliveryHash = ethers.id("ipfs://bafy-delivery");
+
+    await escrow.connect(requester).createShake(USDC(100), DAY, taskHash); // 0: Disputed by requester
+    await escrow.connect(worker).acceptShake(0);
+    await escrow.connect(worker).createChildShake(0, USDC(30), DAY, taskHash); // 1: Disputed by worker
+    await escrow.connect(sub).acceptShake(1);
+    await escrow.connect(sub).deliverShake(1, ethers.id("sub delivery"));
+    await escrow.connect(worker).disputeShake(1);
+    await escrow.connect(worker).deliverShake(0, deliveryHash);
+    await escrow.connect(requester).disputeShake(0);
+    await escrow.connect(requester).createShake(USDC(50), DAY, taskHash); // 2: Active
+    await escrow.connect(worker).acceptShake(2);
+    await x402.getIndexer().sync();
+
+    ({ body: { domain, types } } = await request("GET", "/disputes"));
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function request(method, path, body) {
+    const res = await fetch(`http://localhost:${port}${path}`, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function postEvidence(signer, shakeId, fields = {}, as = signer) {
+    const evidence = {
+      shakeId: String(shakeId),
+      submitter: signer.address,
+      statement: "The delivery matches the brief",
+      contentHashes: [deliveryHash],
+      links: ["ipfs://bafy-delivery"],
+      nonce: String(++nonce),
+      ...fields,
+    };
+    return request("POST", `/shake/${shakeId}/evidence`, { evidence, signature: await as.signTypedData(domain, types.Evidence, evidence) });
+  }
+
+  async function postRuling(signer, shakeId, fields) {
+    const ruling = { shakeId: String(shakeId), rationale: "Reviewed both submissions", ...fields };
+    return request("POST", `/shake/${shakeId}/ruling`, { ruling, signature: await signer.signTypedData(domain, types.Ruling, ruling) });
+  }
+
+  it("publishes the signing domain, treasury and open docket", async function () {
+    const { status, body } = await request("GET", "/disputes");
+    expect(status).to.equal(200);
+    expect(body.domain).to.deep.include({ name: "Clawshake Disputes", verifyingContract: await escrow.getAddress() });
+    expect(body.treasury).to.equal(treasury.address);
+    expect(body.open.map((d) => d.shakeId)).to.deep.equal([1, 0]);
+    expect(body.open[1]).to.deep.include({ evidence: { requester: 0, worker: 0 }, ruled: false });
+  });
+
+  describe("evidence", function () {
+    it("takes signed bundles from both parties", async function () {
+      const fromRequester = await postEvidence(requester, 0, {
+        statement: "Only one headline variant was delivered",
+        links: ["https://example.com/brief.pdf"],
+      });
+      expect(fromRequester.status).to.equal(201);
+      expect(fromRequester.body).to.deep.include({ role: "requester", shakeId: "0", submitter: requester.address });
+
+      const fromWorker = await postEvidence(worker, 0);
+      expect(fromWorker.status).to.equal(201);
+      expect(fromWorker.body.role).to.equal("worker");
+      expect(fromWorker.body.contentHashes).to.deep.equal([deliveryHash]);
+    });
+
+    it("rejects outsiders, forgeries and malformed bundles", async function () {
+      expect((await postEvidence(outsider, 0)).status).to.equal(403);
+      expect((await postEvidence(worker, 0, {}, requester)).body.error).to.equal("Signature does not match submitter");
+      expect((await postEvidence(worker, 0, { shakeId: "1" })).body.error).to.equal("Evidence is for a different shake");
+      expect((await postEvidence(worker, 0, { links: ["javascript:alert(1)"] })).body.error).to.match(/^Invalid links\[0\]/);
+      expect((await postEvidence(worker, 0, { statement: "" })).status).to.equal(400);
+      expect((await postEvidence(worker, 2)).body.error).to.equal("Shake is Active; evidence is taken while it is Delivered or Disputed");
+      expect((await postEvidence(worker, 99)).status).to.equal(404);
+    });
+
+    it("refuses the same bundle twice", async function () {
+      const evidence = {
+        shakeId: "1",
+        submitter: sub.address,
+        statement: "Delivered on time",
+        contentHashes: [],
+        links: [],
+        nonce: "1",
+      };
+      const signature = await sub.signTypedData(domain, types.Evidence, evidence);
+      expect((await request("POST", "/shake/1/evidence", { evidence, signature })).status).to.equal(201);
+      const again = await request("POST", "/shake/1/evidence", { evidence, signature });
+      expect(again.status).to.equal(409);
+      expect(again.body.evidenceId).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("caps the bundles each party can file on a case", async function () {
+      const { body: info } = await request("GET", "/disputes");
+      expect(info.limits.bundles).to.equal(10);
+
+      for (let filed = 1; filed < info.limits.bundles; filed++) {
+        expect((await postEvidence(sub, 1, { statement: `Addendum ${filed}` })).status).to.equal(201);
+      }
+      const over = await postEvidence(sub, 1, { statement: "One more" });
+      expect(over.status).to.equal(409);
+      expect(over.body.error).to.equal("The worker has already filed 10 evidence bundles");
+      expect((await postEvidence(worker, 1, { statement: "The sub-hire's delivery was late" })).status).to.equal(201);
+    });
+  });
+
+  describe("case file", function () {
+    it("assembles task, delivery, evidence, timeline and the disputed subtree", async function () {
+      const { status, body } = await request("GET", "/shake/0/case");
+      expect(status).to.equal(200);
+      expect(body).to.deep.include({ status: "Disputed", taskHash, open: true, ruling: null, resolution: null });
+      expect(body.task.title).to.equal("Landing page copy");
+      expect(body.delivery.deliveryHash).to.equal(deliveryHash);
+      expect(body.disputedAt).to.be.a("number");
+
+      expect(body.evidence.requester.map((e) => e.statement)).to.deep.equal(["Only one headline variant was delivered"]);
+      expect(body.evidence.worker).to.have.length(1);
+      const ids = [body.evidence.requester[0].evidenceId, body.evidence.worker[0].evidenceId];
+      expect(body.caseHash).to.equal(ethers.keccak256(ethers.concat(ids)));
+
+      expect(body.timeline.map((t) => t.type)).to.deep.equal([
+        "ShakeCreated",
+        "ShakeAccepted",
+        "ChildShakeCreated",
+        "ParentFrozen",
+        "ShakeDelivered",
+        "ShakeDisputed",
+        "EvidenceSubmitted",
+        "EvidenceSubmitted",
+      ]);
+      expect(body.subtree.disputedShakeIds).to.deep.equal([0, 1]);
+      expect(body.subtree.tree.children[0]).to.deep.include({ shakeId: 1, status: "Disputed" });
+    });
+  });
+
+  describe("rulings", function () {
+    it("only accepts the treasury's ruling on the current case file", async function () {
+      const { body: file } = await request("GET", "/shake/0/case");
+      expect((await postRuling(requester, 0, { workerWins: false, caseHash: file.caseHash })).status).to.equal(403);
+
+      const stale = await postRuling(treasury, 0, { workerWins: false, caseHash: ethers.ZeroHash });
+      expect(stale.status).to.equal(409);
+      expect(stale.body.caseHash).to.equal(file.caseHash);
+      expect((await postRuling(treasury, 2, { workerWins: true, caseHash: ethers.keccak256("0x") })).body.error).to.equal("Shake is not disputed");
+    });
+
+    it("publishes the rationale with the resolveDispute transaction and closes the case", async function () {
+      const { body: file } = await request("GET", "/shake/0/case");
+      const rationale = "Brief asked for three headline variants; the delivery has one.";
+      const { status, body } = await postRuling(treasury, 0, { workerWins: false, rationale, caseHash: file.caseHash });
+      expect(status).to.equal(201);
+      expect(body.ruling).to.deep.include({ workerWins: false, rationale, signer: treasury.address });
+      expect(body.transaction).to.deep.include({ function: "resolveDispute", from: treasury.address, to: await escrow.getAddress() });
+      expect(body.transaction.simulation.success).to.equal(true);
+
+      expect((await postEvidence(worker, 0)).body.error).to.equal("Case is closed: a ruling has been published");
+      expect((await postRuling(treasury, 0, { workerWins: false, caseHash: file.caseHash })).status).to.equal(409);
+
+      await treasury.sendTransaction({ to: body.transaction.to, data: body.transaction.data });
+      await x402.getIndexer().sync();
+
+      const { body: closed } = await request("GET", "/shake/0/case");
+      expect(closed).to.deep.include({ status: "Refunded", open: false });
+      expect(closed.ruling.rationale).to.equal(rationale);
+      expect(closed.resolution).to.deep.include({ workerWins: false, matchesRuling: true });
+      expect(closed.timeline.map((t) => t.type).slice(-3)).to.deep.equal(["RulingPublished", "ShakeRefunded", "DisputeResolved"]);
+    });
+
+    it("records a rationale after an on-chain resolution only if it agrees", async function () {
+      await escrow.connect(treasury).resolveDispute(1, true);
+      await x402.getIndexer().sync();
+
+      const { body: file } = await request("GET", "/shake/1/case");
+      expect(file.resolution).to.deep.include({ workerWins: true, matchesRuling: null });
+
+      const contradicting = await postRuling(treasury, 1, { workerWins: false, caseHash: file.caseHash });
+      expect(contradicting.body).to.deep.include({ error: "Ruling contradicts the on-chain resolution", workerWins: true });
+
+      const { status, body } = await postRuling(treasury, 1, { workerWins: true, caseHash: file.caseHash });
+      expect(status).to.equal(201);
+      expect(body.transaction).to.equal(null);
+      expect((await request("GET", "/disputes")).body.open).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * EIP-712 Signed Messages
+ *
+ * The off-chain protocols the server keeps (negotiation.js, disputes.js) are
+ * typed messages signed under their own domain, bound to the chain and the
+ * escrow they are about. This module builds those domains and recovers
+ * signers.
+ */
+
+const { ethers } = require("ethers");
+
+/** Signing domain `name`/`version` for a chain and escrow. */
+function escrowDomain(name, version, chainId, escrowAddress) {
+  return { name, version, chainId, verifyingContract: escrowAddress };
+}
+
+/** Signer of a typed message, or null when the signature is malformed. */
+function recoverSigner(domain, types, message, signature) {
+  if (!ethers.isHexString(signature, 65)) return null;
+  try {
+    return ethers.verifyTypedData(domain, types, message, signature);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { escrowDomain, recoverSigner };
@@ -0,0 +1,147 @@
+/**
+ * Deep Health Checks
+ *
+ * `GET /health` only echoes configuration. These checks ask the chain:
+ *
+ *   rpc                               — the RPC answers, on the configured chain ID
+ *   code:<contract>                   — bytecode exists at every configured address
+ *                                       (escrow and registry must be configured)
+ *   wiring:escrow.registry            — ShakeEscrow points at the configured registry
+ *   wiring:registry.authorizedCallers — the registry lets the escrow record shakes
+ *   indexer                           — the event index is within maxLag blocks of head
+ *
+ * Every check runs under a timeout; when the RPC is unreachable the others
+ * are reported as skipped rather than each waiting out its own timeout.
+ */
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_LAG = 20;
+
+// Settle with `promise`, or reject once `ms` have passed
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// { name, ok, ...details, error? } — `run` returns the details, throws to fail
+async function check(name, run, timeoutMs) {
+  try {
+    const { ok = true, ...details } = await withTimeout(Promise.resolve().then(run), timeoutMs, name);
+    return { name, ok, ...details };
+  } catch (err) {
+    return { name, ok: false, error: err.shortMessage || err.message };
+  }
+}
+
+/**
+ * Run every check against one network.
+ * @param {object} net
+ * @param {import("ethers").Provider} net.provider
+ * @param {number|null} net.chainId configured chain ID (null: any)
+ * @param {import("ethers").Contract} net.escrow
+ * @param {import("ethers").Contract} net.registry
+ * @param {import("./store").ShakeStore} net.store
+ * @param {object} contracts name → configured address, or null when unset
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs] per check
+ * @param {number} [opts.maxLag] indexer blocks behind head still healthy
+ * @returns {Promise<{ ok: boolean, checks: object[] }>}
+ */
+async function deepHealth(net, contracts, { timeoutMs = DEFAULT_TIMEOUT_MS, maxLag = DEFAULT_MAX_LAG } = {}) {
+  const checks = [];
+  let head = null;
+
+  const rpc = await check(
+    "rpc",
+    async () => {
+      const started = Date.now();
+      const [blockNumber, network] = await Promise.all([net.provider.getBlockNumber(), net.provider.getNetwork()]);
+      head = blockNumber;
+      const chainId = Number(network.chainId);
+      const details = { blockNumber, chainId, latencyMs: Date.now() - started };
+      if (net.chainId !== null && chainId !== net.chainId) {
+        return { ...details, ok: false, error: `RPC is on chain ${chainId}, expected ${net.chainId}` };
+      }
+      return details;
+    },
+    timeoutMs
+  );
+  checks.push(rpc);
+
+  const skipped = (name) => ({ name, ok: false, error: "Skipped: RPC unreachable" });
+  const unreachable = head === null;
+  const escrow = contracts.escrow || null;
+  const registry = contracts.registry || null;
+
+  const codeChecks = Object.entries(contracts)
+    .filter(([name, address]) => address !== null || name === "escrow" || name === "registry")
+    .map(([name, address]) => {
+      if (address === null) return { name: `code:${name}`, ok: false, address, error: "Not configured" };
+      if (unreachable) return { ...skipped(`code:${name}`), address };
+      return check(
+        `code:${name}`,
+        async () => {
+          const code = await net.provider.getCode(address);
+          return code === "0x" ? { ok: false, address, error: "No contract code at address" } : { address };
+        },
+        timeoutMs
+      );
+    });
+
+  const wiring = [];
+  if (escrow === null || registry === null) {
+    const error = "Escrow and registry must both be configured";
+    wiring.push({ name: "wiring:escrow.registry", ok: false, error });
+    wiring.push({ name: "wiring:registry.authorizedCallers", ok: false, error });
+  } else if (unreachable) {
+    wiring.push(skipped("wiring:escrow.registry"), skipped("wiring:registry.authorizedCallers"));
+  } else {
+    wiring.push(
+      check(
+        "wiring:escrow.registry",
+        async () => {
+          const actual = await net.escrow.registry();
+          if (actual.toLowerCase() !== registry.toLowerCase()) {
+            return { ok: false, expected: registry, actual, error: "Escrow points at a different registry" };
+          }
+          return { expected: registry, actual };
+        },
+        timeoutMs
+      ),
+      check(
+        "wiring:registry.authorizedCallers",
+        async () => {
+          if (await net.registry.authorizedCallers(escrow)) return {};
+          return { ok: false, error: "Registry does not authorize the escrow" };
+        },
+        timeoutMs
+      )
+    );
+  }
+  checks.push(...(await Promise.all([...codeChecks, ...wiring])));
+
+  const indexedBlock = net.store.getLastBlock();
+  if (unreachable) {
+    checks.push({ ...skipped("indexer"), indexedBlock });
+  } else {
+    const lag = indexedBlock === null ? null : Math.max(0, head - indexedBlock);
+    const ok = lag !== null && lag <= maxLag;
+    const indexer = { name: "indexer", ok, indexedBlock, headBlock: head, lag };
+    if (!ok) indexer.error = lag === null ? "Nothing indexed yet" : `Index is ${lag} blocks behind (max ${maxLag})`;
+    checks.push(indexer);
+  }
+
+  return { ok: checks.every((c) => c.ok), checks };
+}
+
+const CONTRACTS = ["escrow", "registry", "feeOracle", "delegate", "crossChain", "encryptedDelivery", "yieldEscrow", "forwarder", "usdc", "multicall"];
+
+/** Contract addresses of a network description (x402 describeNetwork; null where unset). */
+function configuredContracts(description) {
+  return Object.fromEntries(CONTRACTS.map((name) => [name, description[name]]));
+}
+
+module.exports = { deepHealth, configuredContracts, withTimeout, DEFAULT_TIMEOUT_MS, DEFAULT_MAX_LAG };
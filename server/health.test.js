@@ -0,0 +1,147 @@
+/**
+ * Deep Health Tests
+ *
+ * /health/deep against a wired deployment, an escrow the registry doesn't
+ * know about, and an unreachable RPC; deepHealth on its own for missing
+ * addresses and a chain ID mismatch.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const { ShakeStore } = require("./store");
+const { deepHealth } = require("./health");
+
+describe("x402 Deep Health", function () {
+  let usdc, escrow, registry, unwired;
+  let deployer;
+  let deadProvider;
+  let x402, server, port;
+
+  before(async function () {
+    [deployer] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    registry = await AgentRegistry.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+    await escrow.setRegistry(await registry.getAddress());
+    await registry.authorizeCaller(await escrow.getAddress());
+    // Deployed but never pointed at the registry or authorized by it
+    unwired = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+
+    // Nothing listens on port 1; a static network keeps ethers from retrying detection
+    deadProvider = new ethers.JsonRpcProvider("http://127.0.0.1:1", 31337, { staticNetwork: true });
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+      usdcAddress: await usdc.getAddress(),
+      networks: {
+        unwired: {
+          provider: ethers.provider,
+          escrowAddress: await unwired.getAddress(),
+          registryAddress: await registry.getAddress(),
+          // An EOA: configured, but no code
+          feeOracleAddress: deployer.address,
+        },
+        offline: {
+          provider: deadProvider,
+          escrowAddress: await escrow.getAddress(),
+          registryAddress: await registry.getAddress(),
+        },
+      },
+    });
+    await x402.getIndexer().sync();
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+    if (deadProvider) deadProvider.destroy();
+  });
+
+  async function deep(prefix = "") {
+    const res = await fetch(`http://localhost:${port}${prefix}/health/deep`);
+    const body = await res.json();
+    return { status: res.status, body, byName: Object.fromEntries(body.checks.map((c) => [c.name, c])) };
+  }
+
+  it("passes when the RPC, contracts, wiring and index are all in order", async function () {
+    const { status, body, byName } = await deep();
+    expect(status).to.equal(200);
+    expect(body.status).to.equal("ok");
+    expect(body.chain).to.equal("base-sepolia");
+    expect(Object.keys(byName)).to.deep.equal([
+      "rpc",
+      "code:escrow",
+      "code:registry",
+      "code:usdc",
+      "wiring:escrow.registry",
+      "wiring:registry.authorizedCallers",
+      "indexer",
+    ]);
+    expect(byName.rpc.chainId).to.equal(31337);
+    expect(byName["code:usdc"].address).to.equal(await usdc.getAddress());
+    expect(byName["wiring:escrow.registry"].actual).to.equal(await registry.getAddress());
+    expect(byName.indexer.lag).to.equal(0);
+  });
+
+  it("fails with 503 when the escrow isn't wired to the registry", async function () {
+    const { status, body, byName } = await deep("/unwired");
+    expect(status).to.equal(503);
+    expect(body.status).to.equal("fail");
+    expect(byName.rpc.ok).to.equal(true);
+    expect(byName["code:feeOracle"]).to.deep.include({ ok: false, error: "No contract code at address" });
+    expect(byName["wiring:escrow.registry"]).to.deep.include({ ok: false, actual: ethers.ZeroAddress });
+    expect(byName["wiring:registry.authorizedCallers"]).to.deep.include({ ok: false, error: "Registry does not authorize the escrow" });
+    expect(byName.indexer).to.deep.include({ ok: false, error: "Nothing indexed yet" });
+  });
+
+  it("reports the RPC down and skips the checks that need it", async function () {
+    const { status, byName } = await deep("/offline");
+    expect(status).to.equal(503);
+    expect(byName.rpc.ok).to.equal(false);
+    expect(byName.rpc.error).to.be.a("string");
+    for (const name of ["code:escrow", "wiring:escrow.registry", "indexer"]) {
+      expect(byName[name]).to.deep.include({ ok: false, error: "Skipped: RPC unreachable" });
+    }
+  });
+
+  describe("deepHealth", function () {
+    const net = () => ({
+      provider: ethers.provider,
+      chainId: null,
+      escrow: new ethers.Contract(ethers.ZeroAddress, [], ethers.provider),
+      registry: new ethers.Contract(ethers.ZeroAddress, [], ethers.provider),
+      store: new ShakeStore(),
+    });
+
+    it("fails unset escrow and registry addresses", async function () {
+      const { ok, checks } = await deepHealth(net(), { escrow: null, registry: null, usdc: null });
+      expect(ok).to.equal(false);
+      expect(checks.map((c) => c.name)).to.deep.equal([
+        "rpc",
+        "code:escrow",
+        "code:registry",
+        "wiring:escrow.registry",
+        "wiring:registry.authorizedCallers",
+        "indexer",
+      ]);
+      expect(checks[1]).to.deep.equal({ name: "code:escrow", ok: false, address: null, error: "Not configured" });
+      expect(checks[3].error).to.equal("Escrow and registry must both be configured");
+    });
+
+    it("fails an RPC on the wrong chain", async function () {
+      const { checks } = await deepHealth({ ...net(), chainId: 8453 }, {});
+      expect(checks[0]).to.deep.include({ name: "rpc", ok: false, chainId: 31337, error: "RPC is on chain 31337, expected 8453" });
+    });
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Clawshake Event Indexer
+ *
+ * Backfills and tails every ShakeEscrow event into a ShakeStore so server
+ * endpoints can answer from a local index instead of per-shake RPC scans.
+ *
+ * For each block range the indexer:
+ *   1. Checks the last processed block's hash against the chain; on mismatch it
+ *      walks back through recorded hashes (up to `reorgDepth` blocks), drops
+ *      every event above the fork point and re-reads the affected shakes.
+ *   2. Fetches ShakeEscrow logs in `batchSize` chunks and stores them decoded.
+ *   3. Re-reads `getShake` / `getRemainingBudget` for every shake an event touched.
+ *
+ * Logs from additional contracts (AgentRegistry, AgentDelegate, CrossChainShake,
+ * EncryptedDelivery, YieldEscrow) can be indexed alongside via `sources`; they
+ * are stored and emitted but do not trigger shake refreshes.
+ *
+ * Emits:
+ *   "event" (event)     — each newly indexed event, after its shakes are refreshed
+ *   "reorg" (forkBlock) — after events above `forkBlock` were rolled back
+ */
+
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+
+// Which shake IDs each event changes
+const SHAKE_ID_ARGS = {
+  ShakeCreated: ["shakeId"],
+  ShakeAccepted: ["shakeId"],
+  ShakeDelivered: ["shakeId"],
+  ShakeReleased: ["shakeId"],
+  ShakeDisputed: ["shakeId"],
+  ShakeRefunded: ["shakeId"],
+  DisputeResolved: ["shakeId"],
+  ForceResolved: ["shakeId"],
+  WorkerDesignated: ["shakeId"],
+  ChildShakeCreated: ["parentShakeId", "childShakeId"],
+  ParentFrozen: ["parentShakeId", "childShakeId"],
+  ParentUnfrozen: ["parentShakeId"],
+  DelegateShakeCreated: ["shakeId"],
+  CrossChainFulfilled: ["shakeId"],
+  EncryptedDeliveryStored: ["shakeId"],
+};
+
+// Convert decoded log args to JSON-safe values (bigints → decimal strings)
+function serializeArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return args;
+}
+
+class ShakeIndexer extends EventEmitter {
+  /**
+   * @param {object} opts
+   * @param {import("ethers").Provider} opts.provider
+   * @param {import("ethers").Contract} opts.escrow ShakeEscrow contract (ABI must include its events)
+   * @param {import("./store").ShakeStore} opts.store
+   * @param {{ name: string, contract: import("ethers").Contract }[]} [opts.sources]
+   *        Extra contracts whose events are indexed (zero-address entries are skipped)
+   * @param {number} [opts.startBlock=0]      First block to backfill from (escrow deployment block)
+   * @param {number} [opts.batchSize=2000]    Max blocks per eth_getLogs call
+   * @param {number} [opts.reorgDepth=12]     How many recent blocks can be rolled back
+   * @param {number} [opts.pollIntervalMs=4000]
+   */
+  constructor(opts) {
+    super();
+    this.provider = opts.provider;
+    this.escrow = opts.escrow;
+    this.store = opts.store;
+    this.sources = opts.sources || [];
+    this.startBlock = opts.startBlock || 0;
+    this.batchSize = opts.batchSize || 2000;
+    this.reorgDepth = opts.reorgDepth === undefined ? 12 : opts.reorgDepth;
+    this.pollIntervalMs = opts.pollIntervalMs || 4000;
+    this._syncing = null;
+    this._timer = null;
+  }
+
+  /** Start tailing: sync now, then every `pollIntervalMs`. */
+  start() {
+    const tick = () => this.sync().catch((err) => console.error(`[indexer] ${err.message}`));
+    tick();
+    this._timer = setInterval(tick, this.pollIntervalMs);
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /** Bring the store up to the current head. Concurrent callers share one run. */
+  sync() {
+    if (!this._syncing) {
+      this._syncing = this._sync().finally(() => {
+        this._syncing = null;
+      });
+    }
+    return this._syncing;
+  }
+
+  async _sync() {
+    let changed = await this._handleReorg();
+
+    const head = await this.provider.getBlockNumber();
+    const last = this.store.getLastBlock();
+    let from = last === null ? this.startBlock : last + 1;
+
+    while (from <= head) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      await this._indexRange(from, to);
+      from = to + 1;
+      changed = true;
+    }
+
+    // Nothing new since the last tick: the file on disk is already current
+    if (changed) {
+      this.store.pruneBlockHashes(head - this.reorgDepth);
+      this.store.save();
+    }
+    return this.store.getLastBlock();
+  }
+
+  /** address (lowercase) → { name, iface } for every indexed contract */
+  async _contractsByAddress() {
+    if (!this._contracts) {
+      const all = [{ name: "ShakeEscrow", contract: this.escrow }, ...this.sources];
+      this._contracts = new Map();
+      for (const { name, contract } of all) {
+        const address = (await contract.getAddress()).toLowerCase();
+        if (address === ethers.ZeroAddress) continue;
+        this._contracts.set(address, { name, iface: contract.interface });
+      }
+    }
+    return this._contracts;
+  }
+
+  async _indexRange(from, to) {
+    const contracts = await this._contractsByAddress();
+    const logs = contracts.size === 0
+      ? []
+      : await this.provider.getLogs({ address: [...contracts.keys()], fromBlock: from, toBlock: to });
+
+    const touched = new Set();
+    const added = [];
+    const timestamps = new Map();
+
+    for (const log of logs) {
+      const source = contracts.get(log.address.toLowerCase());
+      if (!source) continue;
+
+      let parsed;
+      try {
+        parsed = source.iface.parseLog(log);
+      } catch {
+        continue;
+      }
+      if (!parsed) continue;
+
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await this.provider.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, block.timestamp);
+        this.store.setBlockHash(log.blockNumber, block.hash);
+      }
+
+      const args = serializeArgs(parsed);
+      const shakeIds = (SHAKE_ID_ARGS[parsed.name] || []).map((name) => Number(args[name]));
+      const event = {
+        contract: source.name,
+        name: parsed.name,
+        args,
+        shakeIds,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        timestamp: timestamps.get(log.blockNumber),
+        txHash: log.transactionHash,
+        logIndex: log.index,
+      };
+
+      this.store.addEvent(event);
+      added.push(event);
+      if (source.name !== "ShakeEscrow") continue;
+
+      if (parsed.name === "ShakeCreated") {
+        this.store.setCreation(shakeIds[0], { blockNumber: event.blockNumber, timestamp: event.timestamp });
+      } else if (parsed.name === "ChildShakeCreated") {
+        this.store.addChildShake(shakeIds[0], shakeIds[1]);
+      }
+      shakeIds.forEach((id) => touched.add(id));
+    }
+
+    for (const shakeId of touched) {
+      await this._refreshShake(shakeId, to);
+    }
+
+    const tip = await this.provider.getBlock(to);
+    this.store.setBlockHash(to, tip.hash);
+    this.store.setLastBlock(to);
+
+    for (const event of added) this.emit("event", event);
+  }
+
+  /** Re-read one shake from chain into the store (or drop it if its creation was rolled back). */
+  async _refreshShake(shakeId, blockNumber) {
+    const created = this.store.getCreation(shakeId);
+    if (!created) {
+      this.store.deleteShake(shakeId);
+      return;
+    }
+
+    const s = await this.escrow.getShake(shakeId);
+    const budget = await this.escrow.getRemainingBudget(shakeId);
+
+    this.store.putShake({
+      shakeId,
+      requester: s.requester,
+      worker: s.worker,
+      amount: s.amount.toString(),
+      parentShakeId: Number(s.parentShakeId),
+      deadline: Number(s.deadline),
+      deliveredAt: Number(s.deliveredAt),
+      status: Number(s.status),
+      taskHash: s.taskHash,
+      deliveryHash: s.deliveryHash,
+      isChildShake: s.isChildShake,
+      disputeFrozenUntil: Number(s.disputeFrozenUntil),
+      remainingBudget: budget.toString(),
+      createdBlock: created.blockNumber,
+      createdAt: created.timestamp,
+      updatedBlock: blockNumber,
+    });
+  }
+
+  /**
+   * Detect a reorg below the last processed block and roll the store back to
+   * the fork point. Resolves to whether anything was rolled back.
+   */
+  async _handleReorg() {
+    const last = this.store.getLastBlock();
+    if (last === null) return false;
+
+    const lastHash = this.store.getBlockHash(last);
+    const current = await this.provider.getBlock(last);
+    if (current && lastHash && current.hash === lastHash) return false;
+
+    // Walk back through recorded hashes to the newest block still on the canonical chain
+    let forkBlock = Math.max(last - this.reorgDepth, this.startBlock - 1);
+    for (const b of this.store.recordedBlocks()) {
+      if (b >= last || b < last - this.reorgDepth) continue;
+      const block = await this.provider.getBlock(b);
+      if (block && block.hash === this.store.getBlockHash(b)) {
+        forkBlock = b;
+        break;
+      }
+    }
+
+    console.warn(`[indexer] reorg detected at block ${last}, rolling back to ${forkBlock}`);
+    await this.rollback(forkBlock);
+    return true;
+  }
+
+  /** Remove everything indexed above `forkBlock` and re-read the shakes it touched. */
+  async rollback(forkBlock) {
+    const removed = this.store.removeEventsAfter(forkBlock);
+    const touched = new Set();
+
+    for (const e of removed) {
+      if (e.contract !== "ShakeEscrow") continue;
+      if (e.name === "ShakeCreated") {
+        this.store.removeCreation(e.shakeIds[0]);
+      } else if (e.name === "ChildShakeCreated") {
+        this.store.removeChildShake(e.shakeIds[0], e.shakeIds[1]);
+      }
+      e.shakeIds.forEach((id) => touched.add(id));
+    }
+
+    this.store.removeBlockHashesAfter(forkBlock);
+    this.store.setLastBlock(forkBlock < this.startBlock ? null : forkBlock);
+
+    for (const shakeId of touched) {
+      await this._refreshShake(shakeId, forkBlock);
+    }
+    this.emit("reorg", forkBlock);
+  }
+}
+
+module.exports = { ShakeIndexer, SHAKE_ID_ARGS };
@@ -0,0 +1,171 @@
+/**
+ * Event Indexer Tests
+ *
+ * Runs ShakeIndexer against the in-process hardhat chain: backfill,
+ * incremental tailing, child tracking, persistence (append-only event log,
+ * saves only on change) and reorg rollback.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ShakeStore } = require("./store");
+const { ShakeIndexer } = require("./indexer");
+const { ESCROW_ABI } = require("./x402.js");
+
+describe("ShakeIndexer", function () {
+  let usdc, escrow, escrowReader, startBlock;
+  let deployer, requester, worker, subWorker;
+
+  beforeEach(async function () {
+    [deployer, requester, worker, subWorker] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+    startBlock = (await escrow.deploymentTransaction().wait()).blockNumber;
+
+    await usdc.faucet(requester.address, 10000_000000);
+    await usdc.connect(requester).approve(await escrow.getAddress(), ethers.MaxUint256);
+
+    escrowReader = new ethers.Contract(await escrow.getAddress(), ESCROW_ABI, ethers.provider);
+  });
+
+  function newIndexer(opts = {}) {
+    return new ShakeIndexer({
+      provider: ethers.provider,
+      escrow: escrowReader,
+      store: opts.store || new ShakeStore(),
+      startBlock,
+      batchSize: opts.batchSize || 2000,
+      reorgDepth: 12,
+    });
+  }
+
+  it("backfills every shake in small batches", async function () {
+    for (let i = 0; i < 5; i++) {
+      await escrow.connect(requester).createShake(100_000000 + i, 86400, ethers.id(`task ${i}`));
+    }
+
+    const indexer = newIndexer({ batchSize: 2 });
+    const last = await indexer.sync();
+
+    expect(last).to.equal(await ethers.provider.getBlockNumber());
+    const shakes = indexer.store.listShakes();
+    expect(shakes.map((s) => s.shakeId)).to.deep.equal([0, 1, 2, 3, 4]);
+    expect(shakes[4].amount).to.equal("100000004");
+    expect(shakes[0].createdBlock).to.be.greaterThan(startBlock);
+    expect(indexer.store.listEvents((e) => e.name === "ShakeCreated").length).to.equal(5);
+  });
+
+  it("tails lifecycle events and child hires", async function () {
+    const indexer = newIndexer();
+    await escrow.connect(requester).createShake(500_000000, 86400, ethers.id("root"));
+    await indexer.sync();
+    expect(indexer.store.getShake(0).status).to.equal(0);
+
+    await escrow.connect(worker).acceptShake(0);
+    await escrow.connect(worker).createChildShake(0, 200_000000, 3600, ethers.id("child"));
+    await escrow.connect(subWorker).acceptShake(1);
+    await indexer.sync();
+
+    const root = indexer.store.getShake(0);
+    expect(root.status).to.equal(1);
+    expect(root.worker).to.equal(worker.address);
+    expect(root.remainingBudget).to.equal("300000000");
+    expect(indexer.store.getChildShakes(0)).to.deep.equal([1]);
+    expect(indexer.store.getShake(1).isChildShake).to.equal(true);
+    expect(indexer.store.getShake(1).worker).to.equal(subWorker.address);
+
+    const names = indexer.store.listEvents().map((e) => e.name);
+    expect(names).to.include.members(["ShakeAccepted", "ChildShakeCreated"]);
+  });
+
+  it("persists to disk and resumes from the last processed block", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "clawshake-index-"));
+    const file = path.join(dir, "index.json");
+
+    await escrow.connect(requester).createShake(100_000000, 86400, ethers.id("first"));
+    const first = newIndexer({ store: new ShakeStore({ path: file }) });
+    const lastBlock = await first.sync();
+
+    await escrow.connect(requester).createShake(200_000000, 86400, ethers.id("second"));
+    const resumed = newIndexer({ store: new ShakeStore({ path: file }) });
+    expect(resumed.store.getLastBlock()).to.equal(lastBlock);
+    expect(resumed.store.listShakes().length).to.equal(1);
+
+    await resumed.sync();
+    expect(resumed.store.listShakes().length).to.equal(2);
+    expect(resumed.store.listEvents((e) => e.name === "ShakeCreated").length).to.equal(2);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("appends events to a log beside the index and saves only when a sync changed something", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "clawshake-index-"));
+    const file = path.join(dir, "index.json");
+    const log = path.join(dir, "index.events.jsonl");
+    const lines = () => fs.readFileSync(log, "utf8").split("\n").filter(Boolean);
+
+    const store = new ShakeStore({ path: file });
+    let saves = 0;
+    const save = store.save.bind(store);
+    store.save = () => {
+      saves++;
+      save();
+    };
+    const indexer = newIndexer({ store });
+
+    await escrow.connect(requester).createShake(100_000000, 86400, ethers.id("logged 0"));
+    await indexer.sync();
+    expect(saves).to.equal(1);
+    expect(lines()).to.have.length(1);
+    expect(JSON.parse(fs.readFileSync(file, "utf8")).events).to.equal(undefined);
+
+    await indexer.sync(); // no new blocks
+    expect(saves).to.equal(1);
+
+    await escrow.connect(requester).createShake(200_000000, 86400, ethers.id("logged 1"));
+    await indexer.sync();
+    expect(saves).to.equal(2);
+    expect(lines().map((l) => JSON.parse(l).args.amount)).to.deep.equal(["100000000", "200000000"]);
+
+    // Events a crash appended past the saved cursor are dropped on load
+    const stray = { ...JSON.parse(lines()[1]), blockNumber: store.getLastBlock() + 5 };
+    fs.appendFileSync(log, `${JSON.stringify(stray)}\n`);
+    const reloaded = new ShakeStore({ path: file });
+    expect(reloaded.listEventsNamed("ShakeEscrow", "ShakeCreated")).to.have.length(2);
+    reloaded.save();
+    expect(lines()).to.have.length(2);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("rolls back events from blocks that were reorged out", async function () {
+    const indexer = newIndexer();
+    await escrow.connect(requester).createShake(100_000000, 86400, ethers.id("kept"));
+    await indexer.sync();
+
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await escrow.connect(requester).createShake(200_000000, 86400, ethers.id("orphaned"));
+    await escrow.connect(worker).acceptShake(0);
+    await indexer.sync();
+    expect(indexer.store.listShakes().length).to.equal(2);
+    expect(indexer.store.getShake(0).status).to.equal(1);
+
+    // Replace the two blocks above with a different branch
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await ethers.provider.send("hardhat_mine", ["0x3"]);
+    await indexer.sync();
+
+    expect(indexer.store.listShakes().map((s) => s.shakeId)).to.deep.equal([0]);
+    expect(indexer.store.getShake(0).status).to.equal(0);
+    expect(indexer.store.listEvents((e) => e.name === "ShakeAccepted")).to.be.empty;
+    expect(indexer.store.listEventsNamed("ShakeEscrow", "ShakeCreated")).to.have.length(1);
+    expect(indexer.store.getLastBlock()).to.equal(await ethers.provider.getBlockNumber());
+  });
+});
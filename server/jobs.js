@@ -0,0 +1,244 @@
+/**
+ * Job Search
+ *
+ * Filtering, sorting and cursor pagination behind GET /jobs, over the shake
+ * index. Jobs are Pending shakes unless ?status= asks for others.
+ *
+ *   status          comma-separated status names (default Pending)
+ *   requester       only shakes of this requester
+ *   minReward / maxReward   USDC, up to 6 decimals
+ *   deadlineAfter / deadlineBefore   unix seconds, inclusive
+ *   child           true: child shakes only, false: top-level only
+ *   parent          only shakes in the hire tree under this shake
+ *   skills          only jobs whose task document the caller's skills cover
+ *
+ * Sorts: created (oldest first), reward (highest first), deadline (soonest
+ * first) and rewardPerHour (USDC per hour until the deadline, highest first).
+ * `order` flips the direction, except that rewardPerHour always puts expired
+ * jobs last. Ties go by shakeId.
+ *
+ * The cursor names the last job of a page and the time the first page was
+ * ranked at, so rewardPerHour pages stay consistent while the clock moves.
+ * Amounts and deadlines never change, so the position can be recomputed.
+ */
+
+const { ethers } = require("ethers");
+const { normalizeSkills, coversSkills } = require("./skills");
+const { requiredSkillsOf } = require("./tasks");
+const { STATUS, STATUS_NAMES } = require("./tree");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const compareBigInt = (a, b) => (a > b ? 1 : a < b ? -1 : 0);
+
+// Ascending comparison of two shakes under a sort, evaluated at `at`;
+// `sinks` marks shakes that rank last whichever the order
+const SORTS = {
+  created: { order: "asc", compare: (a, b) => a.shakeId - b.shakeId },
+  reward: { order: "desc", compare: (a, b) => compareBigInt(BigInt(a.amount), BigInt(b.amount)) },
+  deadline: { order: "asc", compare: (a, b) => a.deadline - b.deadline },
+  rewardPerHour: {
+    order: "desc",
+    compare: (a, b, at) => {
+      const left = Math.max(a.deadline - at, 0);
+      const right = Math.max(b.deadline - at, 0);
+      // amountA / leftA vs amountB / leftB, without rounding
+      return compareBigInt(BigInt(a.amount) * BigInt(right), BigInt(b.amount) * BigInt(left));
+    },
+    sinks: (s, at) => s.deadline <= at,
+  },
+};
+
+const ORDERS = ["asc", "desc"];
+
+function parseReward(value, name) {
+  try {
+    return ethers.parseUnits(String(value), 6);
+  } catch {
+    throw new Error(`Invalid ${name}, expected a USDC amount`);
+  }
+}
+
+function parseTimestamp(value, name) {
+  if (!/^\d+$/.test(String(value))) throw new Error(`Invalid ${name}, expected unix seconds`);
+  return Number(value);
+}
+
+/** Comma-separated status names, any case, as their canonical spelling (throws on unknown names). */
+function parseStatuses(value) {
+  const names = String(value)
+    .split(",")
+    .map((name) => name.trim());
+  const statuses = names.map((name) => {
+    const match = STATUS_NAMES.find((known) => known.toLowerCase() === name.toLowerCase());
+    if (!match) throw new Error(`Invalid status "${name}", expected one of: ${STATUS_NAMES.join(", ")}`);
+    return match;
+  });
+  return [...new Set(statuses)];
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+function decodeCursor(value, sort, order) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Invalid cursor");
+  }
+  if (!cursor || !Number.isInteger(cursor.after) || !Number.isInteger(cursor.at)) throw new Error("Invalid cursor");
+  if (cursor.sort !== sort || cursor.order !== order) {
+    throw new Error("Cursor belongs to a different sort; start again without it");
+  }
+  return cursor;
+}
+
+/** Parse the GET /jobs query (throws on malformed input). */
+function parseJobQuery(query) {
+  const sort = query.sort || "created";
+  if (!SORTS[sort]) throw new Error(`Invalid sort, expected one of: ${Object.keys(SORTS).join(", ")}`);
+  const order = query.order || SORTS[sort].order;
+  if (!ORDERS.includes(order)) throw new Error(`Invalid order, expected one of: ${ORDERS.join(", ")}`);
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`Invalid limit, expected 1-${MAX_LIMIT}`);
+  }
+
+  const out = {
+    sort,
+    order,
+    limit,
+    status: query.status === undefined ? ["Pending"] : parseStatuses(query.status),
+    requester: null,
+    minReward: parseReward(query.minReward || "0", "minReward"),
+    maxReward: query.maxReward === undefined ? null : parseReward(query.maxReward, "maxReward"),
+    deadlineAfter: query.deadlineAfter === undefined ? null : parseTimestamp(query.deadlineAfter, "deadlineAfter"),
+    deadlineBefore: query.deadlineBefore === undefined ? null : parseTimestamp(query.deadlineBefore, "deadlineBefore"),
+    child: null,
+    parent: null,
+    skills: query.skills ? normalizeSkills(String(query.skills).split(",")) : [],
+    cursor: query.cursor === undefined ? null : decodeCursor(query.cursor, sort, order),
+  };
+
+  if (query.requester !== undefined) {
+    if (!ethers.isAddress(query.requester)) throw new Error("Invalid requester address");
+    out.requester = ethers.getAddress(query.requester);
+  }
+  if (query.child !== undefined) {
+    if (query.child !== "true" && query.child !== "false") throw new Error("Invalid child, expected true or false");
+    out.child = query.child === "true";
+  }
+  if (query.parent !== undefined) {
+    if (!/^\d+$/.test(String(query.parent))) throw new Error("Invalid parent shake ID");
+    out.parent = Number(query.parent);
+  }
+  return out;
+}
+
+// Every shake below `rootId` in its hire tree
+function descendantsOf(store, rootId) {
+  const found = new Set();
+  const queue = [...store.getChildShakes(rootId)];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (found.has(id)) continue;
+    found.add(id);
+    queue.push(...store.getChildShakes(id));
+  }
+  return found;
+}
+
+/** One indexed shake as a job; `now` is the chain timestamp time remaining is measured from. */
+function describeJob(store, s, now) {
+  const task = store.getTask(s.taskHash);
+  const timeRemaining = Math.max(s.deadline - now, 0);
+  return {
+    shakeId: s.shakeId,
+    status: STATUS_NAMES[s.status] || "Unknown",
+    requester: s.requester,
+    worker: s.worker === ethers.ZeroAddress ? null : s.worker,
+    amount: s.amount,
+    amountUSDC: Number(s.amount) / 1e6,
+    deadline: s.deadline,
+    timeRemaining,
+    expired: timeRemaining === 0,
+    rewardPerHour: timeRemaining === 0 ? null : Number(s.amount) / 1e6 / (timeRemaining / 3600),
+    createdAt: s.createdAt === undefined ? null : s.createdAt,
+    taskHash: s.taskHash,
+    requiredSkills: task ? requiredSkillsOf(task) : null,
+    isChildShake: s.isChildShake,
+    parentShakeId: s.parentShakeId,
+    task,
+  };
+}
+
+/**
+ * One page of jobs matching a parsed query.
+ * @returns {{ total: number, evaluatedAt: number, nextCursor: string|null, jobs: object[] }}
+ */
+function findJobs(store, query, now) {
+  const statuses = new Set(query.status.map((name) => STATUS[name]));
+  const subtree = query.parent === null ? null : descendantsOf(store, query.parent);
+
+  const matches = store.listShakes((s) => {
+    const amount = BigInt(s.amount);
+    if (!statuses.has(s.status)) return false;
+    if (query.requester && s.requester !== query.requester) return false;
+    if (amount < query.minReward || (query.maxReward !== null && amount > query.maxReward)) return false;
+    if (query.deadlineAfter !== null && s.deadline < query.deadlineAfter) return false;
+    if (query.deadlineBefore !== null && s.deadline > query.deadlineBefore) return false;
+    if (query.child !== null && s.isChildShake !== query.child) return false;
+    if (subtree && !subtree.has(s.shakeId)) return false;
+    if (query.skills.length > 0) {
+      // Jobs without a published task document can't be matched to skills
+      const task = store.getTask(s.taskHash);
+      if (!task || !coversSkills(query.skills, task.requiredSkills)) return false;
+    }
+    return true;
+  });
+
+  // Rank at the first page's time so later pages continue the same order
+  const at = query.cursor ? query.cursor.at : now;
+  const direction = query.order === "asc" ? 1 : -1;
+  const { compare: byKey, sinks = () => false } = SORTS[query.sort];
+  const compare = (a, b) => sinks(a, at) - sinks(b, at) || direction * byKey(a, b, at) || a.shakeId - b.shakeId;
+  matches.sort(compare);
+
+  let start = 0;
+  if (query.cursor) {
+    const last = store.getShake(query.cursor.after);
+    if (!last) throw new Error("Invalid cursor");
+    start = matches.findIndex((s) => compare(s, last) > 0);
+    if (start === -1) start = matches.length;
+  }
+
+  const slice = matches.slice(start, start + query.limit);
+  const more = start + slice.length < matches.length;
+  return {
+    total: matches.length,
+    evaluatedAt: now,
+    nextCursor: more ? encodeCursor({ sort: query.sort, order: query.order, after: slice[slice.length - 1].shakeId, at }) : null,
+    jobs: slice.map((s) => describeJob(store, s, now)),
+  };
+}
+
+/** Echo of the filters a parsed query applied, for the response. */
+function describeFilters(query) {
+  return {
+    status: query.status,
+    requester: query.requester,
+    minReward: Number(ethers.formatUnits(query.minReward, 6)),
+    maxReward: query.maxReward === null ? null : Number(ethers.formatUnits(query.maxReward, 6)),
+    deadlineAfter: query.deadlineAfter,
+    deadlineBefore: query.deadlineBefore,
+    child: query.child,
+    parent: query.parent,
+    skills: query.skills,
+  };
+}
+
+module.exports = { parseJobQuery, parseStatuses, findJobs, describeJob, describeFilters, SORTS, ORDERS, MAX_LIMIT };
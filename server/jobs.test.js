@@ -0,0 +1,141 @@
+/**
+ * Job Search Tests
+ *
+ * A small hire tree (two top-level requesters, a child and a grandchild) to
+ * check /jobs filters, the four sorts, cursor pages and time remaining.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+
+const HOUR = 3600;
+
+describe("x402 Job Search", function () {
+  let escrow;
+  let deployer, requester, other, worker, sub;
+  let x402, server, port;
+
+  before(async function () {
+    [deployer, requester, other, worker, sub] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const usdc = await MockUSDC.deploy();
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    const registry = await AgentRegistry.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+
+    for (const signer of [requester, other]) {
+      await usdc.faucet(signer.address, 1000_000000);
+      await usdc.connect(signer).approve(await escrow.getAddress(), ethers.MaxUint256);
+    }
+    const hash = ethers.id("job");
+    await escrow.connect(requester).createShake(100_000000, 24 * HOUR, hash); // 0
+    await escrow.connect(requester).createShake(500_000000, 240 * HOUR, hash); // 1 → Active
+    await escrow.connect(requester).createShake(50_000000, HOUR, hash); // 2
+    await escrow.connect(other).createShake(300_000000, 48 * HOUR, hash); // 3
+    await escrow.connect(worker).acceptShake(1);
+    await escrow.connect(worker).createChildShake(1, 100_000000, 6 * HOUR, hash); // 4 → Active
+    await escrow.connect(sub).acceptShake(4);
+    await escrow.connect(sub).createChildShake(4, 40_000000, 2 * HOUR, hash); // 5
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+      validateResponses: true,
+    });
+    await x402.getIndexer().sync();
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function jobs(query = "") {
+    const res = await fetch(`http://localhost:${port}/jobs${query}`);
+    const body = await res.json();
+    return { status: res.status, body, ids: body.jobs ? body.jobs.map((j) => j.shakeId) : null };
+  }
+
+  it("lists Pending shakes oldest first, with time remaining", async function () {
+    const { status, body, ids } = await jobs();
+    expect(status).to.equal(200);
+    expect(ids).to.deep.equal([0, 2, 3, 5]);
+    expect(body).to.deep.include({ count: 4, total: 4, sort: "created", order: "asc", nextCursor: null });
+    expect(body.filters.status).to.deep.equal(["Pending"]);
+
+    const latest = await ethers.provider.getBlock("latest");
+    expect(body.evaluatedAt).to.equal(latest.timestamp);
+    const job = body.jobs[1];
+    expect(job.timeRemaining).to.equal(job.deadline - latest.timestamp);
+    expect(job).to.deep.include({ status: "Pending", worker: null, expired: false });
+    expect(job.rewardPerHour).to.be.closeTo(50 / (job.timeRemaining / HOUR), 1e-9);
+  });
+
+  it("sorts by reward, deadline and reward per hour left", async function () {
+    expect((await jobs("?sort=reward")).ids).to.deep.equal([3, 0, 2, 5]);
+    expect((await jobs("?sort=reward&order=asc")).ids).to.deep.equal([5, 2, 0, 3]);
+    expect((await jobs("?sort=deadline")).ids).to.deep.equal([2, 5, 0, 3]);
+    // 50 USDC/1h, 40/2h, 300/48h, 100/24h
+    expect((await jobs("?sort=rewardPerHour")).ids).to.deep.equal([2, 5, 3, 0]);
+  });
+
+  it("pages with a cursor tied to its sort", async function () {
+    const first = await jobs("?sort=reward&limit=3");
+    expect(first.ids).to.deep.equal([3, 0, 2]);
+    expect(first.body).to.deep.include({ count: 3, total: 4 });
+    expect(first.body.nextCursor).to.be.a("string");
+
+    const second = await jobs(`?sort=reward&limit=3&cursor=${first.body.nextCursor}`);
+    expect(second.ids).to.deep.equal([5]);
+    expect(second.body.nextCursor).to.equal(null);
+
+    const mismatched = await jobs(`?sort=deadline&cursor=${first.body.nextCursor}`);
+    expect(mismatched.status).to.equal(400);
+    expect(mismatched.body.error).to.match(/different sort/);
+    expect((await jobs("?cursor=garbage")).body).to.deep.equal({ error: "Invalid cursor", code: "BAD_REQUEST" });
+  });
+
+  it("filters by status, requester, reward range, level and subtree", async function () {
+    expect((await jobs("?status=active")).ids).to.deep.equal([1, 4]);
+    expect((await jobs(`?status=Pending,Active&requester=${requester.address.toLowerCase()}`)).ids).to.deep.equal([0, 1, 2]);
+    expect((await jobs("?minReward=60&maxReward=300")).ids).to.deep.equal([0, 3]);
+    expect((await jobs("?child=false")).ids).to.deep.equal([0, 2, 3]);
+    expect((await jobs("?child=true")).ids).to.deep.equal([5]);
+    expect((await jobs("?parent=1&status=pending,active")).ids).to.deep.equal([4, 5]);
+    expect((await jobs("?parent=4")).ids).to.deep.equal([5]);
+
+    const invalid = await jobs("?status=open");
+    expect(invalid.status).to.equal(400);
+    expect(invalid.body.error).to.equal('Invalid status "open", expected one of: Pending, Active, Delivered, Released, Disputed, Refunded');
+  });
+
+  it("filters by deadline window", async function () {
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    expect((await jobs(`?deadlineBefore=${now + 3 * HOUR}`)).ids).to.deep.equal([2, 5]);
+    expect((await jobs(`?deadlineAfter=${now + 3 * HOUR}&deadlineBefore=${now + 30 * HOUR}`)).ids).to.deep.equal([0]);
+    const { body } = await jobs(`?deadlineAfter=${now}`);
+    expect(body.filters).to.deep.include({ deadlineAfter: now, deadlineBefore: null, child: null, parent: null });
+  });
+
+  it("marks expired jobs and ranks them last by reward per hour", async function () {
+    await ethers.provider.send("evm_increaseTime", [HOUR + 60]);
+    await ethers.provider.send("evm_mine", []);
+
+    const { body, ids } = await jobs("?sort=rewardPerHour");
+    expect(ids).to.deep.equal([5, 3, 0, 2]);
+    expect(body.jobs[3]).to.deep.include({ shakeId: 2, timeRemaining: 0, expired: true, rewardPerHour: null });
+
+    // Ascending flips the live jobs only
+    expect((await jobs("?sort=rewardPerHour&order=asc")).ids).to.deep.equal([0, 3, 5, 2]);
+    const first = await jobs("?sort=rewardPerHour&order=asc&limit=3");
+    expect((await jobs(`?sort=rewardPerHour&order=asc&cursor=${first.body.nextCursor}`)).ids).to.deep.equal([2]);
+  });
+});
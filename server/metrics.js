@@ -0,0 +1,218 @@
+/**
+ * Prometheus Metrics
+ *
+ * A small metrics registry rendered in the Prometheus text exposition format
+ * (version 0.0.4), plus provider metering for RPC call counts and errors.
+ *
+ *   const metrics = new Metrics({ prefix: "clawshake_" });
+ *   const requests = metrics.counter("requests_total", "Requests served", ["route"]);
+ *   requests.inc({ route: "/shake/{id}" });
+ *   metrics.render(); // "# HELP clawshake_requests_total Requests served\n..."
+ *
+ * Gauges that describe current state (index lag, shake counts) are meant to
+ * be `reset()` and set again on every scrape.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Provider methods that each cost (at least) one JSON-RPC request
+const RPC_METHODS = [
+  "broadcastTransaction",
+  "call",
+  "estimateGas",
+  "getBalance",
+  "getBlock",
+  "getBlockNumber",
+  "getCode",
+  "getFeeData",
+  "getLogs",
+  "getNetwork",
+  "getTransaction",
+  "getTransactionCount",
+  "getTransactionReceipt",
+];
+
+const METER = Symbol("clawshake.meter");
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key → { labels, value }
+  }
+
+  // Same labels in the same order give the same series
+  _series(labels = {}, create) {
+    for (const key of Object.keys(labels)) {
+      if (!this.labelNames.includes(key)) throw new Error(`Unknown label "${key}" for ${this.name}`);
+    }
+    const values = this.labelNames.map((name) => (labels[name] === undefined ? "" : String(labels[name])));
+    const key = JSON.stringify(values);
+    let series = this.series.get(key);
+    if (!series && create) {
+      series = { labels: Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]])), ...create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  /** Current value of one series (undefined when it was never set). */
+  get(labels) {
+    const series = this._series(labels);
+    return series && series.value;
+  }
+
+  _lines() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`, `# TYPE ${this.name} ${this.type}`, ...this._lines()].join("\n");
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels, amount = 1) {
+    if (amount < 0) throw new Error(`Counter ${this.name} can only go up`);
+    this._series(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super("gauge", name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this._series(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels, amount = 1) {
+    this._series(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    if (labelNames.includes("le")) throw new Error(`Histogram ${name} cannot use the label "le"`);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /** { counts, sum, count } of one series. */
+  get(labels) {
+    const series = this._series(labels);
+    return series && { counts: [...series.counts], sum: series.sum, count: series.count };
+  }
+
+  _lines() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+class Metrics {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.prefix] prepended to every metric name
+   */
+  constructor({ prefix = "" } = {}) {
+    this.prefix = prefix;
+    this.metrics = new Map();
+  }
+
+  _register(metric) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(metric.name)) throw new Error(`Invalid metric name "${metric.name}"`);
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this._register(new Counter(this.prefix + name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this._register(new Gauge(this.prefix + name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames = [], buckets) {
+    return this._register(new Histogram(this.prefix + name, help, labelNames, buckets));
+  }
+
+  /** Every metric in the text exposition format. */
+  render() {
+    return [...this.metrics.values()].map((metric) => metric.render()).join("\n") + "\n";
+  }
+}
+
+/**
+ * Report every RPC-backed call on `provider` to `onCall(method, error)` —
+ * error is null on success. The provider is wrapped once; metering it again
+ * only swaps the callback. Reverts (CALL_EXCEPTION) are answers, not errors.
+ */
+function meterProvider(provider, onCall) {
+  if (provider[METER]) {
+    provider[METER].onCall = onCall;
+    return provider;
+  }
+  const meter = { onCall };
+  provider[METER] = meter;
+  for (const method of RPC_METHODS) {
+    const original = provider[method];
+    if (typeof original !== "function") continue;
+    provider[method] = async function (...args) {
+      try {
+        const result = await original.apply(this, args);
+        meter.onCall(method, null);
+        return result;
+      } catch (err) {
+        meter.onCall(method, err.code === "CALL_EXCEPTION" ? null : err);
+        throw err;
+      }
+    };
+  }
+  return provider;
+}
+
+module.exports = { Metrics, Counter, Gauge, Histogram, meterProvider, RPC_METHODS, DEFAULT_BUCKETS };
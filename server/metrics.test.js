@@ -0,0 +1,192 @@
+/**
+ * Metrics Tests
+ *
+ * Scrapes /metrics after real traffic and checks route latency series, RPC
+ * call counts, index lag and shake gauges; plus the Metrics registry's text
+ * format and provider metering on their own.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const { Metrics, meterProvider } = require("./metrics");
+
+// Value of one sample in a text exposition, or undefined when absent
+function sample(text, name, labels = {}) {
+  const wanted = Object.entries(labels).map(([k, v]) => `${k}="${v}"`);
+  for (const line of text.split("\n")) {
+    const match = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{(.*)\})? (.+)$/.exec(line);
+    if (!match || match[1] !== name) continue;
+    const present = match[2] ? match[2].split(",") : [];
+    if (wanted.length === present.length && wanted.every((pair) => present.includes(pair))) return Number(match[3]);
+  }
+  return undefined;
+}
+
+describe("x402 Metrics", function () {
+  let escrow;
+  let deployer, requester, worker;
+  let x402, server, port;
+
+  before(async function () {
+    [deployer, requester, worker] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const usdc = await MockUSDC.deploy();
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    const registry = await AgentRegistry.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+    await escrow.setRegistry(await registry.getAddress());
+    await registry.authorizeCaller(await escrow.getAddress());
+
+    await usdc.faucet(requester.address, 100_000000);
+    await usdc.connect(requester).approve(await escrow.getAddress(), ethers.MaxUint256);
+    const hash = ethers.id("metrics");
+    for (let i = 0; i < 3; i++) await escrow.connect(requester).createShake(1_000000, 86400, hash);
+    await escrow.connect(worker).acceptShake(1);
+    await escrow.connect(worker).acceptShake(2);
+    await escrow.connect(worker).deliverShake(2, hash);
+    await escrow.connect(requester).disputeShake(2);
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      chain: "metered",
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+    });
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function scrape() {
+    const res = await fetch(`http://localhost:${port}/metrics`);
+    expect(res.status).to.equal(200);
+    expect(res.headers.get("content-type")).to.match(/^text\/plain;.*version=0\.0\.4/);
+    return res.text();
+  }
+
+  it("times requests per route template, method and status", async function () {
+    const labels = { chain: "metered", method: "GET", route: "/shake/{id}", status: "404" };
+    const before = sample(await scrape(), "clawshake_http_request_duration_seconds_count", labels) || 0;
+
+    await fetch(`http://localhost:${port}/shake/1`);
+    await fetch(`http://localhost:${port}/shake/2`);
+    await fetch(`http://localhost:${port}/nowhere`);
+
+    const text = await scrape();
+    expect(text).to.include("# TYPE clawshake_http_request_duration_seconds histogram");
+    // Nothing indexed yet, so both are 404s of the same series
+    expect(sample(text, "clawshake_http_request_duration_seconds_count", labels)).to.equal(before + 2);
+    expect(sample(text, "clawshake_http_request_duration_seconds_bucket", { ...labels, le: "+Inf" })).to.equal(before + 2);
+    expect(sample(text, "clawshake_http_request_duration_seconds_sum", labels)).to.be.greaterThan(0);
+    expect(sample(text, "clawshake_http_request_duration_seconds_count", { chain: "metered", method: "GET", route: "unmatched", status: "404" })).to.be.at.least(1);
+  });
+
+  it("counts RPC calls by provider method", async function () {
+    const before = sample(await scrape(), "clawshake_rpc_requests_total", { chain: "metered", method: "getLogs" }) || 0;
+    await x402.getIndexer().sync();
+    const text = await scrape();
+    expect(sample(text, "clawshake_rpc_requests_total", { chain: "metered", method: "getLogs" })).to.be.greaterThan(before);
+    expect(sample(text, "clawshake_rpc_requests_total", { chain: "metered", method: "getBlockNumber" })).to.be.at.least(1);
+    expect(text).to.include("# TYPE clawshake_rpc_errors_total counter");
+  });
+
+  it("reports shakes by status and how far the index trails the head", async function () {
+    await x402.getIndexer().sync();
+    let text = await scrape();
+    const shakes = (status) => sample(text, "clawshake_shakes", { chain: "metered", status });
+    expect([shakes("Pending"), shakes("Active"), shakes("Disputed"), shakes("Released")]).to.deep.equal([1, 1, 1, 0]);
+
+    const head = await ethers.provider.getBlockNumber();
+    expect(sample(text, "clawshake_rpc_up", { chain: "metered" })).to.equal(1);
+    expect(sample(text, "clawshake_indexer_block", { chain: "metered" })).to.equal(head);
+    expect(sample(text, "clawshake_indexer_lag_blocks", { chain: "metered" })).to.equal(0);
+
+    await ethers.provider.send("evm_mine", []);
+    await ethers.provider.send("evm_mine", []);
+    text = await scrape();
+    expect(sample(text, "clawshake_chain_head_block", { chain: "metered" })).to.equal(head + 2);
+    expect(sample(text, "clawshake_indexer_lag_blocks", { chain: "metered" })).to.equal(2);
+  });
+
+  describe("Metrics", function () {
+    it("renders counters, gauges and cumulative histogram buckets", function () {
+      const metrics = new Metrics({ prefix: "test_" });
+      const jobs = metrics.counter("jobs_total", "Jobs run", ["queue"]);
+      const depth = metrics.gauge("depth", "Queue depth");
+      const latency = metrics.histogram("latency_seconds", "Latency", ["queue"], [0.1, 1]);
+      jobs.inc({ queue: 'say "hi"\n' });
+      jobs.inc({ queue: 'say "hi"\n' }, 2);
+      depth.set({}, 7);
+      latency.observe({ queue: "a" }, 0.05);
+      latency.observe({ queue: "a" }, 0.5);
+      latency.observe({ queue: "a" }, 5);
+
+      expect(metrics.render()).to.equal(
+        [
+          "# HELP test_jobs_total Jobs run",
+          "# TYPE test_jobs_total counter",
+          'test_jobs_total{queue="say \\"hi\\"\\n"} 3',
+          "# HELP test_depth Queue depth",
+          "# TYPE test_depth gauge",
+          "test_depth 7",
+          "# HELP test_latency_seconds Latency",
+          "# TYPE test_latency_seconds histogram",
+          'test_latency_seconds_bucket{queue="a",le="0.1"} 1',
+          'test_latency_seconds_bucket{queue="a",le="1"} 2',
+          'test_latency_seconds_bucket{queue="a",le="+Inf"} 3',
+          'test_latency_seconds_sum{queue="a"} 5.55',
+          'test_latency_seconds_count{queue="a"} 3',
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("rejects bad names, labels and decrements", function () {
+      const metrics = new Metrics();
+      const jobs = metrics.counter("jobs_total", "Jobs", ["queue"]);
+      expect(() => metrics.gauge("jobs_total", "Again")).to.throw("already registered");
+      expect(() => metrics.gauge("bad-name", "Dash")).to.throw("Invalid metric name");
+      expect(() => jobs.inc({ host: "a" })).to.throw('Unknown label "host"');
+      expect(() => jobs.inc({}, -1)).to.throw("can only go up");
+      expect(() => metrics.histogram("h", "H", ["le"])).to.throw('cannot use the label "le"');
+    });
+  });
+
+  describe("meterProvider", function () {
+    it("counts calls and failures, but not reverts, and wraps a provider once", async function () {
+      const revert = Object.assign(new Error("execution reverted"), { code: "CALL_EXCEPTION" });
+      const provider = {
+        getBlockNumber: async () => 7,
+        call: async () => {
+          throw revert;
+        },
+        getLogs: async () => {
+          throw new Error("connection refused");
+        },
+      };
+      const seen = [];
+      meterProvider(provider, (method, err) => seen.push([method, err && err.message]));
+      const wrapped = provider.getBlockNumber;
+      meterProvider(provider, (method, err) => seen.push([`again:${method}`, err && err.message]));
+      expect(provider.getBlockNumber).to.equal(wrapped);
+
+      expect(await provider.getBlockNumber()).to.equal(7);
+      expect(await provider.call({}).catch((err) => err)).to.equal(revert);
+      expect((await provider.getLogs({}).catch((err) => err)).message).to.equal("connection refused");
+      expect(seen).to.deep.equal([
+        ["again:getBlockNumber", null],
+        ["again:call", null],
+        ["again:getLogs", "connection refused"],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Multicall Batching
+ *
+ * A contract runner that coalesces read calls into Multicall3 `aggregate3`
+ * `eth_call`s. Contracts connected to it queue their `staticCall`s; everything
+ * queued before the next turn of the event loop — i.e. every read an endpoint
+ * starts together with `Promise.all` — goes out as one RPC request.
+ *
+ *   const runner = new MulticallRunner(provider, MULTICALL3_ADDRESS);
+ *   const registry = new ethers.Contract(address, REGISTRY_ABI, runner);
+ *   await Promise.all([registry.getPassport(a), registry.getSkills(a)]); // one eth_call
+ *
+ * Each call may fail on its own (`allowFailure`); its revert data is rethrown
+ * as a CALL_EXCEPTION so contracts decode custom errors exactly as for a
+ * direct call. Calls carrying `from`, `value` or a `blockTag`, lone calls and
+ * chains without Multicall3 go straight to the provider.
+ */
+
+const { ethers } = require("ethers");
+
+// Same address on every chain that has the canonical deployment (Base, Base Sepolia, ...)
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const MULTICALL3_ABI = [
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)",
+];
+
+const DEFAULT_MAX_BATCH = 100;
+
+class MulticallRunner {
+  /**
+   * @param {import("ethers").Provider} provider
+   * @param {string} address Multicall3 deployment
+   * @param {object} [opts]
+   * @param {number} [opts.maxBatch] calls per aggregate3
+   */
+  constructor(provider, address, { maxBatch = DEFAULT_MAX_BATCH } = {}) {
+    this.provider = provider;
+    this.address = address;
+    this.maxBatch = maxBatch;
+    this.iface = new ethers.Interface(MULTICALL3_ABI);
+    this.queue = [];
+    this.scheduled = false;
+    this.available = null; // unknown until the first batch checks for code
+    this.stats = { batches: 0, calls: 0 };
+  }
+
+  /** ContractRunner entry point used by `staticCall`. */
+  call(tx) {
+    if (tx.from || tx.value || tx.blockTag !== undefined || !tx.to) {
+      return this.provider.call(tx);
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ tx, resolve, reject });
+      if (!this.scheduled) {
+        this.scheduled = true;
+        setImmediate(() => this._flush());
+      }
+    });
+  }
+
+  _flush() {
+    this.scheduled = false;
+    const pending = this.queue.splice(0);
+    for (let i = 0; i < pending.length; i += this.maxBatch) {
+      this._send(pending.slice(i, i + this.maxBatch));
+    }
+  }
+
+  async _send(batch) {
+    let results;
+    try {
+      if (batch.length === 1 || !(await this._isAvailable())) {
+        for (const { tx, resolve, reject } of batch) this.provider.call(tx).then(resolve, reject);
+        return;
+      }
+      const data = this.iface.encodeFunctionData("aggregate3", [
+        batch.map(({ tx }) => ({ target: tx.to, allowFailure: true, callData: tx.data })),
+      ]);
+      const raw = await this.provider.call({ to: this.address, data });
+      [results] = this.iface.decodeFunctionResult("aggregate3", raw);
+    } catch (err) {
+      // _flush does not await this: every failure, the code check included, must settle the batch
+      for (const { reject } of batch) reject(err);
+      return;
+    }
+
+    this.stats.batches++;
+    this.stats.calls += batch.length;
+    batch.forEach(({ tx, resolve, reject }, i) => {
+      const { success, returnData } = results[i];
+      if (success) return resolve(returnData);
+      reject(ethers.makeError("execution reverted", "CALL_EXCEPTION", {
+        action: "call",
+        data: returnData,
+        reason: null,
+        transaction: { to: tx.to, from: undefined, data: tx.data },
+        invocation: null,
+        revert: null,
+      }));
+    });
+  }
+
+  // Whether Multicall3 is deployed, checked once it has been answered (a failed check is retried)
+  async _isAvailable() {
+    if (this.available === null) {
+      this.available = (await this.provider.getCode(this.address)) !== "0x";
+      if (!this.available) console.warn(`Multicall3 not found at ${this.address}; reads are not batched`);
+    }
+    return this.available;
+  }
+}
+
+module.exports = { MulticallRunner, MULTICALL3_ADDRESS, MULTICALL3_ABI };
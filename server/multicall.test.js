@@ -0,0 +1,198 @@
+/**
+ * Multicall Batching & Response Cache Tests
+ *
+ * Deploys Multicall3 locally and checks that an endpoint's contract reads go
+ * out as a single aggregate3 eth_call, that per-call reverts still decode to
+ * custom errors, and that cached responses last exactly one block (or until
+ * an indexed event or write request).
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { EventEmitter } = require("events");
+const http = require("http");
+const { MulticallRunner } = require("./multicall");
+const { BlockCache } = require("./cache");
+
+describe("x402 Multicall & Response Cache", function () {
+  let usdc, escrow, registry, multicall;
+  let deployer, agent, other;
+  let x402, server, port;
+
+  before(async function () {
+    [deployer, agent, other] = await ethers.getSigners();
+
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    multicall = await Multicall3.deploy();
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    registry = await AgentRegistry.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+
+    await registry.connect(agent).register("batcher", ["etl", "scraping"]);
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+      multicallAddress: await multicall.getAddress(),
+      startBlock: (await usdc.deploymentTransaction().wait()).blockNumber,
+    });
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function request(method, path, body) {
+    const res = await fetch(`http://localhost:${port}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  }
+
+  // eth_calls the server makes while `fn` runs
+  async function countCalls(fn) {
+    const calls = [];
+    const original = ethers.provider.call;
+    ethers.provider.call = function (tx) {
+      calls.push(tx.to);
+      return original.call(this, tx);
+    };
+    try {
+      return { result: await fn(), calls };
+    } finally {
+      ethers.provider.call = original;
+    }
+  }
+
+  it("GET /agent/:address — all reads in one aggregate3 eth_call", async function () {
+    const { result, calls } = await countCalls(() => request("GET", `/agent/${agent.address}`));
+    expect(result.status).to.equal(200);
+    expect(result.body.name).to.equal("batcher");
+    expect(result.body.skills).to.deep.equal(["etl", "scraping"]);
+    expect(calls).to.deep.equal([await multicall.getAddress()]);
+
+    const unknown = await request("GET", `/agent/${other.address}`);
+    expect(unknown.status).to.equal(404);
+  });
+
+  it("GET /networks — reports the multicall address", async function () {
+    const { body } = await request("GET", "/networks");
+    expect(body.networks[0].multicall).to.equal(await multicall.getAddress());
+  });
+
+  it("serves repeat reads from cache until the next block", async function () {
+    const first = await request("GET", `/agent/${agent.address}`);
+    const { result: second, calls } = await countCalls(() => request("GET", `/agent/${agent.address}`));
+    expect(second.headers.get("x-cache")).to.equal("HIT");
+    expect(second.headers.get("x-cache-block")).to.equal(first.headers.get("x-cache-block"));
+    expect(second.body).to.deep.equal(first.body);
+    expect(calls).to.deep.equal([]);
+
+    await registry.connect(other).register("newcomer", ["etl"]);
+    const fresh = await request("GET", "/agents?skill=etl");
+    expect(fresh.headers.get("x-cache")).to.equal("MISS");
+    expect(Number(fresh.headers.get("x-cache-block"))).to.be.greaterThan(Number(first.headers.get("x-cache-block")));
+    expect(fresh.body.total).to.equal(2);
+  });
+
+  it("drops cached reads on write requests", async function () {
+    await request("GET", "/agents/top");
+    expect((await request("GET", "/agents/top")).headers.get("x-cache")).to.equal("HIT");
+
+    await request("POST", "/tasks", { title: "cache buster", description: "any write", requiredSkills: ["etl"] });
+    expect((await request("GET", "/agents/top")).headers.get("x-cache")).to.equal("MISS");
+  });
+
+  describe("MulticallRunner", function () {
+    it("rethrows a failing call's custom error without failing the batch", async function () {
+      const runner = new MulticallRunner(ethers.provider, await multicall.getAddress());
+      const batched = registry.connect(runner);
+
+      const [count, failed] = await Promise.all([
+        batched.getAgentCount(),
+        batched.register.staticCall("", []).catch((err) => err),
+      ]);
+      expect(count).to.equal(2n);
+      expect(failed.revert.name).to.equal("NameRequired");
+      expect(runner.stats).to.deep.equal({ batches: 1, calls: 2 });
+    });
+
+    it("splits large batches and falls back to direct calls without Multicall3", async function () {
+      const runner = new MulticallRunner(ethers.provider, await multicall.getAddress(), { maxBatch: 2 });
+      const batched = registry.connect(runner);
+      const names = await Promise.all([agent, other, agent].map(async (a) => (await batched.getPassport(a.address)).name));
+      expect(names).to.deep.equal(["batcher", "newcomer", "batcher"]);
+      // Two in one aggregate3; the lone third goes direct
+      expect(runner.stats).to.deep.equal({ batches: 1, calls: 2 });
+
+      const missing = new MulticallRunner(ethers.provider, ethers.Wallet.createRandom().address);
+      const direct = registry.connect(missing);
+      const [count, skills] = await Promise.all([direct.getAgentCount(), direct.getSkills(agent.address)]);
+      expect(count).to.equal(2n);
+      expect([...skills]).to.deep.equal(["etl", "scraping"]);
+      expect(missing.available).to.equal(false);
+      expect(missing.stats.batches).to.equal(0);
+    });
+
+    it("rejects the queued reads when the code check fails, and checks again next batch", async function () {
+      let failures = 1;
+      const flaky = new Proxy(ethers.provider, {
+        get(target, prop) {
+          if (prop === "getCode") {
+            return (...args) => (failures-- > 0 ? Promise.reject(new Error("getCode timed out")) : target.getCode(...args));
+          }
+          const value = target[prop];
+          return typeof value === "function" ? value.bind(target) : value;
+        },
+      });
+      const runner = new MulticallRunner(flaky, await multicall.getAddress());
+      const batched = registry.connect(runner);
+
+      const failed = await Promise.all([batched.getAgentCount(), batched.getSkills(agent.address)].map((p) => p.catch((err) => err)));
+      expect(failed.map((err) => err.message)).to.deep.equal(["getCode timed out", "getCode timed out"]);
+      expect(runner.available).to.equal(null);
+
+      const [count] = await Promise.all([batched.getAgentCount(), batched.getSkills(agent.address)]);
+      expect(count).to.equal(2n);
+      expect(runner.available).to.equal(true);
+      expect(runner.stats.batches).to.equal(1);
+    });
+  });
+
+  describe("BlockCache", function () {
+    it("clears on indexed events and reorgs", async function () {
+      const indexer = new EventEmitter();
+      const cache = new BlockCache({ provider: ethers.provider, indexer });
+      const block = await cache.head();
+
+      cache.set("/a", { ok: true }, block, cache.generation);
+      expect(cache.get("/a")).to.deep.equal({ ok: true });
+      indexer.emit("event", {});
+      expect(cache.get("/a")).to.equal(undefined);
+
+      // Computed before the invalidation — not stored
+      const stale = cache.generation;
+      indexer.emit("reorg", block);
+      cache.set("/b", { ok: true }, block, stale);
+      expect(cache.get("/b")).to.equal(undefined);
+    });
+
+    it("evicts the oldest entry when full", async function () {
+      const cache = new BlockCache({ provider: ethers.provider, maxEntries: 2 });
+      const block = await cache.head();
+      for (const key of ["/1", "/2", "/3"]) cache.set(key, key, block, cache.generation);
+      expect([...cache.entries.keys()]).to.deep.equal(["/2", "/3"]);
+    });
+  });
+});
@@ -0,0 +1,394 @@
+/**
+ * Off-Chain Negotiation
+ *
+ * acceptShake is first come, first served at the requester's price. Here the
+ * two sides haggle first, with EIP-712 signed messages the server keeps:
+ *
+ *   1. RFQ    the requester asks for quotes on a published task spec, with an
+ *             optional budget ceiling (maxAmount) and longest deadline
+ *             (maxDeadline, seconds; 0 = no limit). A sub-hire RFQ names the
+ *             Active shake its requester works on (parentShakeId).
+ *   2. Quote  workers answer with a price, a deadline and the sub-hires they
+ *             plan to fund from it (skill + amount each, optional).
+ *   3. Award  the requester signs the quote it picks and gets back
+ *             createShakeFor (createChildShakeFor for a sub-hire): the shake
+ *             is reserved on-chain for the chosen worker.
+ *
+ * Messages are signed under the "Clawshake Negotiation" domain of the chain
+ * and escrow; RFQ and quote IDs are their EIP-712 hashes. `expiresAt` fields
+ * are unix seconds compared to the latest block: RFQs take quotes until
+ * theirs, quotes can be awarded until theirs. An award lapses when its quote
+ * expires before the shake it creates is indexed; the RFQ then reopens (until
+ * its own expiry) and the requester can award again.
+ *
+ * Awards claim their shake as the indexer reports it (claimAwardedShake on
+ * each WorkerDesignated, releaseAwardedShakes on a reorg); reads never write.
+ *
+ * Functions resolve to their result or { status, error } (as txbuilder.js).
+ */
+
+const { ethers } = require("ethers");
+const { escrowDomain, recoverSigner } = require("./eip712");
+const { STATUS } = require("./tree");
+
+const DOMAIN_NAME = "Clawshake Negotiation";
+const DOMAIN_VERSION = "1";
+
+const RFQ_TYPES = {
+  RFQ: [
+    { name: "requester", type: "address" },
+    { name: "taskHash", type: "bytes32" },
+    { name: "subHire", type: "bool" },
+    { name: "parentShakeId", type: "uint256" },
+    { name: "maxAmount", type: "uint256" },
+    { name: "maxDeadline", type: "uint48" },
+    { name: "expiresAt", type: "uint48" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+const QUOTE_TYPES = {
+  Quote: [
+    { name: "rfqId", type: "bytes32" },
+    { name: "worker", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "subHires", type: "SubHire[]" },
+    { name: "expiresAt", type: "uint48" },
+    { name: "nonce", type: "uint256" },
+  ],
+  SubHire: [
+    { name: "skill", type: "string" },
+    { name: "amount", type: "uint256" },
+  ],
+};
+
+const AWARD_TYPES = {
+  Award: [
+    { name: "rfqId", type: "bytes32" },
+    { name: "quoteId", type: "bytes32" },
+  ],
+};
+
+// Message name → its EIP-712 types, as signTypedData takes them
+const NEGOTIATION_TYPES = { RFQ: RFQ_TYPES, Quote: QUOTE_TYPES, Award: AWARD_TYPES };
+
+const RFQ_STATUSES = ["open", "expired", "awarded"];
+
+// A quote can't plan more sub-hires than ShakeEscrow.MAX_CHILDREN allows
+const MAX_SUB_HIRES = 50;
+
+const MAX_UINT48 = 2n ** 48n - 1n;
+
+const usdc = (amount) => Number(amount) / 1e6;
+
+/** Signing domain for a chain and escrow. */
+function negotiationDomain(chainId, escrowAddress) {
+  return escrowDomain(DOMAIN_NAME, DOMAIN_VERSION, chainId, escrowAddress);
+}
+
+// --- Parsing ---
+
+// uint256 as a decimal string
+function uintOf(value, name) {
+  if (!/^\d+$/.test(String(value))) throw new Error(`Invalid ${name}, expected an unsigned integer`);
+  return BigInt(value).toString();
+}
+
+// uint48 (seconds) as a number
+function secondsOf(value, name) {
+  const seconds = BigInt(uintOf(value, name));
+  if (seconds > MAX_UINT48) throw new Error(`Invalid ${name}, expected at most ${MAX_UINT48}`);
+  return Number(seconds);
+}
+
+/** Signed RFQ fields from a request body, normalized (throws on malformed input). */
+function parseRfq(input) {
+  if (!ethers.isAddress(input.requester)) throw new Error("Invalid requester address");
+  if (!ethers.isHexString(input.taskHash, 32)) throw new Error("Invalid taskHash");
+  if (typeof input.subHire !== "boolean") throw new Error("Invalid subHire, expected true or false");
+  return {
+    requester: ethers.getAddress(input.requester),
+    taskHash: input.taskHash.toLowerCase(),
+    subHire: input.subHire,
+    parentShakeId: uintOf(input.parentShakeId, "parentShakeId"),
+    maxAmount: uintOf(input.maxAmount, "maxAmount"),
+    maxDeadline: secondsOf(input.maxDeadline, "maxDeadline"),
+    expiresAt: secondsOf(input.expiresAt, "expiresAt"),
+    nonce: uintOf(input.nonce, "nonce"),
+  };
+}
+
+/** Signed quote fields from a request body, normalized (throws on malformed input). */
+function parseQuote(input) {
+  if (!ethers.isHexString(input.rfqId, 32)) throw new Error("Invalid rfqId");
+  if (!ethers.isAddress(input.worker)) throw new Error("Invalid worker address");
+  if (!Array.isArray(input.subHires)) throw new Error("Invalid subHires, expected an array");
+  return {
+    rfqId: input.rfqId.toLowerCase(),
+    worker: ethers.getAddress(input.worker),
+    amount: uintOf(input.amount, "amount"),
+    deadline: secondsOf(input.deadline, "deadline"),
+    subHires: input.subHires.map((hire, i) => {
+      if (!hire || typeof hire.skill !== "string" || !hire.skill.trim()) throw new Error(`Invalid subHires[${i}].skill`);
+      return { skill: hire.skill, amount: uintOf(hire.amount, `subHires[${i}].amount`) };
+    }),
+    expiresAt: secondsOf(input.expiresAt, "expiresAt"),
+    nonce: uintOf(input.nonce, "nonce"),
+  };
+}
+
+// --- Negotiation state ---
+
+/** open → awarded, or expired when no award came before `expiresAt`. A lapsed award doesn't count. */
+function rfqStatus(record, now) {
+  if (record.award && !awardLapsed(record, now)) return "awarded";
+  return record.rfq.expiresAt <= now ? "expired" : "open";
+}
+
+// The awarded quote expired and no shake was created from it
+function awardLapsed(record, now) {
+  return awardedQuote(record).quote.expiresAt <= now && awardedShakeId(record) === null;
+}
+
+function awardedQuote(record) {
+  return record.quotes.find((q) => q.quoteId === record.award.quoteId);
+}
+
+/**
+ * Store a signed RFQ.
+ * @param {import("./store").ShakeStore} store
+ * @param {object} domain negotiationDomain()
+ * @param {{ rfq: object, signature: string }} body
+ * @param {number} now latest block timestamp
+ */
+function openRfq(store, domain, { rfq: input, signature }, now) {
+  let rfq;
+  try {
+    rfq = parseRfq(input);
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+  const signer = recoverSigner(domain, RFQ_TYPES, rfq, signature);
+  if (!signer) return { status: 400, error: "Invalid signature" };
+  if (signer !== rfq.requester) return { status: 401, error: "Signature does not match requester" };
+
+  if (rfq.expiresAt <= now) return { status: 400, error: "RFQ has already expired" };
+  if (!store.getTask(rfq.taskHash)) return { status: 400, error: "Task spec not published (POST /tasks first)" };
+
+  if (rfq.subHire) {
+    const parent = store.getShake(Number(rfq.parentShakeId));
+    if (!parent) return { status: 400, error: "Parent shake not found" };
+    if (parent.status !== STATUS.Active) return { status: 400, error: "Parent shake is not Active" };
+    if (parent.worker !== rfq.requester) return { status: 403, error: "Only the parent shake's worker can sub-hire" };
+    if (BigInt(rfq.maxAmount) > BigInt(parent.remainingBudget)) {
+      return { status: 400, error: "maxAmount exceeds the parent shake's remaining budget", remainingBudget: parent.remainingBudget };
+    }
+  } else if (rfq.parentShakeId !== "0") {
+    return { status: 400, error: "parentShakeId must be 0 unless subHire is set" };
+  }
+
+  const rfqId = ethers.TypedDataEncoder.hash(domain, RFQ_TYPES, rfq);
+  if (store.getRfq(rfqId)) return { status: 409, error: "RFQ already posted", rfqId };
+
+  const record = { rfqId, rfq, signature, createdAt: now, quotes: [], award: null };
+  store.putRfq(record);
+  store.save();
+  return record;
+}
+
+/** Add a worker's signed quote to an open RFQ. */
+function submitQuote(store, domain, rfqId, { quote: input, signature }, now) {
+  const record = store.getRfq(rfqId);
+  if (!record) return { status: 404, error: "RFQ not found" };
+  const status = rfqStatus(record, now);
+  if (status !== "open") return { status: 409, error: `RFQ is ${status}` };
+
+  let quote;
+  try {
+    quote = parseQuote(input);
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+  if (quote.rfqId !== record.rfqId) return { status: 400, error: "Quote is for a different RFQ" };
+  const signer = recoverSigner(domain, QUOTE_TYPES, quote, signature);
+  if (!signer) return { status: 400, error: "Invalid signature" };
+  if (signer !== quote.worker) return { status: 401, error: "Signature does not match worker" };
+  if (quote.worker === record.rfq.requester) return { status: 403, error: "A requester can't quote on its own RFQ" };
+
+  const { rfq } = record;
+  const amount = BigInt(quote.amount);
+  if (quote.expiresAt <= now) return { status: 400, error: "Quote has already expired" };
+  if (amount === 0n) return { status: 400, error: "amount must be greater than zero" };
+  if (rfq.maxAmount !== "0" && amount > BigInt(rfq.maxAmount)) return { status: 400, error: "amount exceeds the RFQ's maxAmount" };
+  if (quote.deadline === 0) return { status: 400, error: "deadline must be greater than zero" };
+  if (rfq.maxDeadline !== 0 && quote.deadline > rfq.maxDeadline) return { status: 400, error: "deadline exceeds the RFQ's maxDeadline" };
+  if (quote.subHires.length > MAX_SUB_HIRES) return { status: 400, error: `At most ${MAX_SUB_HIRES} sub-hires` };
+  if (quote.subHires.reduce((sum, hire) => sum + BigInt(hire.amount), 0n) > amount) {
+    return { status: 400, error: "Sub-hires exceed the quoted amount" };
+  }
+
+  const quoteId = ethers.TypedDataEncoder.hash(domain, QUOTE_TYPES, quote);
+  if (record.quotes.some((q) => q.quoteId === quoteId)) return { status: 409, error: "Quote already submitted", quoteId };
+
+  const entry = { quoteId, quote, signature, submittedAt: now };
+  record.quotes.push(entry);
+  store.putRfq(record);
+  store.save();
+  return entry;
+}
+
+/**
+ * Check the requester's signed pick of a quote. Resolves to { record, entry }
+ * for the transaction to be built from. Awarding the same quote again returns
+ * the transaction again, until the shake it creates is indexed or the quote
+ * expires; another quote can be awarded once that award has lapsed.
+ */
+function checkAward(store, domain, rfqId, { quoteId, signature }, now) {
+  const record = store.getRfq(rfqId);
+  if (!record) return { status: 404, error: "RFQ not found" };
+  if (!ethers.isHexString(quoteId, 32)) return { status: 400, error: "Invalid quoteId" };
+  const entry = record.quotes.find((q) => q.quoteId === quoteId.toLowerCase());
+  if (!entry) return { status: 404, error: "Quote not found" };
+
+  const signer = recoverSigner(domain, AWARD_TYPES, { rfqId: record.rfqId, quoteId: entry.quoteId }, signature);
+  if (!signer) return { status: 400, error: "Invalid signature" };
+  if (signer !== record.rfq.requester) return { status: 401, error: "Signature does not match requester" };
+
+  if (record.award) {
+    const sameQuote = record.award.quoteId === entry.quoteId;
+    if (!sameQuote && !awardLapsed(record, now)) return { status: 409, error: "RFQ already awarded to another quote" };
+    const shakeId = awardedShakeId(record);
+    if (sameQuote && shakeId !== null) return { status: 409, error: `Award already created shake ${shakeId}`, shakeId };
+  }
+  if (entry.quote.expiresAt <= now) return { status: 409, error: "Quote has expired" };
+  return { record, entry };
+}
+
+/** Record the award of a quote checked by checkAward (replacing a lapsed one). */
+function recordAward(store, record, entry, signature, now) {
+  if (record.award && record.award.quoteId === entry.quoteId) return record;
+  record.award = { quoteId: entry.quoteId, worker: entry.quote.worker, signature, awardedAt: now, shakeId: null };
+  store.putRfq(record);
+  store.save();
+  return record;
+}
+
+/** ShakeEscrow call that turns an awarded quote into a shake reserved for its worker. */
+function awardCall(record, entry) {
+  const { rfq } = record;
+  const { quote } = entry;
+  if (rfq.subHire) {
+    return { fn: "createChildShakeFor", args: [rfq.parentShakeId, quote.amount, quote.deadline, rfq.taskHash, quote.worker] };
+  }
+  return { fn: "createShakeFor", args: [quote.amount, quote.deadline, rfq.taskHash, quote.worker] };
+}
+
+// Shake created from the award, once claimed
+function awardedShakeId(record) {
+  return record.award.shakeId ?? null;
+}
+
+/**
+ * Indexer "event" handler: a shake reserved (WorkerDesignated) for an awarded
+ * worker is claimed by the oldest unclaimed award it matches — same
+ * requester, task and amount, awarded no later than the shake. Events arrive
+ * in chain order, so identical RFQs each claim their own shake. The indexer
+ * saves the store after the sync that emitted the event.
+ */
+function claimAwardedShake(store, event) {
+  if (event.contract !== "ShakeEscrow" || event.name !== "WorkerDesignated") return;
+  const shakeId = event.shakeIds[0];
+  const shake = store.getShake(shakeId);
+  if (!shake || store.listRfqs((r) => r.award && r.award.shakeId === shakeId).length > 0) return;
+
+  const [record] = store
+    .listRfqs((r) => {
+      if (!r.award || r.award.shakeId != null || r.award.worker !== event.args.worker || r.award.awardedAt > event.timestamp) return false;
+      const { rfq } = r;
+      return shake.requester === rfq.requester && shake.taskHash.toLowerCase() === rfq.taskHash && shake.amount === awardedQuote(r).quote.amount;
+    })
+    .sort((a, b) => a.award.awardedAt - b.award.awardedAt);
+  if (!record) return;
+  record.award.shakeId = shakeId;
+  store.putRfq(record);
+}
+
+/** Indexer "reorg" handler: drop claims on shakes whose WorkerDesignated was rolled back. */
+function releaseAwardedShakes(store) {
+  for (const record of store.listRfqs((r) => r.award && r.award.shakeId != null)) {
+    const { shakeId, worker } = record.award;
+    const designated = store.listEventsNamed("ShakeEscrow", "WorkerDesignated", (e) => e.shakeIds[0] === shakeId && e.args.worker === worker);
+    if (designated.length > 0) continue;
+    record.award.shakeId = null;
+    store.putRfq(record);
+  }
+}
+
+function describeQuote(entry, now) {
+  const { quote } = entry;
+  return {
+    quoteId: entry.quoteId,
+    ...quote,
+    amountUSDC: usdc(quote.amount),
+    subHires: quote.subHires.map((hire) => ({ ...hire, amountUSDC: usdc(hire.amount) })),
+    expired: quote.expiresAt <= now,
+    signature: entry.signature,
+    submittedAt: entry.submittedAt,
+  };
+}
+
+/** An RFQ with its task spec, quotes (cheapest first) and award. */
+function describeRfq(store, record, now) {
+  const { rfq, award } = record;
+  return {
+    rfqId: record.rfqId,
+    status: rfqStatus(record, now),
+    ...rfq,
+    maxAmountUSDC: rfq.maxAmount === "0" ? null : usdc(rfq.maxAmount),
+    task: store.getTask(rfq.taskHash),
+    signature: record.signature,
+    createdAt: record.createdAt,
+    quotes: record.quotes
+      .map((entry) => describeQuote(entry, now))
+      .sort((a, b) => (BigInt(a.amount) < BigInt(b.amount) ? -1 : BigInt(a.amount) > BigInt(b.amount) ? 1 : 0)),
+    award: award && { ...award, shakeId: awardedShakeId(record), lapsed: awardLapsed(record, now) },
+  };
+}
+
+/**
+ * RFQs matching GET /rfqs filters, oldest first.
+ * @param {object} filters
+ * @param {string} [filters.status] one of RFQ_STATUSES
+ * @param {string} [filters.requester] checksummed address
+ * @param {string} [filters.taskHash]
+ * @param {string} [filters.worker] only RFQs this worker has quoted on
+ */
+function findRfqs(store, { status, requester, taskHash, worker }, now) {
+  return store.listRfqs(
+    (record) =>
+      (!status || rfqStatus(record, now) === status) &&
+      (!requester || record.rfq.requester === requester) &&
+      (!taskHash || record.rfq.taskHash === taskHash.toLowerCase()) &&
+      (!worker || record.quotes.some((q) => q.quote.worker === worker))
+  );
+}
+
+module.exports = {
+  negotiationDomain,
+  openRfq,
+  submitQuote,
+  checkAward,
+  recordAward,
+  awardCall,
+  claimAwardedShake,
+  releaseAwardedShakes,
+  describeRfq,
+  describeQuote,
+  findRfqs,
+  parseRfq,
+  parseQuote,
+  NEGOTIATION_TYPES,
+  RFQ_STATUSES,
+  MAX_SUB_HIRES,
+};
@@ -0,0 +1,310 @@
+/**
+ * Negotiation Tests
+ *
+ * A requester collects signed quotes on an RFQ and awards the cheaper one;
+ * the award's createShakeFor is sent and only the chosen worker can accept.
+ * The winner then sub-hires through a second RFQ (createChildShakeFor).
+ * Also: quotes outside the RFQ's limits, wrong signers, expiry, and awards
+ * claiming their shake in event order (and losing it to a reorg).
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+
+const USDC = (n) => (BigInt(n) * 1_000000n).toString();
+const DAY = 86400;
+
+describe("x402 Negotiation", function () {
+  let escrow;
+  let deployer, requester, cheap, pricey, sub;
+  let x402, server, port;
+  let domain, types, taskHash;
+  let rfqNonce = 0;
+
+  before(async function () {
+    [deployer, requester, cheap, pricey, sub] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const usdc = await MockUSDC.deploy();
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    const registry = await AgentRegistry.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+
+    await usdc.faucet(requester.address, 1000_000000);
+    await usdc.connect(requester).approve(await escrow.getAddress(), ethers.MaxUint256);
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+      validateResponses: true,
+    });
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+
+    ({ body: { domain, types } } = await request("GET", "/negotiation"));
+    ({ body: { taskHash } } = await request("POST", "/tasks", {
+      title: "Quarterly report",
+      description: "Scrape, clean and chart Q3 sales",
+      requiredSkills: ["web_scraping", "visualization"],
+    }));
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function request(method, path, body) {
+    const res = await fetch(`http://localhost:${port}${path}`, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function now() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function postRfq(signer, fields = {}) {
+    const rfq = {
+      requester: signer.address,
+      taskHash,
+      subHire: false,
+      parentShakeId: "0",
+      maxAmount: USDC(300),
+      maxDeadline: 2 * DAY,
+      expiresAt: (await now()) + 3600,
+      nonce: String(++rfqNonce),
+      ...fields,
+    };
+    return request("POST", "/rfqs", { rfq, signature: await signer.signTypedData(domain, types.RFQ, rfq) });
+  }
+
+  async function postQuote(signer, rfqId, fields = {}, as = signer) {
+    const quote = {
+      rfqId,
+      worker: signer.address,
+      amount: USDC(250),
+      deadline: DAY,
+      subHires: [],
+      expiresAt: (await now()) + 3600,
+      nonce: "1",
+      ...fields,
+    };
+    return request("POST", `/rfqs/${rfqId}/quotes`, { quote, signature: await as.signTypedData(domain, types.Quote, quote) });
+  }
+
+  async function award(signer, rfqId, quoteId) {
+    const signature = await signer.signTypedData(domain, types.Award, { rfqId, quoteId });
+    return request("POST", `/rfqs/${rfqId}/award`, { quoteId, signature });
+  }
+
+  describe("a top-level job", function () {
+    let rfqId, cheapQuote, priceyQuote, shakeId;
+
+    it("posts a signed RFQ for a published task", async function () {
+      const { status, body } = await postRfq(requester);
+      expect(status).to.equal(201);
+      expect(body).to.deep.include({ status: "open", requester: requester.address, taskHash, maxAmountUSDC: 300, quotes: [], award: null });
+      expect(body.task.title).to.equal("Quarterly report");
+      rfqId = body.rfqId;
+
+      const unpublished = await postRfq(requester, { taskHash: ethers.id("nothing") });
+      expect(unpublished.body.error).to.match(/not published/);
+      const forged = await request("POST", "/rfqs", { rfq: { ...(await request("GET", `/rfqs/${rfqId}`)).body, nonce: "2" }, signature: body.signature });
+      expect(forged.status).to.equal(401);
+    });
+
+    it("collects quotes within the RFQ's limits, cheapest first", async function () {
+      const a = await postQuote(pricey, rfqId);
+      expect(a.status).to.equal(201);
+      priceyQuote = a.body.quoteId;
+
+      const b = await postQuote(cheap, rfqId, {
+        amount: USDC(200),
+        deadline: 36 * 3600,
+        subHires: [{ skill: "visualization", amount: USDC(60) }],
+      });
+      expect(b.status).to.equal(201);
+      expect(b.body.subHires).to.deep.equal([{ skill: "visualization", amount: USDC(60), amountUSDC: 60 }]);
+      cheapQuote = b.body.quoteId;
+
+      const { body } = await request("GET", `/rfqs/${rfqId}`);
+      expect(body.quotes.map((q) => q.quoteId)).to.deep.equal([cheapQuote, priceyQuote]);
+    });
+
+    it("rejects quotes over budget, past maxDeadline, overplanned or mis-signed", async function () {
+      expect((await postQuote(pricey, rfqId, { amount: USDC(301) })).body.error).to.equal("amount exceeds the RFQ's maxAmount");
+      expect((await postQuote(pricey, rfqId, { deadline: 3 * DAY })).body.error).to.equal("deadline exceeds the RFQ's maxDeadline");
+      expect((await postQuote(pricey, rfqId, { subHires: [{ skill: "etl", amount: USDC(260) }] })).body.error).to.equal("Sub-hires exceed the quoted amount");
+      expect((await postQuote(pricey, rfqId, { nonce: "2" }, cheap)).status).to.equal(401);
+      expect((await postQuote(requester, rfqId)).status).to.equal(403);
+      expect((await postQuote(pricey, rfqId)).status).to.equal(409);
+    });
+
+    it("awards a quote as createShakeFor only the chosen worker can accept", async function () {
+      expect((await award(cheap, rfqId, cheapQuote)).status).to.equal(401);
+
+      const { status, body } = await award(requester, rfqId, cheapQuote);
+      expect(status).to.equal(200);
+      expect(body.rfq.status).to.equal("awarded");
+      expect(body.rfq.award).to.deep.include({ quoteId: cheapQuote, worker: cheap.address, shakeId: null });
+      expect(body.transaction).to.deep.include({ function: "createShakeFor", from: requester.address, to: await escrow.getAddress() });
+      expect(body.transaction.simulation.success).to.equal(true);
+
+      expect((await award(requester, rfqId, priceyQuote)).status).to.equal(409);
+      expect((await postQuote(pricey, rfqId, { nonce: "3" })).body.error).to.equal("RFQ is awarded");
+
+      await requester.sendTransaction({ to: body.transaction.to, data: body.transaction.data });
+      await x402.getIndexer().sync();
+      shakeId = Number(body.transaction.simulation.result[0]);
+
+      const shake = await escrow.getShake(shakeId);
+      expect(shake.amount).to.equal(BigInt(USDC(200)));
+      expect(shake.taskHash).to.equal(taskHash);
+      await expect(escrow.connect(pricey).acceptShake(shakeId)).to.be.revertedWithCustomError(escrow, "NotDesignatedWorker");
+      await escrow.connect(cheap).acceptShake(shakeId);
+      await x402.getIndexer().sync();
+
+      const { body: rfq } = await request("GET", `/rfqs/${rfqId}`);
+      expect(rfq.award.shakeId).to.equal(shakeId);
+      expect((await award(requester, rfqId, cheapQuote)).body.error).to.equal(`Award already created shake ${shakeId}`);
+    });
+
+    it("lets the winner sub-hire with createChildShakeFor", async function () {
+      const tooBig = await postRfq(cheap, { subHire: true, parentShakeId: String(shakeId), maxAmount: USDC(201) });
+      expect(tooBig.body.error).to.equal("maxAmount exceeds the parent shake's remaining budget");
+      expect((await postRfq(pricey, { subHire: true, parentShakeId: String(shakeId) })).status).to.equal(403);
+
+      const { body: rfq } = await postRfq(cheap, { subHire: true, parentShakeId: String(shakeId), maxAmount: USDC(60) });
+      expect(rfq.parentShakeId).to.equal(String(shakeId));
+      const { body: quote } = await postQuote(sub, rfq.rfqId, { amount: USDC(55) });
+
+      const { body } = await award(cheap, rfq.rfqId, quote.quoteId);
+      expect(body.transaction).to.deep.include({ function: "createChildShakeFor", from: cheap.address, approval: null });
+      await cheap.sendTransaction({ to: body.transaction.to, data: body.transaction.data });
+
+      const childId = Number(body.transaction.simulation.result[0]);
+      expect(await escrow.designatedWorker(childId)).to.equal(sub.address);
+      await expect(escrow.connect(pricey).acceptShake(childId)).to.be.revertedWithCustomError(escrow, "NotDesignatedWorker");
+      await escrow.connect(sub).acceptShake(childId);
+      expect(await escrow.getRemainingBudget(shakeId)).to.equal(BigInt(USDC(145)));
+    });
+  });
+
+  describe("expiry and listing", function () {
+    it("stops taking quotes once an RFQ expires", async function () {
+      const { body: rfq } = await postRfq(requester, { expiresAt: (await now()) + 60 });
+      const { body: quote } = await postQuote(pricey, rfq.rfqId, { expiresAt: (await now()) + 60 });
+
+      await ethers.provider.send("evm_increaseTime", [120]);
+      await ethers.provider.send("evm_mine", []);
+
+      expect((await request("GET", `/rfqs/${rfq.rfqId}`)).body.status).to.equal("expired");
+      expect((await postQuote(cheap, rfq.rfqId)).body.error).to.equal("RFQ is expired");
+      expect((await award(requester, rfq.rfqId, quote.quoteId)).body.error).to.equal("Quote has expired");
+      expect((await postRfq(requester, { expiresAt: (await now()) - 1 })).body.error).to.equal("RFQ has already expired");
+    });
+
+    it("lists RFQs by status, requester and quoting worker", async function () {
+      const awarded = await request("GET", "/rfqs?status=awarded");
+      expect(awarded.body.total).to.equal(2);
+      expect(awarded.body.rfqs.map((r) => r.requester)).to.deep.equal([requester.address, cheap.address]);
+
+      const quotedBySub = await request("GET", `/rfqs?worker=${sub.address}`);
+      expect(quotedBySub.body.rfqs.map((r) => r.subHire)).to.deep.equal([true]);
+      expect((await request("GET", `/rfqs?requester=${requester.address}&limit=1`)).body).to.deep.include({ total: 2, nextOffset: 1 });
+      expect((await request("GET", "/rfqs?status=closed")).status).to.equal(400);
+      expect((await request("GET", `/rfqs/${ethers.id("missing")}`)).status).to.equal(404);
+    });
+  });
+
+  describe("re-awarding and identical RFQs", function () {
+    it("lets the requester award another quote once the awarded one lapses", async function () {
+      const { body: rfq } = await postRfq(requester, { expiresAt: (await now()) + 3 * 3600 });
+      const { body: short } = await postQuote(pricey, rfq.rfqId, { expiresAt: (await now()) + 60 });
+      const { body: long } = await postQuote(cheap, rfq.rfqId, { amount: USDC(220) });
+
+      expect((await award(requester, rfq.rfqId, short.quoteId)).status).to.equal(200);
+      expect((await award(requester, rfq.rfqId, long.quoteId)).body.error).to.equal("RFQ already awarded to another quote");
+
+      await ethers.provider.send("evm_increaseTime", [120]);
+      await ethers.provider.send("evm_mine", []);
+
+      const { body: lapsed } = await request("GET", `/rfqs/${rfq.rfqId}`);
+      expect(lapsed.status).to.equal("open");
+      expect(lapsed.award).to.deep.include({ quoteId: short.quoteId, shakeId: null, lapsed: true });
+      expect((await award(requester, rfq.rfqId, short.quoteId)).body.error).to.equal("Quote has expired");
+
+      const { status, body } = await award(requester, rfq.rfqId, long.quoteId);
+      expect(status).to.equal(200);
+      expect(body.rfq.status).to.equal("awarded");
+      expect(body.rfq.award).to.deep.include({ quoteId: long.quoteId, worker: cheap.address, lapsed: false });
+      expect((await award(requester, rfq.rfqId, short.quoteId)).body.error).to.equal("RFQ already awarded to another quote");
+    });
+
+    it("gives identical RFQs a shake each", async function () {
+      const rfqIds = [];
+      const transactions = [];
+      for (let i = 0; i < 2; i++) {
+        const { body: rfq } = await postRfq(requester);
+        const { body: quote } = await postQuote(cheap, rfq.rfqId, { amount: USDC(100) });
+        rfqIds.push(rfq.rfqId);
+        transactions.push((await award(requester, rfq.rfqId, quote.quoteId)).body.transaction);
+      }
+
+      await requester.sendTransaction({ to: transactions[0].to, data: transactions[0].data });
+      await x402.getIndexer().sync();
+      const first = Number(transactions[0].simulation.result[0]);
+      expect((await request("GET", `/rfqs/${rfqIds[0]}`)).body.award.shakeId).to.equal(first);
+      expect((await request("GET", `/rfqs/${rfqIds[1]}`)).body.award.shakeId).to.equal(null);
+
+      await requester.sendTransaction({ to: transactions[1].to, data: transactions[1].data });
+      await x402.getIndexer().sync();
+      expect((await request("GET", `/rfqs/${rfqIds[1]}`)).body.award.shakeId).to.equal(first + 1);
+      expect((await request("GET", `/rfqs/${rfqIds[0]}`)).body.award.shakeId).to.equal(first);
+    });
+
+    it("claims shakes in event order without reads writing, and drops a claim on reorg", async function () {
+      const { body: rfq } = await postRfq(requester);
+      const { body: quote } = await postQuote(cheap, rfq.rfqId, { amount: USDC(120) });
+      const { transaction } = (await award(requester, rfq.rfqId, quote.quoteId)).body;
+
+      const store = x402.getIndexer().store;
+      const putRfq = store.putRfq.bind(store);
+      let writes = 0;
+      store.putRfq = (record) => {
+        writes++;
+        putRfq(record);
+      };
+      try {
+        expect((await request("GET", `/rfqs/${rfq.rfqId}`)).body.award.shakeId).to.equal(null);
+        expect((await request("GET", "/rfqs?status=awarded")).status).to.equal(200);
+        expect(writes).to.equal(0);
+
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+        await requester.sendTransaction({ to: transaction.to, data: transaction.data });
+        await x402.getIndexer().sync();
+        const shakeId = Number(transaction.simulation.result[0]);
+        expect(writes).to.equal(1);
+        expect((await request("GET", `/rfqs/${rfq.rfqId}`)).body.award.shakeId).to.equal(shakeId);
+        expect(writes).to.equal(1);
+
+        // The shake's block is replaced by an empty one: the claim goes with it
+        await ethers.provider.send("evm_revert", [snapshot]);
+        await ethers.provider.send("hardhat_mine", ["0x2"]);
+        await x402.getIndexer().sync();
+        expect((await request("GET", `/rfqs/${rfq.rfqId}`)).body.award).to.deep.include({ shakeId: null, lapsed: false });
+      } finally {
+        store.putRfq = putRfq;
+      }
+    });
+  });
+});
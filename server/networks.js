@@ -0,0 +1,116 @@
+/**
+ * Network Configuration
+ *
+ * The chains one server instance can serve, loaded from a JSON file
+ * (server/networks.json unless NETWORKS_PATH says otherwise):
+ *
+ *   {
+ *     "default": "base-sepolia",
+ *     "networks": {
+ *       "base-sepolia": {
+ *         "chainId": 84532, "rpcUrl": "https://sepolia.base.org",
+ *         "escrow": "0x…", "registry": "0x…", "feeOracle": "0x…", "delegate": "0x…",
+ *         "crossChain": "0x…", "yieldEscrow": "0x…", "encryptedDelivery": "0x…", "forwarder": "0x…",
+ *         "multicall": "0x…",
+ *         "usdc": "0x…", "startBlock": 0, "cctpDomain": 6
+ *       }
+ *     }
+ *   }
+ *
+ * Requests select a network with a path prefix (`/base/shake/1`) or `?chain=`;
+ * without either they are served by the default network. Networks without an
+ * escrow address are listed in the file as templates and skipped at startup.
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const CONTRACT_KEYS = ["escrow", "registry", "feeOracle", "delegate", "crossChain", "yieldEscrow", "encryptedDelivery", "forwarder", "multicall", "usdc"];
+
+// Names double as URL path prefixes
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Validate one network entry; missing contract addresses become the zero
+ * address. Throws with the network name on the first bad field.
+ */
+function normalizeNetwork(name, cfg) {
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid network name "${name}" (lowercase letters, digits and dashes)`);
+  }
+  if (!cfg || typeof cfg !== "object") {
+    throw new Error(`Network ${name}: expected an object`);
+  }
+  if (cfg.chainId !== undefined && (!Number.isInteger(cfg.chainId) || cfg.chainId <= 0)) {
+    throw new Error(`Network ${name}: chainId must be a positive integer`);
+  }
+  if (!cfg.provider && (typeof cfg.rpcUrl !== "string" || !cfg.rpcUrl)) {
+    throw new Error(`Network ${name}: rpcUrl is required`);
+  }
+
+  const network = {
+    name,
+    chainId: cfg.chainId === undefined ? null : cfg.chainId,
+    rpcUrl: cfg.rpcUrl || null,
+    provider: cfg.provider || null,
+    startBlock: Number(cfg.startBlock || 0),
+    cctpDomain: cfg.cctpDomain === undefined ? null : Number(cfg.cctpDomain),
+    crossChainDomains: cfg.crossChainDomains || {},
+  };
+  // Other domains aren't indexed: their logs are scanned forward from the deployment block
+  for (const [domain, entry] of Object.entries(network.crossChainDomains)) {
+    if (!entry || !Number.isInteger(entry.startBlock) || entry.startBlock < 0) {
+      throw new Error(`Network ${name}: crossChainDomains.${domain}.startBlock must be the CrossChainShake deployment block`);
+    }
+  }
+  for (const key of CONTRACT_KEYS) {
+    const address = cfg[key];
+    if (address && !ethers.isAddress(address)) {
+      throw new Error(`Network ${name}: ${key} is not a valid address`);
+    }
+    network[key] = address ? ethers.getAddress(address) : ethers.ZeroAddress;
+  }
+  return network;
+}
+
+/** Parse a networks document into `{ defaultName, networks: Map<name, network> }`. */
+function parseNetworks(doc) {
+  if (!doc || typeof doc.networks !== "object") {
+    throw new Error("Network config must have a \"networks\" object");
+  }
+
+  const networks = new Map();
+  for (const [name, cfg] of Object.entries(doc.networks)) {
+    networks.set(name, normalizeNetwork(name, cfg));
+  }
+  const defaultName = doc.default || networks.keys().next().value;
+  if (!networks.has(defaultName)) {
+    throw new Error(`Default network "${defaultName}" is not configured`);
+  }
+  return { defaultName, networks };
+}
+
+/**
+ * Read and parse a networks file. `defaultName` replaces the file's default;
+ * non-empty `overrides` (env settings such as RPC_URL / ESCROW_ADDRESS) are
+ * merged into the default network's entry.
+ */
+function loadNetworks(file, { defaultName, overrides = {} } = {}) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read network config ${file}: ${err.message}`);
+  }
+
+  if (defaultName) doc.default = defaultName;
+  const entry = doc.networks && doc.networks[doc.default || Object.keys(doc.networks)[0]];
+  if (entry) {
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value !== undefined && value !== "") entry[key] = value;
+    }
+  }
+  return parseNetworks(doc);
+}
+
+module.exports = { loadNetworks, parseNetworks, normalizeNetwork, CONTRACT_KEYS };
@@ -0,0 +1,163 @@
+/**
+ * Multi-Network Tests
+ *
+ * Serves two ShakeEscrow deployments from one server as separate networks
+ * and checks chain selection by path prefix and ?chain=, per-chain x402
+ * headers, /networks and networks.json parsing.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { loadNetworks, parseNetworks } = require("./networks");
+
+describe("x402 Networks", function () {
+  let usdc, escrow, mirrorEscrow;
+  let deployer, requester;
+  let x402, server, port;
+
+  before(async function () {
+    [deployer, requester] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+    mirrorEscrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+
+    await usdc.faucet(requester.address, 10000_000000);
+    await usdc.connect(requester).approve(await escrow.getAddress(), ethers.MaxUint256);
+    await usdc.connect(requester).approve(await mirrorEscrow.getAddress(), ethers.MaxUint256);
+
+    await escrow.connect(requester).createShake(100_000000, 86400, ethers.id("local task"));
+    await mirrorEscrow.connect(requester).createShake(250_000000, 86400, ethers.id("mirror task"));
+
+    const startBlock = (await usdc.deploymentTransaction().wait()).blockNumber;
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      chain: "hardhat",
+      escrowAddress: await escrow.getAddress(),
+      startBlock,
+      networks: {
+        mirror: {
+          provider: ethers.provider,
+          chainId: 31337,
+          escrowAddress: await mirrorEscrow.getAddress(),
+          usdcAddress: await usdc.getAddress(),
+          startBlock,
+        },
+      },
+    });
+    await x402.getIndexer().sync();
+    await x402.getIndexer("mirror").sync();
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function request(method, path, body) {
+    const res = await fetch(`http://localhost:${port}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  }
+
+  it("GET /networks — lists every configured chain", async function () {
+    const { status, body } = await request("GET", "/networks");
+    expect(status).to.equal(200);
+    expect(body.default).to.equal("hardhat");
+    expect(body.networks.map((n) => [n.chain, n.default])).to.deep.equal([
+      ["hardhat", true],
+      ["mirror", false],
+    ]);
+    expect(body.networks[1].escrow).to.equal(await mirrorEscrow.getAddress());
+    expect(body.networks[1].usdc).to.equal(await usdc.getAddress());
+    expect(body.networks[0].registry).to.equal(null);
+  });
+
+  it("selects the network by path prefix or ?chain=", async function () {
+    expect((await request("GET", "/shake/0")).body.amount).to.equal("100000000");
+    expect((await request("GET", "/mirror/shake/0")).body.amount).to.equal("250000000");
+    expect((await request("GET", "/shake/0?chain=mirror")).body.amount).to.equal("250000000");
+    expect((await request("GET", "/jobs?chain=mirror")).body.jobs.map((j) => j.amount)).to.deep.equal(["250000000"]);
+  });
+
+  it("POST /shake — x402 headers describe the selected chain", async function () {
+    const order = { amount: "5000000", deadline: 86400, taskHash: ethers.id("header task") };
+
+    const mirror = await request("POST", "/mirror/shake", order);
+    expect(mirror.status).to.equal(402);
+    expect(mirror.headers.get("x-payment-chain")).to.equal("mirror");
+    expect(mirror.headers.get("x-payment-chain-id")).to.equal("31337");
+    expect(mirror.headers.get("x-payment-address")).to.equal(await mirrorEscrow.getAddress());
+    expect(mirror.headers.get("x-payment-asset")).to.equal(await usdc.getAddress());
+    expect(mirror.body).to.deep.include({ chain: "mirror", chainId: 31337, escrowAddress: await mirrorEscrow.getAddress() });
+
+    // No chainId in the default network's config — resolved from the RPC
+    const local = await request("POST", "/shake", order);
+    expect(local.headers.get("x-payment-chain")).to.equal("hardhat");
+    expect(local.headers.get("x-payment-chain-id")).to.equal("31337");
+    expect(local.headers.get("x-payment-address")).to.equal(await escrow.getAddress());
+    expect(local.headers.get("x-payment-asset")).to.equal(null);
+  });
+
+  it("GET /health — reports the selected chain", async function () {
+    const { body } = await request("GET", "/mirror/health");
+    expect(body.chain).to.equal("mirror");
+    expect(body.escrow).to.equal(await mirrorEscrow.getAddress());
+    expect(body.networks).to.deep.equal(["hardhat", "mirror"]);
+  });
+
+  it("rejects unknown chains", async function () {
+    const { status, body } = await request("GET", "/shake/0?chain=solana");
+    expect(status).to.equal(400);
+    expect(body.chains).to.deep.equal(["hardhat", "mirror"]);
+  });
+
+  describe("network config", function () {
+    it("parses the shipped networks.json", function () {
+      const { defaultName, networks } = loadNetworks(path.join(__dirname, "networks.json"));
+      expect(defaultName).to.equal("base-sepolia");
+      expect(networks.get("base-sepolia").chainId).to.equal(84532);
+      expect(networks.get("base").escrow).to.equal(ethers.ZeroAddress);
+    });
+
+    it("applies overrides to the default network only", function () {
+      const file = path.join(os.tmpdir(), `clawshake-networks-${process.pid}.json`);
+      fs.writeFileSync(file, JSON.stringify({
+        default: "a",
+        networks: { a: { chainId: 1, rpcUrl: "http://a" }, b: { chainId: 2, rpcUrl: "http://b" } },
+      }));
+      try {
+        const escrowAddress = ethers.Wallet.createRandom().address;
+        const { networks } = loadNetworks(file, { defaultName: "b", overrides: { escrow: escrowAddress, rpcUrl: "" } });
+        expect(networks.get("b").escrow).to.equal(escrowAddress);
+        expect(networks.get("b").rpcUrl).to.equal("http://b");
+        expect(networks.get("a").escrow).to.equal(ethers.ZeroAddress);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it("rejects bad entries", function () {
+      const parse = (networks, extra = {}) => () => parseNetworks({ networks, ...extra });
+      expect(parse({ a: { rpcUrl: "http://a", escrow: "0x1234" } })).to.throw("Network a: escrow is not a valid address");
+      expect(parse({ a: { chainId: 1 } })).to.throw("Network a: rpcUrl is required");
+      expect(parse({ "Base Sepolia": { rpcUrl: "http://a" } })).to.throw("Invalid network name");
+      expect(parse({ a: { rpcUrl: "http://a", crossChainDomains: { 3: { rpcUrl: "http://b", crossChain: "0x" + "1".repeat(40) } } } }))
+        .to.throw("Network a: crossChainDomains.3.startBlock must be the CrossChainShake deployment block");
+      expect(parse({ a: { rpcUrl: "http://a" } }, { default: "b" })).to.throw('Default network "b" is not configured');
+    });
+  });
+});
@@ -0,0 +1,1537 @@
+/**
+ * OpenAPI Document
+ *
+ * The x402 server's HTTP API as an OpenAPI 3.0 document, served at
+ * GET /openapi.json for client SDK generation. It is also what requests are
+ * validated against (validation.js), so a route's documented parameters and
+ * body are exactly what it accepts.
+ *
+ * Custom string formats used below (each also carries an equivalent pattern):
+ *
+ *   address  0x-prefixed 20-byte hex
+ *   bytes32  0x-prefixed 32-byte hex
+ *   hex      0x-prefixed hex bytes
+ *   uint     unsigned integer as a decimal string (uint256 amounts, IDs)
+ *   usdc     USDC amount in whole units with at most 6 decimals ("12.5")
+ *
+ * Every error response shares one body: { error, code, details? } — `error`
+ * is for humans, `code` (ERROR_CODES) for programs.
+ */
+
+const { TIERS } = require("./ratelimit");
+const { SORTS, TOP_MAX } = require("./agents");
+const { SORTS: JOB_SORTS, ORDERS, MAX_LIMIT: JOB_MAX_LIMIT } = require("./jobs");
+const { ROLES } = require("./portfolio");
+const { RFQ_STATUSES, MAX_SUB_HIRES } = require("./negotiation");
+const { LIMITS: DISPUTE_LIMITS } = require("./disputes");
+const { ACTIONS: RELAY_ACTIONS } = require("./relayer");
+const { STATUS_NAMES } = require("./tree");
+const { version } = require("./package.json");
+
+// Default code per HTTP status; handlers may set a more specific one
+const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  402: "PAYMENT_REQUIRED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+  502: "UPSTREAM_FAILED",
+  503: "NOT_CONFIGURED",
+};
+
+// Codes more specific than the status default
+const SPECIFIC_ERROR_CODES = [
+  "INVALID_REQUEST", // failed OpenAPI validation; see `details`
+  "INVALID_JSON",
+  "UNKNOWN_CHAIN",
+  "PAYMENT_INVALID",
+  "PAYMENT_ALREADY_USED",
+  "INSUFFICIENT_CONFIRMATIONS",
+  "INVALID_RESPONSE", // response failed validation (OPENAPI_VALIDATE_RESPONSES only)
+];
+
+/** Default error code for an HTTP status. */
+function errorCodeOf(status) {
+  return ERROR_CODES[status] || (status >= 500 ? ERROR_CODES[500] : ERROR_CODES[400]);
+}
+
+// --- Schema Helpers ---
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => (schema.$ref ? { nullable: true, allOf: [schema] } : { ...schema, nullable: true });
+const arrayOf = (items, extra) => ({ type: "array", items, ...extra });
+const object = (properties, required) => ({ type: "object", properties, ...(required && { required }) });
+
+const string = { type: "string" };
+const text = { type: "string", minLength: 1 };
+const integer = { type: "integer" };
+const count = { type: "integer", minimum: 0 };
+const number = { type: "number" };
+const boolean = { type: "boolean" };
+const address = { type: "string", format: "address", pattern: "^0x[0-9a-fA-F]{40}$" };
+const bytes32 = { type: "string", format: "bytes32", pattern: "^0x[0-9a-fA-F]{64}$" };
+const hex = { type: "string", format: "hex", pattern: "^0x([0-9a-fA-F]{2})*$" };
+const uint = { type: "string", format: "uint", pattern: "^\\d+$" };
+const usdc = { type: "string", format: "usdc", pattern: "^\\d+(\\.\\d{1,6})?$" };
+// Amounts and timestamps in request bodies: JSON number or decimal string
+const uintLike = { anyOf: [uint, count] };
+const freeform = { type: "object", additionalProperties: true };
+
+// --- Parameters ---
+
+const pathParam = (name, schema, description) => ({ name, in: "path", required: true, description, schema });
+const queryParam = (name, schema, description) => ({ name, in: "query", required: false, description, schema });
+const headerParam = (name, schema, description) => ({ name, in: "header", required: false, description, schema });
+
+const chainParam = { $ref: "#/components/parameters/Chain" };
+const shakeIdParam = pathParam("id", uint, "Shake ID");
+const addressParam = pathParam("address", address, "Account address");
+const pagingParams = (max, defaultLimit) => [
+  queryParam("limit", { type: "integer", minimum: 1, maximum: max, default: defaultLimit }, "Page size"),
+  queryParam("offset", { type: "integer", minimum: 0, default: 0 }, "Items to skip"),
+];
+
+// --- Responses ---
+
+const json = (schema, description = "OK", headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { "application/json": { schema } },
+});
+const noContent = (description) => ({ description });
+const error = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const ERROR_RESPONSES = {
+  400: "BadRequest",
+  401: "Unauthorized",
+  402: "PaymentRequired",
+  403: "Forbidden",
+  404: "NotFound",
+  409: "Conflict",
+  429: "RateLimited",
+  500: "InternalError",
+  502: "UpstreamFailed",
+  503: "NotConfigured",
+};
+
+const CACHE_HEADERS = {
+  "X-Cache": { description: "HIT when served from the per-block response cache", schema: { type: "string", enum: ["HIT", "MISS"] } },
+  "X-Cache-Block": { description: "Block the response was computed at", schema: integer },
+};
+
+const RATE_LIMIT_HEADERS = {
+  "X-RateLimit-Limit": { description: "Requests allowed in the current window", schema: integer },
+  "X-RateLimit-Remaining": { description: "Requests left in the current window", schema: integer },
+  "X-RateLimit-Reset": { description: "Unix time the window resets", schema: integer },
+};
+
+const PAYMENT_HEADERS = {
+  "X-Payment-Required": { description: "Always `true`", schema: { type: "string", enum: ["true"] } },
+  "X-Payment-Address": { description: "Escrow contract to pay through", schema: address },
+  "X-Payment-Amount": { description: "USDC amount (6 decimals)", schema: uint },
+  "X-Payment-Chain": { description: "Chain name, e.g. base-sepolia", schema: string },
+  "X-Payment-Chain-Id": { description: "EIP-155 chain ID", schema: integer },
+  "X-Payment-Asset": { description: "USDC token address, when configured", schema: address },
+  "X-Payment-Protocol": { description: "Always `clawshake/v1`", schema: { type: "string", enum: ["clawshake/v1"] } },
+};
+
+/**
+ * One operation. Every route can answer 400 (bad parameters, unknown chain),
+ * 401 (bad credentials), 429 and 500, so those are added to each.
+ */
+function operation(operationId, summary, { tags, parameters = [], body, responses, security, cached, description }) {
+  const all = { ...responses };
+  for (const status of [400, 401, 429, 500]) {
+    if (!all[status]) all[status] = error(ERROR_RESPONSES[status]);
+  }
+  if (cached) {
+    for (const status of Object.keys(all)) {
+      if (status === "200") all[status] = { ...all[status], headers: { ...CACHE_HEADERS, ...all[status].headers } };
+    }
+  }
+  return {
+    operationId,
+    summary,
+    ...(description && { description }),
+    tags,
+    parameters: [...parameters, chainParam],
+    ...(body && { requestBody: { required: true, content: { "application/json": { schema: body } } } }),
+    responses: all,
+    ...(security && { security }),
+  };
+}
+
+const ADMIN = [{ adminToken: [] }];
+const SIWE = [{ siwe: [] }];
+const statusName = { type: "string", enum: [...STATUS_NAMES, "Unknown"] };
+
+// --- Component Schemas ---
+
+const SCHEMAS = {
+  Error: object(
+    {
+      error: { ...string, description: "Human-readable message" },
+      code: { type: "string", enum: [...new Set(Object.values(ERROR_CODES)), ...SPECIFIC_ERROR_CODES] },
+      details: arrayOf(
+        object(
+          {
+            in: { type: "string", enum: ["path", "query", "header", "body"] },
+            name: { ...string, description: "Parameter, or dotted path into the body" },
+            message: string,
+          },
+          ["in", "name", "message"]
+        ),
+        { description: "Every validation problem (INVALID_REQUEST only)" }
+      ),
+    },
+    ["error", "code"]
+  ),
+
+  Attachment: object(
+    { name: text, uri: text, hash: bytes32, size: count, mimeType: text },
+    ["name", "uri"]
+  ),
+  Task: object(
+    {
+      title: text,
+      description: text,
+      requiredSkills: arrayOf(text, { minItems: 1 }),
+      acceptanceCriteria: arrayOf(text),
+      attachments: arrayOf(ref("Attachment")),
+    },
+    ["title", "description", "requiredSkills"]
+  ),
+  PublishedTask: object(
+    { taskHash: bytes32, requiredSkills: arrayOf(string), task: ref("Task") },
+    ["taskHash", "requiredSkills", "task"]
+  ),
+
+  Shake: object(
+    {
+      shakeId: count,
+      requester: address,
+      worker: address,
+      amount: uint,
+      amountUSDC: number,
+      parentShakeId: count,
+      deadline: count,
+      deliveredAt: count,
+      status: statusName,
+      statusCode: count,
+      taskHash: bytes32,
+      deliveryHash: bytes32,
+      isChildShake: boolean,
+      disputeFrozenUntil: count,
+      childShakes: arrayOf(count),
+      remainingBudget: uint,
+      remainingBudgetUSDC: number,
+      task: nullable(ref("Task")),
+    },
+    ["shakeId", "requester", "worker", "amount", "status", "statusCode", "taskHash", "childShakes", "remainingBudget"]
+  ),
+  TreeNode: object(
+    {
+      shakeId: count,
+      depth: count,
+      status: statusName,
+      statusCode: count,
+      requester: address,
+      worker: address,
+      amount: uint,
+      remainingBudget: uint,
+      deadline: count,
+      deliveredAt: count,
+      disputeFrozenUntil: count,
+      disputeWindowEndsAt: nullable(count),
+      subtreeClean: boolean,
+      childrenSettled: boolean,
+      releasableByRequester: boolean,
+      releasableNow: boolean,
+      children: arrayOf(ref("TreeNode")),
+    },
+    ["shakeId", "depth", "status", "amount", "children"]
+  ),
+  Tree: object(
+    { rootShakeId: count, evaluatedAt: count, nodeCount: count, maxDepth: count, tree: ref("TreeNode") },
+    ["rootShakeId", "evaluatedAt", "nodeCount", "maxDepth", "tree"]
+  ),
+  Settlement: object(
+    {
+      shakeId: count,
+      status: statusName,
+      depth: count,
+      amount: uint,
+      remainingBudget: uint,
+      feeBps: count,
+      feeSource: { type: "string", enum: ["static", "oracle"] },
+      feeOracle: nullable(address),
+      fee: { type: "string", pattern: "^-?\\d+$" },
+      childSpend: { type: "string", pattern: "^-?\\d+$" },
+      workerNet: { type: "string", pattern: "^-?\\d+$", description: "Negative when child spend plus fee exceed the amount" },
+      outcomes: {
+        type: "object",
+        description: "Payouts (workerNet, requesterRefund, fee, treasury) per outcome, or { reverts, reason }",
+        properties: { release: freeform, disputeWorkerWins: freeform, disputeRequesterWins: freeform, forceResolve: freeform },
+      },
+      applicable: object({ release: boolean, resolveDispute: boolean, forceResolve: boolean }),
+      forceResolvableAt: nullable(count),
+    },
+    ["shakeId", "status", "depth", "amount", "feeBps", "feeSource", "outcomes", "applicable"]
+  ),
+  Delivery: object(
+    {
+      shakeId: count,
+      status: statusName,
+      requester: address,
+      worker: address,
+      delivered: boolean,
+      deliveredAt: count,
+      deliveryHash: bytes32,
+      encrypted: boolean,
+      requesterPubKeyHash: bytes32,
+      requesterPubKey: nullable(hex),
+      pubKeyMatches: nullable(boolean),
+      encryptedDeliveryKey: nullable(bytes32),
+      proof: nullable(freeform),
+      released: boolean,
+      keyRevealable: boolean,
+    },
+    ["shakeId", "status", "delivered", "encrypted", "released", "keyRevealable"]
+  ),
+  ShakeRequest: object(
+    {
+      amount: { ...uintLike, description: "USDC amount (6 decimals)" },
+      deadline: { ...uintLike, description: "Unix time" },
+      taskHash: bytes32,
+      paymentTx: { ...bytes32, description: "Legacy payment proof: hash of the createShake tx" },
+    },
+    ["amount", "deadline", "taskHash"]
+  ),
+  PaymentRequired: object(
+    {
+      error: string,
+      code: { type: "string", enum: ["PAYMENT_REQUIRED"] },
+      message: string,
+      amount: uintLike,
+      deadline: uintLike,
+      taskHash: bytes32,
+      escrowAddress: address,
+      chain: string,
+      chainId: integer,
+      asset: nullable(address),
+      protocol: { type: "string", enum: ["clawshake/v1"] },
+    },
+    ["error", "code", "amount", "escrowAddress", "chain", "chainId", "protocol"]
+  ),
+  ShakeConfirmed: object(
+    {
+      message: string,
+      shakeId: count,
+      requester: address,
+      paymentTx: bytes32,
+      amount: uintLike,
+      deadline: uintLike,
+      taskHash: bytes32,
+      status: { type: "string", enum: ["confirmed"] },
+    },
+    ["shakeId", "requester", "paymentTx", "status"]
+  ),
+
+  Job: object(
+    {
+      shakeId: count,
+      status: { type: "string", enum: STATUS_NAMES },
+      requester: address,
+      worker: nullable(address),
+      amount: uint,
+      amountUSDC: number,
+      deadline: count,
+      timeRemaining: { ...count, description: "Seconds until the deadline (0 once passed)" },
+      expired: boolean,
+      rewardPerHour: nullable({ ...number, description: "USDC per hour until the deadline; null once expired" }),
+      createdAt: nullable(count),
+      taskHash: bytes32,
+      requiredSkills: nullable(arrayOf(string)),
+      isChildShake: boolean,
+      parentShakeId: count,
+      task: nullable(ref("Task")),
+    },
+    ["shakeId", "requester", "amount", "deadline", "taskHash"]
+  ),
+  JobList: object(
+    {
+      count: { ...count, description: "Jobs on this page" },
+      total: { ...count, description: "Jobs matching the filters" },
+      sort: { type: "string", enum: Object.keys(JOB_SORTS) },
+      order: { type: "string", enum: ORDERS },
+      filters: object({
+        status: arrayOf({ type: "string", enum: STATUS_NAMES }),
+        requester: nullable(address),
+        minReward: number,
+        maxReward: nullable(number),
+        deadlineAfter: nullable(count),
+        deadlineBefore: nullable(count),
+        child: nullable(boolean),
+        parent: nullable(count),
+        skills: arrayOf(string),
+      }),
+      evaluatedAt: { ...count, description: "Chain timestamp timeRemaining is measured from" },
+      nextCursor: nullable(string),
+      jobs: arrayOf(ref("Job")),
+    },
+    ["count", "total", "sort", "order", "filters", "nextCursor", "jobs"]
+  ),
+
+  Agent: object(
+    {
+      address,
+      agentId: bytes32,
+      name: string,
+      skills: arrayOf(string),
+      totalShakes: count,
+      totalEarned: uint,
+      totalEarnedUSDC: number,
+      successRate: { type: "number", minimum: 0, maximum: 100, description: "Percent" },
+      disputesLost: count,
+      active: boolean,
+    },
+    ["address", "name", "skills", "totalShakes", "totalEarned", "successRate"]
+  ),
+  AgentPage: object(
+    {
+      sort: { type: "string", enum: Object.keys(SORTS) },
+      total: count,
+      offset: count,
+      limit: count,
+      nextOffset: nullable(count),
+      agents: arrayOf(ref("Agent")),
+    },
+    ["total", "offset", "limit", "nextOffset", "agents"]
+  ),
+
+  AgentShake: {
+    allOf: [ref("Shake"), object({ roles: arrayOf({ type: "string", enum: ROLES }) }, ["roles"])],
+  },
+  AgentShakePage: object(
+    {
+      address,
+      total: count,
+      offset: count,
+      limit: count,
+      nextOffset: nullable(count),
+      shakes: arrayOf(ref("AgentShake")),
+    },
+    ["address", "total", "offset", "limit", "nextOffset", "shakes"]
+  ),
+  Dispute: object(
+    {
+      shakeId: count,
+      requester: address,
+      worker: address,
+      amount: uint,
+      amountUSDC: number,
+      disputedAt: nullable(count),
+      txHash: nullable(bytes32),
+    },
+    ["shakeId", "requester", "worker", "amount", "disputedAt"]
+  ),
+  Portfolio: object(
+    {
+      address,
+      shakes: object(
+        {
+          total: count,
+          asRequester: count,
+          asWorker: count,
+          byStatus: object(Object.fromEntries(STATUS_NAMES.map((name) => [name, count])), STATUS_NAMES),
+        },
+        ["total", "asRequester", "asWorker", "byStatus"]
+      ),
+      requester: object(
+        {
+          locked: { ...uint, description: "USDC escrowed in unsettled shakes the address requested" },
+          lockedUSDC: number,
+          shakes: arrayOf(
+            object(
+              {
+                shakeId: count,
+                status: statusName,
+                worker: nullable(address),
+                amount: uint,
+                amountUSDC: number,
+                deadline: count,
+                isChildShake: boolean,
+              },
+              ["shakeId", "status", "worker", "amount"]
+            )
+          ),
+        },
+        ["locked", "shakes"]
+      ),
+      worker: object(
+        {
+          expectedPayout: { ...uint, description: "Net of child spend and fees, Active and Delivered shakes" },
+          expectedPayoutUSDC: number,
+          disputedPayout: { ...uint, description: "The same for Disputed shakes" },
+          disputedPayoutUSDC: number,
+          shakes: arrayOf(
+            object(
+              {
+                shakeId: count,
+                status: statusName,
+                requester: address,
+                amount: uint,
+                childSpend: uint,
+                feeBps: count,
+                fee: uint,
+                expectedPayout: uint,
+                expectedPayoutUSDC: number,
+              },
+              ["shakeId", "status", "amount", "childSpend", "feeBps", "fee", "expectedPayout"]
+            )
+          ),
+        },
+        ["expectedPayout", "disputedPayout", "shakes"]
+      ),
+      disputes: object({ against: arrayOf(ref("Dispute")), opened: arrayOf(ref("Dispute")) }, ["against", "opened"]),
+      earnings: object(
+        {
+          total: uint,
+          totalUSDC: number,
+          releases: count,
+          timeline: arrayOf(
+            object(
+              {
+                shakeId: count,
+                payout: uint,
+                payoutUSDC: number,
+                fee: uint,
+                cumulative: uint,
+                cumulativeUSDC: number,
+                blockNumber: count,
+                timestamp: count,
+                txHash: bytes32,
+              },
+              ["shakeId", "payout", "cumulative", "blockNumber", "txHash"]
+            )
+          ),
+        },
+        ["total", "releases", "timeline"]
+      ),
+    },
+    ["address", "shakes", "requester", "worker", "disputes", "earnings"]
+  ),
+
+  DelegateSession: object(
+    {
+      sessionId: count,
+      owner: address,
+      delegate: address,
+      maxSpend: uint,
+      spent: uint,
+      remaining: uint,
+      expiresAt: count,
+      expiresIn: count,
+      expired: boolean,
+      revoked: boolean,
+      valid: boolean,
+      shakes: arrayOf(freeform),
+    },
+    ["sessionId", "owner", "delegate", "maxSpend", "spent", "remaining", "expiresAt", "valid", "shakes"]
+  ),
+  DelegateSessionList: object(
+    {
+      owner: address,
+      delegate: address,
+      count: count,
+      totalSpent: uint,
+      totalRemaining: uint,
+      sessions: arrayOf(ref("DelegateSession")),
+    },
+    ["count", "totalSpent", "totalRemaining", "sessions"]
+  ),
+
+  CrossChainRequest: object(
+    {
+      requestId: count,
+      status: { type: "string", enum: ["pending_attestation", "attested", "fulfilled"] },
+      initiator: address,
+      amount: uint,
+      deadline: count,
+      taskHash: bytes32,
+      nonce: uint,
+      source: freeform,
+      attestation: freeform,
+      destination: freeform,
+      shakeId: nullable(count),
+    },
+    ["requestId", "status", "initiator", "amount", "nonce", "source", "attestation", "destination", "shakeId"]
+  ),
+
+  PubKey: object({ address, pubKey: hex, pubKeyHash: bytes32 }, ["address", "pubKey", "pubKeyHash"]),
+  UnsignedTransaction: object(
+    { from: address, to: address, data: hex, value: uint, chainId: integer, gas: nullable(uint) },
+    ["to", "data", "value", "chainId"]
+  ),
+  PubKeyRegistration: object(
+    { address, pubKey: hex, pubKeyHash: bytes32, alreadyRegistered: boolean, transaction: ref("UnsignedTransaction") },
+    ["address", "pubKey", "pubKeyHash", "alreadyRegistered", "transaction"]
+  ),
+
+  YieldSplit: object({ worker: uint, requester: uint, treasury: uint }, ["worker", "requester", "treasury"]),
+  YieldDeposit: object(
+    {
+      depositId: count,
+      depositor: address,
+      principal: uint,
+      shares: uint,
+      depositedAt: count,
+      withdrawn: boolean,
+      vault: nullable(address),
+      currentAssets: nullable(uint),
+      accruedYield: nullable(uint),
+      split: nullable(ref("YieldSplit")),
+      apy: nullable(number),
+      withdrawal: nullable(freeform),
+    },
+    ["depositId", "depositor", "principal", "shares", "withdrawn"]
+  ),
+  YieldDeposits: object(
+    {
+      depositor: address,
+      count: count,
+      open: count,
+      totalPrincipal: uint,
+      totalAssets: uint,
+      totalAccruedYield: uint,
+      split: ref("YieldSplit"),
+      deposits: arrayOf(ref("YieldDeposit")),
+    },
+    ["depositor", "count", "open", "totalPrincipal", "deposits"]
+  ),
+
+  TxBuildRequest: object(
+    {
+      contract: { ...text, description: "ShakeEscrow, AgentRegistry, AgentDelegate, EncryptedDelivery or CrossChainShake" },
+      function: text,
+      args: { description: "Array in ABI order, or object keyed by parameter name", anyOf: [arrayOf({}), freeform] },
+      from: address,
+    },
+    ["contract", "function", "from"]
+  ),
+  BuiltTransaction: object(
+    {
+      contract: string,
+      function: string,
+      from: address,
+      to: address,
+      data: hex,
+      value: uint,
+      chainId: integer,
+      gas: nullable(uint),
+      simulation: freeform,
+      approval: nullable(freeform),
+    },
+    ["contract", "function", "from", "to", "data", "value", "chainId", "simulation"]
+  ),
+
+  ForwardRequest: object(
+    { from: address, to: address, value: uintLike, gas: uintLike, nonce: uintLike, deadline: uintLike, data: hex },
+    ["from", "to", "value", "gas", "nonce", "deadline", "data"]
+  ),
+  RelayPrepareRequest: object(
+    {
+      from: address,
+      action: { ...text, description: `One of ${Object.keys(RELAY_ACTIONS).join(", ")} (see GET /relay)` },
+      args: { description: "Array in ABI order, or object keyed by parameter name", anyOf: [arrayOf({}), freeform] },
+      gas: uintLike,
+      deadline: uintLike,
+    },
+    ["from", "action", "args"]
+  ),
+  TypedForwardRequest: object(
+    { domain: freeform, types: freeform, primaryType: { type: "string", enum: ["ForwardRequest"] }, message: ref("ForwardRequest") },
+    ["domain", "types", "primaryType", "message"]
+  ),
+  RelayRequest: object({ request: ref("ForwardRequest"), signature: hex }, ["request", "signature"]),
+  RelayResult: object(
+    { txHash: bytes32, blockNumber: count, from: address, nonce: uint, action: string, args: arrayOf({}), gasUsed: uint, cost: uint },
+    ["txHash", "from", "nonce", "gasUsed", "cost"]
+  ),
+  RelaySigner: object(
+    { address, nonce: uint, spent: uint, spendLimit: uint, remaining: uint, windowSeconds: count },
+    ["address", "nonce", "spent", "spendLimit", "remaining", "windowSeconds"]
+  ),
+  RelayInfo: object(
+    {
+      forwarder: address,
+      escrow: address,
+      relayer: address,
+      trusted: boolean,
+      domain: freeform,
+      actions: arrayOf(string),
+      policy: object({ maxGas: uint, maxDeadline: count, spendLimit: uint, globalSpendLimit: uint, windowSeconds: count }),
+    },
+    ["forwarder", "escrow", "relayer", "trusted", "domain", "actions", "policy"]
+  ),
+
+  RfqMessage: object(
+    {
+      requester: address,
+      taskHash: { ...bytes32, description: "Published task spec (POST /tasks)" },
+      subHire: { ...boolean, description: "Hire for a child shake of parentShakeId" },
+      parentShakeId: { ...uintLike, description: "Active shake the requester works on; 0 unless subHire" },
+      maxAmount: { ...uintLike, description: "Budget ceiling in USDC units (0 = none)" },
+      maxDeadline: { ...uintLike, description: "Longest acceptable deadline in seconds (0 = none)" },
+      expiresAt: { ...uintLike, description: "Unix time quotes are taken until" },
+      nonce: uintLike,
+    },
+    ["requester", "taskHash", "subHire", "parentShakeId", "maxAmount", "maxDeadline", "expiresAt", "nonce"]
+  ),
+  RfqRequest: object({ rfq: ref("RfqMessage"), signature: hex }, ["rfq", "signature"]),
+  QuoteMessage: object(
+    {
+      rfqId: bytes32,
+      worker: address,
+      amount: uintLike,
+      deadline: { ...uintLike, description: "Seconds from shake creation" },
+      subHires: arrayOf(object({ skill: text, amount: uintLike }, ["skill", "amount"]), {
+        maxItems: MAX_SUB_HIRES,
+        description: "Planned sub-hires, funded from amount",
+      }),
+      expiresAt: { ...uintLike, description: "Unix time the quote can be awarded until" },
+      nonce: uintLike,
+    },
+    ["rfqId", "worker", "amount", "deadline", "subHires", "expiresAt", "nonce"]
+  ),
+  QuoteRequest: object({ quote: ref("QuoteMessage"), signature: hex }, ["quote", "signature"]),
+  AwardRequest: object({ quoteId: bytes32, signature: hex }, ["quoteId", "signature"]),
+  Quote: object(
+    {
+      quoteId: bytes32,
+      rfqId: bytes32,
+      worker: address,
+      amount: uint,
+      amountUSDC: number,
+      deadline: count,
+      subHires: arrayOf(object({ skill: string, amount: uint, amountUSDC: number }, ["skill", "amount", "amountUSDC"])),
+      expiresAt: count,
+      expired: boolean,
+      nonce: uint,
+      signature: hex,
+      submittedAt: count,
+    },
+    ["quoteId", "rfqId", "worker", "amount", "deadline", "subHires", "expiresAt", "expired", "nonce", "signature", "submittedAt"]
+  ),
+  Rfq: object(
+    {
+      rfqId: bytes32,
+      status: { type: "string", enum: RFQ_STATUSES },
+      requester: address,
+      taskHash: bytes32,
+      subHire: boolean,
+      parentShakeId: uint,
+      maxAmount: uint,
+      maxAmountUSDC: nullable(number),
+      maxDeadline: count,
+      expiresAt: count,
+      nonce: uint,
+      task: nullable(ref("Task")),
+      signature: hex,
+      createdAt: count,
+      quotes: arrayOf(ref("Quote")),
+      award: nullable(
+        object(
+          {
+            quoteId: bytes32,
+            worker: address,
+            signature: hex,
+            awardedAt: count,
+            shakeId: nullable(count),
+            lapsed: { ...boolean, description: "The quote expired before a shake was created; the requester can award again" },
+          },
+          ["quoteId", "worker", "signature", "awardedAt", "shakeId", "lapsed"]
+        )
+      ),
+    },
+    ["rfqId", "status", "requester", "taskHash", "subHire", "parentShakeId", "maxAmount", "maxDeadline", "expiresAt", "nonce", "signature", "createdAt", "quotes", "award"]
+  ),
+  RfqPage: object(
+    { total: count, offset: count, limit: count, nextOffset: nullable(count), rfqs: arrayOf(ref("Rfq")) },
+    ["total", "offset", "limit", "nextOffset", "rfqs"]
+  ),
+  Award: object({ rfq: ref("Rfq"), transaction: ref("BuiltTransaction") }, ["rfq", "transaction"]),
+  NegotiationInfo: object(
+    { domain: freeform, types: freeform, statuses: arrayOf(string) },
+    ["domain", "types", "statuses"]
+  ),
+
+  EvidenceMessage: object(
+    {
+      shakeId: uintLike,
+      submitter: { ...address, description: "The shake's requester or worker" },
+      statement: { ...text, maxLength: DISPUTE_LIMITS.statement },
+      contentHashes: arrayOf(bytes32, { maxItems: DISPUTE_LIMITS.contentHashes, description: "Digests of the material, e.g. the deliveryHash" }),
+      links: arrayOf(string, { maxItems: DISPUTE_LIMITS.links, description: "http, https, ipfs or ar URLs" }),
+      nonce: uintLike,
+    },
+    ["shakeId", "submitter", "statement", "contentHashes", "links", "nonce"]
+  ),
+  EvidenceRequest: object({ evidence: ref("EvidenceMessage"), signature: hex }, ["evidence", "signature"]),
+  Evidence: object(
+    {
+      evidenceId: { ...bytes32, description: "EIP-712 hash of the signed bundle" },
+      role: { type: "string", enum: ROLES },
+      shakeId: uint,
+      submitter: address,
+      statement: string,
+      contentHashes: arrayOf(bytes32),
+      links: arrayOf(string),
+      nonce: uint,
+      signature: hex,
+      submittedAt: count,
+    },
+    ["evidenceId", "role", "shakeId", "submitter", "statement", "contentHashes", "links", "nonce", "signature", "submittedAt"]
+  ),
+  RulingMessage: object(
+    {
+      shakeId: uintLike,
+      workerWins: boolean,
+      rationale: { ...text, maxLength: DISPUTE_LIMITS.rationale },
+      caseHash: { ...bytes32, description: "caseHash of the case file the ruling was made on" },
+    },
+    ["shakeId", "workerWins", "rationale", "caseHash"]
+  ),
+  RulingRequest: object({ ruling: ref("RulingMessage"), signature: hex }, ["ruling", "signature"]),
+  Ruling: object(
+    {
+      shakeId: uint,
+      workerWins: boolean,
+      rationale: string,
+      caseHash: bytes32,
+      signer: address,
+      signature: hex,
+      publishedAt: count,
+    },
+    ["shakeId", "workerWins", "rationale", "caseHash", "signer", "signature", "publishedAt"]
+  ),
+  PublishedRuling: object(
+    { ruling: ref("Ruling"), transaction: nullable(ref("BuiltTransaction")) },
+    ["ruling", "transaction"]
+  ),
+  CaseFile: object(
+    {
+      shakeId: count,
+      status: statusName,
+      requester: address,
+      worker: address,
+      amount: uint,
+      amountUSDC: number,
+      parentShakeId: nullable(count),
+      taskHash: bytes32,
+      task: nullable(ref("Task")),
+      delivery: object({ deliveryHash: nullable(bytes32), deliveredAt: nullable(count) }, ["deliveryHash", "deliveredAt"]),
+      disputedAt: nullable(count),
+      evidence: object({ requester: arrayOf(ref("Evidence")), worker: arrayOf(ref("Evidence")) }, ["requester", "worker"]),
+      caseHash: { ...bytes32, description: "keccak256 of the evidence IDs in submission order; sign it into the ruling" },
+      open: { ...boolean, description: "Whether evidence is still taken" },
+      timeline: arrayOf(
+        object(
+          { type: string, at: count, blockNumber: count, txHash: bytes32, args: freeform, evidenceId: bytes32, role: string, workerWins: boolean },
+          ["type", "at"]
+        ),
+        { description: "Indexed events of the shake, evidence submissions and the ruling, oldest first" }
+      ),
+      subtree: object({ disputedShakeIds: arrayOf(count), tree: ref("TreeNode") }, ["disputedShakeIds", "tree"]),
+      ruling: nullable(ref("Ruling")),
+      resolution: nullable(
+        object(
+          { workerWins: boolean, at: count, txHash: bytes32, matchesRuling: nullable(boolean) },
+          ["workerWins", "at", "txHash", "matchesRuling"]
+        )
+      ),
+    },
+    ["shakeId", "status", "taskHash", "delivery", "disputedAt", "evidence", "caseHash", "open", "timeline", "subtree", "ruling", "resolution"]
+  ),
+  DisputesInfo: object(
+    {
+      domain: freeform,
+      types: freeform,
+      limits: freeform,
+      treasury: { ...address, description: "The only signer of rulings (resolveDispute caller)" },
+      open: arrayOf(
+        object(
+          {
+            shakeId: count,
+            requester: address,
+            worker: address,
+            amount: uint,
+            disputedAt: nullable(count),
+            evidence: object({ requester: count, worker: count }, ["requester", "worker"]),
+            ruled: boolean,
+          },
+          ["shakeId", "disputedAt", "evidence", "ruled"]
+        ),
+        { description: "Disputed shakes, oldest dispute first" }
+      ),
+    },
+    ["domain", "types", "limits", "treasury", "open"]
+  ),
+
+  WebhookRequest: object(
+    {
+      url: { ...text, description: "http(s) URL deliveries are POSTed to" },
+      filters: { ...freeform, description: "Same filters as GET /events: type, shakeId, root, requester, worker" },
+      secret: { ...text, description: "HMAC secret; generated when omitted" },
+    },
+    ["url"]
+  ),
+  Webhook: object(
+    { id: string, owner: address, url: string, filters: freeform, secret: string, createdAt: count, deadLetters: count },
+    ["id", "owner", "url", "filters", "createdAt"]
+  ),
+  DeadLetter: object(
+    { id: string, webhookId: string, payload: freeform, attempts: count, lastError: nullable(string), failedAt: count },
+    ["id", "webhookId", "payload", "attempts"]
+  ),
+  ReplayResult: object({ id: string, delivered: boolean, error: nullable(string) }, ["id", "delivered"]),
+
+  Nonce: object(
+    { nonce: string, expiresAt: count, message: { ...string, description: "EIP-4361 message to sign (with ?address=)" } },
+    ["nonce", "expiresAt"]
+  ),
+  SiweRequest: object({ message: text, signature: hex }, ["message", "signature"]),
+  SiweSession: object(
+    { token: string, address, chainId: integer, expiresAt: count, tier: { type: "string", enum: TIERS } },
+    ["token", "address", "chainId", "expiresAt", "tier"]
+  ),
+  Caller: object(
+    {
+      tier: { type: "string", enum: TIERS },
+      address: nullable(address),
+      service: nullable(string),
+      expiresAt: nullable(count),
+      rateLimited: boolean,
+    },
+    ["tier", "address", "service", "expiresAt", "rateLimited"]
+  ),
+  ApiKey: object({ name: string, key: string, createdAt: count }, ["name", "createdAt"]),
+
+  Network: object(
+    {
+      chain: string,
+      chainId: nullable(integer),
+      default: boolean,
+      escrow: nullable(address),
+      registry: nullable(address),
+      feeOracle: nullable(address),
+      delegate: nullable(address),
+      crossChain: nullable(address),
+      yieldEscrow: nullable(address),
+      encryptedDelivery: nullable(address),
+      forwarder: nullable(address),
+      usdc: nullable(address),
+      multicall: nullable(address),
+      indexedBlock: nullable(integer),
+    },
+    ["chain", "chainId", "default", "escrow"]
+  ),
+  Health: object(
+    {
+      status: { type: "string", enum: ["ok"] },
+      protocol: string,
+      chain: string,
+      chainId: nullable(integer),
+      escrow: address,
+      registry: address,
+      indexedBlock: nullable(integer),
+      networks: arrayOf(string),
+    },
+    ["status", "protocol", "chain", "escrow", "registry", "networks"]
+  ),
+  HealthCheck: object(
+    {
+      name: { ...string, description: "rpc, code:<contract>, wiring:escrow.registry, wiring:registry.authorizedCallers or indexer" },
+      ok: boolean,
+      error: string,
+      address: nullable(address),
+      blockNumber: integer,
+      chainId: integer,
+      latencyMs: count,
+      expected: address,
+      actual: address,
+      indexedBlock: nullable(integer),
+      headBlock: integer,
+      lag: nullable(count),
+    },
+    ["name", "ok"]
+  ),
+  DeepHealth: object(
+    {
+      status: { type: "string", enum: ["ok", "fail"] },
+      chain: string,
+      chainId: nullable(integer),
+      checks: arrayOf(ref("HealthCheck")),
+    },
+    ["status", "chain", "checks"]
+  ),
+};
+
+// --- Paths ---
+// In route order; the validator takes the first template that matches.
+
+function paths() {
+  const shakeTags = ["Shakes"];
+  return {
+    "/shake/{id}": {
+      get: operation("getShake", "Shake details", {
+        tags: shakeTags,
+        parameters: [shakeIdParam],
+        responses: { 200: json(ref("Shake")), 404: error("NotFound") },
+      }),
+    },
+    "/shake/{id}/tree": {
+      get: operation("getShakeTree", "Full recursive hire tree", {
+        tags: shakeTags,
+        parameters: [shakeIdParam, queryParam("format", { type: "string", enum: ["json", "mermaid", "dot"], default: "json" }, "Output format")],
+        responses: {
+          200: {
+            description: "Tree as JSON, a Mermaid flowchart or Graphviz DOT",
+            content: {
+              "application/json": { schema: ref("Tree") },
+              "text/plain": { schema: string },
+              "text/vnd.graphviz": { schema: string },
+            },
+          },
+          404: error("NotFound"),
+        },
+      }),
+    },
+    "/shake/{id}/settlement": {
+      get: operation("getSettlement", "Payout preview for release, dispute and force-resolve", {
+        tags: shakeTags,
+        parameters: [shakeIdParam],
+        cached: true,
+        responses: { 200: json(ref("Settlement")), 404: error("NotFound") },
+      }),
+    },
+    "/shake/{id}/delivery": {
+      get: operation("getDelivery", "Encrypted delivery proof and whether the key may be revealed", {
+        tags: shakeTags,
+        parameters: [shakeIdParam],
+        cached: true,
+        responses: { 200: json(ref("Delivery")), 404: error("NotFound") },
+      }),
+    },
+    "/shake": {
+      post: operation("createShake", "Create a shake (x402)", {
+        tags: shakeTags,
+        description:
+          "Without a payment proof this answers 402 with the X-Payment-* headers describing what to pay. " +
+          "After sending createShake on-chain, repeat the request with `X-Payment-Proof` (or `paymentTx`).",
+        parameters: [
+          headerParam(
+            "X-Payment-Proof",
+            string,
+            "txHash:chainId:blockNumber:shakeId:signature — signature by the requester over the first four fields"
+          ),
+        ],
+        body: ref("ShakeRequest"),
+        responses: {
+          201: json(ref("ShakeConfirmed"), "Payment verified", {
+            "X-Shake-Id": { description: "ID of the created shake", schema: integer },
+          }),
+          402: error("PaymentRequired"),
+          403: error("Forbidden"),
+          409: error("Conflict"),
+        },
+      }),
+    },
+    "/agent/{address}": {
+      get: operation("getAgent", "Agent passport", {
+        tags: ["Agents"],
+        parameters: [addressParam],
+        cached: true,
+        responses: { 200: json(ref("Agent")), 404: error("NotFound") },
+      }),
+    },
+    "/agent/{address}/shakes": {
+      get: operation("listAgentShakes", "Shakes an address requested or works on, newest first", {
+        tags: ["Agents"],
+        parameters: [
+          addressParam,
+          queryParam("role", { type: "string", enum: ROLES }, "Only shakes where the address plays this role"),
+          queryParam("status", text, `Comma-separated statuses (${STATUS_NAMES.join(", ")})`),
+          ...pagingParams(100, 20),
+        ],
+        cached: true,
+        responses: { 200: json(ref("AgentShakePage")) },
+      }),
+    },
+    "/agent/{address}/portfolio": {
+      get: operation("getPortfolio", "USDC locked as requester, expected payouts as worker, open disputes, earnings", {
+        tags: ["Agents"],
+        parameters: [addressParam],
+        cached: true,
+        responses: { 200: json(ref("Portfolio")) },
+      }),
+    },
+    "/agents": {
+      get: operation("listAgents", "Agent discovery", {
+        tags: ["Agents"],
+        parameters: [
+          queryParam("skill", text, "Skill the agent must have (synonyms match)"),
+          queryParam("minRating", { type: "number", minimum: 0, maximum: 100 }, "Minimum success rate, percent"),
+          queryParam("sort", { type: "string", enum: Object.keys(SORTS), default: "rating" }, "Sort order"),
+          ...pagingParams(100, 20),
+        ],
+        cached: true,
+        responses: { 200: json(ref("AgentPage")) },
+      }),
+    },
+    "/agents/top": {
+      get: operation("topAgents", "Top agents by success rate (min 5 shakes)", {
+        tags: ["Agents"],
+        parameters: [queryParam("skill", text, "Only agents with this skill"), ...pagingParams(TOP_MAX, 10)],
+        cached: true,
+        responses: { 200: json(ref("AgentPage")) },
+      }),
+    },
+    "/sessions/{id}": {
+      get: operation("getDelegateSession", "AgentDelegate session: spend, expiry, revocation", {
+        tags: ["Delegate Sessions"],
+        parameters: [pathParam("id", uint, "Session ID")],
+        cached: true,
+        responses: { 200: json(ref("DelegateSession")), 404: error("NotFound"), 503: error("NotConfigured") },
+      }),
+    },
+    "/owner/{address}/sessions": {
+      get: operation("listOwnerSessions", "Sessions an owner has granted", {
+        tags: ["Delegate Sessions"],
+        parameters: [addressParam],
+        cached: true,
+        responses: { 200: json(ref("DelegateSessionList")), 503: error("NotConfigured") },
+      }),
+    },
+    "/delegate/{address}/sessions": {
+      get: operation("listDelegateSessions", "Sessions granted to a delegate key", {
+        tags: ["Delegate Sessions"],
+        parameters: [addressParam],
+        cached: true,
+        responses: { 200: json(ref("DelegateSessionList")), 503: error("NotConfigured") },
+      }),
+    },
+    "/pubkey/{address}": {
+      get: operation("getPubKey", "Registered encryption key", {
+        tags: ["Encrypted Delivery"],
+        parameters: [addressParam],
+        cached: true,
+        responses: { 200: json(ref("PubKey")), 404: error("NotFound"), 503: error("NotConfigured") },
+      }),
+      put: operation("buildPubKeyRegistration", "Unsigned registerPubKey transaction", {
+        tags: ["Encrypted Delivery"],
+        parameters: [addressParam],
+        body: object({ pubKey: { ...hex, description: "Uncompressed secp256k1 public key (65 bytes)" } }, ["pubKey"]),
+        responses: { 200: json(ref("PubKeyRegistration")), 503: error("NotConfigured") },
+      }),
+    },
+    "/yield/depositor/{address}": {
+      get: operation("listYieldDeposits", "YieldEscrow deposits of an address, with totals", {
+        tags: ["Yield"],
+        parameters: [addressParam],
+        cached: true,
+        responses: { 200: json(ref("YieldDeposits")), 503: error("NotConfigured") },
+      }),
+    },
+    "/yield/{depositId}": {
+      get: operation("getYieldDeposit", "YieldEscrow deposit position", {
+        tags: ["Yield"],
+        parameters: [pathParam("depositId", uint, "Deposit ID")],
+        cached: true,
+        responses: { 200: json(ref("YieldDeposit")), 404: error("NotFound"), 503: error("NotConfigured") },
+      }),
+    },
+    "/tx/build": {
+      get: operation("listBuildableFunctions", "Contracts and write functions the builder can encode", {
+        tags: ["Transactions"],
+        responses: { 200: json(object({ contracts: freeform }, ["contracts"])) },
+      }),
+      post: operation("buildTransaction", "Unsigned, simulated transaction for a protocol write", {
+        tags: ["Transactions"],
+        body: ref("TxBuildRequest"),
+        responses: { 200: json(ref("BuiltTransaction")), 503: error("NotConfigured") },
+      }),
+    },
+    "/relay": {
+      get: operation("getRelayer", "Gasless relayer: forwarder, EIP-712 domain, actions, policy", {
+        tags: ["Relayer"],
+        responses: { 200: json(ref("RelayInfo")), 503: error("NotConfigured") },
+      }),
+      post: operation("relay", "Submit a signed ForwardRequest; the relayer pays the gas", {
+        tags: ["Relayer"],
+        body: ref("RelayRequest"),
+        responses: {
+          200: json(ref("RelayResult")),
+          403: error("Forbidden"),
+          409: error("Conflict"),
+          503: error("NotConfigured"),
+        },
+      }),
+    },
+    "/relay/prepare": {
+      post: operation("prepareRelay", "Typed ForwardRequest to sign for a relayable action", {
+        tags: ["Relayer"],
+        body: ref("RelayPrepareRequest"),
+        responses: { 200: json(ref("TypedForwardRequest")), 403: error("Forbidden"), 503: error("NotConfigured") },
+      }),
+    },
+    "/relay/signer/{address}": {
+      get: operation("getRelaySigner", "Forwarder nonce and relay spend of a signer", {
+        tags: ["Relayer"],
+        parameters: [addressParam],
+        responses: { 200: json(ref("RelaySigner")), 503: error("NotConfigured") },
+      }),
+    },
+    "/crosschain/by-nonce/{domain}/{nonce}": {
+      get: operation("getCrossChainRequestByNonce", "CCTP request by source-domain nonce", {
+        tags: ["Cross-Chain"],
+        parameters: [pathParam("domain", uint, "Source CCTP domain"), pathParam("nonce", uint, "CCTP nonce")],
+        responses: { 200: json(ref("CrossChainRequest")), 404: error("NotFound") },
+      }),
+    },
+    "/crosschain/{requestId}": {
+      get: operation("getCrossChainRequest", "CCTP request: burn, attestation, fulfillment", {
+        tags: ["Cross-Chain"],
+        parameters: [pathParam("requestId", uint, "Request ID"), queryParam("domain", uint, "Source CCTP domain (default: this chain's)")],
+        responses: { 200: json(ref("CrossChainRequest")), 404: error("NotFound") },
+      }),
+    },
+    "/tasks": {
+      post: operation("publishTask", "Publish a task specification", {
+        tags: ["Tasks"],
+        body: ref("Task"),
+        responses: { 200: json(ref("PublishedTask"), "Already published"), 201: json(ref("PublishedTask"), "Published") },
+      }),
+    },
+    "/tasks/{hash}": {
+      get: operation("getTask", "Task specification by taskHash", {
+        tags: ["Tasks"],
+        parameters: [pathParam("hash", bytes32, "taskHash")],
+        responses: { 200: json(ref("PublishedTask")), 404: error("NotFound") },
+      }),
+    },
+    "/jobs": {
+      get: operation("listJobs", "Search shakes — open ones unless ?status= says otherwise", {
+        tags: ["Shakes"],
+        parameters: [
+          queryParam("status", text, `Comma-separated statuses (${STATUS_NAMES.join(", ")}); default Pending`),
+          queryParam("requester", address, "Only shakes of this requester"),
+          queryParam("skills", text, "Comma-separated skills of the caller; only jobs they cover are listed"),
+          queryParam("minReward", usdc, "Minimum reward in USDC"),
+          queryParam("maxReward", usdc, "Maximum reward in USDC"),
+          queryParam("deadlineAfter", count, "Only deadlines at or after this unix time"),
+          queryParam("deadlineBefore", count, "Only deadlines at or before this unix time"),
+          queryParam("child", boolean, "true: child shakes only; false: top-level shakes only"),
+          queryParam("parent", uint, "Only shakes in the hire tree under this shake"),
+          queryParam("sort", { type: "string", enum: Object.keys(JOB_SORTS), default: "created" }, "created, reward, deadline or rewardPerHour"),
+          queryParam("order", { type: "string", enum: ORDERS }, "Default: asc for created and deadline, desc for reward and rewardPerHour"),
+          queryParam("limit", { type: "integer", minimum: 1, maximum: JOB_MAX_LIMIT, default: 20 }, "Page size"),
+          queryParam("cursor", string, "nextCursor of the previous page"),
+        ],
+        responses: { 200: json(ref("JobList")) },
+      }),
+    },
+    "/negotiation": {
+      get: operation("getNegotiationTypes", "EIP-712 domain and types of RFQs, quotes and awards", {
+        tags: ["Negotiation"],
+        responses: { 200: json(ref("NegotiationInfo")) },
+      }),
+    },
+    "/rfqs": {
+      get: operation("listRfqs", "RFQs by status, requester, task or quoting worker", {
+        tags: ["Negotiation"],
+        parameters: [
+          queryParam("status", { type: "string", enum: RFQ_STATUSES }, "open, expired or awarded"),
+          queryParam("requester", address, "Only RFQs of this requester"),
+          queryParam("taskHash", bytes32, "Only RFQs for this task"),
+          queryParam("worker", address, "Only RFQs this worker has quoted on"),
+          ...pagingParams(100, 20),
+        ],
+        responses: { 200: json(ref("RfqPage")) },
+      }),
+      post: operation("openRfq", "Post a signed request for quotes", {
+        tags: ["Negotiation"],
+        body: ref("RfqRequest"),
+        responses: { 201: json(ref("Rfq"), "Posted"), 403: error("Forbidden"), 409: error("Conflict") },
+      }),
+    },
+    "/rfqs/{id}": {
+      get: operation("getRfq", "An RFQ with its quotes (cheapest first) and award", {
+        tags: ["Negotiation"],
+        parameters: [pathParam("id", bytes32, "RFQ ID")],
+        responses: { 200: json(ref("Rfq")), 404: error("NotFound") },
+      }),
+    },
+    "/rfqs/{id}/quotes": {
+      post: operation("submitQuote", "Submit a worker's signed quote", {
+        tags: ["Negotiation"],
+        parameters: [pathParam("id", bytes32, "RFQ ID")],
+        body: ref("QuoteRequest"),
+        responses: { 201: json(ref("Quote"), "Submitted"), 403: error("Forbidden"), 404: error("NotFound"), 409: error("Conflict") },
+      }),
+    },
+    "/rfqs/{id}/award": {
+      post: operation("awardQuote", "Award a quote; returns the shake creation tx reserved for its worker", {
+        tags: ["Negotiation"],
+        description: "createShakeFor, or createChildShakeFor for a sub-hire, simulated from the requester. Only the chosen worker can accept the shake it creates.",
+        parameters: [pathParam("id", bytes32, "RFQ ID")],
+        body: ref("AwardRequest"),
+        responses: { 200: json(ref("Award")), 404: error("NotFound"), 409: error("Conflict") },
+      }),
+    },
+    "/disputes": {
+      get: operation("getDisputes", "EIP-712 domain and types of evidence and rulings, and open disputes", {
+        tags: ["Disputes"],
+        responses: { 200: json(ref("DisputesInfo")) },
+      }),
+    },
+    "/shake/{id}/evidence": {
+      post: operation("submitEvidence", "Submit a signed evidence bundle", {
+        tags: ["Disputes"],
+        description: "Signed by the shake's requester or worker while it is Delivered or Disputed and no ruling has been published.",
+        parameters: [shakeIdParam],
+        body: ref("EvidenceRequest"),
+        responses: { 201: json(ref("Evidence"), "Submitted"), 403: error("Forbidden"), 404: error("NotFound"), 409: error("Conflict") },
+      }),
+    },
+    "/shake/{id}/case": {
+      get: operation("getCase", "Case file: task, delivery, evidence from both sides, timeline and subtree", {
+        tags: ["Disputes"],
+        parameters: [shakeIdParam],
+        responses: { 200: json(ref("CaseFile")), 404: error("NotFound") },
+      }),
+    },
+    "/shake/{id}/ruling": {
+      post: operation("publishRuling", "Publish the treasury's signed ruling and rationale", {
+        tags: ["Disputes"],
+        description:
+          "Closes the case. The ruling must name the case file's current caseHash. While the shake is still Disputed " +
+          "the response carries the matching resolveDispute transaction; once resolved on-chain the ruling must agree with it.",
+        parameters: [shakeIdParam],
+        body: ref("RulingRequest"),
+        responses: { 201: json(ref("PublishedRuling"), "Published"), 403: error("Forbidden"), 404: error("NotFound"), 409: error("Conflict") },
+      }),
+    },
+    "/events": {
+      get: operation("streamEvents", "Live contract event stream (Server-Sent Events)", {
+        tags: ["Events"],
+        description: "The same stream is served over WebSocket at /events/ws with the same query parameters.",
+        parameters: [
+          queryParam("type", text, "Comma-separated event names"),
+          queryParam("shakeId", uint, "Only events of this shake"),
+          queryParam("root", uint, "Only events in the hire tree under this shake"),
+          queryParam("requester", address, "Only shakes of this requester"),
+          queryParam("worker", address, "Only shakes of this worker"),
+          queryParam("fromBlock", uint, "Replay from this block"),
+          queryParam("cursor", string, "Resume after this event (or Last-Event-ID)"),
+        ],
+        responses: { 200: { description: "Event stream", content: { "text/event-stream": { schema: string } } } },
+      }),
+    },
+    "/webhooks": {
+      post: operation("registerWebhook", "Register a signed webhook subscription", {
+        tags: ["Webhooks"],
+        body: ref("WebhookRequest"),
+        responses: {
+          201: json(ref("Webhook"), "Registered; the secret is only returned here"),
+          409: error("Conflict"),
+        },
+        security: SIWE,
+      }),
+    },
+    "/webhooks/{id}": {
+      get: operation("getWebhook", "Inspect a subscription", {
+        tags: ["Webhooks"],
+        parameters: [pathParam("id", text, "Webhook ID"), headerParam("X-Webhook-Secret", string, "Secret of the webhook")],
+        responses: { 200: json(ref("Webhook")), 403: error("Forbidden"), 404: error("NotFound") },
+      }),
+      delete: operation("deleteWebhook", "Remove a subscription", {
+        tags: ["Webhooks"],
+        parameters: [pathParam("id", text, "Webhook ID"), headerParam("X-Webhook-Secret", string, "Secret of the webhook")],
+        responses: { 204: noContent("Removed"), 403: error("Forbidden"), 404: error("NotFound") },
+      }),
+    },
+    "/admin/webhooks/dead-letters": {
+      get: operation("listDeadLetters", "Deliveries that exhausted their retries", {
+        tags: ["Admin"],
+        parameters: [queryParam("webhookId", text, "Only this webhook's")],
+        security: ADMIN,
+        responses: {
+          200: json(object({ count, deadLetters: arrayOf(ref("DeadLetter")) }, ["count", "deadLetters"])),
+          403: error("Forbidden"),
+        },
+      }),
+    },
+    "/admin/webhooks/dead-letters/{id}/replay": {
+      post: operation("replayDeadLetter", "Re-send one dead letter", {
+        tags: ["Admin"],
+        parameters: [pathParam("id", text, "Dead letter ID")],
+        security: ADMIN,
+        responses: {
+          200: json(ref("ReplayResult"), "Delivered"),
+          403: error("Forbidden"),
+          404: error("NotFound"),
+          502: error("UpstreamFailed"),
+        },
+      }),
+    },
+    "/admin/webhooks/{id}/replay": {
+      post: operation("replayWebhook", "Re-send all dead letters of a webhook", {
+        tags: ["Admin"],
+        parameters: [pathParam("id", text, "Webhook ID")],
+        security: ADMIN,
+        responses: {
+          200: json(object({ replayed: count, delivered: count, results: arrayOf(ref("ReplayResult")) }, ["replayed", "delivered", "results"])),
+          403: error("Forbidden"),
+          404: error("NotFound"),
+        },
+      }),
+    },
+    "/auth/nonce": {
+      get: operation("getNonce", "Single-use SIWE nonce", {
+        tags: ["Auth"],
+        parameters: [queryParam("address", address, "Also return the EIP-4361 message for this address to sign")],
+        responses: { 200: json(ref("Nonce")), 503: error("NotConfigured") },
+      }),
+    },
+    "/auth/siwe": {
+      post: operation("signIn", "Sign in with Ethereum", {
+        tags: ["Auth"],
+        body: ref("SiweRequest"),
+        responses: { 200: json(ref("SiweSession")), 503: error("NotConfigured") },
+      }),
+    },
+    "/auth/session": {
+      get: operation("getCaller", "Who the server thinks the caller is", {
+        tags: ["Auth"],
+        responses: { 200: json(ref("Caller")) },
+      }),
+      delete: operation("signOut", "End the SIWE session of the bearer token", {
+        tags: ["Auth"],
+        responses: { 204: noContent("Signed out") },
+      }),
+    },
+    "/admin/api-keys": {
+      get: operation("listApiKeys", "Service account keys (names only)", {
+        tags: ["Admin"],
+        security: ADMIN,
+        responses: { 200: json(object({ keys: arrayOf(ref("ApiKey")) }, ["keys"])), 403: error("Forbidden") },
+      }),
+      post: operation("createApiKey", "Mint a service account key", {
+        tags: ["Admin"],
+        security: ADMIN,
+        body: object({ name: { type: "string", pattern: "^[\\w.-]{1,64}$" } }, ["name"]),
+        responses: { 201: json(ref("ApiKey"), "Created; the key is only returned here"), 403: error("Forbidden"), 409: error("Conflict") },
+      }),
+    },
+    "/admin/api-keys/{name}": {
+      delete: operation("revokeApiKey", "Revoke a service account key", {
+        tags: ["Admin"],
+        parameters: [pathParam("name", text, "Service account name")],
+        security: ADMIN,
+        responses: { 204: noContent("Revoked"), 403: error("Forbidden"), 404: error("NotFound") },
+      }),
+    },
+    "/networks": {
+      get: operation("listNetworks", "Configured chains and their contract addresses", {
+        tags: ["Server"],
+        responses: { 200: json(object({ default: string, networks: arrayOf(ref("Network")) }, ["default", "networks"])) },
+      }),
+    },
+    "/health": {
+      get: operation("health", "Server health check", {
+        tags: ["Server"],
+        responses: { 200: json(ref("Health")) },
+      }),
+    },
+    "/health/deep": {
+      get: operation("deepHealth", "RPC, contract code, escrow/registry wiring and index lag checks", {
+        tags: ["Server"],
+        responses: {
+          200: json(ref("DeepHealth"), "Every check passed"),
+          503: json(ref("DeepHealth"), "At least one check failed"),
+        },
+      }),
+    },
+    "/metrics": {
+      get: operation("metrics", "Prometheus metrics", {
+        tags: ["Server"],
+        description: "Text exposition format 0.0.4. Covers every chain this server serves; ?chain= is ignored.",
+        responses: { 200: { description: "OK", content: { "text/plain": { schema: string } } } },
+      }),
+    },
+    "/openapi.json": {
+      get: operation("openapi", "This document", {
+        tags: ["Server"],
+        responses: { 200: json(freeform) },
+      }),
+    },
+  };
+}
+
+/** The OpenAPI 3.0 document for the x402 server. */
+function buildSpec() {
+  const errorBody = json(ref("Error"));
+  const errorResponse = (description, headers) => ({ ...errorBody, description, ...(headers && { headers }) });
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Clawshake x402 API",
+      version,
+      description:
+        "Agent-to-agent escrow over HTTP with x402 payment-required responses. Every path is served for the " +
+        "default chain, under a `/<chain>` prefix, or with `?chain=<chain>` (see GET /networks). Requests may carry " +
+        "a SIWE session or API key to raise their rate limit.",
+      license: { name: "Apache-2.0" },
+    },
+    servers: [{ url: "/" }],
+    security: [{}, { siwe: [] }, { apiKey: [] }],
+    tags: ["Shakes", "Agents", "Delegate Sessions", "Encrypted Delivery", "Yield", "Transactions", "Relayer", "Cross-Chain", "Tasks", "Negotiation", "Disputes", "Events", "Webhooks", "Auth", "Admin", "Server"].map((name) => ({ name })),
+    paths: paths(),
+    components: {
+      schemas: SCHEMAS,
+      parameters: {
+        Chain: queryParam("chain", string, "Chain to serve the request for (default: the server's default chain)"),
+      },
+      responses: {
+        BadRequest: errorResponse("Invalid parameters or body (code INVALID_REQUEST, with details) or unknown chain"),
+        Unauthorized: errorResponse("Missing or invalid credentials"),
+        PaymentRequired: {
+          description: "Payment required: pay through the escrow, then retry with X-Payment-Proof",
+          headers: PAYMENT_HEADERS,
+          content: { "application/json": { schema: ref("PaymentRequired") } },
+        },
+        Forbidden: errorResponse("Not allowed"),
+        NotFound: errorResponse("Not found"),
+        Conflict: errorResponse("Conflicts with existing state"),
+        RateLimited: errorResponse("Rate limit exceeded", {
+          ...RATE_LIMIT_HEADERS,
+          "Retry-After": { description: "Seconds until the window resets", schema: integer },
+        }),
+        InternalError: errorResponse("Server or RPC error"),
+        UpstreamFailed: errorResponse("A webhook endpoint failed"),
+        NotConfigured: errorResponse("The contract or service is not configured on this chain"),
+      },
+      securitySchemes: {
+        siwe: { type: "http", scheme: "bearer", description: "SIWE session token (siwe_…) from POST /auth/siwe" },
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key", description: "Service account key (csk_…)" },
+        adminToken: { type: "http", scheme: "bearer", description: "ADMIN_TOKEN" },
+      },
+    },
+  };
+}
+
+module.exports = { buildSpec, errorCodeOf, ERROR_CODES, SPECIFIC_ERROR_CODES };
@@ -0,0 +1,199 @@
+/**
+ * OpenAPI & Validation Tests
+ *
+ * Checks that /openapi.json documents every Express route and the x402
+ * headers, that requests are validated against it with structured
+ * INVALID_REQUEST errors, that every error body carries a code, and — with
+ * response validation on — that real responses match their schemas.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const { Validator } = require("./validation");
+
+describe("x402 OpenAPI & Validation", function () {
+  let usdc, escrow, registry;
+  let deployer, requester, worker;
+  let x402, server, port;
+
+  before(async function () {
+    [deployer, requester, worker] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    registry = await AgentRegistry.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+    await escrow.setRegistry(await registry.getAddress());
+    await registry.authorizeCaller(await escrow.getAddress());
+
+    await usdc.faucet(requester.address, 100_000000);
+    await usdc.connect(requester).approve(await escrow.getAddress(), ethers.MaxUint256);
+    await registry.connect(worker).register("documented", ["etl"]);
+    await escrow.connect(requester).createShake(1_500000, 86400, ethers.id("one and a half"));
+    await escrow.connect(requester).createShake(1_000000, 86400, ethers.id("one"));
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+      usdcAddress: await usdc.getAddress(),
+      siweDomain: "clawshake.test",
+      validateResponses: true,
+    });
+    await x402.getIndexer().sync();
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function request(method, path, body, headers = {}) {
+    const res = await fetch(`http://localhost:${port}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: typeof body === "string" ? body : body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+  }
+
+  it("GET /openapi.json — documents every route", async function () {
+    const { status, body } = await request("GET", "/openapi.json");
+    expect(status).to.equal(200);
+    expect(body.openapi).to.equal("3.0.3");
+
+    const routes = x402.app._router.stack
+      .filter((layer) => layer.route)
+      .flatMap((layer) => Object.keys(layer.route.methods).map((m) => [layer.route.path.replace(/:(\w+)/g, "{$1}"), m]));
+    expect(routes.length).to.be.greaterThan(40);
+    for (const [path, method] of routes) {
+      expect(body.paths[path], `${method.toUpperCase()} ${path}`).to.have.property(method);
+    }
+  });
+
+  it("POST /shake — 402 headers are the documented ones", async function () {
+    const { body: doc } = await request("GET", "/openapi.json");
+    const documented = Object.keys(doc.components.responses.PaymentRequired.headers).map((h) => h.toLowerCase());
+
+    const res = await request("POST", "/shake", { amount: "1000000", deadline: 86400, taskHash: ethers.id("x") });
+    expect(res.status).to.equal(402);
+    expect(res.body.code).to.equal("PAYMENT_REQUIRED");
+    const sent = [...res.headers.keys()].filter((h) => h.startsWith("x-payment-"));
+    expect(sent).to.have.members(documented);
+  });
+
+  it("rejects malformed path, query and body input with INVALID_REQUEST", async function () {
+    const shake = await request("GET", "/shake/abc");
+    expect(shake.status).to.equal(400);
+    expect(shake.body).to.deep.equal({
+      error: "id must be a non-negative integer",
+      code: "INVALID_REQUEST",
+      details: [{ in: "path", name: "id", message: "id must be a non-negative integer" }],
+    });
+
+    const agents = await request("GET", "/agents?limit=500&sort=random");
+    expect(agents.body.details.map((d) => d.message)).to.deep.equal([
+      "sort must be one of: rating, shakes, earned, name",
+      "limit must be an integer from 1 to 100",
+    ]);
+
+    const task = await request("POST", "/tasks", { title: "t", requiredSkills: [], attachments: [{ name: "spec" }] });
+    expect(task.body.details).to.deep.equal([
+      { in: "body", name: "description", message: "description is required" },
+      { in: "body", name: "requiredSkills", message: "requiredSkills must have at least 1 item" },
+      { in: "body", name: "attachments[0].uri", message: "attachments[0].uri is required" },
+    ]);
+
+    const payment = await request("POST", "/shake", { amount: -5, deadline: 86400, taskHash: "0x1234" });
+    expect(payment.body.details.map((d) => d.name)).to.deep.equal(["amount", "taskHash"]);
+    expect(payment.body.details[1].message).to.equal("taskHash must be a 32-byte hex string");
+  });
+
+  it("GET /jobs — minReward takes fractional USDC exactly", async function () {
+    const { body } = await request("GET", "/jobs?minReward=1.5");
+    expect(body.filters.minReward).to.equal(1.5);
+    expect(body.jobs.map((j) => j.amount)).to.deep.equal(["1500000"]);
+
+    expect((await request("GET", "/jobs?minReward=1.000001")).body.count).to.equal(1);
+    expect((await request("GET", "/jobs?minReward=0.5")).body.count).to.equal(2);
+    expect((await request("GET", "/jobs?minReward=1.0000001")).body.code).to.equal("INVALID_REQUEST");
+    expect((await request("GET", "/jobs?minReward=abc")).status).to.equal(400);
+  });
+
+  it("gives every error a code", async function () {
+    const missing = await request("GET", "/shake/99");
+    expect(missing.body).to.deep.equal({ error: "Shake not found", code: "NOT_FOUND" });
+
+    const route = await request("GET", "/nowhere");
+    expect(route.status).to.equal(404);
+    expect(route.body).to.deep.equal({ error: "No route for GET /nowhere", code: "NOT_FOUND" });
+
+    const json = await request("POST", "/tasks", "{ not json");
+    expect(json.status).to.equal(400);
+    expect(json.body.code).to.equal("INVALID_JSON");
+
+    const chain = await request("GET", "/health?chain=atlantis");
+    expect(chain.body.code).to.equal("UNKNOWN_CHAIN");
+
+    const replay = await request("POST", "/shake", { amount: "1000000", deadline: 86400, taskHash: ethers.id("x"), paymentTx: ethers.ZeroHash });
+    expect(replay.body).to.deep.equal({ error: "Payment transaction failed or not found", code: "PAYMENT_INVALID" });
+  });
+
+  it("responses match their documented schemas", async function () {
+    // Response validation is on: any drift would come back as a 500 INVALID_RESPONSE
+    const taskDoc = { title: "Scrape", description: "Scrape a site", requiredSkills: ["etl"] };
+    const paths = [
+      ["GET", "/health"],
+      ["GET", "/networks"],
+      ["GET", "/shake/0"],
+      ["GET", "/shake/0/tree"],
+      ["GET", "/shake/0/settlement"],
+      ["GET", `/agent/${worker.address}`],
+      ["GET", "/agents?skill=etl"],
+      ["GET", "/agents/top"],
+      ["GET", "/jobs"],
+      ["GET", "/tx/build"],
+      ["GET", "/auth/session"],
+      ["GET", `/auth/nonce?address=${worker.address}`],
+      ["POST", "/tasks", taskDoc],
+      ["GET", `/tasks/${(await request("POST", "/tasks", taskDoc)).body.taskHash}`],
+      ["GET", "/sessions/0"],
+    ];
+    for (const [method, path, body] of paths) {
+      const res = await request(method, path, body);
+      expect(res.body && res.body.code, `${method} ${path}: ${JSON.stringify(res.body)}`).to.not.equal("INVALID_RESPONSE");
+      expect(res.status, `${method} ${path}`).to.be.oneOf([200, 201, 503]);
+    }
+  });
+
+  describe("Validator", function () {
+    it("reports responses that break the document", function () {
+      const validator = new Validator(x402.spec);
+      expect(validator.checkResponse("GET", "/health", 200, { status: "ok" })).to.include("protocol is required");
+      expect(validator.checkResponse("GET", "/shake/1", 404, { error: "Shake not found", code: "TEAPOT" })[0]).to.match(/^code must be one of/);
+      expect(validator.checkResponse("GET", "/shake/1", 418, {})).to.deep.equal(["status 418 is not documented"]);
+      expect(validator.checkResponse("GET", "/nowhere", 200, {})).to.equal(null);
+    });
+
+    it("resolves nullable references and anyOf", function () {
+      const validator = new Validator(x402.spec);
+      const job = { shakeId: 1, requester: worker.address, amount: "1", deadline: 1, taskHash: ethers.ZeroHash };
+      expect(validator.check({ $ref: "#/components/schemas/Job" }, { ...job, task: null }, "")).to.deep.equal([]);
+      expect(validator.check({ $ref: "#/components/schemas/Job" }, { ...job, task: { title: "t" } }, "").map((p) => p.name)).to.deep.equal([
+        "task.description",
+        "task.requiredSkills",
+      ]);
+      const amount = x402.spec.components.schemas.ShakeRequest.properties.amount;
+      expect(validator.check(amount, "12", "amount")).to.deep.equal([]);
+      expect(validator.check(amount, 1.5, "amount")[0].message).to.equal("amount must be a non-negative integer");
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Agent Portfolios
+ *
+ * Both sides of an address's book, from the shake index:
+ *
+ *   requester  USDC still escrowed in its shakes (Pending, Active, Delivered,
+ *              Disputed). Child shakes count for the worker that created them.
+ *   worker     expected payout of every shake it holds that isn't settled:
+ *              amount - childSpend - fee, as releaseShake would pay it
+ *              (see settlement.js). Disputed shakes are totalled apart.
+ *   disputes   open disputes against the address (as worker) and opened by
+ *              it (as requester)
+ *   earnings   lifetime timeline of ShakeReleased payouts to the address.
+ *              forceResolve splits emit no ShakeReleased and aren't included.
+ */
+
+const { ethers } = require("ethers");
+const { computeSettlement } = require("./settlement");
+const { STATUS, STATUS_NAMES } = require("./tree");
+
+const ROLES = ["requester", "worker"];
+const ESCROWED = new Set([STATUS.Pending, STATUS.Active, STATUS.Delivered, STATUS.Disputed]);
+const UNSETTLED_WORK = new Set([STATUS.Active, STATUS.Delivered, STATUS.Disputed]);
+
+const usdc = (amount) => Number(amount) / 1e6;
+const sum = (list, field) => list.reduce((acc, item) => acc + BigInt(item[field]), 0n);
+
+/** Roles `address` plays in an indexed shake ([] when neither). */
+function rolesOf(s, address) {
+  const target = address.toLowerCase();
+  return ROLES.filter((role) => s[role].toLowerCase() === target);
+}
+
+/**
+ * Indexed shakes of `address`, newest first, as [{ shake, roles }].
+ * @param {object} [filters]
+ * @param {string} [filters.role] "requester" | "worker"
+ * @param {string[]} [filters.status] status names
+ */
+function shakesOf(store, address, { role, status } = {}) {
+  const statuses = status ? new Set(status.map((name) => STATUS[name])) : null;
+  return store
+    .listShakes((s) => (!statuses || statuses.has(s.status)) && rolesOf(s, address).length > 0)
+    .map((shake) => ({ shake, roles: rolesOf(shake, address) }))
+    .filter(({ roles }) => !role || roles.includes(role))
+    .reverse();
+}
+
+// Indexed ShakeDisputed event of a shake (the latest, should it have been re-indexed)
+function disputeOf(store, shakeId) {
+  const events = store.listEventsNamed("ShakeEscrow", "ShakeDisputed", (e) => e.shakeIds.includes(shakeId));
+  return events[events.length - 1] || null;
+}
+
+function describeDispute(store, s) {
+  const event = disputeOf(store, s.shakeId);
+  return {
+    shakeId: s.shakeId,
+    requester: s.requester,
+    worker: s.worker,
+    amount: s.amount,
+    amountUSDC: usdc(s.amount),
+    disputedAt: event ? event.timestamp : null,
+    txHash: event ? event.txHash : null,
+  };
+}
+
+/** ShakeReleased payouts to `address` in chain order, with a running total. */
+function earningsOf(store, address) {
+  const target = address.toLowerCase();
+  let cumulative = 0n;
+  const timeline = store
+    .listEventsNamed("ShakeEscrow", "ShakeReleased")
+    .filter((e) => {
+      const s = store.getShake(e.shakeIds[0]);
+      return s && s.worker.toLowerCase() === target;
+    })
+    .map((e) => {
+      cumulative += BigInt(e.args.workerPayout);
+      return {
+        shakeId: e.shakeIds[0],
+        payout: e.args.workerPayout,
+        payoutUSDC: usdc(e.args.workerPayout),
+        fee: e.args.protocolFee,
+        cumulative: cumulative.toString(),
+        cumulativeUSDC: usdc(cumulative),
+        blockNumber: e.blockNumber,
+        timestamp: e.timestamp,
+        txHash: e.txHash,
+      };
+    });
+  return { total: cumulative.toString(), totalUSDC: usdc(cumulative), releases: timeline.length, timeline };
+}
+
+/**
+ * Portfolio of `address`. `feeBpsOf(shake)` prices the fee of each unsettled
+ * shake it works on (FeeOracle or the static fee); lookups are issued
+ * together so a multicall runner batches them.
+ */
+async function describePortfolio(store, address, feeBpsOf) {
+  const all = shakesOf(store, address);
+  const requested = all.filter(({ roles }) => roles.includes("requester")).map(({ shake }) => shake);
+  const worked = all.filter(({ roles }) => roles.includes("worker")).map(({ shake }) => shake);
+
+  const escrowed = requested
+    .filter((s) => ESCROWED.has(s.status))
+    .map((s) => ({
+      shakeId: s.shakeId,
+      status: STATUS_NAMES[s.status],
+      worker: s.worker === ethers.ZeroAddress ? null : s.worker,
+      amount: s.amount,
+      amountUSDC: usdc(s.amount),
+      deadline: s.deadline,
+      isChildShake: s.isChildShake,
+    }));
+
+  const working = worked.filter((s) => UNSETTLED_WORK.has(s.status));
+  const fees = await Promise.all(working.map((s) => feeBpsOf(s)));
+  const payouts = working.map((s, i) => {
+    const settlement = computeSettlement({ amount: BigInt(s.amount), remainingBudget: BigInt(s.remainingBudget), feeBps: BigInt(fees[i]) });
+    // Sub-hires that spent the whole budget leave nothing (releaseShake would revert)
+    const workerNet = BigInt(settlement.workerNet) > 0n ? settlement.workerNet : "0";
+    return {
+      shakeId: s.shakeId,
+      status: STATUS_NAMES[s.status],
+      requester: s.requester,
+      amount: s.amount,
+      childSpend: settlement.childSpend,
+      feeBps: Number(fees[i]),
+      fee: settlement.fee,
+      expectedPayout: workerNet,
+      expectedPayoutUSDC: usdc(workerNet),
+    };
+  });
+  const disputed = payouts.filter((p) => p.status === "Disputed");
+  const undisputed = payouts.filter((p) => p.status !== "Disputed");
+
+  const byStatus = Object.fromEntries(STATUS_NAMES.map((name) => [name, 0]));
+  for (const { shake } of all) byStatus[STATUS_NAMES[shake.status]]++;
+
+  const locked = sum(escrowed, "amount");
+  const expected = sum(undisputed, "expectedPayout");
+  const atRisk = sum(disputed, "expectedPayout");
+  return {
+    address,
+    shakes: { total: all.length, asRequester: requested.length, asWorker: worked.length, byStatus },
+    requester: { locked: locked.toString(), lockedUSDC: usdc(locked), shakes: escrowed },
+    worker: {
+      expectedPayout: expected.toString(),
+      expectedPayoutUSDC: usdc(expected),
+      disputedPayout: atRisk.toString(),
+      disputedPayoutUSDC: usdc(atRisk),
+      shakes: payouts,
+    },
+    disputes: {
+      against: worked.filter((s) => s.status === STATUS.Disputed).map((s) => describeDispute(store, s)),
+      opened: requested.filter((s) => s.status === STATUS.Disputed).map((s) => describeDispute(store, s)),
+    },
+    earnings: earningsOf(store, address),
+  };
+}
+
+module.exports = { shakesOf, rolesOf, describePortfolio, earningsOf, ROLES };
@@ -0,0 +1,157 @@
+/**
+ * Agent Portfolio Tests
+ *
+ * A worker who also hires sub-agents: checks /agent/:address/shakes across
+ * both roles and the portfolio's locked USDC, expected payouts net of child
+ * spend and fees, open disputes and ShakeReleased earnings timeline.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+
+const USDC = (n) => BigInt(Math.round(n * 1e6));
+
+describe("x402 Agent Portfolio", function () {
+  let escrow;
+  let deployer, requester, worker, sub;
+  let x402, server, port;
+
+  before(async function () {
+    [deployer, requester, worker, sub] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const usdc = await MockUSDC.deploy();
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    const registry = await AgentRegistry.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+
+    await usdc.faucet(requester.address, 1000_000000);
+    await usdc.connect(requester).approve(await escrow.getAddress(), ethers.MaxUint256);
+    const hash = ethers.id("portfolio");
+    const day = 86400;
+
+    await escrow.connect(requester).createShake(USDC(100), day, hash); // 0: Pending
+    await escrow.connect(requester).createShake(USDC(500), day, hash); // 1: Active, worker hires below
+    await escrow.connect(worker).acceptShake(1);
+    await escrow.connect(worker).createChildShake(1, USDC(120), day, hash); // 2: Released to sub
+    await escrow.connect(sub).acceptShake(2);
+    await escrow.connect(sub).deliverShake(2, hash);
+    await escrow.connect(worker).releaseShake(2);
+    await escrow.connect(requester).createShake(USDC(200), day, hash); // 3: Disputed
+    await escrow.connect(worker).acceptShake(3);
+    await escrow.connect(worker).deliverShake(3, hash);
+    await escrow.connect(requester).disputeShake(3);
+    await escrow.connect(requester).createShake(USDC(80), day, hash); // 4: Released to worker
+    await escrow.connect(worker).acceptShake(4);
+    await escrow.connect(worker).deliverShake(4, hash);
+    await escrow.connect(requester).releaseShake(4);
+    await escrow.connect(worker).createChildShake(1, USDC(30), day, hash); // 5: Pending child
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+      validateResponses: true,
+    });
+    await x402.getIndexer().sync();
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function get(path) {
+    const res = await fetch(`http://localhost:${port}${path}`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  describe("GET /agent/:address/shakes", function () {
+    it("lists shakes in either role, newest first", async function () {
+      const { status, body } = await get(`/agent/${worker.address.toLowerCase()}/shakes`);
+      expect(status).to.equal(200);
+      expect(body.address).to.equal(worker.address);
+      expect(body.shakes.map((s) => [s.shakeId, s.roles])).to.deep.equal([
+        [5, ["requester"]],
+        [4, ["worker"]],
+        [3, ["worker"]],
+        [2, ["requester"]],
+        [1, ["worker"]],
+      ]);
+      expect(body.shakes[2]).to.deep.include({ status: "Disputed", amount: USDC(200).toString() });
+    });
+
+    it("filters by role and status and pages", async function () {
+      const requested = await get(`/agent/${worker.address}/shakes?role=requester`);
+      expect(requested.body.shakes.map((s) => s.shakeId)).to.deep.equal([5, 2]);
+
+      const disputed = await get(`/agent/${worker.address}/shakes?status=disputed`);
+      expect(disputed.body.shakes.map((s) => s.shakeId)).to.deep.equal([3]);
+
+      const first = await get(`/agent/${worker.address}/shakes?limit=2`);
+      expect(first.body).to.deep.include({ total: 5, offset: 0, limit: 2, nextOffset: 2 });
+      const last = await get(`/agent/${worker.address}/shakes?limit=2&offset=4`);
+      expect(last.body.shakes.map((s) => s.shakeId)).to.deep.equal([1]);
+      expect(last.body.nextOffset).to.equal(null);
+
+      expect((await get(`/agent/${worker.address}/shakes?role=boss`)).status).to.equal(400);
+      expect((await get(`/agent/${worker.address}/shakes?status=lost`)).body.error).to.match(/^Invalid status "lost"/);
+      expect((await get(`/agent/${deployer.address}/shakes`)).body.shakes).to.deep.equal([]);
+    });
+  });
+
+  describe("GET /agent/:address/portfolio", function () {
+    it("totals a worker's expected payouts net of child spend and fees", async function () {
+      const { status, body } = await get(`/agent/${worker.address}/portfolio`);
+      expect(status).to.equal(200);
+      expect(body.shakes).to.deep.include({ total: 5, asRequester: 2, asWorker: 3 });
+      expect(body.shakes.byStatus).to.deep.include({ Pending: 1, Active: 1, Released: 2, Disputed: 1 });
+
+      // Shake 1: 500 - (120 + 30 hired out) - 2.5% fee
+      const [disputed, active] = body.worker.shakes;
+      expect(active).to.deep.include({
+        shakeId: 1,
+        childSpend: USDC(150).toString(),
+        feeBps: 250,
+        fee: USDC(12.5).toString(),
+        expectedPayout: USDC(337.5).toString(),
+      });
+      expect(disputed).to.deep.include({ shakeId: 3, expectedPayout: USDC(195).toString() });
+      expect(body.worker).to.deep.include({ expectedPayoutUSDC: 337.5, disputedPayoutUSDC: 195 });
+
+      // Only the unsettled sub-hire is still locked
+      expect(body.requester.locked).to.equal(USDC(30).toString());
+      expect(body.requester.shakes).to.deep.equal([
+        { shakeId: 5, status: "Pending", worker: null, amount: USDC(30).toString(), amountUSDC: 30, deadline: body.requester.shakes[0].deadline, isChildShake: true },
+      ]);
+    });
+
+    it("reports open disputes on both sides", async function () {
+      const { body: asWorker } = await get(`/agent/${worker.address}/portfolio`);
+      expect(asWorker.disputes.against.map((d) => d.shakeId)).to.deep.equal([3]);
+      expect(asWorker.disputes.against[0].disputedAt).to.be.a("number");
+      expect(asWorker.disputes.opened).to.deep.equal([]);
+
+      const { body: asRequester } = await get(`/agent/${requester.address}/portfolio`);
+      expect(asRequester.disputes.opened.map((d) => d.shakeId)).to.deep.equal([3]);
+      // Shakes 0, 1 and 3 are still escrowed; 4 was released
+      expect(asRequester.requester.lockedUSDC).to.equal(800);
+    });
+
+    it("builds the earnings timeline from ShakeReleased", async function () {
+      const { body } = await get(`/agent/${worker.address}/portfolio`);
+      expect(body.earnings).to.deep.include({ total: USDC(78).toString(), releases: 1 });
+      expect(body.earnings.timeline[0]).to.deep.include({ shakeId: 4, payout: USDC(78).toString(), fee: USDC(2).toString(), cumulativeUSDC: 78 });
+
+      const { body: subAgent } = await get(`/agent/${sub.address}/portfolio`);
+      expect(subAgent.earnings.totalUSDC).to.equal(117);
+      expect(subAgent.worker.shakes).to.deep.equal([]);
+    });
+  });
+});
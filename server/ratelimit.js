@@ -0,0 +1,142 @@
+/**
+ * Rate Limits
+ *
+ * Fixed-window request quotas per caller, per route. Callers fall into tiers:
+ *
+ *   anonymous  — no credentials, counted per IP
+ *   agent      — SIWE session for an address not in AgentRegistry
+ *   registered — SIWE session for an address where `isRegistered` is true
+ *   service    — API key
+ *
+ * Config (RATE_LIMITS, JSON; omitted keys keep the defaults below):
+ *
+ *   {
+ *     "windowMs": 60000,
+ *     "default": { "anonymous": 60, "agent": 120, "registered": 600, "service": 3000 },
+ *     "routes": { "GET /jobs": { "anonymous": 10 }, "/shake/:id/tree": { "anonymous": 20 } },
+ *     "addresses": { "0xAgent…": 10000 }
+ *   }
+ *
+ * Routes are "METHOD /path" or "/path" (any method) with `:param` segments and
+ * a trailing `*`; the first match wins and gets its own bucket, everything
+ * else shares the default one. `addresses` replaces the tier quota for
+ * specific signed-in addresses. A quota of `null` means unlimited.
+ */
+
+const { ethers } = require("ethers");
+
+const TIERS = ["anonymous", "agent", "registered", "service"];
+
+const DEFAULT_RATE_LIMITS = {
+  windowMs: 60 * 1000,
+  default: { anonymous: 60, agent: 120, registered: 600, service: 3000 },
+  // /jobs and /agents fan out over the whole index / registry
+  routes: {
+    "GET /jobs": { anonymous: 10, agent: 30, registered: 120, service: 600 },
+    "GET /agents": { anonymous: 10, agent: 30, registered: 120, service: 600 },
+  },
+  addresses: {},
+};
+
+// Sweep expired windows once the bucket map grows past this
+const PRUNE_THRESHOLD = 10000;
+
+function checkQuotas(where, quotas) {
+  for (const [tier, quota] of Object.entries(quotas)) {
+    if (!TIERS.includes(tier)) throw new Error(`${where}: unknown tier "${tier}" (${TIERS.join(", ")})`);
+    if (quota !== null && (!Number.isInteger(quota) || quota < 0)) {
+      throw new Error(`${where}: quota for ${tier} must be a non-negative integer or null`);
+    }
+  }
+}
+
+// "GET /shake/:id/*" → { method: "GET", pattern: /^\/shake\/[^/]+\/.*$/ }
+function compileRoute(key) {
+  const match = /^(?:([A-Z]+)\s+)?(\/\S*)$/.exec(key);
+  if (!match) throw new Error(`Invalid rate limit route "${key}", expected "METHOD /path" or "/path"`);
+  const source = match[2]
+    .split("/")
+    .map((segment) => {
+      if (segment === "*") return ".*";
+      if (segment.startsWith(":")) return "[^/]+";
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("/");
+  return { method: match[1] || null, pattern: new RegExp(`^${source}/?$`) };
+}
+
+class RateLimiter {
+  /** @param {Partial<typeof DEFAULT_RATE_LIMITS>} [config] */
+  constructor(config = {}) {
+    this.windowMs = config.windowMs === undefined ? DEFAULT_RATE_LIMITS.windowMs : config.windowMs;
+    if (!Number.isInteger(this.windowMs) || this.windowMs <= 0) {
+      throw new Error("Rate limit windowMs must be a positive integer");
+    }
+
+    const defaults = config.default || {};
+    checkQuotas("default", defaults);
+    this.defaults = { ...DEFAULT_RATE_LIMITS.default, ...defaults };
+
+    this.routes = Object.entries(config.routes || DEFAULT_RATE_LIMITS.routes).map(([key, quotas]) => {
+      checkQuotas(key, quotas);
+      return { key, ...compileRoute(key), quotas: { ...this.defaults, ...quotas } };
+    });
+
+    this.addresses = new Map();
+    for (const [address, quota] of Object.entries(config.addresses || {})) {
+      if (!ethers.isAddress(address)) throw new Error(`Invalid rate limit address ${address}`);
+      checkQuotas(address, { agent: quota });
+      this.addresses.set(ethers.getAddress(address), quota);
+    }
+
+    this.buckets = new Map(); // "route|subject" → { windowStart, count }
+  }
+
+  /** Route rule a request falls under: { key, quotas }. */
+  routeFor(method, path) {
+    const route = this.routes.find((r) => (!r.method || r.method === method) && r.pattern.test(path));
+    return route || { key: "*", quotas: this.defaults };
+  }
+
+  /**
+   * Count one request. `caller` is { tier, subject, address? }.
+   * Returns { allowed, route, tier, limit, remaining, resetAt }; `limit` is
+   * null (and everything allowed) for unlimited quotas.
+   */
+  consume(method, path, caller, now = Date.now()) {
+    const route = this.routeFor(method, path);
+    const limit = caller.address && this.addresses.has(caller.address)
+      ? this.addresses.get(caller.address)
+      : route.quotas[caller.tier];
+    if (limit === null || limit === undefined) {
+      return { allowed: true, route: route.key, tier: caller.tier, limit: null, remaining: null, resetAt: null };
+    }
+
+    if (this.buckets.size > PRUNE_THRESHOLD) this._prune(now);
+    const key = `${route.key}|${caller.subject}`;
+    let bucket = this.buckets.get(key);
+    if (!bucket || now - bucket.windowStart >= this.windowMs) {
+      bucket = { windowStart: now, count: 0 };
+      this.buckets.set(key, bucket);
+    }
+
+    const allowed = bucket.count < limit;
+    if (allowed) bucket.count++;
+    return {
+      allowed,
+      route: route.key,
+      tier: caller.tier,
+      limit,
+      remaining: limit - bucket.count,
+      resetAt: bucket.windowStart + this.windowMs,
+    };
+  }
+
+  _prune(now) {
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.windowStart >= this.windowMs) this.buckets.delete(key);
+    }
+  }
+}
+
+module.exports = { RateLimiter, DEFAULT_RATE_LIMITS, TIERS };
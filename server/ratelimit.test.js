@@ -0,0 +1,145 @@
+/**
+ * Rate Limit Tests
+ *
+ * Runs the server with small quotas and checks per-route buckets, the
+ * anonymous / agent / registered / service tiers, per-address overrides and
+ * the 429 response, plus RateLimiter config validation and windows.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const { RateLimiter } = require("./ratelimit");
+
+const SERVICE_KEY = "csk_" + "cd".repeat(24);
+
+describe("x402 Rate Limits", function () {
+  let registry;
+  let deployer, member, visitor, vip;
+  let x402, server, port;
+
+  before(async function () {
+    [deployer, member, visitor, vip] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const usdc = await MockUSDC.deploy();
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    registry = await AgentRegistry.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    const escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+    await registry.connect(member).register("member", ["etl"]);
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+      apiKeys: `crawler:${SERVICE_KEY}`,
+      siweDomain: "clawshake.test",
+      rateLimits: {
+        default: { anonymous: 10, agent: 6, registered: 8, service: null },
+        routes: { "GET /jobs": { anonymous: 2, agent: 3, registered: 5 } },
+        addresses: { [vip.address]: 7 },
+      },
+    });
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function request(method, path, body, headers = {}) {
+    const res = await fetch(`http://localhost:${port}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  }
+
+  async function tokenFor(signer) {
+    const { body } = await request("GET", `/auth/nonce?address=${signer.address}`);
+    const signed = await request("POST", "/auth/siwe", { message: body.message, signature: await signer.signMessage(body.message) });
+    return { Authorization: `Bearer ${signed.body.token}` };
+  }
+
+  // Statuses of `count` requests to `path`
+  async function hammer(path, count, headers) {
+    const statuses = [];
+    for (let i = 0; i < count; i++) statuses.push((await request("GET", path, null, headers)).status);
+    return statuses;
+  }
+
+  it("limits anonymous callers per route, with quota headers and Retry-After", async function () {
+    const first = await request("GET", "/jobs");
+    expect(first.headers.get("x-ratelimit-limit")).to.equal("2");
+    expect(first.headers.get("x-ratelimit-remaining")).to.equal("1");
+
+    await request("GET", "/jobs");
+    const limited = await request("GET", "/jobs");
+    expect(limited.status).to.equal(429);
+    expect(limited.body).to.deep.include({ error: "Rate limit exceeded", tier: "anonymous", route: "GET /jobs", limit: 2 });
+    expect(Number(limited.headers.get("retry-after"))).to.be.within(1, 60);
+
+    // Other routes draw from the default bucket
+    expect((await request("GET", "/health")).headers.get("x-ratelimit-limit")).to.equal("10");
+  });
+
+  it("gives signed-in agents more, registered agents most", async function () {
+    const agent = await tokenFor(visitor);
+    expect(await hammer("/jobs", 4, agent)).to.deep.equal([200, 200, 200, 429]);
+
+    const registered = await tokenFor(member);
+    expect(await hammer("/jobs", 6, registered)).to.deep.equal([200, 200, 200, 200, 200, 429]);
+  });
+
+  it("applies per-address overrides and leaves service accounts unlimited", async function () {
+    const override = await tokenFor(vip);
+    const statuses = await hammer("/jobs", 8, override);
+    expect(statuses.filter((s) => s === 200)).to.have.length(7);
+
+    const service = await hammer("/jobs", 10, { "X-API-Key": SERVICE_KEY });
+    expect(service.every((s) => s === 200)).to.equal(true);
+    expect((await request("GET", "/jobs", null, { "X-API-Key": SERVICE_KEY })).headers.get("x-ratelimit-limit")).to.equal(null);
+  });
+
+  describe("RateLimiter", function () {
+    const anonymous = { tier: "anonymous", subject: "ip:1.2.3.4" };
+
+    it("matches :param and * routes by method and resets each window", function () {
+      const limiter = new RateLimiter({
+        windowMs: 1000,
+        default: { anonymous: 5 },
+        routes: { "GET /shake/:id/tree": { anonymous: 1 }, "/admin/*": { anonymous: 0 } },
+      });
+      expect(limiter.routeFor("GET", "/shake/7/tree").key).to.equal("GET /shake/:id/tree");
+      expect(limiter.routeFor("POST", "/shake/7/tree").key).to.equal("*");
+      expect(limiter.routeFor("DELETE", "/admin/api-keys/x").key).to.equal("/admin/*");
+      expect(limiter.routeFor("GET", "/shake/7").key).to.equal("*");
+
+      expect(limiter.consume("GET", "/shake/1/tree", anonymous, 0).allowed).to.equal(true);
+      expect(limiter.consume("GET", "/shake/2/tree", anonymous, 10).allowed).to.equal(false);
+      expect(limiter.consume("GET", "/shake/2/tree", anonymous, 1000)).to.deep.include({ allowed: true, remaining: 0, resetAt: 2000 });
+      expect(limiter.consume("GET", "/admin/x", anonymous, 0).allowed).to.equal(false);
+    });
+
+    it("keeps separate buckets per caller", function () {
+      const limiter = new RateLimiter({ default: { anonymous: 1 }, routes: {} });
+      expect(limiter.consume("GET", "/health", anonymous, 0).allowed).to.equal(true);
+      expect(limiter.consume("GET", "/health", { tier: "anonymous", subject: "ip:5.6.7.8" }, 0).allowed).to.equal(true);
+      expect(limiter.consume("GET", "/health", anonymous, 0).allowed).to.equal(false);
+    });
+
+    it("rejects bad config", function () {
+      expect(() => new RateLimiter({ default: { guest: 5 } })).to.throw('unknown tier "guest"');
+      expect(() => new RateLimiter({ routes: { "GET jobs": {} } })).to.throw("Invalid rate limit route");
+      expect(() => new RateLimiter({ default: { anonymous: -1 } })).to.throw("non-negative integer or null");
+      expect(() => new RateLimiter({ addresses: { "0x1234": 5 } })).to.throw("Invalid rate limit address");
+      expect(() => new RateLimiter({ windowMs: 0 })).to.throw("windowMs");
+    });
+  });
+});
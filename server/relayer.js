@@ -0,0 +1,322 @@
+/**
+ * Gasless Relayer
+ *
+ * Submits EIP-712 signed ShakeForwarder requests from a funded relayer wallet
+ * so agents without ETH can act on ShakeEscrow. The forwarder enforces the
+ * signature, per-signer nonce and deadline on-chain; once ShakeEscrow trusts
+ * it (the forwarder it was deployed with), the escrow sees the signer as the caller.
+ *
+ * Flow:
+ *   1. `prepare(from, action, args)` — typed data to sign (nonce, deadline, gas filled in)
+ *   2. the agent signs it with `signTypedData`
+ *   3. `relay(request, signature)` — policy check, simulation, submission
+ *
+ * Policy, checked before anything is sent:
+ *   - target is the escrow, value is 0 and the calldata is a relayable action
+ *   - deadline is in the future and at most `maxDeadline` seconds ahead
+ *   - gas ≤ `maxGas`
+ *   - the signer is a registered agent, or already a party to the shake it acts
+ *     on (requester, worker or designated worker)
+ *   - the signer's relayed gas cost in the current `windowSeconds` stays within
+ *     `spendLimit` (wei), and all signers' together within `globalSpendLimit`
+ */
+
+const { ethers } = require("ethers");
+const { encodeCall, decodeRevert, WRITE_ABIS, ERRORS_ABI } = require("./txbuilder");
+
+// Relayable intents → ShakeEscrow functions
+const ACTIONS = {
+  accept: "acceptShake",
+  deliver: "deliverShake",
+  release: "releaseShake",
+  dispute: "disputeShake",
+  createChildShake: "createChildShake",
+};
+
+const RELAY_ESCROW_ABI = [
+  ...WRITE_ABIS.ShakeEscrow,
+  ...ERRORS_ABI,
+  "function isTrustedForwarder(address forwarder) view returns (bool)",
+  "function getShake(uint256 shakeId) view returns (tuple(address requester, address worker, uint256 amount, uint256 parentShakeId, uint48 deadline, uint48 deliveredAt, uint8 status, bytes32 taskHash, bytes32 deliveryHash, bool isChildShake, uint48 disputeFrozenUntil, bytes32 requesterPubKeyHash, bytes32 encryptedDeliveryKey))",
+  "function designatedWorker(uint256 shakeId) view returns (address)",
+];
+
+const FORWARDER_ABI = [
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function execute(tuple(address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) payable",
+  "event ExecutedForwardRequest(address indexed signer, uint256 nonce, bool success)",
+];
+
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+const DEFAULT_POLICY = {
+  maxGas: 500000n,
+  maxDeadline: 3600,
+  spendLimit: ethers.parseEther("0.005"),
+  globalSpendLimit: ethers.parseEther("0.05"),
+  windowSeconds: 86400,
+};
+
+// Headroom over the simulated gas when the agent doesn't pick a limit
+const GAS_BUFFER_PCT = 120n;
+
+class Relayer {
+  /**
+   * @param {object} opts
+   * @param {import("ethers").Signer} opts.signer Funded wallet that pays for relayed calls
+   * @param {string} opts.forwarderAddress ShakeForwarder
+   * @param {string} opts.escrowAddress ShakeEscrow the forwarder relays to
+   * @param {Partial<typeof DEFAULT_POLICY>} [opts.policy]
+   * @param {(address: string) => Promise<boolean>} [opts.isRegistered] Whether an address is a registered agent
+   */
+  constructor({ signer, forwarderAddress, escrowAddress, policy, isRegistered = async () => false }) {
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.forwarder = new ethers.Contract(forwarderAddress, FORWARDER_ABI, signer);
+    this.escrow = new ethers.Contract(escrowAddress, RELAY_ESCROW_ABI, this.provider);
+    this.policy = { ...DEFAULT_POLICY, ...policy };
+    this.isRegistered = isRegistered;
+    this.spends = new Map(); // signer (lowercase) → [{ at, cost }]
+    this._domain = null;
+  }
+
+  async domain() {
+    if (!this._domain) {
+      const d = await this.forwarder.eip712Domain();
+      this._domain = { name: d.name, version: d.version, chainId: Number(d.chainId), verifyingContract: d.verifyingContract };
+    }
+    return this._domain;
+  }
+
+  /** Relayed gas cost of `address` inside the current window (wei). */
+  spentBy(address, now = Date.now()) {
+    const since = now - this.policy.windowSeconds * 1000;
+    const entries = (this.spends.get(address.toLowerCase()) || []).filter((e) => e.at > since);
+    this.spends.set(address.toLowerCase(), entries);
+    return entries.reduce((sum, e) => sum + e.cost, 0n);
+  }
+
+  /** Relayed gas cost of all signers inside the current window (wei). */
+  totalSpent(now = Date.now()) {
+    let total = 0n;
+    for (const address of this.spends.keys()) total += this.spentBy(address, now);
+    return total;
+  }
+
+  /** Nonce and spend headroom for a signer. */
+  async signerStatus(address) {
+    const spent = this.spentBy(address);
+    const remaining = this.policy.spendLimit > spent ? this.policy.spendLimit - spent : 0n;
+    return {
+      address,
+      nonce: (await this.forwarder.nonces(address)).toString(),
+      spent: spent.toString(),
+      spendLimit: this.policy.spendLimit.toString(),
+      remaining: remaining.toString(),
+      windowSeconds: this.policy.windowSeconds,
+    };
+  }
+
+  /**
+   * Encode an intent as escrow calldata. `args` is an array in ABI order or
+   * an object keyed by parameter name. Throws on unknown actions or bad args.
+   */
+  encodeAction(action, args) {
+    const fn = ACTIONS[action];
+    if (!fn) {
+      throw new Error(`Unknown action, expected one of: ${Object.keys(ACTIONS).join(", ")}`);
+    }
+    return encodeCall(this.escrow.interface, fn, args);
+  }
+
+  /** Relayable action a calldata encodes, or null. */
+  actionOf(data) {
+    let parsed;
+    try {
+      parsed = this.escrow.interface.parseTransaction({ data });
+    } catch {
+      return null;
+    }
+    if (!parsed) return null;
+    const action = Object.keys(ACTIONS).find((key) => ACTIONS[key] === parsed.name);
+    return action ? { action, fn: parsed.name, args: parsed.args.map(String) } : null;
+  }
+
+  /**
+   * Run the call the escrow would receive from the forwarder — original
+   * calldata with the signer appended. Returns the gas estimate, or
+   * { reverted: { reason, args } }.
+   */
+  async simulate(from, data) {
+    const tx = { from: this.forwarder.target, to: this.escrow.target, data: ethers.concat([data, from]) };
+    try {
+      return { gas: await this.provider.estimateGas(tx) };
+    } catch (err) {
+      return { reverted: decodeRevert(err) };
+    }
+  }
+
+  /**
+   * EIP-712 typed data for an intent, ready for `signTypedData`.
+   * Returns { status, error } when the intent would revert or breaks policy.
+   */
+  async prepare(from, action, args, { gas, deadline } = {}) {
+    let data;
+    try {
+      data = this.encodeAction(action, args);
+    } catch (err) {
+      return { status: 400, error: err.message };
+    }
+
+    const sim = await this.simulate(from, data);
+    if (sim.reverted) {
+      return { status: 400, error: "Action would revert", ...sim.reverted };
+    }
+
+    const latest = await this.provider.getBlock("latest");
+    const message = {
+      from,
+      to: this.escrow.target,
+      value: "0",
+      gas: String(gas !== undefined ? gas : (sim.gas * GAS_BUFFER_PCT) / 100n),
+      nonce: (await this.forwarder.nonces(from)).toString(),
+      deadline: deadline !== undefined ? Number(deadline) : latest.timestamp + this.policy.maxDeadline,
+      data,
+    };
+    const violation = this._checkPolicy(message, latest.timestamp);
+    if (violation) return violation;
+
+    return { domain: await this.domain(), types: FORWARD_REQUEST_TYPES, primaryType: "ForwardRequest", message };
+  }
+
+  /**
+   * Check and submit a signed request. Resolves to the mined relay, or
+   * { status, error } describing why it was refused.
+   */
+  async relay(request, signature) {
+    let message;
+    try {
+      message = {
+        from: ethers.getAddress(request.from),
+        to: ethers.getAddress(request.to),
+        value: BigInt(request.value || 0),
+        gas: BigInt(request.gas),
+        nonce: BigInt(request.nonce),
+        deadline: Number(request.deadline),
+        data: ethers.hexlify(request.data),
+      };
+    } catch {
+      return { status: 400, error: "Malformed request: expected from, to, value, gas, nonce, deadline, data" };
+    }
+    if (!ethers.isHexString(signature, 65)) {
+      return { status: 400, error: "Invalid signature" };
+    }
+
+    const latest = await this.provider.getBlock("latest");
+    const violation = this._checkPolicy(message, latest.timestamp);
+    if (violation) return violation;
+
+    let recovered;
+    try {
+      recovered = ethers.verifyTypedData(await this.domain(), FORWARD_REQUEST_TYPES, message, signature);
+    } catch {
+      return { status: 400, error: "Invalid signature" };
+    }
+    if (recovered !== message.from) {
+      return { status: 401, error: "Signature does not match from" };
+    }
+
+    const nonce = await this.forwarder.nonces(message.from);
+    if (nonce !== message.nonce) {
+      return { status: 409, error: "Stale nonce", expected: nonce.toString() };
+    }
+    if (!(await this.escrow.isTrustedForwarder(this.forwarder.target))) {
+      return { status: 503, error: "Escrow does not trust the relayer's forwarder" };
+    }
+    const refused = await this._checkSigner(message.from, message.data);
+    if (refused) return refused;
+
+    const sim = await this.simulate(message.from, message.data);
+    if (sim.reverted) {
+      return { status: 400, error: "Action would revert", ...sim.reverted };
+    }
+
+    // Reserve the worst case before sending so concurrent requests can't overshoot
+    const feeData = await this.provider.getFeeData();
+    const worstCase = message.gas * (feeData.maxFeePerGas || feeData.gasPrice || 0n);
+    const spent = this.spentBy(message.from);
+    if (spent + worstCase > this.policy.spendLimit) {
+      return { status: 429, error: "Relay spend limit reached", spent: spent.toString(), spendLimit: this.policy.spendLimit.toString() };
+    }
+    const total = this.totalSpent();
+    if (total + worstCase > this.policy.globalSpendLimit) {
+      return { status: 429, error: "Relayer budget exhausted", spent: total.toString(), spendLimit: this.policy.globalSpendLimit.toString() };
+    }
+    const reservation = { at: Date.now(), cost: worstCase };
+    this.spends.get(message.from.toLowerCase()).push(reservation);
+
+    try {
+      const { nonce: _, ...fields } = message;
+      const tx = await this.forwarder.execute({ ...fields, signature });
+      const receipt = await tx.wait();
+      reservation.cost = receipt.fee;
+      return {
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        from: message.from,
+        nonce: message.nonce.toString(),
+        ...this.actionOf(message.data),
+        gasUsed: receipt.gasUsed.toString(),
+        cost: receipt.fee.toString(),
+      };
+    } catch (err) {
+      reservation.cost = 0n;
+      throw err;
+    }
+  }
+
+  // { status, error } unless `from` is a registered agent or a party to the shake the call acts on
+  async _checkSigner(from, data) {
+    if (await this.isRegistered(from)) return null;
+    const shakeId = this.actionOf(data).args[0];
+    const [shake, designated] = await Promise.all([this.escrow.getShake(shakeId), this.escrow.designatedWorker(shakeId)]);
+    if ([shake.requester, shake.worker, designated].includes(from)) return null;
+    return { status: 403, error: `Signer is neither a registered agent nor a party to shake ${shakeId}` };
+  }
+
+  // { status, error } if a request breaks the relay policy, else null
+  _checkPolicy(message, now) {
+    if (ethers.getAddress(message.to) !== this.escrow.target) {
+      return { status: 403, error: "Relayer only forwards to the escrow" };
+    }
+    if (BigInt(message.value) !== 0n) {
+      return { status: 403, error: "Relayed calls cannot carry value" };
+    }
+    if (!this.actionOf(message.data)) {
+      return { status: 403, error: `Not a relayable action (${Object.keys(ACTIONS).join(", ")})` };
+    }
+    if (BigInt(message.gas) > this.policy.maxGas) {
+      return { status: 403, error: `Gas above relay limit of ${this.policy.maxGas}` };
+    }
+    if (message.deadline <= now) {
+      return { status: 400, error: "Request deadline has passed" };
+    }
+    if (message.deadline > now + this.policy.maxDeadline) {
+      return { status: 403, error: `Deadline more than ${this.policy.maxDeadline}s ahead` };
+    }
+    return null;
+  }
+}
+
+module.exports = { Relayer, ACTIONS, FORWARD_REQUEST_TYPES, RELAY_ESCROW_ABI, DEFAULT_POLICY };
@@ -0,0 +1,229 @@
+/**
+ * Gasless Relayer Tests
+ *
+ * An agent wallet holding no ETH signs ShakeForwarder requests prepared by
+ * POST /relay/prepare; the server's relayer submits them. Covers accept,
+ * createChildShake and deliver end to end plus the relay policy: nonces,
+ * deadlines, gas, which signers are relayed, per-signer and global spend
+ * limits, and reverting actions.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const { Relayer } = require("./relayer");
+
+describe("x402 Gasless Relayer", function () {
+  let usdc, escrow, forwarder, registry;
+  let deployer, requester, relayerSigner, registered, agent;
+  let x402, server, port;
+
+  before(async function () {
+    [deployer, requester, relayerSigner, registered] = await ethers.getSigners();
+    agent = ethers.Wallet.createRandom().connect(ethers.provider);
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const ShakeForwarder = await ethers.getContractFactory("ShakeForwarder");
+    forwarder = await ShakeForwarder.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, await forwarder.getAddress());
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    registry = await AgentRegistry.deploy();
+    await registry.connect(registered).register("Registered", ["relay"]);
+
+    await usdc.faucet(requester.address, 10000_000000);
+    await usdc.connect(requester).approve(await escrow.getAddress(), ethers.MaxUint256);
+    await escrow.connect(requester).createShakeFor(100_000000, 86400, ethers.id("relayed task"), agent.address);
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+      forwarderAddress: await forwarder.getAddress(),
+      relayerSigner,
+      relayerPolicy: { spendLimit: ethers.parseEther("0.01") },
+      startBlock: (await usdc.deploymentTransaction().wait()).blockNumber,
+    });
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function request(method, path, body) {
+    const res = await fetch(`http://localhost:${port}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  // Prepare an intent, sign the typed data as `signer` and return the relay body
+  async function signed(signer, action, args, extra = {}) {
+    const prepared = await request("POST", "/relay/prepare", { from: signer.address, action, args, ...extra });
+    expect(prepared.status, JSON.stringify(prepared.body)).to.equal(200);
+    const { domain, types, message } = prepared.body;
+    return { request: message, signature: await signer.signTypedData(domain, types, message) };
+  }
+
+  it("GET /relay — describes the forwarder, signing domain and trust", async function () {
+    const { status, body } = await request("GET", "/relay");
+    expect(status).to.equal(200);
+    expect(body.trusted).to.equal(true);
+    expect(body.relayer).to.equal(relayerSigner.address);
+    expect(body.domain).to.deep.include({ name: "ShakeForwarder", version: "1", chainId: 31337 });
+    expect(body.actions).to.deep.equal(["accept", "deliver", "release", "dispute", "createChildShake"]);
+  });
+
+  it("refuses to relay to an escrow deployed without the forwarder", async function () {
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    const untrusted = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+    await usdc.connect(requester).approve(await untrusted.getAddress(), ethers.MaxUint256);
+    await untrusted.connect(requester).createShake(100_000000, 86400, ethers.id("unrelayed task"));
+
+    // Relaying to an escrow that ignores the forwarder would act as the forwarder itself
+    const relayer = new Relayer({ signer: relayerSigner, forwarderAddress: await forwarder.getAddress(), escrowAddress: await untrusted.getAddress() });
+    const { domain, types, message } = await relayer.prepare(agent.address, "accept", { shakeId: 0 });
+    const result = await relayer.relay(message, await agent.signTypedData(domain, types, message));
+    expect(result).to.deep.equal({ status: 503, error: "Escrow does not trust the relayer's forwarder" });
+  });
+
+  it("POST /relay — accepts a shake for a signer with no ETH", async function () {
+    expect(await ethers.provider.getBalance(agent.address)).to.equal(0n);
+
+    const { status, body } = await request("POST", "/relay", await signed(agent, "accept", { shakeId: 0 }));
+    expect(status).to.equal(200);
+    expect(body).to.deep.include({ from: agent.address, nonce: "0", action: "accept", fn: "acceptShake", args: ["0"] });
+    expect(BigInt(body.cost)).to.be.greaterThan(0n);
+
+    const shake = await escrow.getShake(0);
+    expect(shake.worker).to.equal(agent.address);
+    expect(await ethers.provider.getBalance(agent.address)).to.equal(0n);
+  });
+
+  it("POST /relay — hires a sub-agent and delivers, nonces advancing per signer", async function () {
+    const child = await request("POST", "/relay", await signed(agent, "createChildShake", [0, 30_000000, 3600, ethers.id("sub task")]));
+    expect(child.status).to.equal(200);
+    expect((await escrow.getShake(1)).requester).to.equal(agent.address);
+
+    const delivered = await request("POST", "/relay", await signed(agent, "deliver", { shakeId: 0, deliveryHash: ethers.id("done") }));
+    expect(delivered.status).to.equal(200);
+    expect(delivered.body.nonce).to.equal("2");
+    expect((await escrow.getShake(0)).deliveryHash).to.equal(ethers.id("done"));
+
+    const status = await request("GET", `/relay/signer/${agent.address}`);
+    expect(status.body.nonce).to.equal("3");
+    expect(BigInt(status.body.spent)).to.be.greaterThan(0n);
+    expect(BigInt(status.body.remaining)).to.equal(ethers.parseEther("0.01") - BigInt(status.body.spent));
+  });
+
+  it("POST /relay/prepare — reports the custom error of a reverting action", async function () {
+    const { status, body } = await request("POST", "/relay/prepare", { from: agent.address, action: "accept", args: { shakeId: 0 } });
+    expect(status).to.equal(400);
+    expect(body).to.deep.include({ error: "Action would revert", reason: "NotPending" });
+
+    const unknown = await request("POST", "/relay/prepare", { from: agent.address, action: "resolveDispute", args: [0, true] });
+    expect(unknown.status).to.equal(400);
+    expect(unknown.body.error).to.match(/Unknown action/);
+
+    const badArgs = await request("POST", "/relay/prepare", { from: agent.address, action: "deliver", args: { shakeId: 0 } });
+    expect(badArgs.body.error).to.equal("deliverShake takes (shakeId, deliveryHash)");
+  });
+
+  it("POST /relay — enforces nonce, signature, deadline and gas policy", async function () {
+    const other = ethers.Wallet.createRandom();
+    await escrow.connect(requester).createShakeFor(10_000000, 86400, ethers.id("policy task"), other.address);
+    const good = await signed(other, "accept", { shakeId: 2 });
+
+    // The nonce is signed: changing it no longer recovers the signer
+    const renonced = await request("POST", "/relay", { ...good, request: { ...good.request, nonce: "5" } });
+    expect(renonced.status).to.equal(401);
+
+    const forged = await request("POST", "/relay", { ...good, request: { ...good.request, from: agent.address } });
+    expect(forged.status).to.equal(401);
+
+    const far = await request("POST", "/relay/prepare", {
+      from: other.address, action: "accept", args: { shakeId: 2 },
+      deadline: (await ethers.provider.getBlock("latest")).timestamp + 7200,
+    });
+    expect(far.status).to.equal(403);
+
+    const heavy = await request("POST", "/relay/prepare", { from: other.address, action: "accept", args: { shakeId: 2 }, gas: 600000 });
+    expect(heavy.status).to.equal(403);
+    expect(heavy.body.error).to.equal("Gas above relay limit of 500000");
+
+    const foreign = await request("POST", "/relay", { ...good, request: { ...good.request, to: await usdc.getAddress() } });
+    expect(foreign.status).to.equal(403);
+
+    expect((await request("POST", "/relay", good)).status).to.equal(200);
+    const replay = await request("POST", "/relay", good);
+    expect(replay.status).to.equal(409);
+    expect(replay.body.expected).to.equal("1");
+  });
+
+  it("POST /relay — only relays registered agents and parties to the shake", async function () {
+    await escrow.connect(requester).createShake(10_000000, 86400, ethers.id("open task"));
+    const stranger = ethers.Wallet.createRandom();
+    const refused = await request("POST", "/relay", await signed(stranger, "accept", { shakeId: 3 }));
+    expect(refused.status).to.equal(403);
+    expect(refused.body.error).to.equal("Signer is neither a registered agent nor a party to shake 3");
+    expect((await escrow.getShake(3)).worker).to.equal(ethers.ZeroAddress);
+
+    const accepted = await request("POST", "/relay", await signed(registered, "accept", { shakeId: 3 }));
+    expect(accepted.status).to.equal(200);
+    expect((await escrow.getShake(3)).worker).to.equal(registered.address);
+  });
+
+  it("refuses every signer once the relayer's global budget is spent", async function () {
+    const relayer = new Relayer({ signer: relayerSigner, forwarderAddress: await forwarder.getAddress(), escrowAddress: await escrow.getAddress() });
+    const signers = [0, 1, 2].map(() => ethers.Wallet.createRandom());
+    const messages = [];
+    for (const [i, signer] of signers.entries()) {
+      await escrow.connect(requester).createShakeFor(10_000000, 86400, ethers.id(`budget task ${i}`), signer.address);
+      const { domain, types, message } = await relayer.prepare(signer.address, "accept", { shakeId: 4 + i });
+      messages.push({ message, signature: await signer.signTypedData(domain, types, message) });
+    }
+
+    for (const { message, signature } of messages.slice(0, 2)) {
+      expect((await relayer.relay(message, signature)).txHash).to.be.a("string");
+    }
+    // Two signers spent the budget between them; the third is still far below its own limit
+    relayer.policy.globalSpendLimit = relayer.totalSpent() + 1n;
+    expect(relayer.spentBy(signers[2].address)).to.equal(0n);
+    const result = await relayer.relay(messages[2].message, messages[2].signature);
+    expect(result).to.deep.include({ status: 429, error: "Relayer budget exhausted", spent: relayer.totalSpent().toString() });
+    expect((await escrow.getShake(6)).worker).to.equal(ethers.ZeroAddress);
+  });
+
+  it("POST /relay — refuses signers over their spend limit", async function () {
+    const thrifty = ethers.Wallet.createRandom();
+    await escrow.connect(requester).createShakeFor(10_000000, 86400, ethers.id("limit task"), thrifty.address);
+    const { request: message, signature } = await signed(thrifty, "accept", { shakeId: 7 });
+
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      forwarderAddress: await forwarder.getAddress(),
+      relayerSigner,
+      relayerPolicy: { spendLimit: 1n },
+    });
+    const { status, body } = await request("POST", "/relay", { request: message, signature });
+    expect(status).to.equal(429);
+    expect(body.spent).to.equal("0");
+    expect((await escrow.getShake(7)).worker).to.equal(ethers.ZeroAddress);
+  });
+
+  it("returns 503 when no relayer is configured", async function () {
+    x402.initContracts({ provider: ethers.provider, escrowAddress: await escrow.getAddress() });
+    const { status, body } = await request("GET", "/relay");
+    expect(status).to.equal(503);
+    expect(body.error).to.equal("Relayer not configured (FORWARDER_ADDRESS, RELAYER_PRIVATE_KEY)");
+  });
+});
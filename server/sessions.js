@@ -0,0 +1,83 @@
+/**
+ * Delegate Sessions
+ *
+ * Audit view of AgentDelegate session keys. Spend and revocation state are
+ * read live from `getSession` / `isSessionValid`; which sessions belong to an
+ * owner or delegate, and the shakes created under each, come from the indexed
+ * SessionCreated / DelegateShakeCreated events.
+ */
+
+const { ethers } = require("ethers");
+const { STATUS_NAMES } = require("./tree");
+
+/** Session IDs whose SessionCreated event names `address` as `role` ("owner" | "delegate"). */
+function sessionIdsFor(store, role, address) {
+  const target = address.toLowerCase();
+  return store
+    .listEventsNamed("AgentDelegate", "SessionCreated", (e) => e.args[role].toLowerCase() === target)
+    .map((e) => Number(e.args.sessionId));
+}
+
+/** Shakes created through a session, with their indexed status. */
+function sessionShakes(store, sessionId) {
+  return store
+    .listEventsNamed("AgentDelegate", "DelegateShakeCreated", (e) => Number(e.args.sessionId) === sessionId)
+    .map((e) => {
+      const shakeId = Number(e.args.shakeId);
+      const s = store.getShake(shakeId);
+      return {
+        shakeId,
+        amount: e.args.amount,
+        status: s ? STATUS_NAMES[s.status] || "Unknown" : null,
+        txHash: e.txHash,
+        blockNumber: e.blockNumber,
+        createdAt: e.timestamp,
+      };
+    });
+}
+
+/**
+ * Live state of one session, or null if it was never created.
+ * `now` is the chain timestamp the expiry countdown is measured from.
+ */
+async function describeSession(delegate, store, sessionId, now) {
+  const [s, valid] = await Promise.all([delegate.getSession(sessionId), delegate.isSessionValid(sessionId)]);
+  if (s.owner === ethers.ZeroAddress) return null;
+
+  const expiresAt = Number(s.expiresAt);
+  return {
+    sessionId,
+    owner: s.owner,
+    delegate: s.delegate,
+    maxSpend: s.maxSpend.toString(),
+    spent: s.spent.toString(),
+    remaining: (s.maxSpend - s.spent).toString(),
+    expiresAt,
+    expiresIn: Math.max(expiresAt - now, 0),
+    expired: now >= expiresAt,
+    revoked: !s.active,
+    valid,
+    shakes: sessionShakes(store, sessionId),
+  };
+}
+
+/** Every session for an owner or delegate, with spend totals across them. */
+async function listSessions(delegate, store, role, address, now) {
+  const sessions = [];
+  for (const id of sessionIdsFor(store, role, address)) {
+    const session = await describeSession(delegate, store, id, now);
+    if (session) sessions.push(session);
+  }
+
+  const sum = (list, field) => list.reduce((acc, s) => acc + BigInt(s[field]), 0n).toString();
+  return {
+    [role]: address,
+    count: sessions.length,
+    totalSpent: sum(sessions, "spent"),
+    // Only sessions that can still be used count towards open headroom
+    totalRemaining: sum(sessions.filter((s) => s.valid), "remaining"),
+    sessions,
+  };
+}
+
+module.exports = { sessionIdsFor, sessionShakes, describeSession, listSessions };
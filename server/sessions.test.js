@@ -0,0 +1,125 @@
+/**
+ * Delegate Session Tests
+ *
+ * Creates AgentDelegate sessions on the in-process chain and checks the
+ * /sessions endpoints: live spend accounting, expiry countdown, revocation
+ * and the shakes created under each session.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+
+describe("x402 Delegate Sessions", function () {
+  let usdc, escrow, delegate;
+  let deployer, owner, sessionKey, otherKey, stranger;
+  let x402, server, port;
+
+  before(async function () {
+    [deployer, owner, sessionKey, otherKey, stranger] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+    const AgentDelegate = await ethers.getContractFactory("AgentDelegate");
+    delegate = await AgentDelegate.deploy(await escrow.getAddress());
+
+    await usdc.faucet(owner.address, 10000_000000);
+    await usdc.connect(owner).approve(await delegate.getAddress(), ethers.MaxUint256);
+
+    // #0: 500 USDC for one hour, two shakes created under it
+    await delegate.connect(owner).createSession(sessionKey.address, 500_000000, 3600);
+    await delegate.connect(sessionKey).createShakeAsDelegate(0, 120_000000, 86400, ethers.id("delegated 0"));
+    await delegate.connect(sessionKey).createShakeAsDelegate(0, 80_000000, 86400, ethers.id("delegated 1"));
+    // #1: revoked straight away
+    await delegate.connect(owner).createSession(otherKey.address, 100_000000, 3600);
+    await delegate.connect(owner).revokeSession(1);
+    // #2: long-lived session for the same key
+    await delegate.connect(owner).createSession(sessionKey.address, 300_000000, 86400 * 7);
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      delegateAddress: await delegate.getAddress(),
+      startBlock: (await usdc.deploymentTransaction().wait()).blockNumber,
+    });
+    await x402.getIndexer().sync();
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function get(path) {
+    const res = await fetch(`http://localhost:${port}${path}`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  it("GET /sessions/:id — reports spend, remaining and the shakes created", async function () {
+    const { status, body } = await get("/sessions/0");
+    expect(status).to.equal(200);
+    expect(body.owner).to.equal(owner.address);
+    expect(body.delegate).to.equal(sessionKey.address);
+    expect(body.maxSpend).to.equal("500000000");
+    expect(body.spent).to.equal("200000000");
+    expect(body.remaining).to.equal("300000000");
+    expect(body.revoked).to.equal(false);
+    expect(body.valid).to.equal(true);
+    expect(body.expiresIn).to.be.within(1, 3600);
+
+    expect(body.shakes.map((s) => [s.shakeId, s.amount, s.status])).to.deep.equal([
+      [0, "120000000", "Pending"],
+      [1, "80000000", "Pending"],
+    ]);
+  });
+
+  it("GET /sessions/:id — flags revoked sessions", async function () {
+    const { body } = await get("/sessions/1");
+    expect(body.revoked).to.equal(true);
+    expect(body.valid).to.equal(false);
+    expect(body.shakes).to.deep.equal([]);
+  });
+
+  it("GET /owner/:address/sessions — totals headroom across usable sessions", async function () {
+    const { status, body } = await get(`/owner/${owner.address}/sessions`);
+    expect(status).to.equal(200);
+    expect(body.count).to.equal(3);
+    expect(body.sessions.map((s) => s.sessionId)).to.deep.equal([0, 1, 2]);
+    expect(body.totalSpent).to.equal("200000000");
+    expect(body.totalRemaining).to.equal("600000000");
+  });
+
+  it("GET /delegate/:address/sessions — lists sessions granted to a key", async function () {
+    const { body } = await get(`/delegate/${sessionKey.address.toLowerCase()}/sessions`);
+    expect(body.delegate).to.equal(sessionKey.address);
+    expect(body.sessions.map((s) => s.sessionId)).to.deep.equal([0, 2]);
+
+    const none = await get(`/delegate/${stranger.address}/sessions`);
+    expect(none.body.count).to.equal(0);
+  });
+
+  it("counts down to expiry on chain time", async function () {
+    await ethers.provider.send("evm_increaseTime", [3600]);
+    await ethers.provider.send("evm_mine", []);
+
+    const { body } = await get("/sessions/0");
+    expect(body.expired).to.equal(true);
+    expect(body.expiresIn).to.equal(0);
+    expect(body.valid).to.equal(false);
+
+    const owned = await get(`/owner/${owner.address}/sessions`);
+    expect(owned.body.totalRemaining).to.equal("300000000");
+  });
+
+  it("rejects malformed IDs and addresses, 404s unknown sessions", async function () {
+    expect((await get("/sessions/abc")).status).to.equal(400);
+    expect((await get("/sessions/99")).status).to.equal(404);
+    expect((await get("/owner/0xnope/sessions")).status).to.equal(400);
+  });
+});
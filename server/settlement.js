@@ -0,0 +1,72 @@
+/**
+ * Settlement Preview
+ *
+ * Off-chain copy of ShakeEscrow's payout arithmetic so both parties can see
+ * what each side receives before anyone calls the contract:
+ *
+ *   fee        = amount · feeBps / 10000
+ *   childSpend = amount - remainingBudget      (already committed to sub-hires)
+ *   workerNet  = amount - childSpend - fee
+ *
+ * Outcomes:
+ *   release               releaseShake / resolveDispute(workerWins = true)
+ *   disputeRequesterWins  resolveDispute(workerWins = false) — requester gets remainingBudget, no fee
+ *   forceResolve          workerNet split 50/50 (worker rounds down), fee to treasury
+ *
+ * feeBps comes from FeeOracle.getAdjustedFee(amount, depth) when the escrow has
+ * an oracle set, else the static protocolFeeBps (250).
+ *
+ * If sub-hires spent the whole budget, childSpend + fee exceeds amount and the
+ * contract reverts on underflow; those outcomes come back as { reverts: true }.
+ */
+
+const STATIC_FEE_BPS = 250n;
+// ShakeEscrow.MAX_FREEZE_DURATION — forceResolve opens this long after disputeShake
+const MAX_FREEZE_DURATION = 7 * 24 * 60 * 60;
+
+/** Chain depth of an indexed shake (0 = root), walking parentShakeId like _getChainDepth. */
+function chainDepth(store, shakeId) {
+  let depth = 0;
+  let s = store.getShake(shakeId);
+  while (s && s.isChildShake) {
+    depth++;
+    s = store.getShake(s.parentShakeId);
+  }
+  return depth;
+}
+
+function outcome({ workerNet = 0n, requesterRefund = 0n, fee = 0n }) {
+  return {
+    workerNet: workerNet.toString(),
+    requesterRefund: requesterRefund.toString(),
+    fee: fee.toString(),
+    treasury: fee.toString(),
+  };
+}
+
+/**
+ * Payouts for every way a shake can settle.
+ * @param {{ amount: bigint, remainingBudget: bigint, feeBps: bigint }} input
+ */
+function computeSettlement({ amount, remainingBudget, feeBps }) {
+  const fee = (amount * feeBps) / 10000n;
+  const childSpend = amount - remainingBudget;
+  const workerNet = amount - childSpend - fee;
+  const workerShare = workerNet / 2n;
+  const underflow = workerNet < 0n;
+  const payout = (o) => (underflow ? { reverts: true, reason: "childSpend + fee exceeds amount" } : outcome(o));
+
+  return {
+    fee: fee.toString(),
+    childSpend: childSpend.toString(),
+    workerNet: workerNet.toString(),
+    outcomes: {
+      release: payout({ workerNet, fee }),
+      disputeWorkerWins: payout({ workerNet, fee }),
+      disputeRequesterWins: outcome({ requesterRefund: remainingBudget }),
+      forceResolve: payout({ workerNet: workerShare, requesterRefund: workerNet - workerShare, fee }),
+    },
+  };
+}
+
+module.exports = { chainDepth, computeSettlement, STATIC_FEE_BPS, MAX_FREEZE_DURATION };
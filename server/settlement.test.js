@@ -0,0 +1,151 @@
+/**
+ * Settlement Preview Tests
+ *
+ * Checks GET /shake/:id/settlement against what ShakeEscrow actually pays out:
+ * static and FeeOracle fees, child spend, dispute outcomes and the 50/50
+ * force-resolve split.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+
+describe("x402 Settlement Preview", function () {
+  let usdc, escrow, oracle;
+  let treasury, client, pm, architect;
+  let x402, server, port;
+
+  before(async function () {
+    [treasury, client, pm, architect] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), treasury.address, ethers.ZeroAddress);
+    const FeeOracle = await ethers.getContractFactory("FeeOracle");
+    oracle = await FeeOracle.deploy(treasury.address);
+
+    await usdc.faucet(client.address, 10000_000000);
+    await usdc.connect(client).approve(await escrow.getAddress(), ethers.MaxUint256);
+
+    // #0 client → pm (1000), #1 pm → architect (400)
+    await escrow.connect(client).createShake(1000_000000, 86400 * 30, ethers.id("project"));
+    await escrow.connect(pm).acceptShake(0);
+    await escrow.connect(pm).createChildShake(0, 400_000000, 86400 * 20, ethers.id("architecture"));
+    await escrow.connect(architect).acceptShake(1);
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      startBlock: (await usdc.deploymentTransaction().wait()).blockNumber,
+    });
+    await x402.getIndexer().sync();
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function settlement(id) {
+    await x402.getIndexer().sync();
+    const res = await fetch(`http://localhost:${port}/shake/${id}/settlement`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function releasedArgs(tx) {
+    const receipt = await tx.wait();
+    const log = receipt.logs.map((l) => escrow.interface.parseLog(l)).find((p) => p && p.name === "ShakeReleased");
+    return { workerNet: log.args.workerPayout.toString(), fee: log.args.protocolFee.toString() };
+  }
+
+  it("uses the static 250 bps fee and subtracts child spend", async function () {
+    const { status, body } = await settlement(0);
+    expect(status).to.equal(200);
+    expect(body.depth).to.equal(0);
+    expect(body.feeSource).to.equal("static");
+    expect(body.feeBps).to.equal(250);
+    expect(body.fee).to.equal("25000000");
+    expect(body.childSpend).to.equal("400000000");
+    expect(body.outcomes.release).to.deep.equal({
+      workerNet: "575000000", requesterRefund: "0", fee: "25000000", treasury: "25000000",
+    });
+    expect(body.outcomes.disputeRequesterWins.requesterRefund).to.equal("600000000");
+    expect(body.outcomes.forceResolve.workerNet).to.equal("287500000");
+    expect(body.outcomes.forceResolve.requesterRefund).to.equal("287500000");
+    expect(body.applicable.release).to.equal(false);
+  });
+
+  it("prices through FeeOracle with the chain-depth premium", async function () {
+    await escrow.connect(treasury).setFeeOracle(await oracle.getAddress());
+
+    const { body } = await settlement(1);
+    expect(body.depth).to.equal(1);
+    expect(body.feeSource).to.equal("oracle");
+    expect(body.feeBps).to.equal(275);
+    expect(body.outcomes.release.fee).to.equal("11000000");
+    expect(body.outcomes.release.workerNet).to.equal("389000000");
+  });
+
+  it("matches the ShakeReleased payout on release", async function () {
+    await escrow.connect(architect).deliverShake(1, ethers.id("architecture done"));
+    const { body } = await settlement(1);
+    expect(body.applicable.release).to.equal(true);
+
+    const paid = await releasedArgs(await escrow.connect(pm).releaseShake(1));
+    expect(paid).to.deep.equal({ workerNet: body.outcomes.release.workerNet, fee: body.outcomes.release.fee });
+  });
+
+  it("matches resolveDispute when the requester wins", async function () {
+    await escrow.connect(client).createShake(200_000000, 86400, ethers.id("disputed"));
+    await escrow.connect(architect).acceptShake(2);
+    await escrow.connect(architect).deliverShake(2, ethers.id("bad work"));
+    await escrow.connect(client).disputeShake(2);
+
+    const { body } = await settlement(2);
+    expect(body.applicable).to.deep.equal({ release: false, resolveDispute: true, forceResolve: true });
+    const disputedAt = Number(await escrow.disputedAt(2));
+    expect(body.forceResolvableAt).to.equal(disputedAt + 7 * 86400);
+
+    const before = await usdc.balanceOf(client.address);
+    await escrow.connect(treasury).resolveDispute(2, false);
+    const refunded = (await usdc.balanceOf(client.address)) - before;
+    expect(refunded.toString()).to.equal(body.outcomes.disputeRequesterWins.requesterRefund);
+  });
+
+  it("matches the 50/50 forceResolve split", async function () {
+    await escrow.connect(client).createShake(333_000001, 86400, ethers.id("stale dispute"));
+    await escrow.connect(architect).acceptShake(3);
+    await escrow.connect(architect).deliverShake(3, ethers.id("contested"));
+    await escrow.connect(client).disputeShake(3);
+
+    const { body } = await settlement(3);
+    const workerBefore = await usdc.balanceOf(architect.address);
+    const clientBefore = await usdc.balanceOf(client.address);
+
+    await ethers.provider.send("evm_increaseTime", [7 * 86400]);
+    await escrow.forceResolve(3);
+
+    expect(((await usdc.balanceOf(architect.address)) - workerBefore).toString()).to.equal(body.outcomes.forceResolve.workerNet);
+    expect(((await usdc.balanceOf(client.address)) - clientBefore).toString()).to.equal(body.outcomes.forceResolve.requesterRefund);
+  });
+
+  it("flags outcomes that would revert when sub-hires spent the whole budget", async function () {
+    await escrow.connect(client).createShake(100_000000, 86400, ethers.id("overspent"));
+    await escrow.connect(pm).acceptShake(4);
+    await escrow.connect(pm).createChildShake(4, 100_000000, 3600, ethers.id("everything"));
+
+    const { body } = await settlement(4);
+    expect(body.outcomes.release.reverts).to.equal(true);
+    expect(body.outcomes.forceResolve.reverts).to.equal(true);
+    expect(body.outcomes.disputeRequesterWins.requesterRefund).to.equal("0");
+  });
+
+  it("returns 404 for an unknown shake", async function () {
+    expect((await settlement(99)).status).to.equal(404);
+  });
+});
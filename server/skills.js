@@ -0,0 +1,71 @@
+/**
+ * Skill Matching
+ *
+ * Normalizes free-form skill names so "Web Scraping", "web-scraping" and
+ * "scraping" all land on the same canonical key, then checks a job's
+ * required skills against what a worker offers.
+ *
+ * Canonical form: lowercase, trimmed, runs of spaces/hyphens → "_",
+ * then mapped through the synonym table. Extra synonyms can be loaded from
+ * a JSON file ({ "canonical": ["alias", ...] }) via SKILL_SYNONYMS_PATH.
+ */
+
+const fs = require("fs");
+
+// canonical skill → aliases (already in folded form)
+const DEFAULT_SYNONYMS = {
+  web_scraping: ["scraping", "scraper", "crawling", "crawler", "web_crawling"],
+  coding: ["programming", "development", "software_development", "dev"],
+  data_analysis: ["analytics", "analysis", "data_analytics"],
+  visualization: ["charts", "charting", "dataviz", "data_visualization"],
+  etl: ["data_pipeline", "data_pipelines", "data_engineering"],
+  design: ["ui", "ux", "ui_design", "ux_design"],
+  architecture: ["system_design", "software_architecture"],
+  research: ["researching", "literature_review"],
+  writing: ["copywriting", "content_writing"],
+  translation: ["translating", "localization", "l10n"],
+};
+
+function fold(skill) {
+  return String(skill).trim().toLowerCase().replace(/[\s-]+/g, "_");
+}
+
+function buildAliasMap(synonyms) {
+  const map = new Map();
+  for (const [canonical, aliases] of Object.entries(synonyms)) {
+    const key = fold(canonical);
+    map.set(key, key);
+    for (const alias of aliases) map.set(fold(alias), key);
+  }
+  return map;
+}
+
+let aliases = buildAliasMap(DEFAULT_SYNONYMS);
+
+/** Merge extra synonyms ({ canonical: [aliases] }) into the table. */
+function loadSynonyms(synonyms) {
+  aliases = buildAliasMap({ ...DEFAULT_SYNONYMS, ...synonyms });
+}
+
+if (process.env.SKILL_SYNONYMS_PATH) {
+  loadSynonyms(JSON.parse(fs.readFileSync(process.env.SKILL_SYNONYMS_PATH, "utf8")));
+}
+
+/** Canonical key for a skill name. */
+function normalizeSkill(skill) {
+  const folded = fold(skill);
+  return aliases.get(folded) || folded;
+}
+
+/** Canonical, de-duplicated skill list (empty entries dropped). */
+function normalizeSkills(skills) {
+  return [...new Set(skills.map(normalizeSkill).filter(Boolean))];
+}
+
+/** True when every required skill is covered by the offered ones. */
+function coversSkills(offered, required) {
+  const have = new Set(normalizeSkills(offered));
+  return normalizeSkills(required).every((s) => have.has(s));
+}
+
+module.exports = { normalizeSkill, normalizeSkills, coversSkills, loadSynonyms };
@@ -0,0 +1,303 @@
+/**
+ * Clawshake Index Store
+ *
+ * Embedded file-backed store for the event indexer. Everything lives in memory
+ * and is flushed to a JSON file (write-then-rename) after each sync, so a
+ * restarted server resumes from its last processed block instead of
+ * re-scanning the chain. Events go to an append-only JSON-lines log beside it
+ * (`<name>.events.jsonl`): a save appends the events added since the last
+ * one and only a reorg rewrites the log.
+ *
+ * Collections:
+ *   shakes      — latest snapshot per shakeId (amounts as decimal strings)
+ *   children    — parentShakeId → [childShakeId] from ChildShakeCreated
+ *   creations   — shakeId → { blockNumber, timestamp } of its ShakeCreated log
+ *   events      — decoded logs in chain order, indexed by contract and event name
+ *   tasks       — taskHash → task document (see tasks.js)
+ *   webhooks    — webhookId → subscription (see webhooks.js)
+ *   deadLetters — deliveryId → delivery that exhausted its retries
+ *   rfqs        — rfqId → signed RFQ with its quotes and award (see negotiation.js)
+ *   cases       — shakeId → dispute evidence and ruling (see disputes.js)
+ *   payments    — lowercased paymentTx → { shakeId, consumedAt } confirmed by POST /shake
+ *   blockHashes — recent processed blocks, used for reorg detection
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+function emptyState() {
+  return {
+    lastBlock: null,
+    blockHashes: {},
+    shakes: {},
+    children: {},
+    creations: {},
+    events: [],
+    tasks: {},
+    webhooks: {},
+    deadLetters: {},
+    rfqs: {},
+    cases: {},
+    payments: {},
+  };
+}
+
+// Replace `file` with `contents` via a temp file and rename
+function writeAtomic(file, contents) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, file);
+}
+
+class ShakeStore {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.path] JSON file to persist to; omit for in-memory only
+   */
+  constructor(opts = {}) {
+    this.path = opts.path || null;
+    this.eventsPath = this.path ? this.path.replace(/(\.json)?$/, ".events.jsonl") : null;
+    this.state = emptyState();
+    this.eventsByName = new Map(); // "contract:name" → events in chain order
+    this.persistedEvents = null; // events already in the log file; null when it must be rewritten
+    this.load();
+  }
+
+  load() {
+    if (!this.path || !fs.existsSync(this.path)) return;
+    this.state = { ...emptyState(), ...JSON.parse(fs.readFileSync(this.path, "utf8")) };
+    if (fs.existsSync(this.eventsPath)) {
+      const lines = fs.readFileSync(this.eventsPath, "utf8").split("\n").filter(Boolean);
+      // A save appends events before writing the cursor; drop any a crash left beyond it
+      const last = this.state.lastBlock === null ? -1 : this.state.lastBlock;
+      this.state.events = lines.map((line) => JSON.parse(line)).filter((e) => e.blockNumber <= last);
+      this.persistedEvents = this.state.events.length === lines.length ? lines.length : null;
+    }
+    this._reindexEvents();
+  }
+
+  save() {
+    if (!this.path) return;
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const { events, ...snapshot } = this.state;
+    if (this.persistedEvents === null) {
+      writeAtomic(this.eventsPath, events.map((e) => `${JSON.stringify(e)}\n`).join(""));
+    } else if (events.length > this.persistedEvents) {
+      fs.appendFileSync(this.eventsPath, events.slice(this.persistedEvents).map((e) => `${JSON.stringify(e)}\n`).join(""));
+    }
+    this.persistedEvents = events.length;
+    writeAtomic(this.path, JSON.stringify(snapshot));
+  }
+
+  // --- Sync cursor ---
+
+  getLastBlock() {
+    return this.state.lastBlock;
+  }
+
+  setLastBlock(blockNumber) {
+    this.state.lastBlock = blockNumber;
+  }
+
+  getBlockHash(blockNumber) {
+    return this.state.blockHashes[blockNumber] || null;
+  }
+
+  setBlockHash(blockNumber, hash) {
+    this.state.blockHashes[blockNumber] = hash;
+  }
+
+  /** Block numbers with a recorded hash, highest first. */
+  recordedBlocks() {
+    return Object.keys(this.state.blockHashes).map(Number).sort((a, b) => b - a);
+  }
+
+  /** Forget hashes for blocks older than `minBlock` (outside the reorg window). */
+  pruneBlockHashes(minBlock) {
+    for (const b of Object.keys(this.state.blockHashes)) {
+      if (Number(b) < minBlock) delete this.state.blockHashes[b];
+    }
+  }
+
+  removeBlockHashesAfter(blockNumber) {
+    for (const b of Object.keys(this.state.blockHashes)) {
+      if (Number(b) > blockNumber) delete this.state.blockHashes[b];
+    }
+  }
+
+  // --- Shakes ---
+
+  getShake(shakeId) {
+    return this.state.shakes[shakeId] || null;
+  }
+
+  putShake(snapshot) {
+    this.state.shakes[snapshot.shakeId] = snapshot;
+  }
+
+  deleteShake(shakeId) {
+    delete this.state.shakes[shakeId];
+  }
+
+  /** All indexed shakes in shakeId order, optionally filtered. */
+  listShakes(filter) {
+    const all = Object.values(this.state.shakes).sort((a, b) => a.shakeId - b.shakeId);
+    return filter ? all.filter(filter) : all;
+  }
+
+  getChildShakes(parentShakeId) {
+    return this.state.children[parentShakeId] || [];
+  }
+
+  addChildShake(parentShakeId, childShakeId) {
+    const list = this.state.children[parentShakeId] || (this.state.children[parentShakeId] = []);
+    if (!list.includes(childShakeId)) list.push(childShakeId);
+  }
+
+  removeChildShake(parentShakeId, childShakeId) {
+    const list = this.state.children[parentShakeId];
+    if (!list) return;
+    this.state.children[parentShakeId] = list.filter((id) => id !== childShakeId);
+    if (this.state.children[parentShakeId].length === 0) delete this.state.children[parentShakeId];
+  }
+
+  getCreation(shakeId) {
+    return this.state.creations[shakeId] || null;
+  }
+
+  setCreation(shakeId, creation) {
+    this.state.creations[shakeId] = creation;
+  }
+
+  removeCreation(shakeId) {
+    delete this.state.creations[shakeId];
+  }
+
+  // --- Events ---
+
+  addEvent(event) {
+    this.state.events.push(event);
+    this._indexEvent(event);
+  }
+
+  /** Events matching `filter`, in chain order. */
+  listEvents(filter) {
+    return filter ? this.state.events.filter(filter) : this.state.events.slice();
+  }
+
+  /** Events of one contract and name (optionally filtered), in chain order — without scanning the rest. */
+  listEventsNamed(contract, name, filter) {
+    const events = this.eventsByName.get(`${contract}:${name}`) || [];
+    return filter ? events.filter(filter) : events.slice();
+  }
+
+  /** Drop every event above `blockNumber` and return the removed events. */
+  removeEventsAfter(blockNumber) {
+    const kept = [];
+    const removed = [];
+    for (const e of this.state.events) {
+      (e.blockNumber > blockNumber ? removed : kept).push(e);
+    }
+    this.state.events = kept;
+    if (removed.length > 0) {
+      this.persistedEvents = null;
+      this._reindexEvents();
+    }
+    return removed;
+  }
+
+  _indexEvent(event) {
+    const key = `${event.contract}:${event.name}`;
+    const list = this.eventsByName.get(key) || [];
+    list.push(event);
+    this.eventsByName.set(key, list);
+  }
+
+  _reindexEvents() {
+    this.eventsByName = new Map();
+    for (const event of this.state.events) this._indexEvent(event);
+  }
+
+  // --- Task documents ---
+
+  getTask(taskHash) {
+    return this.state.tasks[String(taskHash).toLowerCase()] || null;
+  }
+
+  putTask(taskHash, doc) {
+    this.state.tasks[String(taskHash).toLowerCase()] = doc;
+  }
+
+  // --- Webhooks ---
+
+  getWebhook(id) {
+    return this.state.webhooks[id] || null;
+  }
+
+  listWebhooks() {
+    return Object.values(this.state.webhooks);
+  }
+
+  putWebhook(webhook) {
+    this.state.webhooks[webhook.id] = webhook;
+  }
+
+  deleteWebhook(id) {
+    delete this.state.webhooks[id];
+  }
+
+  getDeadLetter(id) {
+    return this.state.deadLetters[id] || null;
+  }
+
+  listDeadLetters(filter) {
+    const all = Object.values(this.state.deadLetters).sort((a, b) => a.failedAt - b.failedAt);
+    return filter ? all.filter(filter) : all;
+  }
+
+  putDeadLetter(letter) {
+    this.state.deadLetters[letter.id] = letter;
+  }
+
+  deleteDeadLetter(id) {
+    delete this.state.deadLetters[id];
+  }
+
+  // --- Consumed payments ---
+
+  /** The confirmation a payment tx already backs, or null. */
+  getPayment(txHash) {
+    return this.state.payments[String(txHash).toLowerCase()] || null;
+  }
+
+  putPayment(txHash, record) {
+    this.state.payments[String(txHash).toLowerCase()] = record;
+  }
+
+  // --- Negotiations ---
+
+  getRfq(rfqId) {
+    return this.state.rfqs[String(rfqId).toLowerCase()] || null;
+  }
+
+  listRfqs(filter) {
+    const all = Object.values(this.state.rfqs).sort((a, b) => a.createdAt - b.createdAt);
+    return filter ? all.filter(filter) : all;
+  }
+
+  putRfq(record) {
+    this.state.rfqs[record.rfqId] = record;
+  }
+
+  // --- Dispute cases ---
+
+  getCase(shakeId) {
+    return this.state.cases[shakeId] || null;
+  }
+
+  putCase(record) {
+    this.state.cases[record.shakeId] = record;
+  }
+}
+
+module.exports = { ShakeStore };
@@ -0,0 +1,228 @@
+/**
+ * Shake Lifecycle Stream
+ *
+ * Pushes indexed contract events to subscribers over Server-Sent Events
+ * (GET /events) or WebSocket (/events/ws). Every event carries a cursor
+ * "<blockNumber>:<logIndex>"; a client that reconnects passes the last cursor
+ * it saw (SSE `Last-Event-ID` header or `?cursor=`) or a `?fromBlock=` and
+ * gets everything after it replayed from the index before live events resume.
+ *
+ * Filters (query params, all optional, combined with AND):
+ *   type       comma-separated event names (ShakeAccepted,ShakeDisputed,...)
+ *   shakeId    events touching this shake
+ *   root       events touching this shake or any descendant in its hire tree
+ *   requester  events on shakes with this requester (or an event arg naming it)
+ *   worker     events on shakes with this worker (or an event arg naming it)
+ *
+ * Reorgs are signalled with a "reorg" message carrying the fork block; events
+ * above it should be discarded by the client.
+ */
+
+const { ethers } = require("ethers");
+const { WebSocketServer } = require("ws");
+
+const KEEPALIVE_MS = 15000;
+
+// Event args that name the requester / worker side when no shake snapshot applies
+const REQUESTER_ARGS = ["requester", "disputant", "owner", "initiator"];
+const WORKER_ARGS = ["worker", "agent", "delegate"];
+
+function cursorOf(event) {
+  return `${event.blockNumber}:${event.logIndex}`;
+}
+
+function parseCursor(cursor) {
+  const match = /^(\d+):(\d+)$/.exec(String(cursor));
+  if (!match) throw new Error("Invalid cursor, expected <blockNumber>:<logIndex>");
+  return { blockNumber: Number(match[1]), logIndex: Number(match[2]) };
+}
+
+function parseId(value, name) {
+  if (!/^\d+$/.test(String(value))) throw new Error(`Invalid ${name}`);
+  return Number(value);
+}
+
+function parseAddress(value, name) {
+  if (!ethers.isAddress(value)) throw new Error(`Invalid ${name} address`);
+  return value.toLowerCase();
+}
+
+/**
+ * Parse filter + resume params from a query object. Throws on malformed input.
+ * `lastEventId` (SSE header) takes precedence over ?cursor=.
+ */
+function parseSubscription(query, lastEventId) {
+  const filter = {};
+  if (query.type) filter.types = new Set(String(query.type).split(",").map((t) => t.trim()).filter(Boolean));
+  if (query.shakeId !== undefined) filter.shakeId = parseId(query.shakeId, "shakeId");
+  if (query.root !== undefined) filter.root = parseId(query.root, "root");
+  if (query.requester) filter.requester = parseAddress(query.requester, "requester");
+  if (query.worker) filter.worker = parseAddress(query.worker, "worker");
+
+  let resume = null;
+  const cursor = lastEventId || query.cursor;
+  if (cursor) {
+    resume = { after: parseCursor(cursor) };
+  } else if (query.fromBlock !== undefined) {
+    resume = { fromBlock: parseId(query.fromBlock, "fromBlock") };
+  }
+  return { filter, resume };
+}
+
+/** All shake IDs in the hire tree rooted at `rootId` (inclusive). */
+function subtreeOf(store, rootId) {
+  const ids = new Set([rootId]);
+  const queue = [rootId];
+  while (queue.length > 0) {
+    for (const child of store.getChildShakes(queue.shift())) {
+      if (!ids.has(child)) {
+        ids.add(child);
+        queue.push(child);
+      }
+    }
+  }
+  return ids;
+}
+
+function argsMention(event, names, address) {
+  return names.some((n) => typeof event.args[n] === "string" && event.args[n].toLowerCase() === address);
+}
+
+function partyMatches(store, event, field, argNames, address) {
+  if (event.shakeIds.some((id) => {
+    const s = store.getShake(id);
+    return s && s[field].toLowerCase() === address;
+  })) return true;
+  return argsMention(event, argNames, address);
+}
+
+function matches(store, event, filter) {
+  if (filter.types && !filter.types.has(event.name)) return false;
+  if (filter.shakeId !== undefined && !event.shakeIds.includes(filter.shakeId)) return false;
+  if (filter.root !== undefined) {
+    const tree = subtreeOf(store, filter.root);
+    if (!event.shakeIds.some((id) => tree.has(id))) return false;
+  }
+  if (filter.requester && !partyMatches(store, event, "requester", REQUESTER_ARGS, filter.requester)) return false;
+  if (filter.worker && !partyMatches(store, event, "worker", WORKER_ARGS, filter.worker)) return false;
+  return true;
+}
+
+function isAfterResume(event, resume) {
+  if (resume.fromBlock !== undefined) return event.blockNumber >= resume.fromBlock;
+  const { blockNumber, logIndex } = resume.after;
+  return event.blockNumber > blockNumber || (event.blockNumber === blockNumber && event.logIndex > logIndex);
+}
+
+/**
+ * Fans indexer events out to subscribers and replays history from the store.
+ */
+class EventHub {
+  constructor(store, indexer) {
+    this.store = store;
+    this.subscribers = new Set();
+    indexer.on("event", (event) => this._publish({ kind: "event", event }));
+    indexer.on("reorg", (forkBlock) => this._publish({ kind: "reorg", forkBlock }));
+  }
+
+  /**
+   * Replay matching history (if `resume` is set), then stream live messages to
+   * `send({ kind: "event", event } | { kind: "reorg", forkBlock })`.
+   * Returns an unsubscribe function.
+   */
+  subscribe({ filter, resume }, send) {
+    if (resume) {
+      for (const event of this.store.listEvents((e) => isAfterResume(e, resume))) {
+        if (matches(this.store, event, filter)) send({ kind: "event", event });
+      }
+    }
+
+    const sub = { filter, send };
+    this.subscribers.add(sub);
+    return () => this.subscribers.delete(sub);
+  }
+
+  _publish(message) {
+    for (const sub of this.subscribers) {
+      if (message.kind === "event" && !matches(this.store, message.event, sub.filter)) continue;
+      sub.send(message);
+    }
+  }
+}
+
+/** Express handler for GET /events (Server-Sent Events). `getHub(req)` picks the hub. */
+function sseHandler(getHub) {
+  return (req, res) => {
+    let subscription;
+    try {
+      subscription = parseSubscription(req.query, req.get("Last-Event-ID"));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    const unsubscribe = getHub(req).subscribe(subscription, (message) => {
+      if (message.kind === "reorg") {
+        res.write(`event: reorg\ndata: ${JSON.stringify({ forkBlock: message.forkBlock })}\n\n`);
+      } else {
+        const { event } = message;
+        res.write(`id: ${cursorOf(event)}\nevent: ${event.name}\ndata: ${JSON.stringify({ cursor: cursorOf(event), ...event })}\n\n`);
+      }
+    });
+
+    const keepalive = setInterval(() => res.write(": keepalive\n\n"), KEEPALIVE_MS);
+    req.on("close", () => {
+      clearInterval(keepalive);
+      unsubscribe();
+    });
+  };
+}
+
+/**
+ * Serve the same stream over WebSocket on `path` of an http.Server.
+ * `getHub(url)` picks the hub for a connection; returning null refuses it.
+ * Messages: { type: "event", cursor, event } | { type: "reorg", forkBlock }.
+ */
+function attachWebSocket(server, getHub, path = "/events/ws") {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== path) return;
+
+    const hub = getHub(url);
+    if (!hub) {
+      socket.end(`HTTP/1.1 404 Not Found\r\nContent-Type: application/json\r\n\r\n${JSON.stringify({ error: "Stream not found" })}`);
+      return;
+    }
+
+    let subscription;
+    try {
+      subscription = parseSubscription(Object.fromEntries(url.searchParams));
+    } catch (err) {
+      socket.end(`HTTP/1.1 400 Bad Request\r\nContent-Type: application/json\r\n\r\n${JSON.stringify({ error: err.message })}`);
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const unsubscribe = hub.subscribe(subscription, (message) => {
+        if (message.kind === "reorg") {
+          ws.send(JSON.stringify({ type: "reorg", forkBlock: message.forkBlock }));
+        } else {
+          ws.send(JSON.stringify({ type: "event", cursor: cursorOf(message.event), event: message.event }));
+        }
+      });
+      ws.on("close", unsubscribe);
+    });
+  });
+
+  return wss;
+}
+
+module.exports = { EventHub, sseHandler, attachWebSocket, parseSubscription, cursorOf };
@@ -0,0 +1,169 @@
+/**
+ * Event Stream Tests
+ *
+ * Exercises GET /events (SSE) and /events/ws (WebSocket) against the
+ * in-process hardhat chain: live delivery, filters, cursor resume and
+ * events from contracts other than ShakeEscrow.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const WebSocket = require("ws");
+
+describe("x402 Event Stream", function () {
+  let usdc, escrow, registry, delegate;
+  let deployer, requester, worker, subWorker, sessionKey;
+  let x402, server, port;
+
+  before(async function () {
+    [deployer, requester, worker, subWorker, sessionKey] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    registry = await AgentRegistry.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+    const AgentDelegate = await ethers.getContractFactory("AgentDelegate");
+    delegate = await AgentDelegate.deploy(await escrow.getAddress());
+
+    await usdc.faucet(requester.address, 10000_000000);
+    await usdc.connect(requester).approve(await escrow.getAddress(), ethers.MaxUint256);
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+      delegateAddress: await delegate.getAddress(),
+      startBlock: (await usdc.deploymentTransaction().wait()).blockNumber,
+    });
+
+    server = http.createServer(x402.app);
+    x402.attachEventSocket(server);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  const sync = () => x402.getIndexer().sync();
+
+  // Minimal SSE client: collects parsed messages until closed
+  function openSse(path, headers = {}) {
+    const messages = [];
+    let req;
+    const ready = new Promise((resolve, reject) => {
+      req = http.get({ hostname: "localhost", port, path, headers }, (res) => {
+        let buffer = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          buffer += chunk;
+          let idx;
+          while ((idx = buffer.indexOf("\n\n")) !== -1) {
+            const raw = buffer.slice(0, idx);
+            buffer = buffer.slice(idx + 2);
+            const msg = {};
+            for (const line of raw.split("\n")) {
+              const [key, ...rest] = line.split(": ");
+              if (key === "id" || key === "event" || key === "data") msg[key] = rest.join(": ");
+            }
+            if (msg.data) messages.push({ ...msg, data: JSON.parse(msg.data) });
+          }
+        });
+        resolve(res);
+      });
+      req.on("error", reject);
+    });
+    return { messages, ready, close: () => req.destroy() };
+  }
+
+  async function waitFor(messages, n) {
+    for (let i = 0; i < 100 && messages.length < n; i++) {
+      await new Promise((r) => setTimeout(r, 10));
+    }
+    return messages;
+  }
+
+  it("streams live events matching a type filter", async function () {
+    const sse = openSse("/events?type=ShakeCreated,ShakeAccepted");
+    const res = await sse.ready;
+    expect(res.headers["content-type"]).to.match(/text\/event-stream/);
+
+    await escrow.connect(requester).createShake(100_000000, 86400, ethers.id("stream 0"));
+    await escrow.connect(worker).acceptShake(0);
+    await sync();
+
+    const msgs = await waitFor(sse.messages, 2);
+    sse.close();
+    expect(msgs.map((m) => m.event)).to.deep.equal(["ShakeCreated", "ShakeAccepted"]);
+    expect(msgs[1].data.args.worker).to.equal(worker.address);
+    expect(msgs[1].id).to.equal(msgs[1].data.cursor);
+  });
+
+  it("filters by subtree root, shakeId and worker", async function () {
+    await escrow.connect(worker).createChildShake(0, 40_000000, 3600, ethers.id("child"));
+    await escrow.connect(subWorker).acceptShake(1);
+    await escrow.connect(requester).createShake(50_000000, 86400, ethers.id("unrelated"));
+    await sync();
+
+    const tree = openSse("/events?root=0&fromBlock=0");
+    const child = openSse("/events?shakeId=1&fromBlock=0");
+    const bySub = openSse(`/events?worker=${subWorker.address}&fromBlock=0`);
+    await Promise.all([tree.ready, child.ready, bySub.ready]);
+    await waitFor(tree.messages, 5);
+    tree.close(); child.close(); bySub.close();
+
+    const treeIds = new Set(tree.messages.flatMap((m) => m.data.shakeIds));
+    expect(treeIds.has(2)).to.equal(false);
+    expect(tree.messages.map((m) => m.event)).to.include("ChildShakeCreated");
+
+    expect(child.messages.every((m) => m.data.shakeIds.includes(1))).to.equal(true);
+    expect(child.messages.map((m) => m.event)).to.deep.equal(["ChildShakeCreated", "ShakeCreated", "ShakeAccepted"]);
+
+    expect(bySub.messages.every((m) => m.data.shakeIds.includes(1))).to.equal(true);
+  });
+
+  it("resumes after the Last-Event-ID cursor", async function () {
+    const all = openSse("/events?fromBlock=0");
+    await all.ready;
+    await waitFor(all.messages, 6);
+    all.close();
+    const cursor = all.messages[2].id;
+
+    const resumed = openSse("/events", { "Last-Event-ID": cursor });
+    await resumed.ready;
+    await waitFor(resumed.messages, all.messages.length - 3);
+    resumed.close();
+    expect(resumed.messages.map((m) => m.id)).to.deep.equal(all.messages.slice(3).map((m) => m.id));
+  });
+
+  it("rejects malformed filters", async function () {
+    const res = await new Promise((resolve) => {
+      http.get({ hostname: "localhost", port, path: "/events?requester=0xnope" }, resolve);
+    });
+    expect(res.statusCode).to.equal(400);
+    res.resume();
+  });
+
+  it("pushes AgentDelegate and AgentRegistry events over WebSocket", async function () {
+    const ws = new WebSocket(`ws://localhost:${port}/events/ws?type=SessionCreated,AgentRegistered`);
+    const received = [];
+    ws.on("message", (data) => received.push(JSON.parse(data)));
+    await new Promise((resolve) => ws.on("open", resolve));
+
+    await delegate.connect(requester).createSession(sessionKey.address, 100_000000, 3600);
+    await registry.connect(subWorker).register("Sub-1", ["etl"]);
+    await sync();
+
+    await waitFor(received, 2);
+    ws.close();
+    expect(received.map((m) => m.event.name)).to.deep.equal(["SessionCreated", "AgentRegistered"]);
+    expect(received[0].event.contract).to.equal("AgentDelegate");
+    expect(received[0].event.args.delegate).to.equal(sessionKey.address);
+    expect(received[1].type).to.equal("event");
+  });
+});
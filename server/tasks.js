@@ -0,0 +1,89 @@
+/**
+ * Task Metadata
+ *
+ * A task document describes what a shake asks for. It is content-addressed:
+ * its taskHash is keccak256 of the canonical JSON encoding (object keys
+ * sorted, no whitespace), which is the value the requester passes to
+ * createShake. Anyone can publish a document, but it only links to shakes
+ * whose taskHash matches its content.
+ *
+ * Document fields:
+ *   title               string    required
+ *   description         string    required
+ *   requiredSkills      string[]  required — skills a worker must have (matched via skills.js)
+ *   acceptanceCriteria  string[]  optional — conditions the delivery must meet
+ *   attachments         object[]  optional — manifest of { name, uri, hash?, size?, mimeType? }
+ */
+
+const { ethers } = require("ethers");
+const { normalizeSkills } = require("./skills");
+
+/** Deterministic JSON: object keys sorted recursively, no whitespace. */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/** taskHash for a document — keccak256(utf8(canonical JSON)). */
+function taskHashOf(doc) {
+  return ethers.id(canonicalize(doc));
+}
+
+const isNonEmptyString = (v) => typeof v === "string" && v.trim().length > 0;
+
+function validateAttachment(a, i) {
+  if (!a || typeof a !== "object" || Array.isArray(a)) return `attachments[${i}] must be an object`;
+  if (!isNonEmptyString(a.name)) return `attachments[${i}].name is required`;
+  if (!isNonEmptyString(a.uri)) return `attachments[${i}].uri is required`;
+  if (a.hash !== undefined && !ethers.isHexString(a.hash, 32)) return `attachments[${i}].hash must be a bytes32 hex string`;
+  if (a.size !== undefined && !(Number.isInteger(a.size) && a.size >= 0)) return `attachments[${i}].size must be a non-negative integer`;
+  if (a.mimeType !== undefined && !isNonEmptyString(a.mimeType)) return `attachments[${i}].mimeType must be a string`;
+  return null;
+}
+
+/**
+ * Validate a task document. Returns an error message, or null if valid.
+ */
+function validateTask(doc) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    return "Task document must be a JSON object";
+  }
+  if (!isNonEmptyString(doc.title)) return "title is required";
+  if (!isNonEmptyString(doc.description)) return "description is required";
+
+  const { requiredSkills, acceptanceCriteria, attachments } = doc;
+  if (!Array.isArray(requiredSkills) || requiredSkills.length === 0) {
+    return "requiredSkills must be a non-empty array";
+  }
+  if (!requiredSkills.every(isNonEmptyString)) {
+    return "requiredSkills must contain non-empty strings";
+  }
+
+  if (acceptanceCriteria !== undefined) {
+    if (!Array.isArray(acceptanceCriteria) || !acceptanceCriteria.every(isNonEmptyString)) {
+      return "acceptanceCriteria must be an array of non-empty strings";
+    }
+  }
+
+  if (attachments !== undefined) {
+    if (!Array.isArray(attachments)) return "attachments must be an array";
+    for (let i = 0; i < attachments.length; i++) {
+      const invalid = validateAttachment(attachments[i], i);
+      if (invalid) return invalid;
+    }
+  }
+  return null;
+}
+
+/** Canonical required skills for a stored task (empty if unknown). */
+function requiredSkillsOf(task) {
+  return task ? normalizeSkills(task.requiredSkills) : [];
+}
+
+module.exports = { canonicalize, taskHashOf, validateTask, requiredSkillsOf };
@@ -0,0 +1,132 @@
+/**
+ * Hire Trees
+ *
+ * Builds the full recursive tree under a shake from the index and renders it
+ * as JSON, Mermaid or Graphviz DOT. Release readiness mirrors ShakeEscrow:
+ *
+ *   subtreeClean     no descendant is Disputed (_isSubtreeClean)
+ *   childrenSettled  every direct child is Released or Refunded
+ *   releasableNow    Delivered, subtree clean, children settled and the dispute
+ *                    window — max(deliveredAt + 48h, disputeFrozenUntil) — has
+ *                    passed, so anyone can call releaseShake
+ *   releasableByRequester  same, minus the window (the requester may release early)
+ */
+
+const { ethers } = require("ethers");
+
+const STATUS_NAMES = ["Pending", "Active", "Delivered", "Released", "Disputed", "Refunded"];
+const STATUS = Object.fromEntries(STATUS_NAMES.map((name, i) => [name, i]));
+
+// ShakeEscrow.disputeWindow
+const DISPUTE_WINDOW = 48 * 60 * 60;
+
+const usdc = (amount) => ethers.formatUnits(amount, 6);
+
+/**
+ * Recursive tree rooted at `rootId`, or null if the shake isn't indexed.
+ * `now` is the chain timestamp release readiness is evaluated against.
+ */
+function buildTree(store, rootId, now) {
+  const build = (shakeId, depth) => {
+    const s = store.getShake(shakeId);
+    if (!s) return null;
+
+    const children = store.getChildShakes(shakeId).map((id) => build(id, depth + 1)).filter(Boolean);
+    const subtreeClean = children.every((c) => c.statusCode !== STATUS.Disputed && c.subtreeClean);
+    const childrenSettled = children.every((c) => c.statusCode === STATUS.Released || c.statusCode === STATUS.Refunded);
+
+    let disputeWindowEndsAt = null;
+    if (s.status === STATUS.Delivered) {
+      disputeWindowEndsAt = Math.max(s.deliveredAt + DISPUTE_WINDOW, s.disputeFrozenUntil);
+    }
+    const releasableByRequester = s.status === STATUS.Delivered && subtreeClean && childrenSettled;
+
+    return {
+      shakeId,
+      depth,
+      status: STATUS_NAMES[s.status] || "Unknown",
+      statusCode: s.status,
+      requester: s.requester,
+      worker: s.worker,
+      amount: s.amount,
+      remainingBudget: s.remainingBudget,
+      deadline: s.deadline,
+      deliveredAt: s.deliveredAt,
+      disputeFrozenUntil: s.disputeFrozenUntil,
+      disputeWindowEndsAt,
+      subtreeClean,
+      childrenSettled,
+      releasableByRequester,
+      releasableNow: releasableByRequester && now >= disputeWindowEndsAt,
+      children,
+    };
+  };
+  return build(rootId, 0);
+}
+
+function flatten(node, out = []) {
+  out.push(node);
+  node.children.forEach((c) => flatten(c, out));
+  return out;
+}
+
+function nodeLines(node) {
+  return [
+    `#${node.shakeId} ${node.status}`,
+    `${usdc(node.amount)} USDC (budget ${usdc(node.remainingBudget)})`,
+  ];
+}
+
+function nodeClass(node) {
+  if (node.statusCode === STATUS.Disputed) return "disputed";
+  if (node.releasableNow) return "releasable";
+  if (node.statusCode === STATUS.Released || node.statusCode === STATUS.Refunded) return "settled";
+  if (node.disputeFrozenUntil > 0) return "frozen";
+  return null;
+}
+
+const CLASS_STYLES = {
+  disputed: { fill: "#f8d7da", stroke: "#b02a37" },
+  frozen: { fill: "#cfe2ff", stroke: "#0a58ca" },
+  releasable: { fill: "#fff3cd", stroke: "#997404" },
+  settled: { fill: "#d1e7dd", stroke: "#146c43" },
+};
+
+/** Mermaid flowchart source for a tree. */
+function toMermaid(root) {
+  const nodes = flatten(root);
+  const lines = ["graph TD"];
+  for (const n of nodes) lines.push(`  s${n.shakeId}["${nodeLines(n).join("<br/>")}"]`);
+  for (const n of nodes) {
+    for (const c of n.children) lines.push(`  s${n.shakeId} --> s${c.shakeId}`);
+  }
+  for (const [name, style] of Object.entries(CLASS_STYLES)) {
+    lines.push(`  classDef ${name} fill:${style.fill},stroke:${style.stroke}`);
+  }
+  for (const n of nodes) {
+    const cls = nodeClass(n);
+    if (cls) lines.push(`  class s${n.shakeId} ${cls}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+/** Graphviz DOT source for a tree. */
+function toDot(root) {
+  const nodes = flatten(root);
+  const lines = [
+    "digraph hire_tree {",
+    '  node [shape=box, style="rounded,filled", fillcolor="#ffffff", fontname="Helvetica"];',
+  ];
+  for (const n of nodes) {
+    const style = CLASS_STYLES[nodeClass(n)];
+    const colors = style ? `, fillcolor="${style.fill}", color="${style.stroke}"` : "";
+    lines.push(`  s${n.shakeId} [label="${nodeLines(n).join("\\n")}"${colors}];`);
+  }
+  for (const n of nodes) {
+    for (const c of n.children) lines.push(`  s${n.shakeId} -> s${c.shakeId};`);
+  }
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+module.exports = { buildTree, flatten, toMermaid, toDot, STATUS, STATUS_NAMES, DISPUTE_WINDOW };
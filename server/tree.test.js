@@ -0,0 +1,144 @@
+/**
+ * Hire Tree Tests
+ *
+ * Builds a three-level hire tree on the in-process chain and checks
+ * GET /shake/:id/tree: structure, budgets, subtree cleanliness, release
+ * readiness across the dispute window, and the Mermaid / DOT renderings.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const { flatten } = require("./tree");
+
+describe("x402 Hire Tree", function () {
+  let usdc, escrow;
+  let deployer, client, pm, architect, frontend, qa;
+  let x402, server, port;
+
+  before(async function () {
+    [deployer, client, pm, architect, frontend, qa] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+
+    for (const signer of [client, pm, architect]) {
+      await usdc.faucet(signer.address, 10000_000000);
+      await usdc.connect(signer).approve(await escrow.getAddress(), ethers.MaxUint256);
+    }
+
+    // client → pm (#0, 1000)
+    //   pm → architect (#1, 400)
+    //     architect → frontend (#2, 150)
+    //   pm → qa (#3, 100)
+    await escrow.connect(client).createShake(1000_000000, 86400 * 7, ethers.id("project"));
+    await escrow.connect(pm).acceptShake(0);
+    await escrow.connect(pm).createChildShake(0, 400_000000, 86400 * 5, ethers.id("architecture"));
+    await escrow.connect(architect).acceptShake(1);
+    await escrow.connect(architect).createChildShake(1, 150_000000, 86400 * 3, ethers.id("frontend"));
+    await escrow.connect(frontend).acceptShake(2);
+    await escrow.connect(pm).createChildShake(0, 100_000000, 86400 * 3, ethers.id("qa"));
+    await escrow.connect(qa).acceptShake(3);
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      startBlock: (await usdc.deploymentTransaction().wait()).blockNumber,
+    });
+    await x402.getIndexer().sync();
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function get(path) {
+    const res = await fetch(`http://localhost:${port}${path}`);
+    const type = res.headers.get("content-type") || "";
+    return { status: res.status, type, body: type.includes("json") ? await res.json() : await res.text() };
+  }
+
+  const sync = () => x402.getIndexer().sync();
+  const node = (tree, id) => flatten(tree).find((n) => n.shakeId === id);
+
+  it("returns the whole recursive tree with budgets", async function () {
+    const res = await get("/shake/0/tree");
+    expect(res.status).to.equal(200);
+    expect(res.body.nodeCount).to.equal(4);
+    expect(res.body.maxDepth).to.equal(2);
+
+    const { tree } = res.body;
+    expect(tree.children.map((c) => c.shakeId)).to.deep.equal([1, 3]);
+    expect(tree.children[0].children.map((c) => c.shakeId)).to.deep.equal([2]);
+    expect(tree.remainingBudget).to.equal("500000000");
+    expect(node(tree, 1).remainingBudget).to.equal("250000000");
+    expect(node(tree, 2).status).to.equal("Active");
+    expect(node(tree, 2).depth).to.equal(2);
+    expect(tree.subtreeClean).to.equal(true);
+    expect(tree.releasableNow).to.equal(false);
+  });
+
+  it("serves a subtree rooted at any shake", async function () {
+    const res = await get("/shake/1/tree");
+    expect(res.body.nodeCount).to.equal(2);
+    expect(res.body.tree.children[0].shakeId).to.equal(2);
+  });
+
+  it("tracks release readiness across the dispute window", async function () {
+    await escrow.connect(frontend).deliverShake(2, ethers.id("frontend done"));
+    await escrow.connect(architect).deliverShake(1, ethers.id("architecture done"));
+    await sync();
+
+    let { tree } = (await get("/shake/0/tree")).body;
+    expect(node(tree, 2).releasableByRequester).to.equal(true);
+    expect(node(tree, 2).releasableNow).to.equal(false);
+    expect(node(tree, 1).childrenSettled).to.equal(false);
+    expect(node(tree, 1).releasableByRequester).to.equal(false);
+
+    await ethers.provider.send("evm_increaseTime", [48 * 3600]);
+    await ethers.provider.send("evm_mine", []);
+    ({ tree } = (await get("/shake/0/tree")).body);
+    expect(node(tree, 2).releasableNow).to.equal(true);
+    expect(node(tree, 2).disputeWindowEndsAt).to.equal(node(tree, 2).deliveredAt + 48 * 3600);
+  });
+
+  it("marks ancestors unclean and frozen while a descendant is disputed", async function () {
+    await escrow.connect(qa).deliverShake(3, ethers.id("qa done"));
+    await escrow.connect(pm).disputeShake(3);
+    await sync();
+
+    const { tree } = (await get("/shake/0/tree")).body;
+    expect(node(tree, 3).status).to.equal("Disputed");
+    expect(tree.subtreeClean).to.equal(false);
+    expect(tree.disputeFrozenUntil).to.be.greaterThan(0);
+    expect(node(tree, 1).subtreeClean).to.equal(true);
+  });
+
+  it("renders Mermaid and Graphviz DOT", async function () {
+    const mermaid = await get("/shake/0/tree?format=mermaid");
+    expect(mermaid.status).to.equal(200);
+    expect(mermaid.type).to.match(/text\/plain/);
+    expect(mermaid.body).to.match(/^graph TD\n/);
+    expect(mermaid.body).to.include('s0["#0 Active<br/>1000.0 USDC (budget 500.0)"]');
+    expect(mermaid.body).to.include("s1 --> s2");
+    expect(mermaid.body).to.include("class s3 disputed");
+
+    const dot = await get("/shake/0/tree?format=dot");
+    expect(dot.type).to.match(/text\/vnd\.graphviz/);
+    expect(dot.body).to.match(/^digraph hire_tree \{/);
+    expect(dot.body).to.include("s0 -> s1;");
+    expect(dot.body).to.include('s2 [label="#2 Delivered\\n150.0 USDC (budget 150.0)"');
+  });
+
+  it("rejects unknown shakes and formats", async function () {
+    expect((await get("/shake/99/tree")).status).to.equal(404);
+    expect((await get("/shake/0/tree?format=svg")).status).to.equal(400);
+  });
+});
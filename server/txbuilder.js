@@ -0,0 +1,260 @@
+/**
+ * Unsigned Transaction Builder
+ *
+ * Encodes calls to every Clawshake write function for agents that sign
+ * locally but don't carry ABIs. Each build is simulated with `eth_call` from
+ * the caller's address first; a revert comes back as the decoded custom error
+ * (`ExceedsParentBudget`, `DisputeWindowClosed`, ...) instead of a transaction.
+ *
+ * Calls that pull USDC (createShake, createShakeEncrypted, createShakeFor,
+ * initiateShake, createShakeAsDelegate) also report the approval they need: token, owner,
+ * spender, amount, current allowance and — when it falls short — the
+ * `approve` transaction to send first.
+ */
+
+const { ethers } = require("ethers");
+
+// Write functions per contract, as ethers human-readable ABI
+const WRITE_ABIS = {
+  ShakeEscrow: [
+    "function createShake(uint256 amount, uint48 deadline, bytes32 taskHash) returns (uint256)",
+    "function createShakeEncrypted(uint256 amount, uint48 deadline, bytes32 taskHash, bytes32 requesterPubKeyHash) returns (uint256)",
+    "function createShakeFor(uint256 amount, uint48 deadline, bytes32 taskHash, address worker) returns (uint256)",
+    "function acceptShake(uint256 shakeId)",
+    "function deliverShake(uint256 shakeId, bytes32 deliveryHash)",
+    "function deliverShakeEncrypted(uint256 shakeId, bytes32 deliveryHash, bytes32 encryptedDeliveryKey)",
+    "function releaseShake(uint256 shakeId)",
+    "function disputeShake(uint256 shakeId)",
+    "function resolveDispute(uint256 shakeId, bool workerWins)",
+    "function forceResolve(uint256 shakeId)",
+    "function refundShake(uint256 shakeId)",
+    "function createChildShake(uint256 parentShakeId, uint256 amount, uint48 deadline, bytes32 taskHash) returns (uint256)",
+    "function createChildShakeFor(uint256 parentShakeId, uint256 amount, uint48 deadline, bytes32 taskHash, address worker) returns (uint256)",
+    "function setRegistry(address _registry)",
+    "function setFeeOracle(address _oracle)",
+  ],
+  AgentRegistry: [
+    "function register(string name, string[] skills)",
+    "function recordShake(address agent, uint256 earned, bool success)",
+    "function authorizeCaller(address caller)",
+    "function revokeCaller(address caller)",
+  ],
+  AgentDelegate: [
+    "function createSession(address delegate, uint256 maxSpend, uint48 duration) returns (uint256)",
+    "function revokeSession(uint256 sessionId)",
+    "function createShakeAsDelegate(uint256 sessionId, uint256 amount, uint48 deadline, bytes32 taskHash) returns (uint256)",
+  ],
+  EncryptedDelivery: [
+    "function registerPubKey(bytes pubKey)",
+    "function storeEncryptedDelivery(uint256 shakeId, bytes ephemeralPubKey, bytes12 nonce, bytes32 ciphertextHash, bytes16 authTag)",
+  ],
+  CrossChainShake: [
+    "function initiateShake(uint256 amount, uint48 deadline, bytes32 taskHash, uint32 destinationDomain, bytes32 mintRecipient) returns (uint256)",
+    "function fulfillShake(uint256 requestId) returns (uint256)",
+  ],
+};
+
+// Custom errors of all five contracts plus the OpenZeppelin token / guard
+// errors that surface through them (calls nest, so any may bubble up)
+const ERRORS_ABI = [...new Set([
+  // ShakeEscrow
+  "error AmountZero()", "error DeadlineZero()", "error NotPending()", "error NotActive()", "error NotDelivered()",
+  "error DeadlinePassed()", "error DeadlineNotPassed()", "error AlreadyAccepted()", "error NotWorker()",
+  "error NotRequester()", "error DisputeWindowActive()", "error DisputeWindowClosed()", "error ParentNotActive()",
+  "error NotParentWorker()", "error ExceedsParentBudget()", "error CannotRefund()", "error NotDisputed()",
+  "error NotTreasury()", "error ChildrenNotSettled()", "error ChildDisputed()", "error SubtreeNotClean()",
+  "error FreezeDurationNotExpired()", "error TooManyChildren()", "error SelfDeal()", "error ZeroAddress()",
+  "error NotDesignatedWorker()",
+  // AgentRegistry
+  "error AlreadyRegistered()", "error NotRegistered()", "error NameRequired()", "error NotAuthorized()",
+  // AgentDelegate
+  "error NotSessionOwner()", "error SessionExpired()", "error SessionNotActive()", "error SessionInactive()",
+  "error ExceedsSessionBudget()", "error NotDelegate()", "error ZeroDuration()", "error ZeroMaxSpend()",
+  // EncryptedDelivery
+  "error DeliveryNotFound()", "error DeliveryAlreadyStored()", "error EmptyPayload()",
+  // CrossChainShake
+  "error InvalidDomain()", "error RequestNotFound()", "error RequestAlreadyFulfilled()", "error NotInitiator()",
+  "error InsufficientBalance()",
+  // OpenZeppelin
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error SafeERC20FailedOperation(address token)",
+  "error ReentrancyGuardReentrantCall()",
+])];
+
+const ERRORS = new ethers.Interface(ERRORS_ABI);
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+const USDC_OF_ABI = ["function usdc() view returns (address)"];
+const SESSION_ABI = [
+  "function getSession(uint256 sessionId) view returns (tuple(address owner, address delegate, uint256 maxSpend, uint256 spent, uint48 expiresAt, bool active))",
+];
+
+// Reverts an approval fixes; tolerated while the approval is still missing
+const ALLOWANCE_REVERT = /ERC20InsufficientAllowance|allowance/i;
+
+const INTERFACES = Object.fromEntries(
+  Object.entries(WRITE_ABIS).map(([name, abi]) => [name, new ethers.Interface(abi)])
+);
+
+/** Name and args of a revert, decoded against every known custom error, or the provider's message. */
+function decodeRevert(err) {
+  const data = err && (err.data || (err.info && err.info.error && err.info.error.data));
+  if (typeof data === "string" && data.length >= 10) {
+    try {
+      const parsed = ERRORS.parseError(data);
+      if (parsed) return { reason: parsed.name, args: parsed.args.map(String) };
+    } catch {
+      // not one of ours
+    }
+  }
+  return { reason: (err && (err.reason || err.shortMessage || err.message)) || "execution reverted", args: [] };
+}
+
+/**
+ * Encode `fn` of `iface` with `args` — an array in ABI order or an object
+ * keyed by parameter name. Throws with the expected signature on bad input.
+ */
+function encodeCall(iface, fn, args) {
+  const fragment = iface.getFunction(fn);
+  const names = fragment.inputs.map((input) => input.name);
+  const values = Array.isArray(args) ? args : names.map((name) => (args || {})[name]);
+  if (values.length !== names.length || values.some((v) => v === undefined)) {
+    throw new Error(`${fragment.name} takes (${names.join(", ")})`);
+  }
+  try {
+    return iface.encodeFunctionData(fragment, values);
+  } catch (err) {
+    throw new Error(`Invalid arguments for ${fragment.name}: ${err.shortMessage || err.message}`);
+  }
+}
+
+/** Contracts and write functions that can be built, with parameter names and types. */
+function catalog() {
+  return Object.fromEntries(
+    Object.entries(INTERFACES).map(([name, iface]) => {
+      const functions = [];
+      iface.forEachFunction((f) => {
+        functions.push({ name: f.name, inputs: f.inputs.map((i) => ({ name: i.name, type: i.type })) });
+      });
+      return [name, functions];
+    })
+  );
+}
+
+// Who pays which contract how much USDC for this call, or null when it moves none
+async function approvalSpec(contract, fn, values, provider, target) {
+  const token = () => new ethers.Contract(target, USDC_OF_ABI, provider).usdc();
+  switch (fn) {
+    case "createShake":
+    case "createShakeEncrypted":
+    case "createShakeFor":
+    case "initiateShake":
+      return { token: await token(), owner: null, amount: values[0] };
+    case "createShakeAsDelegate": {
+      // USDC is pulled from the session owner, not the delegate sending the tx
+      const session = await new ethers.Contract(target, SESSION_ABI, provider).getSession(values[0]);
+      return { token: await token(), owner: session.owner, amount: values[1] };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build an unsigned transaction.
+ *
+ * @param {object} opts
+ * @param {import("ethers").Provider} opts.provider
+ * @param {Record<string, string>} opts.addresses contract name → deployed address (ZeroAddress if absent)
+ * @param {number} opts.chainId
+ * @param {string} opts.from sender the call is simulated from
+ * @param {string} opts.contract one of WRITE_ABIS' keys
+ * @param {string} opts.fn write function name
+ * @param {Array|object} opts.args
+ * @returns {Promise<object>} the transaction, or { status, error, ... } when it can't be built
+ */
+async function buildTransaction({ provider, addresses, chainId, from, contract, fn, args }) {
+  const iface = INTERFACES[contract];
+  if (!iface) {
+    return { status: 400, error: `Unknown contract, expected one of: ${Object.keys(INTERFACES).join(", ")}` };
+  }
+  const fragment = iface.getFunction(String(fn || ""));
+  if (!fragment) {
+    return { status: 400, error: `${contract} has no write function "${fn}"` };
+  }
+  const to = addresses[contract];
+  if (!to || to === ethers.ZeroAddress) {
+    return { status: 503, error: `${contract} not configured on this chain` };
+  }
+
+  let data;
+  try {
+    data = encodeCall(iface, fragment.name, args);
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+  const values = iface.decodeFunctionData(fragment, data);
+
+  const spec = await approvalSpec(contract, fragment.name, values, provider, to);
+  let approval = null;
+  if (spec) {
+    const owner = spec.owner || from;
+    const usdc = new ethers.Contract(spec.token, ERC20_ABI, provider);
+    const [allowance, balance] = await Promise.all([usdc.allowance(owner, to), usdc.balanceOf(owner)]);
+    approval = {
+      token: spec.token,
+      owner,
+      spender: to,
+      amount: spec.amount.toString(),
+      allowance: allowance.toString(),
+      balance: balance.toString(),
+      sufficient: allowance >= spec.amount,
+      transaction: allowance >= spec.amount ? null : {
+        from: owner,
+        to: spec.token,
+        data: usdc.interface.encodeFunctionData("approve", [to, spec.amount]),
+        value: "0",
+        chainId,
+      },
+    };
+  }
+
+  const tx = { from, to, data };
+  let result;
+  try {
+    result = await provider.call(tx);
+  } catch (err) {
+    const reverted = decodeRevert(err);
+    // Until the approval is sent the token transfer is bound to fail; that's not the caller's error
+    if (!(approval && !approval.sufficient && ALLOWANCE_REVERT.test(reverted.reason))) {
+      return { status: 400, error: "Call would revert", contract, function: fragment.name, ...reverted, approval };
+    }
+    return {
+      contract, function: fragment.name, from, to, data, value: "0", chainId, gas: null,
+      simulation: { success: false, pendingApproval: true, ...reverted },
+      approval,
+    };
+  }
+
+  const decoded = iface.decodeFunctionResult(fragment, result);
+  return {
+    contract,
+    function: fragment.name,
+    from,
+    to,
+    data,
+    value: "0",
+    chainId,
+    gas: (await provider.estimateGas(tx)).toString(),
+    simulation: { success: true, result: decoded.map(String) },
+    approval,
+  };
+}
+
+module.exports = { buildTransaction, encodeCall, decodeRevert, catalog, WRITE_ABIS, ERRORS_ABI };
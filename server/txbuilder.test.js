@@ -0,0 +1,164 @@
+/**
+ * Transaction Builder Tests
+ *
+ * Builds unsigned transactions through POST /tx/build, sends them from the
+ * agents' own signers and checks the USDC approval reporting, gas estimates
+ * and decoded custom errors for calls that would revert.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+
+describe("x402 Transaction Builder", function () {
+  let usdc, escrow, registry, delegate, crossChain;
+  let deployer, requester, worker, delegateKey;
+  let x402, server, port;
+
+  before(async function () {
+    [deployer, requester, worker, delegateKey] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    registry = await AgentRegistry.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+    const AgentDelegate = await ethers.getContractFactory("AgentDelegate");
+    delegate = await AgentDelegate.deploy(await escrow.getAddress());
+    const MockTokenMessenger = await ethers.getContractFactory("MockTokenMessenger");
+    const cctp = await MockTokenMessenger.deploy(await usdc.getAddress());
+    const CrossChainShake = await ethers.getContractFactory("CrossChainShake");
+    crossChain = await CrossChainShake.deploy(await usdc.getAddress(), await cctp.getAddress(), await escrow.getAddress(), 6);
+
+    await usdc.faucet(requester.address, 10000_000000);
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+      delegateAddress: await delegate.getAddress(),
+      crossChainAddress: await crossChain.getAddress(),
+      startBlock: (await usdc.deploymentTransaction().wait()).blockNumber,
+    });
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function request(method, path, body) {
+    const res = await fetch(`http://localhost:${port}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  const build = (from, contract, fn, args) => request("POST", "/tx/build", { from: from.address, contract, function: fn, args });
+
+  // Sign and send a built transaction as `signer`
+  async function send(signer, tx) {
+    return (await signer.sendTransaction({ to: tx.to, data: tx.data, value: tx.value })).wait();
+  }
+
+  it("GET /tx/build — lists contracts and write functions", async function () {
+    const { status, body } = await request("GET", "/tx/build");
+    expect(status).to.equal(200);
+    expect(Object.keys(body.contracts)).to.deep.equal(["ShakeEscrow", "AgentRegistry", "AgentDelegate", "EncryptedDelivery", "CrossChainShake"]);
+    const child = body.contracts.ShakeEscrow.find((f) => f.name === "createChildShake");
+    expect(child.inputs.map((i) => `${i.type} ${i.name}`)).to.deep.equal([
+      "uint256 parentShakeId", "uint256 amount", "uint48 deadline", "bytes32 taskHash",
+    ]);
+  });
+
+  it("POST /tx/build — createShake reports the missing USDC approval, then simulates", async function () {
+    const args = { amount: "100000000", deadline: 86400, taskHash: ethers.id("built task") };
+    const first = await build(requester, "ShakeEscrow", "createShake", args);
+    expect(first.status).to.equal(200);
+    expect(first.body.gas).to.equal(null);
+    expect(first.body.simulation).to.deep.include({ success: false, pendingApproval: true, reason: "ERC20InsufficientAllowance" });
+    expect(first.body.approval).to.deep.include({
+      token: await usdc.getAddress(),
+      owner: requester.address,
+      spender: await escrow.getAddress(),
+      amount: "100000000",
+      allowance: "0",
+      sufficient: false,
+    });
+    await send(requester, first.body.approval.transaction);
+
+    const second = await build(requester, "ShakeEscrow", "createShake", args);
+    expect(second.status).to.equal(200);
+    expect(second.body).to.deep.include({ to: await escrow.getAddress(), value: "0", chainId: 31337 });
+    expect(Number(second.body.gas)).to.be.greaterThan(21000);
+    expect(second.body.simulation).to.deep.equal({ success: true, result: ["0"] });
+    expect(second.body.approval.sufficient).to.equal(true);
+    expect(second.body.approval.transaction).to.equal(null);
+
+    await send(requester, second.body);
+    expect((await escrow.getShake(0)).requester).to.equal(requester.address);
+  });
+
+  it("POST /tx/build — decodes the custom error of a reverting call", async function () {
+    await send(worker, (await build(worker, "ShakeEscrow", "acceptShake", [0])).body);
+
+    const tooMuch = await build(worker, "ShakeEscrow", "createChildShake", [0, 200_000000, 3600, ethers.id("sub")]);
+    expect(tooMuch.status).to.equal(400);
+    expect(tooMuch.body).to.deep.include({ error: "Call would revert", contract: "ShakeEscrow", function: "createChildShake", reason: "ExceedsParentBudget" });
+
+    await send(worker, (await build(worker, "ShakeEscrow", "deliverShake", { shakeId: 0, deliveryHash: ethers.id("done") })).body);
+    await ethers.provider.send("evm_increaseTime", [49 * 3600]);
+    await ethers.provider.send("evm_mine", []);
+
+    const late = await build(requester, "ShakeEscrow", "disputeShake", { shakeId: 0 });
+    expect(late.status).to.equal(400);
+    expect(late.body.reason).to.equal("DisputeWindowClosed");
+    expect(late.body.approval).to.equal(null);
+  });
+
+  it("POST /tx/build — registry calls need no approval", async function () {
+    const { status, body } = await build(worker, "AgentRegistry", "register", { name: "builder", skills: ["etl"] });
+    expect(status).to.equal(200);
+    expect(body.approval).to.equal(null);
+    await send(worker, body);
+    expect(await registry.isRegistered(worker.address)).to.equal(true);
+
+    const again = await build(worker, "AgentRegistry", "register", { name: "builder", skills: [] });
+    expect(again.body.reason).to.equal("AlreadyRegistered");
+  });
+
+  it("POST /tx/build — createShakeAsDelegate asks the session owner to approve", async function () {
+    await send(requester, (await build(requester, "AgentDelegate", "createSession", [delegateKey.address, 50_000000, 3600])).body);
+
+    const { body } = await build(delegateKey, "AgentDelegate", "createShakeAsDelegate", [0, 20_000000, 3600, ethers.id("delegated")]);
+    expect(body.approval).to.deep.include({ owner: requester.address, spender: await delegate.getAddress(), sufficient: false });
+    expect(body.approval.transaction.from).to.equal(requester.address);
+
+    const over = await build(delegateKey, "AgentDelegate", "createShakeAsDelegate", [0, 60_000000, 3600, ethers.id("delegated")]);
+    expect(over.body.reason).to.equal("ExceedsSessionBudget");
+  });
+
+  it("POST /tx/build — initiateShake approves the CrossChainShake contract", async function () {
+    const { body } = await build(requester, "CrossChainShake", "initiateShake", [10_000000, 3600, ethers.id("x"), 0, ethers.ZeroHash]);
+    expect(body.approval).to.deep.include({ spender: await crossChain.getAddress(), amount: "10000000" });
+  });
+
+  it("rejects unknown contracts, functions and bad arguments", async function () {
+    expect((await build(requester, "YieldEscrow", "depositToVault", [])).body.error).to.match(/Unknown contract/);
+    expect((await build(requester, "ShakeEscrow", "getShake", [0])).body.error).to.equal('ShakeEscrow has no write function "getShake"');
+    expect((await build(requester, "ShakeEscrow", "acceptShake", {})).body.error).to.equal("acceptShake takes (shakeId)");
+    expect((await build(requester, "ShakeEscrow", "acceptShake", ["abc"])).status).to.equal(400);
+    expect((await request("POST", "/tx/build", { contract: "ShakeEscrow", function: "acceptShake", args: [0] })).status).to.equal(400);
+
+    const missing = await build(requester, "EncryptedDelivery", "registerPubKey", ["0x04"]);
+    expect(missing.status).to.equal(503);
+    expect(missing.body.error).to.equal("EncryptedDelivery not configured on this chain");
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Request & Response Validation
+ *
+ * Checks requests against the OpenAPI document (openapi.js) before they reach
+ * a route: path, query and header parameters (coerced from strings by their
+ * schema type) and the JSON body. Every problem is reported in one 400:
+ *
+ *   { "error": "id must be a non-negative integer", "code": "INVALID_REQUEST",
+ *     "details": [{ "in": "path", "name": "id", "message": "id must be a non-negative integer" }] }
+ *
+ * Only the part of OpenAPI 3.0 the document uses is understood: $ref, type,
+ * nullable, enum, format (the custom formats in openapi.js), pattern,
+ * minimum / maximum, minLength, minItems, items, properties, required,
+ * anyOf and allOf. Undocumented query parameters and body fields are allowed.
+ *
+ * With response validation on (OPENAPI_VALIDATE_RESPONSES), JSON responses
+ * that don't match their documented schema are replaced by a 500 with code
+ * INVALID_RESPONSE, so drift between routes and document fails tests.
+ */
+
+const FORMATS = {
+  address: { test: (v) => /^0x[0-9a-fA-F]{40}$/.test(v), description: "an address" },
+  bytes32: { test: (v) => /^0x[0-9a-fA-F]{64}$/.test(v), description: "a 32-byte hex string" },
+  hex: { test: (v) => /^0x([0-9a-fA-F]{2})*$/.test(v), description: "a 0x-prefixed hex string" },
+  uint: { test: (v) => /^\d+$/.test(v), description: "a non-negative integer" },
+  usdc: { test: (v) => /^\d+(\.\d{1,6})?$/.test(v), description: "a USDC amount with at most 6 decimals" },
+};
+
+const TYPES = {
+  string: (v) => typeof v === "string",
+  integer: (v) => Number.isInteger(v),
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  boolean: (v) => typeof v === "boolean",
+  array: (v) => Array.isArray(v),
+  object: (v) => typeof v === "object" && v !== null && !Array.isArray(v),
+};
+
+const child = (at, key) => (at ? `${at}.${key}` : key);
+
+class Validator {
+  /** @param {object} spec OpenAPI document (openapi.js buildSpec) */
+  constructor(spec) {
+    this.spec = spec;
+    // First matching template wins, as with Express routes
+    this.routes = [];
+    for (const [template, item] of Object.entries(spec.paths)) {
+      const names = [];
+      const source = template
+        .split("/")
+        .map((segment) => {
+          const param = /^\{(\w+)\}$/.exec(segment);
+          if (!param) return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+          names.push(param[1]);
+          return "([^/]+)";
+        })
+        .join("/");
+      const pattern = new RegExp(`^${source}/?$`);
+      for (const [method, op] of Object.entries(item)) {
+        const parameters = (op.parameters || []).map((p) => this.resolve(p));
+        this.routes.push({ method: method.toUpperCase(), template, pattern, names, op: { ...op, parameters } });
+      }
+    }
+  }
+
+  /** Follow local `#/...` references. */
+  resolve(node) {
+    while (node && node.$ref) {
+      node = node.$ref.slice(2).split("/").reduce((obj, key) => obj[key], this.spec);
+    }
+    return node;
+  }
+
+  /** { template, op, params } for a request, or null when the document has no such route. */
+  match(method, path) {
+    for (const route of this.routes) {
+      if (route.method !== method) continue;
+      const found = route.pattern.exec(path);
+      if (!found) continue;
+      const params = {};
+      route.names.forEach((name, i) => {
+        try {
+          params[name] = decodeURIComponent(found[i + 1]);
+        } catch {
+          params[name] = found[i + 1];
+        }
+      });
+      return { template: route.template, op: route.op, params };
+    }
+    return null;
+  }
+
+  /** Problems with an Express request, as [{ in, name, message }]. */
+  checkRequest(req) {
+    const route = this.match(req.method, req.path);
+    if (!route) return [];
+
+    const details = [];
+    for (const param of route.op.parameters) {
+      let raw;
+      if (param.in === "path") raw = route.params[param.name];
+      else if (param.in === "query") raw = req.query[param.name];
+      else if (param.in === "header") raw = req.get(param.name);
+      else continue;
+
+      if (raw === undefined) {
+        if (param.required) details.push({ in: param.in, name: param.name, message: `${param.name} is required` });
+        continue;
+      }
+      if (typeof raw !== "string") {
+        details.push({ in: param.in, name: param.name, message: `${param.name} must be given once` });
+        continue;
+      }
+      for (const { message } of this.check(param.schema, this.coerce(param.schema, raw), param.name)) {
+        details.push({ in: param.in, name: param.name, message });
+      }
+    }
+
+    const body = route.op.requestBody && route.op.requestBody.content["application/json"];
+    if (body) {
+      for (const { name, message } of this.check(body.schema, req.body, "")) {
+        details.push({ in: "body", name, message });
+      }
+    }
+    return details;
+  }
+
+  /**
+   * Problems with a JSON response body, or null when the route or status isn't
+   * documented as JSON.
+   */
+  checkResponse(method, path, status, body) {
+    const route = this.match(method, path);
+    if (!route) return null;
+    const response = this.resolve(route.op.responses[status]);
+    if (!response) return [`status ${status} is not documented`];
+    const content = response.content && response.content["application/json"];
+    return content ? this.check(content.schema, body, "", "Response body").map((p) => p.message) : null;
+  }
+
+  // Query, path and header values arrive as strings; read them as their schema's type
+  coerce(schema, raw) {
+    schema = this.resolve(schema);
+    if (schema.type === "integer" && /^-?\d+$/.test(raw)) return Number(raw);
+    if (schema.type === "number" && raw.trim() !== "" && Number.isFinite(Number(raw))) return Number(raw);
+    if (schema.type === "boolean" && (raw === "true" || raw === "false")) return raw === "true";
+    return raw;
+  }
+
+  /**
+   * Every way `value` breaks `schema`, as [{ name, message }]. `at` names the
+   * value in messages ("attachments[0].uri"); `root` names a top-level body.
+   */
+  check(schema, value, at, root = "Request body") {
+    schema = this.resolve(schema);
+    const name = at || root;
+    const problem = (message) => ({ name: at || "body", message: `${name} ${message}` });
+    if (value === undefined) return [problem("is required")];
+    if (value === null) return schema.nullable ? [] : [problem("must not be null")];
+
+    const problems = [];
+    for (const part of schema.allOf || []) problems.push(...this.check(part, value, at, root));
+    if (schema.anyOf && !schema.anyOf.some((option) => this.check(option, value, at, root).length === 0)) {
+      problems.push(problem(`must be ${this.describe(schema)}`));
+    }
+    if (schema.type && !TYPES[schema.type](value)) {
+      return [...problems, problem(`must be ${this.describe(schema)}`)];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      problems.push(problem(`must be one of: ${schema.enum.join(", ")}`));
+    }
+    if (typeof value === "string") {
+      const format = FORMATS[schema.format];
+      if (format ? !format.test(value) : schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        problems.push(problem(`must be ${format ? format.description : `a string matching ${schema.pattern}`}`));
+      }
+      if (schema.minLength && value.length < schema.minLength) problems.push(problem("must not be empty"));
+    }
+    if (typeof value === "number") {
+      if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+        problems.push(problem(`must be ${this.describe(schema)}`));
+      }
+    }
+    if (Array.isArray(value)) {
+      if (schema.minItems && value.length < schema.minItems) {
+        problems.push(problem(`must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}`));
+      }
+      if (schema.items) value.forEach((item, i) => problems.push(...this.check(schema.items, item, `${at}[${i}]`)));
+    }
+    if (TYPES.object(value)) {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) problems.push(...this.check({}, undefined, child(at, key)));
+      }
+      for (const [key, property] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined) problems.push(...this.check(property, value[key], child(at, key)));
+      }
+    }
+    return problems;
+  }
+
+  /** "a non-negative integer", "an integer from 1 to 100", "an address or a number", ... */
+  describe(schema) {
+    schema = this.resolve(schema);
+    if (schema.anyOf) return [...new Set(schema.anyOf.map((option) => this.describe(option)))].join(" or ");
+    if (schema.allOf) return schema.allOf.map((part) => this.describe(part)).join(" and ");
+    if (FORMATS[schema.format]) return FORMATS[schema.format].description;
+    const { minimum, maximum } = schema;
+    switch (schema.type) {
+      case "integer":
+      case "number": {
+        const noun = schema.type === "integer" ? "integer" : "number";
+        if (minimum !== undefined && maximum !== undefined) return `${noun === "integer" ? "an" : "a"} ${noun} from ${minimum} to ${maximum}`;
+        if (minimum === 0) return `a non-negative ${noun}`;
+        if (minimum !== undefined) return `${noun === "integer" ? "an" : "a"} ${noun} of at least ${minimum}`;
+        return noun === "integer" ? "an integer" : "a number";
+      }
+      case "boolean":
+        return "true or false";
+      case "array":
+        return "an array";
+      case "object":
+        return "an object";
+      case "string":
+        return "a string";
+      default:
+        return "a value";
+    }
+  }
+}
+
+/** Middleware: 400 INVALID_REQUEST when a request breaks the document. */
+function validateRequests(validator) {
+  return (req, res, next) => {
+    const details = validator.checkRequest(req);
+    if (details.length === 0) return next();
+    res.status(400).json({ error: details.map((d) => d.message).join("; "), code: "INVALID_REQUEST", details });
+  };
+}
+
+/**
+ * Middleware: swap JSON responses that break the document for a 500
+ * INVALID_RESPONSE. Register it before anything else that wraps res.json so
+ * it sees the final body.
+ */
+function validateResponses(validator) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const problems = validator.checkResponse(req.method, req.path, res.statusCode, JSON.parse(JSON.stringify(body)));
+      if (!problems || problems.length === 0) return json(body);
+      console.warn(`Response to ${req.method} ${req.path} breaks the OpenAPI document: ${problems.join("; ")}`);
+      res.status(500);
+      return json({ error: "Response does not match the OpenAPI document", code: "INVALID_RESPONSE", problems });
+    };
+    next();
+  };
+}
+
+module.exports = { Validator, validateRequests, validateResponses, FORMATS };
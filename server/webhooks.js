@@ -0,0 +1,283 @@
+/**
+ * Webhook Subscriptions
+ *
+ * Push delivery of indexed contract events to agents that don't hold a
+ * stream open. A subscription is a URL plus the same filters GET /events
+ * accepts (type, shakeId, root, requester, worker).
+ *
+ * Each delivery is a JSON POST signed with the subscription's secret:
+ *
+ *   X-Clawshake-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+ *   X-Clawshake-Delivery:  <delivery id>
+ *   X-Clawshake-Event:     <event name | "reorg">
+ *
+ * Non-2xx responses and network errors are retried with exponential backoff
+ * (baseDelayMs · 2^(attempt-1)). After `maxAttempts` the delivery moves to the
+ * dead-letter list, where an admin can inspect and replay it. Removing a
+ * subscription drops its dead letters with it.
+ *
+ * Webhook hosts must resolve to public addresses: loopback, link-local and
+ * private ranges are refused (at registration and again before every
+ * attempt) unless the host is on the `allowedHosts` list. Each attempt
+ * connects to the address that was checked, and redirects are never
+ * followed — a 3xx counts as a failed attempt.
+ *
+ * Registration needs a SIWE session; each address may own at most
+ * `maxPerOwner` webhooks.
+ */
+
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { parseSubscription, cursorOf } = require("./stream");
+
+const FILTER_KEYS = ["type", "shakeId", "root", "requester", "worker"];
+// _attempt() result for a delivery whose subscription no longer exists
+const WEBHOOK_REMOVED = "Webhook removed";
+
+// Loopback, link-local, private, CGNAT and unspecified ranges
+const blockedAddresses = new net.BlockList();
+for (const [prefix, bits] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16]]) {
+  blockedAddresses.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10]]) {
+  blockedAddresses.addSubnet(prefix, bits, "ipv6");
+}
+
+function isBlockedAddress(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) return blockedAddresses.check(mapped[1], "ipv4");
+  return blockedAddresses.check(ip, net.isIPv6(ip) ? "ipv6" : "ipv4");
+}
+
+/** Signature header value for a raw body. */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/** Normalize body filters to the string form parseSubscription() takes. Throws on bad input. */
+function normalizeFilters(filters = {}) {
+  const out = {};
+  for (const key of FILTER_KEYS) {
+    const value = filters[key];
+    if (value === undefined || value === null || value === "") continue;
+    out[key] = Array.isArray(value) ? value.join(",") : String(value);
+  }
+  parseSubscription(out); // validate
+  return out;
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {object} opts
+   * @param {import("./store").ShakeStore} opts.store
+   * @param {import("./stream").EventHub} opts.hub
+   * @param {number} [opts.maxAttempts=6]
+   * @param {number} [opts.baseDelayMs=1000]
+   * @param {number} [opts.timeoutMs=10000] Per-attempt request timeout
+   * @param {string[]} [opts.allowedHosts=[]] Hostnames exempt from the private-address check
+   * @param {number} [opts.maxPerOwner=10] Webhooks one address may register
+   */
+  constructor(opts) {
+    this.store = opts.store;
+    this.hub = opts.hub;
+    this.maxAttempts = opts.maxAttempts || 6;
+    this.baseDelayMs = opts.baseDelayMs || 1000;
+    this.timeoutMs = opts.timeoutMs || 10000;
+    this.allowedHosts = new Set((opts.allowedHosts || []).map((h) => h.toLowerCase()));
+    this.maxPerOwner = opts.maxPerOwner || 10;
+    this.unsubscribers = new Map();
+    this.timers = new Set();
+
+    for (const webhook of this.store.listWebhooks()) this._subscribe(webhook);
+  }
+
+  /** Number of webhooks registered by an address. */
+  countOwnedBy(owner) {
+    const key = owner.toLowerCase();
+    return this.store.listWebhooks().filter((w) => w.owner?.toLowerCase() === key).length;
+  }
+
+  /** Register a subscription for `owner`. Resolves to the stored webhook (including its secret). */
+  async register({ url, filters, secret, owner }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error("Invalid webhook URL");
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      throw new Error("Webhook URL must be http or https");
+    }
+    if (secret !== undefined && secret !== null && (typeof secret !== "string" || secret === "")) {
+      throw new Error("Webhook secret must be a non-empty string");
+    }
+    await this._checkHost(parsed);
+
+    const webhook = {
+      id: crypto.randomUUID(),
+      owner,
+      url: parsed.toString(),
+      filters: normalizeFilters(filters),
+      secret: secret ?? crypto.randomBytes(32).toString("hex"),
+      createdAt: Math.floor(Date.now() / 1000),
+    };
+    this.store.putWebhook(webhook);
+    this.store.save();
+    this._subscribe(webhook);
+    return webhook;
+  }
+
+  /** Unsubscribe and drop the webhook's dead letters. */
+  remove(id) {
+    const unsubscribe = this.unsubscribers.get(id);
+    if (unsubscribe) unsubscribe();
+    this.unsubscribers.delete(id);
+    this.store.deleteWebhook(id);
+    for (const letter of this.store.listDeadLetters((d) => d.webhookId === id)) {
+      this.store.deleteDeadLetter(letter.id);
+    }
+    this.store.save();
+  }
+
+  /** Cancel pending retries and detach from the hub. */
+  stop() {
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+    for (const unsubscribe of this.unsubscribers.values()) unsubscribe();
+    this.unsubscribers.clear();
+  }
+
+  _subscribe(webhook) {
+    const { filter } = parseSubscription(webhook.filters);
+    const unsubscribe = this.hub.subscribe({ filter, resume: null }, (message) => {
+      this._enqueue(webhook.id, this._payload(webhook.id, message));
+    });
+    this.unsubscribers.set(webhook.id, unsubscribe);
+  }
+
+  /**
+   * Resolve the URL's host and return the address to connect to. Throws unless
+   * the host is allowlisted or resolves only to public addresses.
+   */
+  async _checkHost(url) {
+    const host = url.hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+
+    let addresses;
+    if (net.isIP(host)) {
+      addresses = [host];
+    } else {
+      try {
+        addresses = (await dns.lookup(host, { all: true })).map((a) => a.address);
+      } catch {
+        throw new Error(`Webhook host does not resolve: ${host}`);
+      }
+    }
+    if (!this.allowedHosts.has(host) && addresses.some(isBlockedAddress)) {
+      throw new Error(`Webhook host is loopback, link-local or private: ${host}`);
+    }
+    return { address: addresses[0], family: net.isIP(addresses[0]) };
+  }
+
+  _payload(webhookId, message) {
+    const base = { id: crypto.randomUUID(), webhookId, sentAt: Math.floor(Date.now() / 1000) };
+    if (message.kind === "reorg") return { ...base, type: "reorg", forkBlock: message.forkBlock };
+    return { ...base, type: "event", cursor: cursorOf(message.event), event: message.event };
+  }
+
+  _enqueue(webhookId, payload, attempt = 1) {
+    this._attempt(webhookId, payload).then((error) => {
+      if (!error || error === WEBHOOK_REMOVED) return; // unsubscribed since — drop silently
+      if (attempt >= this.maxAttempts) {
+        this._deadLetter(webhookId, payload, attempt, error);
+        return;
+      }
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        this._enqueue(webhookId, payload, attempt + 1);
+      }, this.baseDelayMs * 2 ** (attempt - 1));
+      this.timers.add(timer);
+    });
+  }
+
+  /** POST one delivery. Resolves to an error message (WEBHOOK_REMOVED if unsubscribed), or null on a 2xx. */
+  async _attempt(webhookId, payload) {
+    const webhook = this.store.getWebhook(webhookId);
+    if (!webhook) return WEBHOOK_REMOVED;
+
+    const body = JSON.stringify(payload);
+    try {
+      const url = new URL(webhook.url);
+      // The host may have been re-pointed since registration; connect to what was just checked
+      const target = await this._checkHost(url);
+      const status = await this._post(url, target, {
+        "Content-Type": "application/json",
+        "X-Clawshake-Signature": signPayload(webhook.secret, body),
+        "X-Clawshake-Delivery": payload.id,
+        "X-Clawshake-Event": payload.type === "reorg" ? "reorg" : payload.event.name,
+      }, body);
+      if (status >= 300 && status < 400) return `HTTP ${status} (redirects are not followed)`;
+      return status >= 200 && status < 300 ? null : `HTTP ${status}`;
+    } catch (err) {
+      return err.message;
+    }
+  }
+
+  /** POST `body` to `url`, connecting to the pinned `target` address. Resolves to the status code. */
+  _post(url, target, headers, body) {
+    const transport = url.protocol === "https:" ? https : http;
+    const lookup = (hostname, options, callback) => {
+      if (options.all) callback(null, [target]);
+      else callback(null, target.address, target.family);
+    };
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup,
+        timeout: this.timeoutMs,
+      }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on("timeout", () => req.destroy(new Error("Webhook request timed out")));
+      req.on("error", reject);
+      req.end(body);
+    });
+  }
+
+  _deadLetter(webhookId, payload, attempts, error) {
+    this.store.putDeadLetter({
+      id: payload.id,
+      webhookId,
+      payload,
+      attempts,
+      lastError: error,
+      failedAt: Math.floor(Date.now() / 1000),
+    });
+    this.store.save();
+  }
+
+  /**
+   * Re-send a dead-lettered delivery once. On success it leaves the
+   * dead-letter list; on failure it stays with the new error recorded.
+   */
+  async replay(deadLetterId) {
+    const letter = this.store.getDeadLetter(deadLetterId);
+    if (!letter) return null;
+
+    const error = await this._attempt(letter.webhookId, letter.payload);
+    if (error) {
+      this.store.putDeadLetter({ ...letter, attempts: letter.attempts + 1, lastError: error });
+    } else {
+      this.store.deleteDeadLetter(deadLetterId);
+    }
+    this.store.save();
+    return { id: deadLetterId, delivered: !error, error };
+  }
+}
+
+module.exports = { WebhookDispatcher, signPayload };
@@ -0,0 +1,361 @@
+/**
+ * Webhook Tests
+ *
+ * Registers subscriptions against a local HTTP receiver and checks signed
+ * delivery, filtering, retry with backoff, dead-lettering and admin replay,
+ * plus the SIWE and per-address guards on registration, the private-host
+ * guard, redirects, and what removal does to dead letters.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const crypto = require("crypto");
+const { WebhookDispatcher } = require("./webhooks");
+const { ShakeStore } = require("./store");
+
+const ADMIN_TOKEN = "test-admin-token";
+const SIWE_DOMAIN = "clawshake.test";
+
+describe("x402 Webhooks", function () {
+  let usdc, escrow, registry;
+  let deployer, requester, worker, other;
+  let x402, server, port, session;
+  let receiver, receiverPort;
+  let received = [];
+  let failNext = 0;
+
+  before(async function () {
+    [deployer, requester, worker, other] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const AgentRegistry = await ethers.getContractFactory("AgentRegistry");
+    registry = await AgentRegistry.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+
+    for (const signer of [requester, other]) {
+      await usdc.faucet(signer.address, 10000_000000);
+      await usdc.connect(signer).approve(await escrow.getAddress(), ethers.MaxUint256);
+    }
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      registryAddress: await registry.getAddress(),
+      startBlock: (await usdc.deploymentTransaction().wait()).blockNumber,
+      adminToken: ADMIN_TOKEN,
+      siweDomain: SIWE_DOMAIN,
+      webhooks: { maxAttempts: 3, baseDelayMs: 10, timeoutMs: 2000, allowedHosts: ["localhost"], maxPerOwner: 2 },
+    });
+    await x402.getIndexer().sync();
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+    session = await signIn(requester);
+
+    // Receiver: records every request, redirects /redirect to loopback, answers 500 while failNext > 0
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        if (req.url === "/redirect") {
+          res.writeHead(302, { Location: `http://127.0.0.1:${receiverPort}/hook` }).end();
+        } else if (failNext > 0) {
+          failNext--;
+          res.writeHead(500).end();
+        } else {
+          res.writeHead(204).end();
+        }
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, resolve));
+    receiverPort = receiver.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+    if (receiver) receiver.close();
+  });
+
+  beforeEach(function () {
+    received = [];
+    failNext = 0;
+  });
+
+  // Signed in as `session` unless the caller passes its own Authorization header
+  async function request(method, path, body, headers = {}) {
+    const res = await fetch(`http://localhost:${port}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...(session && { Authorization: `Bearer ${session}` }), ...headers },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  async function signIn(signer) {
+    const { body } = await request("GET", `/auth/nonce?address=${signer.address}`);
+    const signed = await request("POST", "/auth/siwe", { message: body.message, signature: await signer.signMessage(body.message) });
+    return signed.body.token;
+  }
+
+  async function waitFor(predicate) {
+    for (let i = 0; i < 200 && !predicate(); i++) {
+      await new Promise((r) => setTimeout(r, 10));
+    }
+  }
+
+  function verify(secret, delivery) {
+    const [t, v1] = delivery.headers["x-clawshake-signature"].split(",").map((p) => p.split("=")[1]);
+    const expected = crypto.createHmac("sha256", secret).update(`${t}.${delivery.body}`).digest("hex");
+    return v1 === expected;
+  }
+
+  const admin = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+  const sync = () => x402.getIndexer().sync();
+
+  it("delivers signed events matching the subscription filters", async function () {
+    const res = await request("POST", "/webhooks", {
+      url: `http://localhost:${receiverPort}/hook`,
+      filters: { type: ["ShakeCreated", "ShakeAccepted"], requester: requester.address },
+    });
+    expect(res.status).to.equal(201);
+    expect(res.body.secret).to.match(/^[0-9a-f]{64}$/);
+    expect(res.body.owner).to.equal(requester.address);
+    const { id, secret } = res.body;
+
+    await escrow.connect(requester).createShake(100_000000, 86400, ethers.id("hook 0"));
+    await escrow.connect(other).createShake(100_000000, 86400, ethers.id("not mine"));
+    await sync();
+    await waitFor(() => received.length >= 1);
+
+    expect(received).to.have.length(1);
+    const payload = JSON.parse(received[0].body);
+    expect(payload.webhookId).to.equal(id);
+    expect(payload.event.name).to.equal("ShakeCreated");
+    expect(payload.event.args.requester).to.equal(requester.address);
+    expect(received[0].headers["x-clawshake-event"]).to.equal("ShakeCreated");
+    expect(received[0].headers["x-clawshake-delivery"]).to.equal(payload.id);
+    expect(verify(secret, received[0])).to.equal(true);
+    expect(verify("wrong-secret", received[0])).to.equal(false);
+
+    await request("DELETE", `/webhooks/${id}`, null, { "X-Webhook-Secret": secret });
+  });
+
+  it("requires a SIWE session and caps webhooks per address", async function () {
+    const url = `http://localhost:${receiverPort}/hook`;
+    const anonymous = await request("POST", "/webhooks", { url }, { Authorization: "" });
+    expect(anonymous.status).to.equal(401);
+    expect(anonymous.body.error).to.equal("Sign in with SIWE to register webhooks");
+
+    const auth = { Authorization: `Bearer ${await signIn(other)}` };
+    const created = [];
+    for (let i = 0; i < 2; i++) {
+      const res = await request("POST", "/webhooks", { url }, auth);
+      expect(res.status).to.equal(201);
+      created.push(res.body);
+    }
+    const capped = await request("POST", "/webhooks", { url }, auth);
+    expect(capped.status).to.equal(409);
+    expect(capped.body.error).to.equal("Webhook limit reached (2 per address)");
+    // Another address has its own allowance
+    const mine = await request("POST", "/webhooks", { url });
+    expect(mine.status).to.equal(201);
+
+    for (const webhook of [...created, mine.body]) {
+      await request("DELETE", `/webhooks/${webhook.id}`, null, { "X-Webhook-Secret": webhook.secret });
+    }
+    expect((await request("POST", "/webhooks", { url }, auth)).status).to.equal(201);
+    const [last] = x402.getIndexer().store.listWebhooks();
+    await request("DELETE", `/webhooks/${last.id}`, null, { "X-Webhook-Secret": last.secret });
+  });
+
+  it("rejects invalid URLs and filters", async function () {
+    expect((await request("POST", "/webhooks", {})).status).to.equal(400);
+    expect((await request("POST", "/webhooks", { url: "ftp://example.com" })).status).to.equal(400);
+    const bad = await request("POST", "/webhooks", {
+      url: `http://localhost:${receiverPort}/hook`,
+      filters: { worker: "0xnope" },
+    });
+    expect(bad.status).to.equal(400);
+    expect(bad.body.error).to.equal("Invalid worker address");
+  });
+
+  it("refuses loopback, link-local and private hosts that are not allowlisted", async function () {
+    for (const host of ["127.0.0.1", "169.254.169.254", "10.0.0.7", "172.20.1.1", "192.168.1.1", "[::1]", "[fe80::1]", "[::ffff:127.0.0.1]"]) {
+      const res = await request("POST", "/webhooks", { url: `http://${host}:${receiverPort}/hook` });
+      expect(res.status, host).to.equal(400);
+      expect(res.body.error).to.match(/^Webhook host is loopback, link-local or private/);
+    }
+
+    // Hostnames are resolved: localhost is only accepted because the test server allowlists it
+    const strict = new WebhookDispatcher({ store: new ShakeStore(), hub: { subscribe: () => () => {} } });
+    let error;
+    try {
+      await strict.register({ url: `http://localhost:${receiverPort}/hook` });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.equal("Webhook host is loopback, link-local or private: localhost");
+  });
+
+  it("requires a supplied secret to be a non-empty string", async function () {
+    const url = `http://localhost:${receiverPort}/hook`;
+    expect((await request("POST", "/webhooks", { url, secret: "" })).status).to.equal(400);
+    expect((await request("POST", "/webhooks", { url, secret: 42 })).status).to.equal(400);
+
+    const strict = new WebhookDispatcher({ store: new ShakeStore(), hub: { subscribe: () => () => {} }, allowedHosts: ["localhost"] });
+    for (const secret of ["", 42, true, ["s3cret"]]) {
+      let error;
+      try {
+        await strict.register({ url, secret });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal("Webhook secret must be a non-empty string");
+    }
+  });
+
+  it("requires the webhook secret to inspect or delete a subscription", async function () {
+    const { body } = await request("POST", "/webhooks", { url: `http://localhost:${receiverPort}/hook`, secret: "s3cret" });
+
+    expect((await request("GET", `/webhooks/${body.id}`)).status).to.equal(403);
+    const details = await request("GET", `/webhooks/${body.id}`, null, { "X-Webhook-Secret": "s3cret" });
+    expect(details.status).to.equal(200);
+    expect(details.body.secret).to.equal(undefined);
+    expect(details.body.deadLetters).to.equal(0);
+
+    expect((await request("DELETE", `/webhooks/${body.id}`, null, { "X-Webhook-Secret": "s3cret" })).status).to.equal(204);
+    expect((await request("GET", `/webhooks/${body.id}`, null, { "X-Webhook-Secret": "s3cret" })).status).to.equal(404);
+  });
+
+  it("retries failed deliveries with backoff", async function () {
+    const { body } = await request("POST", "/webhooks", {
+      url: `http://localhost:${receiverPort}/hook`,
+      filters: { type: "ShakeCreated" },
+    });
+    failNext = 2;
+
+    await escrow.connect(requester).createShake(100_000000, 86400, ethers.id("hook retry"));
+    await sync();
+    await waitFor(() => received.length >= 3);
+
+    expect(received).to.have.length(3);
+    const ids = received.map((r) => r.headers["x-clawshake-delivery"]);
+    expect(new Set(ids).size).to.equal(1);
+    expect(received.every((r) => verify(body.secret, r))).to.equal(true);
+
+    await request("DELETE", `/webhooks/${body.id}`, null, { "X-Webhook-Secret": body.secret });
+  });
+
+  it("dead-letters deliveries after max attempts and replays them via admin routes", async function () {
+    const { body } = await request("POST", "/webhooks", {
+      url: `http://localhost:${receiverPort}/hook`,
+      filters: { type: "ShakeCreated" },
+    });
+    failNext = 3;
+
+    await escrow.connect(requester).createShake(100_000000, 86400, ethers.id("hook dead"));
+    await sync();
+    await waitFor(() => received.length >= 3);
+
+    const store = x402.getIndexer().store;
+    await waitFor(() => store.listDeadLetters((d) => d.webhookId === body.id).length > 0);
+    const letters = store.listDeadLetters((d) => d.webhookId === body.id);
+
+    expect((await request("GET", "/admin/webhooks/dead-letters")).status).to.equal(401);
+    const listed = await request("GET", `/admin/webhooks/dead-letters?webhookId=${body.id}`, null, admin);
+    expect(listed.status).to.equal(200);
+    expect(listed.body.count).to.equal(1);
+    expect(listed.body.deadLetters[0].attempts).to.equal(3);
+    expect(listed.body.deadLetters[0].lastError).to.equal("HTTP 500");
+    expect(letters[0].id).to.equal(listed.body.deadLetters[0].id);
+
+    const replayed = await request("POST", `/admin/webhooks/dead-letters/${letters[0].id}/replay`, null, admin);
+    expect(replayed.status).to.equal(200);
+    expect(replayed.body.delivered).to.equal(true);
+    expect(received).to.have.length(4);
+    expect(JSON.parse(received[3].body).event.name).to.equal("ShakeCreated");
+
+    const after = await request("GET", `/admin/webhooks/dead-letters?webhookId=${body.id}`, null, admin);
+    expect(after.body.count).to.equal(0);
+    expect((await request("POST", "/admin/webhooks/dead-letters/nope/replay", null, admin)).status).to.equal(404);
+
+    await request("DELETE", `/webhooks/${body.id}`, null, { "X-Webhook-Secret": body.secret });
+  });
+
+  it("replays every dead letter of a webhook", async function () {
+    const { body } = await request("POST", "/webhooks", {
+      url: `http://localhost:${receiverPort}/hook`,
+      filters: { type: "ShakeCreated" },
+    });
+    failNext = 6;
+
+    await escrow.connect(requester).createShake(100_000000, 86400, ethers.id("hook batch 0"));
+    await escrow.connect(requester).createShake(100_000000, 86400, ethers.id("hook batch 1"));
+    await sync();
+    const store = x402.getIndexer().store;
+    await waitFor(() => store.listDeadLetters((d) => d.webhookId === body.id).length === 2);
+
+    const res = await request("POST", `/admin/webhooks/${body.id}/replay`, null, admin);
+    expect(res.status).to.equal(200);
+    expect(res.body.replayed).to.equal(2);
+    expect(res.body.delivered).to.equal(2);
+
+    await request("DELETE", `/webhooks/${body.id}`, null, { "X-Webhook-Secret": body.secret });
+  });
+
+  it("does not follow redirects, even from an allowed host", async function () {
+    const { body } = await request("POST", "/webhooks", {
+      url: `http://localhost:${receiverPort}/redirect`,
+      filters: { type: "ShakeCreated" },
+    });
+
+    await escrow.connect(requester).createShake(100_000000, 86400, ethers.id("hook redirect"));
+    await sync();
+    const store = x402.getIndexer().store;
+    await waitFor(() => store.listDeadLetters((d) => d.webhookId === body.id).length === 1);
+
+    const [letter] = store.listDeadLetters((d) => d.webhookId === body.id);
+    expect(letter.lastError).to.equal("HTTP 302 (redirects are not followed)");
+    expect(received.map((r) => r.path)).to.deep.equal(["/redirect", "/redirect", "/redirect"]);
+
+    await request("DELETE", `/webhooks/${body.id}`, null, { "X-Webhook-Secret": body.secret });
+  });
+
+  it("discards a webhook's dead letters when it is removed", async function () {
+    const { body } = await request("POST", "/webhooks", {
+      url: `http://localhost:${receiverPort}/hook`,
+      filters: { type: "ShakeCreated" },
+    });
+    failNext = 3;
+
+    await escrow.connect(requester).createShake(100_000000, 86400, ethers.id("hook removed"));
+    await sync();
+    const store = x402.getIndexer().store;
+    await waitFor(() => store.listDeadLetters((d) => d.webhookId === body.id).length === 1);
+    const [letter] = store.listDeadLetters((d) => d.webhookId === body.id);
+
+    expect((await request("DELETE", `/webhooks/${body.id}`, null, { "X-Webhook-Secret": body.secret })).status).to.equal(204);
+    expect(store.listDeadLetters((d) => d.webhookId === body.id)).to.deep.equal([]);
+    expect((await request("POST", `/admin/webhooks/dead-letters/${letter.id}/replay`, null, admin)).status).to.equal(404);
+  });
+
+  it("does not report a replay to a removed webhook as delivered", async function () {
+    const store = x402.getIndexer().store;
+    const payload = { id: crypto.randomUUID(), webhookId: "gone", sentAt: 0, type: "reorg", forkBlock: 1 };
+    store.putDeadLetter({ id: payload.id, webhookId: "gone", payload, attempts: 3, lastError: "HTTP 500", failedAt: 0 });
+
+    const res = await request("POST", `/admin/webhooks/dead-letters/${payload.id}/replay`, null, admin);
+    expect(res.status).to.equal(502);
+    expect(res.body).to.deep.include({ delivered: false, error: "Webhook removed" });
+    expect(received).to.have.length(0);
+    expect(store.getDeadLetter(payload.id)).to.deep.include({ attempts: 4, lastError: "Webhook removed" });
+    store.deleteDeadLetter(payload.id);
+  });
+});
@@ -4,35 +4,151 @@
  * Lightweight Express server that exposes ShakeEscrow and AgentRegistry
  * via HTTP with x402 payment-required headers for agent-to-agent discovery.
  *
+ * Shake state is served from a local event index (see indexer.js / store.js)
+ * that backfills and tails ShakeEscrow logs; only payment verification and
+ * registry lookups go to the RPC directly.
+ *
+ * One server can serve several chains (networks.json, see networks.js). Every
+ * endpoint below answers for the default chain, for `/<chain>/...` or for
+ * `...?chain=<chain>`, each with its own contracts and index.
+ *
  * Endpoints:
  *   GET  /shake/:id       — shake details
- *   POST /shake           — create a shake
+ *   GET  /shake/:id/tree  — full recursive hire tree (JSON, Mermaid or DOT)
+ *   GET  /shake/:id/settlement — payout preview for release / dispute / force-resolve
+ *   GET  /shake/:id/delivery   — encrypted delivery proof and whether the key may be revealed
+ *   POST /shake           — create a shake (402 until a matching ShakeCreated tx is supplied)
  *   GET  /agent/:address  — agent passport from registry
- *   GET  /jobs            — list open (Pending) shakes, filterable by skills/minReward
- *   GET  /health          — server health check
+ *   GET  /agent/:address/shakes    — shakes the address requested or works on (?role=&status=)
+ *   GET  /agent/:address/portfolio — USDC locked, expected payouts, open disputes, earnings timeline
+ *   GET  /agents          — agent discovery by skill / minimum rating, sorted and paged
+ *   GET  /agents/top      — top agents by success rate
+ *   GET  /sessions/:id    — AgentDelegate session: spend, expiry, revocation, shakes created
+ *   GET  /owner/:address/sessions, /delegate/:address/sessions — sessions by owner / delegate
+ *   GET  /crosschain/:requestId             — CCTP request: burn, attestation, fulfillment, shakeId
+ *   GET  /crosschain/by-nonce/:domain/:nonce — same, looked up by source-domain CCTP nonce
+ *   PUT  /pubkey/:address — build the registerPubKey tx for an encryption key
+ *   GET  /pubkey/:address — registered encryption key (getRequesterPubKey)
+ *   GET  /yield/:depositId          — YieldEscrow deposit: principal, shares, accrued yield, split, APY
+ *   GET  /yield/depositor/:address  — all deposits of a depositor, with totals
+ *   GET  /tx/build                  — contracts and write functions the builder knows
+ *   POST /tx/build                  — unsigned tx (to, data, value, gas, USDC approval), simulated first
+ *   GET  /relay                     — gasless relayer: forwarder, EIP-712 domain, actions, policy
+ *   POST /relay/prepare             — typed ForwardRequest to sign for accept/deliver/release/dispute/createChildShake
+ *   POST /relay                     — submit a signed ForwardRequest; the relayer pays the gas
+ *   GET  /relay/signer/:address     — forwarder nonce and relay spend of a signer
+ *   POST /tasks           — publish a task specification under its taskHash
+ *   GET  /tasks/:hash     — fetch a task specification
+ *   GET  /jobs            — search shakes (open by default): status, requester, reward, deadline,
+ *                           tree and skill filters; sort by reward, deadline, creation or reward/hour; cursor-paged
+ *   GET  /negotiation     — EIP-712 domain and types of RFQs, quotes and awards
+ *   POST /rfqs            — post a signed RFQ for a published task (or a sub-hire of an Active shake)
+ *   GET  /rfqs            — RFQs by status, requester, task or quoting worker
+ *   GET  /rfqs/:id        — an RFQ with its quotes and award
+ *   POST /rfqs/:id/quotes — a worker's signed quote: price, deadline, sub-hire plan
+ *   POST /rfqs/:id/award  — the requester's signed pick → createShakeFor / createChildShakeFor tx
+ *   GET  /disputes        — EIP-712 domain and types of evidence and rulings, treasury, open disputes
+ *   POST /shake/:id/evidence — a signed evidence bundle from the requester or worker
+ *   GET  /shake/:id/case     — case file: task, delivery, evidence from both sides, timeline, subtree, ruling
+ *   POST /shake/:id/ruling   — the treasury's signed ruling and rationale → resolveDispute tx
+ *   GET  /events          — live contract event stream (SSE; WebSocket at /events/ws)
+ *   POST /webhooks        — register a signed webhook subscription (SIWE session)
+ *   GET|DELETE /webhooks/:id            — inspect / remove (X-Webhook-Secret)
+ *   GET  /admin/webhooks/dead-letters   — failed deliveries (Bearer ADMIN_TOKEN)
+ *   POST /admin/webhooks/dead-letters/:id/replay, /admin/webhooks/:id/replay
+ *   GET  /auth/nonce      — SIWE nonce (and a message to sign with ?address=)
+ *   POST /auth/siwe       — sign in with a SIWE message; returns a session token
+ *   GET|DELETE /auth/session            — current caller and quota / sign out
+ *   POST|GET /admin/api-keys, DELETE /admin/api-keys/:name — service account keys (Bearer ADMIN_TOKEN)
+ *   GET  /networks        — configured chains and their contract addresses
+ *   GET  /health          — server health check (configuration only)
+ *   GET  /health/deep     — RPC, contract code, escrow→registry wiring and index lag (503 on failure)
+ *   GET  /metrics         — Prometheus metrics: route latency, RPC calls/errors, index lag, shakes
+ *   GET  /openapi.json    — OpenAPI 3 document of all of the above
+ *
+ * Requests are validated against the OpenAPI document (openapi.js,
+ * validation.js). Errors are { error, code, details? } — `code` is stable,
+ * e.g. INVALID_REQUEST, NOT_FOUND, PAYMENT_REQUIRED, RATE_LIMITED.
+ *
+ * Every route is rate limited per caller and route (ratelimit.js); signing in
+ * with SIWE or an API key raises the quota, most for registered agents.
  *
  * x402 Headers (returned on payment-required responses):
  *   X-Payment-Required: true
  *   X-Payment-Address: <escrow-contract>
  *   X-Payment-Amount: <usdc-amount>
- *   X-Payment-Chain: base-sepolia
+ *   X-Payment-Chain: <chain name, e.g. base-sepolia>
+ *   X-Payment-Chain-Id: <EIP-155 chain ID>
+ *   X-Payment-Asset: <USDC address, when configured>
  *   X-Payment-Protocol: clawshake/v1
  */
 
+const path = require("path");
+const crypto = require("crypto");
 const express = require("express");
 const { ethers } = require("ethers");
 require("dotenv").config({ path: "../.env" });
+const { ShakeStore } = require("./store");
+const { ShakeIndexer } = require("./indexer");
+const { taskHashOf, validateTask, requiredSkillsOf } = require("./tasks");
+const { EventHub, sseHandler, attachWebSocket } = require("./stream");
+const { WebhookDispatcher } = require("./webhooks");
+const { loadNetworks, parseNetworks } = require("./networks");
+const { buildTree, flatten, toMermaid, toDot, STATUS, STATUS_NAMES } = require("./tree");
+const { hydrateAgent, parsePaging, parseAgentQuery, findAgents, rankAgents, page, TOP_MAX } = require("./agents");
+const { parseJobQuery, parseStatuses, findJobs, describeFilters } = require("./jobs");
+const { shakesOf, describePortfolio, ROLES } = require("./portfolio");
+const { negotiationDomain, openRfq, submitQuote, checkAward, recordAward, awardCall, claimAwardedShake, releaseAwardedShakes, describeRfq, describeQuote, findRfqs, NEGOTIATION_TYPES, RFQ_STATUSES } = require("./negotiation");
+const { disputeDomain, submitEvidence, publishRuling, describeCase, docket, DISPUTE_TYPES, LIMITS: DISPUTE_LIMITS } = require("./disputes");
+const { describeSession, listSessions } = require("./sessions");
+const { CrossChainTracker, IndexedEvents, DomainEventScanner, IrisAttestation, LocalAttestation } = require("./crosschain");
+const { validatePubKey, pubKeyHashOf, describeDelivery } = require("./delivery");
+const { describeDeposit, listDeposits } = require("./yield");
+const { Relayer, ACTIONS: RELAY_ACTIONS } = require("./relayer");
+const { buildTransaction, catalog } = require("./txbuilder");
+const { MulticallRunner } = require("./multicall");
+const { BlockCache, cacheResponses } = require("./cache");
+const { SiweAuth, ApiKeys, buildSiweMessage, SESSION_PREFIX } = require("./auth");
+const { RateLimiter } = require("./ratelimit");
+const { buildSpec, errorCodeOf } = require("./openapi");
+const { Validator, validateRequests, validateResponses } = require("./validation");
+const { Metrics, meterProvider } = require("./metrics");
+const { deepHealth, configuredContracts, withTimeout } = require("./health");
+const { chainDepth, computeSettlement, STATIC_FEE_BPS, MAX_FREEZE_DURATION } = require("./settlement");
 
 const app = express();
 app.use(express.json());
 
 // --- Contract ABIs (minimal) ---
 const ESCROW_ABI = [
-  "function getShake(uint256 shakeId) view returns (tuple(address requester, address worker, uint256 amount, uint256 parentShakeId, uint48 deadline, uint48 deliveredAt, uint8 status, bytes32 taskHash, bytes32 deliveryHash, bool isChildShake, uint48 disputeFrozenUntil))",
+  "function getShake(uint256 shakeId) view returns (tuple(address requester, address worker, uint256 amount, uint256 parentShakeId, uint48 deadline, uint48 deliveredAt, uint8 status, bytes32 taskHash, bytes32 deliveryHash, bool isChildShake, uint48 disputeFrozenUntil, bytes32 requesterPubKeyHash, bytes32 encryptedDeliveryKey))",
   "function getShakeCount() view returns (uint256)",
   "function getChildShakes(uint256 parentShakeId) view returns (uint256[])",
   "function getRemainingBudget(uint256 shakeId) view returns (uint256)",
+  "function feeOracle() view returns (address)",
+  "function registry() view returns (address)",
+  "function protocolFeeBps() view returns (uint256)",
+  "function disputedAt(uint256 shakeId) view returns (uint48)",
+  "function treasury() view returns (address)",
   "function createShake(uint256 amount, uint48 deadline, bytes32 taskHash) returns (uint256)",
+  "event ShakeCreated(uint256 indexed shakeId, address indexed requester, uint256 amount, bytes32 taskHash)",
+  "event ShakeAccepted(uint256 indexed shakeId, address indexed worker)",
+  "event ShakeDelivered(uint256 indexed shakeId, bytes32 deliveryHash)",
+  "event ShakeReleased(uint256 indexed shakeId, uint256 workerPayout, uint256 protocolFee)",
+  "event ShakeDisputed(uint256 indexed shakeId, address indexed disputant)",
+  "event ShakeRefunded(uint256 indexed shakeId)",
+  "event DisputeResolved(uint256 indexed shakeId, bool workerWins)",
+  "event ChildShakeCreated(uint256 indexed parentShakeId, uint256 indexed childShakeId, uint256 amount)",
+  "event RegistryUpdated(address indexed newRegistry)",
+  "event FeeOracleUpdated(address indexed newOracle)",
+  "event ParentFrozen(uint256 indexed parentShakeId, uint256 indexed childShakeId)",
+  "event ParentUnfrozen(uint256 indexed parentShakeId)",
+  "event ForceResolved(uint256 indexed shakeId)",
+  "event WorkerDesignated(uint256 indexed shakeId, address indexed worker)",
+];
+
+const FEE_ORACLE_ABI = [
+  "function getAdjustedFee(uint256 shakeAmount, uint256 chainDepth) view returns (uint256 feeBps)",
 ];
 
 const REGISTRY_ABI = [
@@ -40,228 +156,1954 @@ const REGISTRY_ABI = [
   "function getSkills(address agent) view returns (string[])",
   "function isRegistered(address agent) view returns (bool)",
   "function getAgentCount() view returns (uint256)",
+  "function searchBySkill(string skill) view returns (address[])",
+  "function getTopAgents(uint256 count) view returns (address[])",
+  "function getAgentsByMinRating(uint256 minSuccessRate) view returns (address[])",
+  "function authorizedCallers(address caller) view returns (bool)",
+  "event AgentRegistered(address indexed agent, bytes32 agentId, string name)",
+  "event AgentUpdated(address indexed agent, uint256 totalShakes, uint256 totalEarned)",
+  "event ShakeRecorded(address indexed agent, uint256 earned, bool success)",
+  "event CallerAuthorized(address indexed caller)",
+  "event CallerRevoked(address indexed caller)",
+];
+
+const DELEGATE_ABI = [
+  "event SessionCreated(uint256 indexed sessionId, address indexed owner, address indexed delegate, uint256 maxSpend, uint48 expiresAt)",
+  "event SessionRevoked(uint256 indexed sessionId, address indexed owner)",
+  "event DelegateShakeCreated(uint256 indexed sessionId, uint256 indexed shakeId, uint256 amount)",
+  "function getSession(uint256 sessionId) view returns (tuple(address owner, address delegate, uint256 maxSpend, uint256 spent, uint48 expiresAt, bool active))",
+  "function isSessionValid(uint256 sessionId) view returns (bool)",
+];
+
+const CROSSCHAIN_ABI = [
+  "event CrossChainInitiated(uint256 indexed requestId, address indexed initiator, uint256 amount, uint32 sourceDomain, uint32 destinationDomain, uint64 cctpNonce)",
+  "event CrossChainFulfilled(uint256 indexed requestId, uint256 indexed shakeId)",
+  "function getRequest(uint256 requestId) view returns (tuple(address initiator, uint256 amount, uint48 deadline, bytes32 taskHash, uint32 sourceDomain, uint64 cctpNonce, bool fulfilled))",
+  "function getRequestByNonce(uint32 sourceDomain, uint64 nonce) view returns (uint256)",
+];
+
+const ENCRYPTED_DELIVERY_ABI = [
+  "function registerPubKey(bytes pubKey)",
+  "function getEncryptedDelivery(uint256 shakeId) view returns (tuple(bytes32 shakeId, address worker, bytes ephemeralPubKey, bytes12 nonce, bytes32 ciphertextHash, bytes16 authTag, uint48 storedAt))",
+  "function getRequesterPubKey(address requester) view returns (bytes)",
+  "function hasEncryptedDelivery(uint256 shakeId) view returns (bool)",
+  "event PubKeyRegistered(address indexed requester, bytes pubKey)",
+  "event EncryptedDeliveryStored(uint256 indexed shakeId, address indexed worker, uint48 storedAt)",
+];
+
+const YIELD_ESCROW_ABI = [
+  "function vault() view returns (address)",
+  "function getDeposit(uint256 depositId) view returns (tuple(address depositor, uint256 principal, uint256 shares, uint48 depositedAt, bool withdrawn))",
+  "event Deposited(uint256 indexed depositId, address indexed depositor, uint256 principal, uint256 shares)",
+  "event Withdrawn(uint256 indexed depositId, uint256 principal, uint256 workerYield, uint256 requesterYield, uint256 protocolYield)",
+  "event VaultUpdated(address indexed newVault)",
 ];
 
 // --- Configuration ---
-const RPC_URL = process.env.RPC_URL || "https://sepolia.base.org";
-const ESCROW_ADDRESS = process.env.ESCROW_ADDRESS || "0x0000000000000000000000000000000000000000";
-const REGISTRY_ADDRESS = process.env.REGISTRY_ADDRESS || "0x0000000000000000000000000000000000000000";
+// Contract addresses and RPC per chain live in networks.json; these env vars
+// override the default network's entry.
+const NETWORKS_PATH = process.env.NETWORKS_PATH || path.join(__dirname, "networks.json");
+const DEFAULT_CHAIN = process.env.DEFAULT_CHAIN || "";
+const RPC_URL = process.env.RPC_URL;
+const ESCROW_ADDRESS = process.env.ESCROW_ADDRESS;
+const REGISTRY_ADDRESS = process.env.REGISTRY_ADDRESS;
+const DELEGATE_ADDRESS = process.env.DELEGATE_ADDRESS;
+const CROSSCHAIN_ADDRESS = process.env.CROSSCHAIN_ADDRESS;
+const ENCRYPTED_DELIVERY_ADDRESS = process.env.ENCRYPTED_DELIVERY_ADDRESS;
+const YIELD_ESCROW_ADDRESS = process.env.YIELD_ESCROW_ADDRESS;
+const FORWARDER_ADDRESS = process.env.FORWARDER_ADDRESS;
+const MULTICALL_ADDRESS = process.env.MULTICALL_ADDRESS;
+const RESPONSE_CACHE_SIZE = Number(process.env.RESPONSE_CACHE_SIZE || 1000);
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || "";
+const AUTH_SESSION_TTL = Number(process.env.AUTH_SESSION_TTL || 86400);
+const API_KEYS = process.env.API_KEYS || "";
+// JSON quota config (see ratelimit.js), or "off"
+const RATE_LIMITS = process.env.RATE_LIMITS || "";
+const TRUST_PROXY = process.env.TRUST_PROXY || "";
+// Check JSON responses against the OpenAPI document too (development / tests)
+const OPENAPI_VALIDATE_RESPONSES = process.env.OPENAPI_VALIDATE_RESPONSES === "1";
+// /health/deep: per-check RPC timeout and how far the index may trail the head
+const HEALTH_TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS || 5000);
+const HEALTH_MAX_INDEXER_LAG = Number(process.env.HEALTH_MAX_INDEXER_LAG || 20);
+// Behind a proxy, rate limit anonymous callers by the forwarded client IP
+if (TRUST_PROXY) app.set("trust proxy", TRUST_PROXY);
+const RELAYER_PRIVATE_KEY = process.env.RELAYER_PRIVATE_KEY || "";
+const RELAYER_POLICY = {
+  maxGas: BigInt(process.env.RELAYER_MAX_GAS || 500000),
+  maxDeadline: Number(process.env.RELAYER_MAX_DEADLINE || 3600),
+  spendLimit: BigInt(process.env.RELAYER_SPEND_LIMIT_WEI || 5000000000000000),
+  globalSpendLimit: BigInt(process.env.RELAYER_GLOBAL_SPEND_LIMIT_WEI || 50000000000000000),
+  windowSeconds: Number(process.env.RELAYER_SPEND_WINDOW || 86400),
+};
 const PORT = process.env.PORT || 3402;
+const MIN_CONFIRMATIONS = Number(process.env.MIN_CONFIRMATIONS || 1);
+const INDEX_DB_PATH = process.env.INDEX_DB_PATH || path.join(__dirname, "clawshake-index.json");
+const INDEXER_START_BLOCK = Number(process.env.INDEXER_START_BLOCK || 0);
+const INDEXER_REORG_DEPTH = Number(process.env.INDEXER_REORG_DEPTH || 12);
+const INDEXER_POLL_MS = Number(process.env.INDEXER_POLL_MS || 4000);
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const WEBHOOK_BASE_DELAY_MS = Number(process.env.WEBHOOK_BASE_DELAY_MS || 1000);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_MAX_PER_OWNER = Number(process.env.WEBHOOK_MAX_PER_OWNER || 10);
+// Hostnames webhooks may target even though they resolve to loopback/private addresses
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || "").split(",").map((h) => h.trim()).filter(Boolean);
+const CROSSCHAIN_LOCAL_DOMAIN = Number(process.env.CROSSCHAIN_LOCAL_DOMAIN || 6);
+// Other CCTP domains: { "<domain>": { "rpcUrl": "...", "crossChain": "0x...", "startBlock": 0 } }
+const CROSSCHAIN_DOMAINS = process.env.CROSSCHAIN_DOMAINS ? JSON.parse(process.env.CROSSCHAIN_DOMAINS) : undefined;
+const CCTP_ATTESTATION_URL = process.env.CCTP_ATTESTATION_URL || "https://iris-api-sandbox.circle.com";
+
+// --- Metrics ---
+// Process-wide, across initContracts calls; scraped at GET /metrics
+
+const metrics = new Metrics({ prefix: "clawshake_" });
+const httpDuration = metrics.histogram("http_request_duration_seconds", "HTTP request latency by route", ["chain", "method", "route", "status"]);
+const rpcCalls = metrics.counter("rpc_requests_total", "RPC-backed provider calls", ["chain", "method"]);
+const rpcErrors = metrics.counter("rpc_errors_total", "Provider calls that failed (reverts excluded)", ["chain", "method"]);
+const rpcUp = metrics.gauge("rpc_up", "1 when the RPC answered the last scrape", ["chain"]);
+const headBlock = metrics.gauge("chain_head_block", "Chain head at the last scrape", ["chain"]);
+const indexedBlock = metrics.gauge("indexer_block", "Last block in the event index", ["chain"]);
+const indexerLag = metrics.gauge("indexer_lag_blocks", "Blocks between the chain head and the event index", ["chain"]);
+const shakeGauge = metrics.gauge("shakes", "Indexed shakes by status (Pending = open)", ["chain", "status"]);
 
-// --- Provider & Contracts ---
-let provider, escrow, registry;
+// --- Networks ---
+// name → { name, chainId, provider, escrow, registry, ..., store, indexer, eventHub, webhooks, crossChainTracker }
+let networks = new Map();
+let defaultNetwork;
+let minConfirmations = MIN_CONFIRMATIONS;
+let adminToken = ADMIN_TOKEN;
+let siwe = new SiweAuth({ domain: SIWE_DOMAIN, sessionTtlMs: AUTH_SESSION_TTL * 1000 });
+let apiKeys = new ApiKeys();
+let rateLimiter = null;
+let responseValidation = OPENAPI_VALIDATE_RESPONSES;
 
 function initContracts(opts) {
-  if (opts && opts.provider) {
-    // Dependency injection for testing
-    provider = opts.provider;
-    escrow = new ethers.Contract(opts.escrowAddress || ESCROW_ADDRESS, ESCROW_ABI, provider);
-    registry = new ethers.Contract(opts.registryAddress || REGISTRY_ADDRESS, REGISTRY_ABI, provider);
+  opts = opts || {};
+  if (opts.minConfirmations !== undefined) {
+    minConfirmations = opts.minConfirmations;
+  }
+  if (opts.adminToken !== undefined) {
+    adminToken = opts.adminToken;
+  }
+  responseValidation = opts.validateResponses === undefined ? OPENAPI_VALIDATE_RESPONSES : opts.validateResponses;
+  siwe = new SiweAuth({ domain: opts.siweDomain || SIWE_DOMAIN, sessionTtlMs: AUTH_SESSION_TTL * 1000 });
+  apiKeys = ApiKeys.parse(opts.apiKeys === undefined ? API_KEYS : opts.apiKeys);
+  // Injected setups (tests) are unlimited unless they pass rateLimits
+  if (opts.provider) {
+    rateLimiter = opts.rateLimits ? new RateLimiter(opts.rateLimits) : null;
+  } else {
+    rateLimiter = RATE_LIMITS === "off" ? null : new RateLimiter(RATE_LIMITS ? JSON.parse(RATE_LIMITS) : {});
+  }
+
+  let config;
+  if (opts.provider) {
+    // Dependency injection for testing: the injected contracts form the default
+    // network (in-memory index unless a path is given); opts.networks adds more
+    const name = opts.chain || DEFAULT_CHAIN || "base-sepolia";
+    const entries = { [name]: injectedNetwork(opts) };
+    for (const [extra, cfg] of Object.entries(opts.networks || {})) {
+      entries[extra] = injectedNetwork(cfg);
+    }
+    config = parseNetworks({ default: name, networks: entries });
   } else {
-    provider = new ethers.JsonRpcProvider(RPC_URL);
-    escrow = new ethers.Contract(ESCROW_ADDRESS, ESCROW_ABI, provider);
-    registry = new ethers.Contract(REGISTRY_ADDRESS, REGISTRY_ABI, provider);
+    config = loadNetworks(NETWORKS_PATH, {
+      defaultName: DEFAULT_CHAIN,
+      overrides: {
+        rpcUrl: RPC_URL,
+        escrow: ESCROW_ADDRESS,
+        registry: REGISTRY_ADDRESS,
+        delegate: DELEGATE_ADDRESS,
+        crossChain: CROSSCHAIN_ADDRESS,
+        encryptedDelivery: ENCRYPTED_DELIVERY_ADDRESS,
+        yieldEscrow: YIELD_ESCROW_ADDRESS,
+        forwarder: FORWARDER_ADDRESS,
+        multicall: MULTICALL_ADDRESS,
+        startBlock: process.env.INDEXER_START_BLOCK && INDEXER_START_BLOCK,
+        cctpDomain: process.env.CROSSCHAIN_LOCAL_DOMAIN && CROSSCHAIN_LOCAL_DOMAIN,
+        crossChainDomains: CROSSCHAIN_DOMAINS,
+      },
+    });
+  }
+
+  for (const net of networks.values()) {
+    net.indexer.stop();
+    net.webhooks.stop();
+  }
+  networks = new Map();
+  for (const [name, cfg] of config.networks) {
+    const isDefault = name === config.defaultName;
+    if (!isDefault && cfg.escrow === ethers.ZeroAddress) {
+      console.warn(`Skipping network ${name}: no escrow address configured`);
+      continue;
+    }
+    const indexPath = opts.provider ? (isDefault ? opts.indexPath : undefined) : indexPathFor(name, isDefault);
+    const relayer = {
+      signer: opts.provider ? opts.relayerSigner : RELAYER_PRIVATE_KEY,
+      policy: { ...RELAYER_POLICY, ...opts.relayerPolicy },
+    };
+    const cacheSize = opts.cacheSize === undefined ? RESPONSE_CACHE_SIZE : opts.cacheSize;
+    networks.set(name, connectNetwork(cfg, { indexPath, attestation: opts.attestation, webhooks: opts.webhooks, relayer, cacheSize }));
+  }
+  defaultNetwork = networks.get(config.defaultName);
+  return defaultNetwork.indexer;
+}
+
+// Map the initContracts test options onto a networks.json-style entry
+function injectedNetwork(o) {
+  return {
+    chainId: o.chainId,
+    provider: o.provider,
+    escrow: o.escrowAddress,
+    registry: o.registryAddress,
+    feeOracle: o.feeOracleAddress,
+    delegate: o.delegateAddress,
+    crossChain: o.crossChainAddress,
+    encryptedDelivery: o.encryptedDeliveryAddress,
+    yieldEscrow: o.yieldEscrowAddress,
+    forwarder: o.forwarderAddress,
+    multicall: o.multicallAddress,
+    usdc: o.usdcAddress,
+    startBlock: o.startBlock,
+    cctpDomain: o.crossChainLocalDomain,
+    crossChainDomains: o.crossChainDomains,
+  };
+}
+
+// The default network keeps INDEX_DB_PATH; others get clawshake-index.<name>.json beside it
+function indexPathFor(name, isDefault) {
+  if (isDefault) return INDEX_DB_PATH;
+  const ext = path.extname(INDEX_DB_PATH);
+  return `${INDEX_DB_PATH.slice(0, INDEX_DB_PATH.length - ext.length)}.${name}${ext}`;
+}
+
+// Contracts, event index, stream and webhook dispatcher for one network
+function connectNetwork(cfg, { indexPath, attestation, webhooks = {}, relayer = {}, cacheSize }) {
+  const provider = meterProvider(cfg.provider || new ethers.JsonRpcProvider(cfg.rpcUrl), (method, err) => {
+    rpcCalls.inc({ chain: cfg.name, method });
+    if (err) rpcErrors.inc({ chain: cfg.name, method });
+  });
+  // Contract reads started together go out as one Multicall3 eth_call
+  const reader = cfg.multicall === ethers.ZeroAddress ? provider : new MulticallRunner(provider, cfg.multicall);
+  const net = {
+    name: cfg.name,
+    chainId: cfg.chainId,
+    usdc: cfg.usdc,
+    feeOracle: cfg.feeOracle,
+    provider,
+    multicall: reader === provider ? null : reader,
+    escrow: new ethers.Contract(cfg.escrow, ESCROW_ABI, reader),
+    registry: new ethers.Contract(cfg.registry, REGISTRY_ABI, reader),
+    delegate: new ethers.Contract(cfg.delegate, DELEGATE_ABI, reader),
+    crossChain: new ethers.Contract(cfg.crossChain, CROSSCHAIN_ABI, reader),
+    encryptedDelivery: new ethers.Contract(cfg.encryptedDelivery, ENCRYPTED_DELIVERY_ABI, reader),
+    yieldEscrow: new ethers.Contract(cfg.yieldEscrow, YIELD_ESCROW_ABI, reader),
+    store: new ShakeStore({ path: indexPath }),
+  };
+
+  net.indexer = new ShakeIndexer({
+    provider,
+    escrow: net.escrow,
+    store: net.store,
+    sources: [
+      { name: "AgentRegistry", contract: net.registry },
+      { name: "AgentDelegate", contract: net.delegate },
+      { name: "CrossChainShake", contract: net.crossChain },
+      { name: "EncryptedDelivery", contract: net.encryptedDelivery },
+      { name: "YieldEscrow", contract: net.yieldEscrow },
+    ],
+    startBlock: cfg.startBlock,
+    reorgDepth: INDEXER_REORG_DEPTH,
+    pollIntervalMs: INDEXER_POLL_MS,
+  });
+  // Awards claim the shakes reserved for their worker as they are indexed
+  net.indexer.on("event", (event) => claimAwardedShake(net.store, event));
+  net.indexer.on("reorg", () => releaseAwardedShakes(net.store));
+  net.eventHub = new EventHub(net.store, net.indexer);
+  net.cache = new BlockCache({ provider, indexer: net.indexer, maxEntries: cacheSize });
+  // address → { registered, at } for rate limit tiers
+  net.registrations = new Map();
+  net.webhooks = new WebhookDispatcher({
+    store: net.store,
+    hub: net.eventHub,
+    maxAttempts: webhooks.maxAttempts || WEBHOOK_MAX_ATTEMPTS,
+    baseDelayMs: webhooks.baseDelayMs || WEBHOOK_BASE_DELAY_MS,
+    timeoutMs: webhooks.timeoutMs || WEBHOOK_TIMEOUT_MS,
+    allowedHosts: webhooks.allowedHosts || WEBHOOK_ALLOWED_HOSTS,
+    maxPerOwner: webhooks.maxPerOwner || WEBHOOK_MAX_PER_OWNER,
+  });
+  net.crossChainTracker = buildCrossChainTracker(net, cfg, attestation);
+  net.relayer = buildRelayer(net, cfg, relayer);
+  return net;
+}
+
+// Gasless relayer when the network has a forwarder and a relayer key (or injected signer)
+function buildRelayer(net, cfg, { signer, policy }) {
+  if (cfg.forwarder === ethers.ZeroAddress || !signer) return null;
+  const wallet = typeof signer === "string" ? new ethers.Wallet(signer, net.provider) : signer;
+  return new Relayer({
+    signer: wallet,
+    forwarderAddress: cfg.forwarder,
+    escrowAddress: net.escrow.target,
+    policy,
+    isRegistered: (address) => isRegisteredAgent(net, address),
+  });
+}
+
+// One provider + CrossChainShake per CCTP domain; the network's own chain is its local domain
+function buildCrossChainTracker(net, cfg, attestation) {
+  const localDomain = cfg.cctpDomain === null ? CROSSCHAIN_LOCAL_DOMAIN : cfg.cctpDomain;
+  const domains = new Map();
+  if (net.crossChain.target !== ethers.ZeroAddress) {
+    domains.set(localDomain, { provider: net.provider, crossChain: net.crossChain, events: new IndexedEvents(net.store) });
+  }
+
+  // Tests inject { domain: { provider, address, startBlock } }; config files give { domain: { rpcUrl, crossChain, startBlock } }
+  for (const [domain, entry] of Object.entries(cfg.crossChainDomains)) {
+    const domainProvider = entry.provider || new ethers.JsonRpcProvider(entry.rpcUrl);
+    const crossChain = new ethers.Contract(entry.address || entry.crossChain, CROSSCHAIN_ABI, domainProvider);
+    domains.set(Number(domain), {
+      provider: domainProvider,
+      crossChain,
+      events: new DomainEventScanner({ provider: domainProvider, crossChain, startBlock: entry.startBlock }),
+    });
+  }
+
+  if (!attestation) {
+    attestation = process.env.CCTP_ATTESTATION === "local"
+      ? new LocalAttestation({ confirmations: minConfirmations })
+      : new IrisAttestation(CCTP_ATTESTATION_URL);
   }
+  return new CrossChainTracker({ domains, localDomain, attestation });
 }
 
-// --- Status Enum ---
-const STATUS_NAMES = ["Pending", "Active", "Delivered", "Released", "Disputed", "Refunded"];
+/** Indexer of a network (default network when no name is given). */
+function getIndexer(name) {
+  const net = name ? networks.get(name) : defaultNetwork;
+  return net ? net.indexer : undefined;
+}
+
+// Chain ID from config, or asked of the RPC once when the config leaves it out
+async function chainIdOf(net) {
+  if (net.chainId === null) {
+    net.chainId = Number((await net.provider.getNetwork()).chainId);
+  }
+  return net.chainId;
+}
 
 // --- x402 Headers ---
-function set402Headers(res, amount) {
+// Describe the network the request was served from; chainId must be resolved (chainIdOf) first
+function set402Headers(res, amount, net = defaultNetwork) {
   res.set("X-Payment-Required", "true");
-  res.set("X-Payment-Address", ESCROW_ADDRESS);
+  res.set("X-Payment-Address", net.escrow.target);
   res.set("X-Payment-Amount", amount.toString());
-  res.set("X-Payment-Chain", "base-sepolia");
+  res.set("X-Payment-Chain", net.name);
+  if (net.chainId !== null) res.set("X-Payment-Chain-Id", String(net.chainId));
+  if (net.usdc !== ethers.ZeroAddress) res.set("X-Payment-Asset", net.usdc);
   res.set("X-Payment-Protocol", "clawshake/v1");
 }
 
+// --- OpenAPI & Error Bodies ---
+const spec = buildSpec();
+const validator = new Validator(spec);
+
+// Registered first so it sees bodies after every other res.json wrapper
+const checkResponse = validateResponses(validator);
+app.use((req, res, next) => (responseValidation ? checkResponse(req, res, next) : next()));
+
+// Every error body is { error, code, ... }; routes that don't pick a code get the status default
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === "string" && !body.code) {
+      const { error, ...rest } = body;
+      return json({ error, code: errorCodeOf(res.statusCode), ...rest });
+    }
+    return json(body);
+  };
+  next();
+});
+
+// Latency by OpenAPI route template, so /shake/1 and /shake/2 share a series
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const route = validator.match(req.method, req.path);
+    httpDuration.observe(
+      {
+        chain: req.network ? req.network.name : "",
+        method: req.method,
+        route: route ? route.template : "unmatched",
+        status: res.statusCode,
+      },
+      Number(process.hrtime.bigint() - started) / 1e9
+    );
+  });
+  next();
+});
+
+// --- Network Selection ---
+// `/base/shake/1` and `/shake/1?chain=base` both serve the "base" network; a
+// path prefix wins over ?chain=. Everything else goes to the default network.
+app.use((req, res, next) => {
+  const prefix = req.path.split("/")[1];
+  let name = req.query.chain;
+  if (networks.has(prefix)) {
+    name = prefix;
+    const rest = req.url.slice(prefix.length + 1);
+    req.url = rest.startsWith("/") ? rest : `/${rest}`;
+  }
+
+  req.network = name === undefined ? defaultNetwork : networks.get(String(name));
+  if (!req.network) {
+    return res.status(400).json({ error: `Unknown chain "${name}"`, code: "UNKNOWN_CHAIN", chains: [...networks.keys()] });
+  }
+  // Writes (tasks, webhooks, payments) can change what cached reads would return
+  if (req.method !== "GET") {
+    const { cache } = req.network;
+    res.on("finish", () => cache.invalidate());
+  }
+  next();
+});
+
+// --- Authentication & Rate Limits ---
+
+// How long an isRegistered answer is trusted for quota decisions
+const REGISTRATION_TTL_MS = 60 * 1000;
+
+async function isRegisteredAgent(net, address) {
+  if (net.registry.target === ethers.ZeroAddress) return false;
+  const cached = net.registrations.get(address);
+  if (cached && Date.now() - cached.at < REGISTRATION_TTL_MS) return cached.registered;
+  let registered = false;
+  try {
+    registered = await net.registry.isRegistered(address);
+  } catch {
+    // Registry unreachable — fall back to the agent quota rather than failing the request
+  }
+  net.registrations.set(address, { registered, at: Date.now() });
+  return registered;
+}
+
+// { tier, subject, address?, service?, admin? }, or { error } for bad credentials
+async function identifyCaller(req) {
+  const authorization = req.get("Authorization") || "";
+  const apiKey = req.get("X-API-Key");
+  if (apiKey !== undefined) {
+    const entry = apiKeys.lookup(apiKey);
+    if (!entry) return { error: "Invalid API key" };
+    return { tier: "service", subject: `key:${entry.name}`, service: entry.name };
+  }
+  if (authorization.startsWith(`Bearer ${SESSION_PREFIX}`)) {
+    const token = authorization.slice("Bearer ".length);
+    const session = siwe.session(token);
+    if (!session) return { error: "Invalid or expired session" };
+    const registered = await isRegisteredAgent(req.network, session.address);
+    return { tier: registered ? "registered" : "agent", subject: session.address, address: session.address, token, session };
+  }
+  if (adminToken && safeEqual(authorization, `Bearer ${adminToken}`)) {
+    return { tier: "service", subject: "admin", admin: true };
+  }
+  return { tier: "anonymous", subject: `ip:${req.ip}` };
+}
+
+app.use(async (req, res, next) => {
+  try {
+    const caller = await identifyCaller(req);
+    if (caller.error) {
+      return res.status(401).json({ error: caller.error });
+    }
+    req.caller = caller;
+    if (!rateLimiter || caller.admin) return next();
+
+    const quota = rateLimiter.consume(req.method, req.path, caller);
+    if (quota.limit !== null) {
+      res.set("X-RateLimit-Limit", String(quota.limit));
+      res.set("X-RateLimit-Remaining", String(quota.remaining));
+      res.set("X-RateLimit-Reset", String(Math.ceil(quota.resetAt / 1000)));
+    }
+    if (!quota.allowed) {
+      const retryAfter = Math.max(1, Math.ceil((quota.resetAt - Date.now()) / 1000));
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: "Rate limit exceeded", tier: quota.tier, route: quota.route, limit: quota.limit, retryAfter });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Path, query, header and body checks generated from the OpenAPI document
+app.use(validateRequests(validator));
+
+// GET /openapi.json — the OpenAPI 3 document for this server
+app.get("/openapi.json", (req, res) => {
+  res.json(spec);
+});
+
+// GET /auth/nonce — single-use SIWE nonce; with ?address= also the message to sign
+app.get("/auth/nonce", async (req, res) => {
+  try {
+    if (!siwe.domain) {
+      return res.status(503).json({ error: "SIWE sign-in disabled (SIWE_DOMAIN not set)" });
+    }
+    const { nonce, expiresAt } = siwe.createNonce();
+    const body = { nonce, expiresAt };
+    if (req.query.address !== undefined) {
+      if (!ethers.isAddress(req.query.address)) {
+        return res.status(400).json({ error: "Invalid address" });
+      }
+      body.message = buildSiweMessage({
+        domain: siwe.domain,
+        address: ethers.getAddress(req.query.address),
+        statement: "Sign in to the Clawshake x402 server.",
+        uri: `${req.protocol}://${siwe.domain}`,
+        chainId: await chainIdOf(req.network),
+        nonce,
+        issuedAt: new Date().toISOString(),
+        expirationTime: new Date(expiresAt).toISOString(),
+      });
+    }
+    res.json(body);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /auth/siwe — { message, signature } → session token bound to the signer
+app.post("/auth/siwe", async (req, res) => {
+  try {
+    const { message, signature } = req.body || {};
+    const result = siwe.signIn({ message, signature, chainId: await chainIdOf(req.network) });
+    if (result.status) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+    const registered = await isRegisteredAgent(req.network, result.address);
+    res.json({ ...result, tier: registered ? "registered" : "agent" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /auth/session — who the server thinks the caller is
+app.get("/auth/session", (req, res) => {
+  const { tier, address, service, session } = req.caller;
+  res.json({
+    tier,
+    address: address || null,
+    service: service || null,
+    expiresAt: session ? session.expiresAt : null,
+    rateLimited: rateLimiter !== null,
+  });
+});
+
+// DELETE /auth/session — end the SIWE session of the bearer token
+app.delete("/auth/session", (req, res) => {
+  if (!req.caller.token) {
+    return res.status(401).json({ error: "Not signed in" });
+  }
+  siwe.signOut(req.caller.token);
+  res.status(204).end();
+});
+
+// POST /admin/api-keys — { name } → new service account key (shown once)
+app.post("/admin/api-keys", requireAdmin, (req, res) => {
+  const { name } = req.body || {};
+  if (typeof name !== "string" || !/^[\w.-]{1,64}$/.test(name)) {
+    return res.status(400).json({ error: "name must be 1-64 letters, digits, dots, dashes or underscores" });
+  }
+  if (apiKeys.has(name)) {
+    return res.status(409).json({ error: `API key "${name}" already exists` });
+  }
+  res.status(201).json(apiKeys.create(name));
+});
+
+// GET /admin/api-keys — service accounts (names only)
+app.get("/admin/api-keys", requireAdmin, (req, res) => {
+  res.json({ keys: apiKeys.list() });
+});
+
+// DELETE /admin/api-keys/:name — revoke a service account key
+app.delete("/admin/api-keys/:name", requireAdmin, (req, res) => {
+  if (!apiKeys.revoke(req.params.name)) {
+    return res.status(404).json({ error: "API key not found" });
+  }
+  res.status(204).end();
+});
+
+// --- Response Cache ---
+// RPC-backed reads are cached for the block they were computed at (see cache.js)
+const cached = cacheResponses((req) => req.network.cache);
+
 // --- Routes ---
 
+// Shape an indexed shake snapshot for API responses
+function formatShake(store, s) {
+  const children = store.getChildShakes(s.shakeId);
+  return {
+    shakeId: s.shakeId,
+    requester: s.requester,
+    worker: s.worker,
+    amount: s.amount,
+    amountUSDC: Number(s.amount) / 1e6,
+    parentShakeId: s.parentShakeId,
+    deadline: s.deadline,
+    deliveredAt: s.deliveredAt,
+    status: STATUS_NAMES[s.status] || "Unknown",
+    statusCode: s.status,
+    taskHash: s.taskHash,
+    deliveryHash: s.deliveryHash,
+    isChildShake: s.isChildShake,
+    disputeFrozenUntil: s.disputeFrozenUntil,
+    childShakes: children,
+    remainingBudget: s.remainingBudget,
+    remainingBudgetUSDC: Number(s.remainingBudget) / 1e6,
+    task: store.getTask(s.taskHash),
+  };
+}
+
 // GET /shake/:id — shake details
 app.get("/shake/:id", async (req, res) => {
+  const { store } = req.network;
+  try {
+    const shakeId = Number(req.params.id);
+    const s = store.getShake(shakeId);
+
+    if (!s) {
+      return res.status(404).json({ error: "Shake not found" });
+    }
+
+    res.json(formatShake(store, s));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /shake/:id/tree — whole hire tree under a shake (?format=json|mermaid|dot)
+app.get("/shake/:id/tree", async (req, res) => {
+  const { provider, store } = req.network;
   try {
-    const shakeId = parseInt(req.params.id);
-    const count = await escrow.getShakeCount();
+    const format = req.query.format || "json";
+    if (!["json", "mermaid", "dot"].includes(format)) {
+      return res.status(400).json({ error: "Invalid format, expected json, mermaid or dot" });
+    }
+
+    const shakeId = Number(req.params.id);
+    if (!store.getShake(shakeId)) {
+      return res.status(404).json({ error: "Shake not found" });
+    }
+
+    // Release readiness is judged against chain time, not the server clock
+    const latest = await provider.getBlock("latest");
+    const tree = buildTree(store, shakeId, latest.timestamp);
+
+    if (format === "mermaid") {
+      return res.type("text/plain").send(toMermaid(tree));
+    }
+    if (format === "dot") {
+      return res.type("text/vnd.graphviz").send(toDot(tree));
+    }
+
+    const nodes = flatten(tree);
+    res.json({
+      rootShakeId: shakeId,
+      evaluatedAt: latest.timestamp,
+      nodeCount: nodes.length,
+      maxDepth: Math.max(...nodes.map((n) => n.depth)),
+      tree,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (shakeId >= Number(count)) {
+// GET /shake/:id/settlement — what each party receives under every settlement outcome
+app.get("/shake/:id/settlement", cached, async (req, res) => {
+  const { escrow, store } = req.network;
+  try {
+    const shakeId = Number(req.params.id);
+    const s = store.getShake(shakeId);
+    if (!s) {
       return res.status(404).json({ error: "Shake not found" });
     }
 
-    const s = await escrow.getShake(shakeId);
-    const children = await escrow.getChildShakes(shakeId);
-    const budget = await escrow.getRemainingBudget(shakeId);
+    const depth = chainDepth(store, shakeId);
+    // Remaining budget and dispute time from the same snapshot the fee is priced against;
+    // the index may lag the chain by a poll
+    const [oracleAddress, remainingBudget, disputedAt] = await Promise.all([
+      escrow.feeOracle(),
+      escrow.getRemainingBudget(shakeId),
+      s.status === STATUS.Disputed ? escrow.disputedAt(shakeId) : null,
+    ]);
+    let feeBps = STATIC_FEE_BPS;
+    let feeSource = "static";
+    if (oracleAddress !== ethers.ZeroAddress) {
+      const oracle = new ethers.Contract(oracleAddress, FEE_ORACLE_ABI, escrow.runner);
+      feeBps = await oracle.getAdjustedFee(BigInt(s.amount), depth);
+      feeSource = "oracle";
+    }
+
+    const settlement = computeSettlement({ amount: BigInt(s.amount), remainingBudget, feeBps });
+    const forceResolvableAt = disputedAt === null ? null : Number(disputedAt) + MAX_FREEZE_DURATION;
 
     res.json({
       shakeId,
-      requester: s.requester,
-      worker: s.worker,
-      amount: s.amount.toString(),
-      amountUSDC: Number(s.amount) / 1e6,
-      parentShakeId: Number(s.parentShakeId),
-      deadline: Number(s.deadline),
-      deliveredAt: Number(s.deliveredAt),
       status: STATUS_NAMES[s.status] || "Unknown",
-      statusCode: Number(s.status),
-      taskHash: s.taskHash,
-      deliveryHash: s.deliveryHash,
-      isChildShake: s.isChildShake,
-      disputeFrozenUntil: Number(s.disputeFrozenUntil),
-      childShakes: children.map(Number),
-      remainingBudget: budget.toString(),
-      remainingBudgetUSDC: Number(budget) / 1e6,
+      depth,
+      amount: s.amount,
+      remainingBudget: remainingBudget.toString(),
+      feeBps: Number(feeBps),
+      feeSource,
+      feeOracle: feeSource === "oracle" ? oracleAddress : null,
+      ...settlement,
+      applicable: {
+        release: s.status === STATUS.Delivered,
+        resolveDispute: s.status === STATUS.Disputed,
+        forceResolve: s.status === STATUS.Disputed,
+      },
+      forceResolvableAt,
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// GET /shake/:id/delivery — encrypted delivery metadata for a shake
+app.get("/shake/:id/delivery", cached, async (req, res) => {
+  const { escrow, encryptedDelivery, store } = req.network;
+  try {
+    const shakeId = Number(req.params.id);
+    if (!store.getShake(shakeId)) {
+      return res.status(404).json({ error: "Shake not found" });
+    }
+
+    const configured = encryptedDelivery.target !== ethers.ZeroAddress;
+    res.json(await describeDelivery({ escrow, encryptedDelivery: configured ? encryptedDelivery : null }, shakeId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // POST /shake — create a shake (returns x402 if no payment)
+//
+// Payment can be proven two ways:
+//   X-Payment-Proof header — "txHash:chainId:blockNumber:shakeId:signature" (MIND x402 wire format)
+//   paymentTx body field   — bare tx hash (legacy)
 app.post("/shake", async (req, res) => {
+  // A payment tx backs exactly one confirmation: consumed txs are kept in the
+  // index file, so replays are refused across restarts too
+  const { provider, escrow, store } = req.network;
   const { amount, deadline, taskHash, paymentTx } = req.body;
+  const proofHeader = req.get("X-Payment-Proof");
 
   if (!amount || !deadline || !taskHash) {
     return res.status(400).json({ error: "Missing required fields: amount, deadline, taskHash" });
   }
 
-  // If no payment transaction provided, return 402
-  if (!paymentTx) {
-    set402Headers(res, amount);
+  // If no payment proof provided, return 402
+  if (!proofHeader && !paymentTx) {
+    let chainId;
+    try {
+      chainId = await chainIdOf(req.network);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+    set402Headers(res, amount, req.network);
     return res.status(402).json({
       error: "Payment required",
       message: "Submit USDC payment to create this shake",
       amount,
       deadline,
       taskHash,
-      escrowAddress: ESCROW_ADDRESS,
-      chain: "base-sepolia",
+      escrowAddress: escrow.target,
+      chain: req.network.name,
+      chainId,
+      asset: req.network.usdc === ethers.ZeroAddress ? null : req.network.usdc,
       protocol: "clawshake/v1",
     });
   }
 
-  // If payment tx provided, verify and return confirmation
+  // Verify the ShakeCreated log (and the signed proof, if given) and return confirmation
   try {
-    const receipt = await provider.getTransactionReceipt(paymentTx);
+    let expectedAmount;
+    try {
+      expectedAmount = BigInt(amount);
+    } catch {
+      return res.status(400).json({ error: "Invalid amount" });
+    }
+
+    let proof = null;
+    if (proofHeader) {
+      try {
+        proof = parsePaymentProof(proofHeader);
+      } catch (err) {
+        return res.status(400).json({ error: err.message, code: "PAYMENT_INVALID" });
+      }
+    }
+    const txHash = proof ? proof.txHash : paymentTx;
+
+    if (store.getPayment(txHash)) {
+      return res.status(409).json({ error: "Payment transaction already used", code: "PAYMENT_ALREADY_USED" });
+    }
+
+    const receipt = await provider.getTransactionReceipt(txHash);
     if (!receipt || receipt.status !== 1) {
-      return res.status(400).json({ error: "Payment transaction failed or not found" });
+      return res.status(400).json({ error: "Payment transaction failed or not found", code: "PAYMENT_INVALID" });
+    }
+
+    const confirmations = (await provider.getBlockNumber()) - receipt.blockNumber + 1;
+    if (confirmations < minConfirmations) {
+      return res.status(400).json({
+        error: "Insufficient confirmations",
+        code: "INSUFFICIENT_CONFIRMATIONS",
+        confirmations,
+        required: minConfirmations,
+      });
+    }
+
+    const payment = await findShakeCreated(escrow, receipt, expectedAmount, taskHash);
+    if (!payment) {
+      return res.status(400).json({ error: "Payment does not match request", code: "PAYMENT_INVALID" });
+    }
+
+    if (proof) {
+      const proofError = await checkPaymentProof(req.network, proof, receipt, payment);
+      if (proofError) {
+        return res.status(proofError.status).json({ error: proofError.error, code: "PAYMENT_INVALID" });
+      }
+    }
+
+    // Re-check after the awaits above so concurrent retries cannot both succeed
+    if (store.getPayment(txHash)) {
+      return res.status(409).json({ error: "Payment transaction already used", code: "PAYMENT_ALREADY_USED" });
     }
+    store.putPayment(txHash, { shakeId: payment.shakeId, consumedAt: Math.floor(Date.now() / 1000) });
+    store.save();
 
+    res.set("X-Shake-Id", payment.shakeId.toString());
     res.status(201).json({
-      message: "Shake creation initiated",
-      paymentTx,
+      message: "Shake created",
+      shakeId: payment.shakeId,
+      requester: payment.requester,
+      paymentTx: txHash,
       amount,
       deadline,
       taskHash,
-      status: "pending_confirmation",
+      status: "confirmed",
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Parse an X-Payment-Proof header. The first four fields follow
+// PaymentProof::encode() in mind/src/x402.mind; the fifth is an EIP-191
+// signature over those four fields joined with ":".
+function parsePaymentProof(header) {
+  const parts = header.trim().split(":");
+  if (parts.length !== 5) {
+    throw new Error("Invalid proof format, expected tx_hash:chain_id:block_number:shake_id:signature");
+  }
+
+  const [txHash, chainId, blockNumber, shakeId, signature] = parts;
+  if (!ethers.isHexString(txHash, 32)) {
+    throw new Error("Invalid transaction hash format");
+  }
+  if (!/^\d+$/.test(chainId)) throw new Error("Invalid chain_id in proof");
+  if (!/^\d+$/.test(blockNumber)) throw new Error("Invalid block_number in proof");
+  if (!/^\d+$/.test(shakeId)) throw new Error("Invalid shake_id in proof");
+  if (!ethers.isHexString(signature, 65)) throw new Error("Invalid signature in proof");
+
+  return {
+    txHash,
+    chainId: BigInt(chainId),
+    blockNumber: Number(blockNumber),
+    shakeId: Number(shakeId),
+    signature,
+    message: `${txHash}:${chainId}:${blockNumber}:${shakeId}`,
+  };
+}
+
+// Check a parsed proof against the receipt and the ShakeCreated log it points at.
+// Returns { status, error } on failure, null when the proof holds.
+async function checkPaymentProof({ provider, escrow }, proof, receipt, payment) {
+  const { chainId } = await provider.getNetwork();
+  if (proof.chainId !== chainId) {
+    return { status: 400, error: "Chain ID mismatch" };
+  }
+  if (proof.blockNumber !== receipt.blockNumber) {
+    return { status: 400, error: "Block number mismatch" };
+  }
+  if (proof.shakeId !== payment.shakeId) {
+    return { status: 400, error: "Shake ID mismatch" };
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(proof.message, proof.signature);
+  } catch {
+    return { status: 400, error: "Invalid signature in proof" };
+  }
+
+  const s = await escrow.getShake(proof.shakeId);
+  if (signer.toLowerCase() !== s.requester.toLowerCase()) {
+    return { status: 403, error: "Proof not signed by shake requester" };
+  }
+  return null;
+}
+
+// Find the ShakeCreated log emitted by the configured escrow that matches
+// the requested amount and taskHash. Returns null if the receipt has none.
+async function findShakeCreated(escrow, receipt, expectedAmount, taskHash) {
+  const escrowAddr = (await escrow.getAddress()).toLowerCase();
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== escrowAddr) continue;
+
+    let parsed;
+    try {
+      parsed = escrow.interface.parseLog(log);
+    } catch {
+      continue;
+    }
+    if (!parsed || parsed.name !== "ShakeCreated") continue;
+
+    if (parsed.args.amount !== expectedAmount) continue;
+    if (parsed.args.taskHash.toLowerCase() !== String(taskHash).toLowerCase()) continue;
+
+    return {
+      shakeId: Number(parsed.args.shakeId),
+      requester: parsed.args.requester,
+    };
+  }
+  return null;
+}
+
 // GET /agent/:address — agent passport
-app.get("/agent/:address", async (req, res) => {
+app.get("/agent/:address", cached, async (req, res) => {
+  const { registry } = req.network;
   try {
     const addr = req.params.address;
     if (!ethers.isAddress(addr)) {
       return res.status(400).json({ error: "Invalid address" });
     }
 
-    const isReg = await registry.isRegistered(addr);
+    // One batch: the passport of an unregistered address is simply empty
+    const [isReg, agent] = await Promise.all([registry.isRegistered(addr), hydrateAgent(registry, addr)]);
     if (!isReg) {
       return res.status(404).json({ error: "Agent not registered" });
     }
 
-    const passport = await registry.getPassport(addr);
-    const skills = await registry.getSkills(addr);
-
-    res.json({
-      address: addr,
-      agentId: passport.agentId,
-      name: passport.name,
-      skills,
-      totalShakes: Number(passport.totalShakes),
-      totalEarned: passport.totalEarned.toString(),
-      totalEarnedUSDC: Number(passport.totalEarned) / 1e6,
-      successRate: Number(passport.successRate) / 100, // Convert bps to percentage
-      disputesLost: Number(passport.disputesLost),
-      active: passport.active,
-    });
+    res.json(agent);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// GET /jobs — list open shakes, filterable by skills and minReward
-app.get("/jobs", async (req, res) => {
+// GET /agent/:address/shakes — shakes the address requested or works on, newest first (?role=&status=&limit=&offset=)
+app.get("/agent/:address/shakes", cached, (req, res) => {
+  const { store } = req.network;
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: "Invalid address" });
+  }
+  let paging, status;
   try {
-    const minReward = parseInt(req.query.minReward || "0") * 1e6; // Convert USDC to 6 decimals
-    const skillsFilter = req.query.skills ? req.query.skills.split(",").map(s => s.trim().toLowerCase()) : [];
+    paging = parsePaging(req.query);
+    status = req.query.status === undefined ? undefined : parseStatuses(req.query.status);
+    if (req.query.role !== undefined && !ROLES.includes(req.query.role)) {
+      throw new Error(`Invalid role, expected one of: ${ROLES.join(", ")}`);
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-    const count = Number(await escrow.getShakeCount());
-    const jobs = [];
+  const address = ethers.getAddress(req.params.address);
+  const found = shakesOf(store, address, { role: req.query.role, status });
+  const { limit, offset } = paging;
+  const slice = found.slice(offset, offset + limit);
+  res.json({
+    address,
+    total: found.length,
+    offset,
+    limit,
+    nextOffset: offset + slice.length < found.length ? offset + slice.length : null,
+    shakes: slice.map(({ shake, roles }) => ({ ...formatShake(store, shake), roles })),
+  });
+});
 
-    // Scan recent shakes (limit to last 100 for performance)
-    const start = Math.max(0, count - 100);
+// GET /agent/:address/portfolio — USDC locked as requester, expected payouts as worker, open disputes, earnings
+app.get("/agent/:address/portfolio", cached, async (req, res) => {
+  const { escrow, store } = req.network;
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: "Invalid address" });
+    }
 
-    for (let i = start; i < count; i++) {
-      const s = await escrow.getShake(i);
+    // Fees as releaseShake would charge them: FeeOracle by amount and depth, else the static fee
+    const oracleAddress = await escrow.feeOracle();
+    const oracle = oracleAddress === ethers.ZeroAddress ? null : new ethers.Contract(oracleAddress, FEE_ORACLE_ABI, escrow.runner);
+    const feeBpsOf = (s) => (oracle ? oracle.getAdjustedFee(BigInt(s.amount), chainDepth(store, s.shakeId)) : STATIC_FEE_BPS);
 
-      // Only show Pending shakes (open jobs)
-      if (Number(s.status) !== 0) continue;
+    res.json(await describePortfolio(store, ethers.getAddress(req.params.address), feeBpsOf));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      const amount = Number(s.amount);
-      if (amount < minReward) continue;
+// GET /agents — discover agents by skill and/or minimum rating (?skill=&minRating=&sort=&limit=&offset=)
+app.get("/agents", cached, async (req, res) => {
+  const { registry, store } = req.network;
+  let query;
+  try {
+    query = parseAgentQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-      jobs.push({
-        shakeId: i,
-        requester: s.requester,
-        amount: s.amount.toString(),
-        amountUSDC: amount / 1e6,
-        deadline: Number(s.deadline),
-        taskHash: s.taskHash,
-        isChildShake: s.isChildShake,
-        parentShakeId: Number(s.parentShakeId),
-      });
+  try {
+    // Rank on indexed sort keys, then read passports for this page only
+    const addresses = rankAgents(store, await findAgents(registry, query), query.sort);
+    const result = page(addresses, query);
+    result.agents = await Promise.all(result.agents.map((addr) => hydrateAgent(registry, addr)));
+    res.json({ sort: query.sort, ...result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /agents/top — highest success rate among agents with at least 5 shakes (?limit=&offset=&skill=)
+app.get("/agents/top", cached, async (req, res) => {
+  const { registry } = req.network;
+  let paging;
+  try {
+    paging = parsePaging({ limit: 10, ...req.query }, TOP_MAX);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    let addresses = [...(await registry.getTopAgents(TOP_MAX))];
+    if (req.query.skill) {
+      const withSkill = new Set(await findAgents(registry, { skill: String(req.query.skill).trim() }));
+      addresses = addresses.filter((addr) => withSkill.has(addr));
     }
 
-    res.json({
-      count: jobs.length,
-      filters: { minReward: minReward / 1e6, skills: skillsFilter },
-      jobs,
-    });
+    // Already ranked on-chain — hydrate only the requested page
+    const result = page(addresses, paging);
+    result.agents = await Promise.all(result.agents.map((addr) => hydrateAgent(registry, addr)));
+    res.json(result);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// GET /health — server health
-app.get("/health", (req, res) => {
-  res.json({
-    status: "ok",
-    protocol: "clawshake/v1",
-    chain: "base-sepolia",
-    escrow: ESCROW_ADDRESS,
-    registry: REGISTRY_ADDRESS,
-  });
-});
+// --- Delegate Sessions ---
 
-// --- Error handler ---
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: "Internal server error" });
-});
+function delegateConfigured(req, res) {
+  if (req.network.delegate.target === ethers.ZeroAddress) {
+    res.status(503).json({ error: "AgentDelegate not configured (DELEGATE_ADDRESS)" });
+    return false;
+  }
+  return true;
+}
 
-// --- Start ---
-if (require.main === module) {
-  initContracts();
-  app.listen(PORT, () => {
-    console.log(`Clawshake x402 server running on port ${PORT}`);
-    console.log(`  Escrow:   ${ESCROW_ADDRESS}`);
-    console.log(`  Registry: ${REGISTRY_ADDRESS}`);
-    console.log(`  Chain:    base-sepolia`);
+// GET /sessions/:id — live spend accounting for one session
+app.get("/sessions/:id", cached, async (req, res) => {
+  const { provider, delegate, store } = req.network;
+  try {
+    if (!delegateConfigured(req, res)) return;
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({ error: "Invalid session ID" });
+    }
+
+    const latest = await provider.getBlock("latest");
+    const session = await describeSession(delegate, store, Number(req.params.id), latest.timestamp);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    res.json(session);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /owner/:address/sessions and /delegate/:address/sessions
+for (const role of ["owner", "delegate"]) {
+  app.get(`/${role}/:address/sessions`, cached, async (req, res) => {
+    const { provider, delegate, store } = req.network;
+    try {
+      if (!delegateConfigured(req, res)) return;
+      if (!ethers.isAddress(req.params.address)) {
+        return res.status(400).json({ error: "Invalid address" });
+      }
+
+      const latest = await provider.getBlock("latest");
+      res.json(await listSessions(delegate, store, role, ethers.getAddress(req.params.address), latest.timestamp));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+}
+
+// --- Encryption Keys ---
+
+function encryptedDeliveryConfigured(req, res) {
+  if (req.network.encryptedDelivery.target === ethers.ZeroAddress) {
+    res.status(503).json({ error: "EncryptedDelivery not configured (ENCRYPTED_DELIVERY_ADDRESS)" });
+    return false;
+  }
+  return true;
+}
+
+// GET /pubkey/:address — the ECIES public key a requester registered
+app.get("/pubkey/:address", cached, async (req, res) => {
+  const { encryptedDelivery } = req.network;
+  try {
+    if (!encryptedDeliveryConfigured(req, res)) return;
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: "Invalid address" });
+    }
+
+    const pubKey = await encryptedDelivery.getRequesterPubKey(req.params.address);
+    if (pubKey === "0x") {
+      return res.status(404).json({ error: "No public key registered" });
+    }
+    res.json({ address: ethers.getAddress(req.params.address), pubKey, pubKeyHash: pubKeyHashOf(pubKey) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /pubkey/:address — unsigned registerPubKey tx for the address to sign and send
+app.put("/pubkey/:address", async (req, res) => {
+  const { provider, encryptedDelivery } = req.network;
+  try {
+    if (!encryptedDeliveryConfigured(req, res)) return;
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: "Invalid address" });
+    }
+
+    let pubKey;
+    try {
+      pubKey = validatePubKey(req.body.pubKey);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const from = ethers.getAddress(req.params.address);
+    const current = await encryptedDelivery.getRequesterPubKey(from);
+    const { chainId } = await provider.getNetwork();
+    res.json({
+      address: from,
+      pubKey,
+      pubKeyHash: pubKeyHashOf(pubKey),
+      alreadyRegistered: current.toLowerCase() === pubKey,
+      transaction: {
+        from,
+        to: encryptedDelivery.target,
+        data: encryptedDelivery.interface.encodeFunctionData("registerPubKey", [pubKey]),
+        value: "0",
+        chainId: Number(chainId),
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Yield Positions ---
+
+function yieldEscrowConfigured(req, res) {
+  if (req.network.yieldEscrow.target === ethers.ZeroAddress) {
+    res.status(503).json({ error: "YieldEscrow not configured (YIELD_ESCROW_ADDRESS)" });
+    return false;
+  }
+  return true;
+}
+
+// GET /yield/depositor/:address — every deposit made by an address
+app.get("/yield/depositor/:address", cached, async (req, res) => {
+  const { provider, yieldEscrow, store } = req.network;
+  try {
+    if (!yieldEscrowConfigured(req, res)) return;
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: "Invalid address" });
+    }
+
+    const latest = await provider.getBlock("latest");
+    res.json(await listDeposits(yieldEscrow, store, ethers.getAddress(req.params.address), latest.timestamp));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /yield/:depositId — live position of one deposit
+app.get("/yield/:depositId", cached, async (req, res) => {
+  const { provider, yieldEscrow, store } = req.network;
+  try {
+    if (!yieldEscrowConfigured(req, res)) return;
+    if (!/^\d+$/.test(req.params.depositId)) {
+      return res.status(400).json({ error: "Invalid deposit ID" });
+    }
+
+    const latest = await provider.getBlock("latest");
+    const deposit = await describeDeposit(yieldEscrow, store, Number(req.params.depositId), latest.timestamp);
+    if (!deposit) {
+      return res.status(404).json({ error: "Deposit not found" });
+    }
+    res.json(deposit);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Transaction Builder ---
+
+// Builder and relayer results are either a payload or { status, error, ... }
+function sendResult(res, result) {
+  if (result.status) {
+    const { status, ...body } = result;
+    return res.status(status).json(body);
+  }
+  res.json(result);
+}
+
+// GET /tx/build — what POST /tx/build can encode, with parameter names and types
+app.get("/tx/build", (req, res) => {
+  res.json({ contracts: catalog() });
+});
+
+// POST /tx/build — { contract, function, args, from } → unsigned tx, or the decoded revert
+app.post("/tx/build", async (req, res) => {
+  const net = req.network;
+  try {
+    const { contract, function: fn, args, from } = req.body || {};
+    if (!ethers.isAddress(from)) {
+      return res.status(400).json({ error: "Invalid from address" });
+    }
+
+    const result = await buildTransaction({
+      provider: net.provider,
+      addresses: {
+        ShakeEscrow: net.escrow.target,
+        AgentRegistry: net.registry.target,
+        AgentDelegate: net.delegate.target,
+        EncryptedDelivery: net.encryptedDelivery.target,
+        CrossChainShake: net.crossChain.target,
+      },
+      chainId: await chainIdOf(net),
+      from: ethers.getAddress(from),
+      contract,
+      fn,
+      args,
+    });
+    sendResult(res, result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Gasless Relayer ---
+
+function relayerConfigured(req, res) {
+  if (!req.network.relayer) {
+    res.status(503).json({ error: "Relayer not configured (FORWARDER_ADDRESS, RELAYER_PRIVATE_KEY)" });
+    return false;
+  }
+  return true;
+}
+
+// GET /relay — forwarder, signing domain, relayable actions and policy
+app.get("/relay", async (req, res) => {
+  const { relayer } = req.network;
+  try {
+    if (!relayerConfigured(req, res)) return;
+    const { policy } = relayer;
+    res.json({
+      forwarder: relayer.forwarder.target,
+      escrow: relayer.escrow.target,
+      relayer: await relayer.signer.getAddress(),
+      trusted: await relayer.escrow.isTrustedForwarder(relayer.forwarder.target),
+      domain: await relayer.domain(),
+      actions: Object.keys(RELAY_ACTIONS),
+      policy: {
+        maxGas: policy.maxGas.toString(),
+        maxDeadline: policy.maxDeadline,
+        spendLimit: policy.spendLimit.toString(),
+        globalSpendLimit: policy.globalSpendLimit.toString(),
+        windowSeconds: policy.windowSeconds,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /relay/prepare — { from, action, args, gas?, deadline? } → EIP-712 typed data to sign
+app.post("/relay/prepare", async (req, res) => {
+  const { relayer } = req.network;
+  try {
+    if (!relayerConfigured(req, res)) return;
+    const { from, action, args, gas, deadline } = req.body || {};
+    if (!ethers.isAddress(from)) {
+      return res.status(400).json({ error: "Invalid from address" });
+    }
+    sendResult(res, await relayer.prepare(ethers.getAddress(from), action, args, { gas, deadline }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /relay — { request, signature }: check policy, simulate and submit through the forwarder
+app.post("/relay", async (req, res) => {
+  const { relayer } = req.network;
+  try {
+    if (!relayerConfigured(req, res)) return;
+    const { request, signature } = req.body || {};
+    if (!request || typeof request !== "object") {
+      return res.status(400).json({ error: "Missing request" });
+    }
+    sendResult(res, await relayer.relay(request, signature));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /relay/signer/:address — forwarder nonce and spend in the current window
+app.get("/relay/signer/:address", async (req, res) => {
+  const { relayer } = req.network;
+  try {
+    if (!relayerConfigured(req, res)) return;
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: "Invalid address" });
+    }
+    res.json(await relayer.signerStatus(ethers.getAddress(req.params.address)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Cross-Chain Requests ---
+
+async function sendCrossChainRequest(req, res, sourceDomain, requestId) {
+  const request = await req.network.crossChainTracker.track(sourceDomain, requestId);
+  if (!request) {
+    return res.status(404).json({ error: "Cross-chain request not found" });
+  }
+  res.json(request);
+}
+
+function parseDomain(req, value, res) {
+  const { crossChainTracker } = req.network;
+  const domain = value === undefined ? crossChainTracker.localDomain : Number(value);
+  if (!Number.isInteger(domain) || domain < 0) {
+    res.status(400).json({ error: "Invalid domain" });
+    return null;
+  }
+  if (!crossChainTracker.domains.has(domain)) {
+    res.status(400).json({ error: `CCTP domain ${domain} is not configured` });
+    return null;
+  }
+  return domain;
+}
+
+// GET /crosschain/by-nonce/:domain/:nonce — look a request up by its source-domain CCTP nonce
+app.get("/crosschain/by-nonce/:domain/:nonce", async (req, res) => {
+  const { crossChainTracker } = req.network;
+  try {
+    const domain = parseDomain(req, req.params.domain, res);
+    if (domain === null) return;
+    if (!/^\d+$/.test(req.params.nonce)) {
+      return res.status(400).json({ error: "Invalid nonce" });
+    }
+
+    const requestId = await crossChainTracker.requestIdByNonce(domain, req.params.nonce);
+    if (requestId === null) {
+      return res.status(404).json({ error: "Cross-chain request not found" });
+    }
+    await sendCrossChainRequest(req, res, domain, requestId);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /crosschain/:requestId — track a request initiated on ?domain= (default: this chain's domain)
+app.get("/crosschain/:requestId", async (req, res) => {
+  try {
+    const domain = parseDomain(req, req.query.domain, res);
+    if (domain === null) return;
+    if (!/^\d+$/.test(req.params.requestId)) {
+      return res.status(400).json({ error: "Invalid request ID" });
+    }
+
+    await sendCrossChainRequest(req, res, domain, req.params.requestId);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /tasks — publish a task specification; its taskHash is derived from the content
+app.post("/tasks", (req, res) => {
+  const { store } = req.network;
+  const doc = req.body;
+  const invalid = validateTask(doc);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const taskHash = taskHashOf(doc);
+  const existing = store.getTask(taskHash);
+  if (!existing) {
+    store.putTask(taskHash, doc);
+    store.save();
+  }
+
+  res.status(existing ? 200 : 201).json({
+    taskHash,
+    requiredSkills: requiredSkillsOf(doc),
+    task: doc,
+  });
+});
+
+// GET /tasks/:hash — task specification by taskHash
+app.get("/tasks/:hash", (req, res) => {
+  const { store } = req.network;
+  const taskHash = req.params.hash;
+  if (!ethers.isHexString(taskHash, 32)) {
+    return res.status(400).json({ error: "Invalid task hash" });
+  }
+
+  const task = store.getTask(taskHash);
+  if (!task) {
+    return res.status(404).json({ error: "Task not found" });
+  }
+
+  res.json({ taskHash: taskHash.toLowerCase(), requiredSkills: requiredSkillsOf(task), task });
+});
+
+// GET /jobs — search shakes: open ones by default, filtered, sorted and cursor-paged (see jobs.js)
+//
+// ?skills= is the caller's skill set: a job is listed only when every skill its
+// task document requires is covered (after case-folding and synonyms). Jobs with
+// no published task document are excluded while a skills filter is active.
+app.get("/jobs", async (req, res) => {
+  const { provider, store } = req.network;
+  let query;
+  try {
+    query = parseJobQuery(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const latest = await provider.getBlock("latest");
+    const { total, evaluatedAt, nextCursor, jobs } = findJobs(store, query, latest.timestamp);
+    res.json({
+      count: jobs.length,
+      total,
+      sort: query.sort,
+      order: query.order,
+      filters: describeFilters(query),
+      evaluatedAt,
+      nextCursor,
+      jobs,
+    });
+  } catch (err) {
+    if (err.message === "Invalid cursor") {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Negotiation ---
+
+async function negotiationOf(net) {
+  const latest = await net.provider.getBlock("latest");
+  return { domain: negotiationDomain(await chainIdOf(net), net.escrow.target), now: latest.timestamp };
+}
+
+// GET /negotiation — what RFQs, quotes and awards are signed as
+app.get("/negotiation", async (req, res) => {
+  try {
+    const { domain } = await negotiationOf(req.network);
+    res.json({ domain, types: NEGOTIATION_TYPES, statuses: RFQ_STATUSES });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /rfqs — { rfq, signature } signed by rfq.requester
+app.post("/rfqs", async (req, res) => {
+  const { store } = req.network;
+  try {
+    const { domain, now } = await negotiationOf(req.network);
+    const result = openRfq(store, domain, req.body, now);
+    if (result.status) return sendResult(res, result);
+    res.status(201).json(describeRfq(store, result, now));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /rfqs — ?status=open|expired|awarded&requester=&taskHash=&worker=&limit=&offset=
+app.get("/rfqs", async (req, res) => {
+  const { provider, store } = req.network;
+  let paging;
+  const filters = {};
+  try {
+    paging = parsePaging(req.query);
+    if (req.query.status !== undefined) {
+      if (!RFQ_STATUSES.includes(req.query.status)) throw new Error(`Invalid status, expected one of: ${RFQ_STATUSES.join(", ")}`);
+      filters.status = req.query.status;
+    }
+    for (const name of ["requester", "worker"]) {
+      if (req.query[name] === undefined) continue;
+      if (!ethers.isAddress(req.query[name])) throw new Error(`Invalid ${name} address`);
+      filters[name] = ethers.getAddress(req.query[name]);
+    }
+    if (req.query.taskHash !== undefined) {
+      if (!ethers.isHexString(req.query.taskHash, 32)) throw new Error("Invalid taskHash");
+      filters.taskHash = req.query.taskHash;
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const now = (await provider.getBlock("latest")).timestamp;
+    const found = findRfqs(store, filters, now);
+    const { limit, offset } = paging;
+    const slice = found.slice(offset, offset + limit);
+    res.json({
+      total: found.length,
+      offset,
+      limit,
+      nextOffset: offset + slice.length < found.length ? offset + slice.length : null,
+      rfqs: slice.map((record) => describeRfq(store, record, now)),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /rfqs/:id — RFQ, quotes (cheapest first) and award
+app.get("/rfqs/:id", async (req, res) => {
+  const { provider, store } = req.network;
+  try {
+    const record = store.getRfq(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: "RFQ not found" });
+    }
+    const now = (await provider.getBlock("latest")).timestamp;
+    res.json(describeRfq(store, record, now));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /rfqs/:id/quotes — { quote, signature } signed by quote.worker
+app.post("/rfqs/:id/quotes", async (req, res) => {
+  const { store } = req.network;
+  try {
+    const { domain, now } = await negotiationOf(req.network);
+    const result = submitQuote(store, domain, req.params.id, req.body, now);
+    if (result.status) return sendResult(res, result);
+    res.status(201).json(describeQuote(result, now));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /rfqs/:id/award — { quoteId, signature } signed by the requester → the
+// createShakeFor / createChildShakeFor transaction, simulated from the requester
+app.post("/rfqs/:id/award", async (req, res) => {
+  const net = req.network;
+  try {
+    const { domain, now } = await negotiationOf(net);
+    const checked = checkAward(net.store, domain, req.params.id, req.body, now);
+    if (checked.status) return sendResult(res, checked);
+
+    const { record, entry } = checked;
+    const { fn, args } = awardCall(record, entry);
+    const transaction = await buildTransaction({
+      provider: net.provider,
+      addresses: { ShakeEscrow: net.escrow.target },
+      chainId: domain.chainId,
+      from: record.rfq.requester,
+      contract: "ShakeEscrow",
+      fn,
+      args,
+    });
+    if (transaction.status) return sendResult(res, transaction);
+
+    recordAward(net.store, record, entry, req.body.signature, now);
+    res.json({ rfq: describeRfq(net.store, record, now), transaction });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Disputes ---
+
+async function disputesOf(net) {
+  const latest = await net.provider.getBlock("latest");
+  return { domain: disputeDomain(await chainIdOf(net), net.escrow.target), now: latest.timestamp };
+}
+
+// GET /disputes — what evidence and rulings are signed as, and the open docket
+app.get("/disputes", async (req, res) => {
+  const net = req.network;
+  try {
+    const { domain } = await disputesOf(net);
+    res.json({
+      domain,
+      types: DISPUTE_TYPES,
+      limits: DISPUTE_LIMITS,
+      treasury: await net.escrow.treasury(),
+      open: docket(net.store),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /shake/:id/evidence — { evidence, signature } signed by the shake's requester or worker
+app.post("/shake/:id/evidence", async (req, res) => {
+  const { store } = req.network;
+  try {
+    const s = store.getShake(Number(req.params.id));
+    if (!s) {
+      return res.status(404).json({ error: "Shake not found" });
+    }
+    const { domain, now } = await disputesOf(req.network);
+    const result = submitEvidence(store, domain, s, req.body, now);
+    if (result.status) return sendResult(res, result);
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /shake/:id/case — everything a ruling should be made on
+app.get("/shake/:id/case", async (req, res) => {
+  const { provider, store } = req.network;
+  try {
+    const s = store.getShake(Number(req.params.id));
+    if (!s) {
+      return res.status(404).json({ error: "Shake not found" });
+    }
+    const latest = await provider.getBlock("latest");
+    res.json(describeCase(store, s, latest.timestamp));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /shake/:id/ruling — { ruling, signature } signed by the treasury. While the
+// shake is still Disputed, also returns the matching resolveDispute transaction
+app.post("/shake/:id/ruling", async (req, res) => {
+  const net = req.network;
+  try {
+    const s = net.store.getShake(Number(req.params.id));
+    if (!s) {
+      return res.status(404).json({ error: "Shake not found" });
+    }
+    const { domain, now } = await disputesOf(net);
+    const treasury = await net.escrow.treasury();
+    const published = publishRuling(net.store, domain, s, req.body, treasury, now);
+    if (published.status) return sendResult(res, published);
+
+    const { record, resolved } = published;
+    let transaction = null;
+    if (!resolved) {
+      transaction = await buildTransaction({
+        provider: net.provider,
+        addresses: { ShakeEscrow: net.escrow.target },
+        chainId: domain.chainId,
+        from: treasury,
+        contract: "ShakeEscrow",
+        fn: "resolveDispute",
+        args: [String(s.shakeId), record.ruling.workerWins],
+      });
+      // The ruling stands either way; a failed build only drops the convenience tx
+      if (transaction.status) transaction = null;
+    }
+    res.status(201).json({ ruling: record.ruling, transaction });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /events — Server-Sent Events stream of indexed contract events (see stream.js)
+app.get("/events", sseHandler((req) => req.network.eventHub));
+
+// Serve the same stream over WebSocket on an http.Server: /events/ws (?chain=)
+// for the default network and /<chain>/events/ws for each configured one
+function attachEventSocket(server) {
+  const sockets = [
+    attachWebSocket(server, (url) => {
+      const name = url.searchParams.get("chain");
+      const net = name ? networks.get(name) : defaultNetwork;
+      return net ? net.eventHub : null;
+    }),
+  ];
+  for (const name of networks.keys()) {
+    sockets.push(attachWebSocket(server, () => networks.get(name).eventHub, `/${name}/events/ws`));
+  }
+  return sockets;
+}
+
+// --- Webhooks ---
+
+// Constant-time string comparison for secrets and tokens
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+// Resolve :id and check the X-Webhook-Secret header; sends the error response itself
+function authorizedWebhook(req, res) {
+  const webhook = req.network.store.getWebhook(req.params.id);
+  if (!webhook) {
+    res.status(404).json({ error: "Webhook not found" });
+    return null;
+  }
+  if (!safeEqual(req.get("X-Webhook-Secret") || "", webhook.secret)) {
+    res.status(403).json({ error: "Invalid webhook secret" });
+    return null;
+  }
+  return webhook;
+}
+
+function requireAdmin(req, res, next) {
+  if (!adminToken) {
+    return res.status(403).json({ error: "Admin routes disabled (ADMIN_TOKEN not set)" });
+  }
+  const header = req.get("Authorization") || "";
+  if (!safeEqual(header, `Bearer ${adminToken}`)) {
+    return res.status(401).json({ error: "Invalid admin token" });
+  }
+  next();
+}
+
+// POST /webhooks — register a URL for signed event deliveries (SIWE session required)
+app.post("/webhooks", async (req, res) => {
+  const { webhooks } = req.network;
+  if (!req.caller.session) {
+    return res.status(401).json({ error: "Sign in with SIWE to register webhooks" });
+  }
+  const owner = req.caller.address;
+  const { url, filters, secret } = req.body;
+  if (!url) {
+    return res.status(400).json({ error: "Missing required field: url" });
+  }
+  if (webhooks.countOwnedBy(owner) >= webhooks.maxPerOwner) {
+    return res.status(409).json({ error: `Webhook limit reached (${webhooks.maxPerOwner} per address)` });
+  }
+
+  try {
+    const webhook = await webhooks.register({ url, filters, secret, owner });
+    res.status(201).json(webhook);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /webhooks/:id — subscription details and pending dead letters
+app.get("/webhooks/:id", (req, res) => {
+  const { store } = req.network;
+  const webhook = authorizedWebhook(req, res);
+  if (!webhook) return;
+
+  res.json({
+    ...publicWebhook(webhook),
+    deadLetters: store.listDeadLetters((d) => d.webhookId === webhook.id).length,
+  });
+});
+
+// DELETE /webhooks/:id — unsubscribe
+app.delete("/webhooks/:id", (req, res) => {
+  const { webhooks } = req.network;
+  const webhook = authorizedWebhook(req, res);
+  if (!webhook) return;
+
+  webhooks.remove(webhook.id);
+  res.status(204).end();
+});
+
+// GET /admin/webhooks/dead-letters — deliveries that exhausted their retries
+app.get("/admin/webhooks/dead-letters", requireAdmin, (req, res) => {
+  const { store } = req.network;
+  const { webhookId } = req.query;
+  const letters = store.listDeadLetters(webhookId ? (d) => d.webhookId === webhookId : undefined);
+  res.json({ count: letters.length, deadLetters: letters });
+});
+
+// POST /admin/webhooks/dead-letters/:id/replay — re-send one dead letter
+app.post("/admin/webhooks/dead-letters/:id/replay", requireAdmin, async (req, res) => {
+  const { webhooks } = req.network;
+  try {
+    const result = await webhooks.replay(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+    res.status(result.delivered ? 200 : 502).json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /admin/webhooks/:id/replay — re-send every dead letter for a webhook
+app.post("/admin/webhooks/:id/replay", requireAdmin, async (req, res) => {
+  const { store, webhooks } = req.network;
+  try {
+    if (!store.getWebhook(req.params.id)) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const results = [];
+    for (const letter of store.listDeadLetters((d) => d.webhookId === req.params.id)) {
+      results.push(await webhooks.replay(letter.id));
+    }
+    res.json({
+      replayed: results.length,
+      delivered: results.filter((r) => r.delivered).length,
+      results,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Public description of a network (addresses of unconfigured contracts are null)
+function describeNetwork(net) {
+  const address = (value) => (value === ethers.ZeroAddress ? null : value);
+  return {
+    chain: net.name,
+    chainId: net.chainId,
+    default: net === defaultNetwork,
+    escrow: address(net.escrow.target),
+    registry: address(net.registry.target),
+    feeOracle: address(net.feeOracle),
+    delegate: address(net.delegate.target),
+    crossChain: address(net.crossChain.target),
+    yieldEscrow: address(net.yieldEscrow.target),
+    encryptedDelivery: address(net.encryptedDelivery.target),
+    forwarder: net.relayer ? net.relayer.forwarder.target : null,
+    usdc: address(net.usdc),
+    multicall: net.multicall ? net.multicall.address : null,
+    indexedBlock: net.store.getLastBlock(),
+  };
+}
+
+// GET /networks — every chain this server serves (select with /<chain>/... or ?chain=)
+app.get("/networks", (req, res) => {
+  res.json({ default: defaultNetwork.name, networks: [...networks.values()].map(describeNetwork) });
+});
+
+// GET /health — server health
+app.get("/health", (req, res) => {
+  const { name, chainId, escrow, registry, store } = req.network;
+  res.json({
+    status: "ok",
+    protocol: "clawshake/v1",
+    chain: name,
+    chainId,
+    escrow: escrow.target,
+    registry: registry.target,
+    indexedBlock: store.getLastBlock(),
+    networks: [...networks.keys()],
+  });
+});
+
+// GET /health/deep — RPC, contract code, escrow→registry wiring and index lag; 503 if any fails
+app.get("/health/deep", async (req, res, next) => {
+  const net = req.network;
+  try {
+    const { ok, checks } = await deepHealth(net, configuredContracts(describeNetwork(net)), {
+      timeoutMs: HEALTH_TIMEOUT_MS,
+      maxLag: HEALTH_MAX_INDEXER_LAG,
+    });
+    res.status(ok ? 200 : 503).json({ status: ok ? "ok" : "fail", chain: net.name, chainId: net.chainId, checks });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Point-in-time gauges for every network: head, index position and lag, shakes by status
+async function collectNetworkMetrics() {
+  for (const gauge of [rpcUp, headBlock, indexedBlock, indexerLag, shakeGauge]) gauge.reset();
+  await Promise.all(
+    [...networks.values()].map(async (net) => {
+      const chain = net.name;
+      const last = net.store.getLastBlock();
+      if (last !== null) indexedBlock.set({ chain }, last);
+
+      const counts = new Map(STATUS_NAMES.map((status) => [status, 0]));
+      for (const s of net.store.listShakes()) {
+        const status = STATUS_NAMES[s.status];
+        if (status) counts.set(status, counts.get(status) + 1);
+      }
+      for (const [status, n] of counts) shakeGauge.set({ chain, status }, n);
+
+      try {
+        const head = await withTimeout(net.provider.getBlockNumber(), HEALTH_TIMEOUT_MS, "getBlockNumber");
+        rpcUp.set({ chain }, 1);
+        headBlock.set({ chain }, head);
+        if (last !== null) indexerLag.set({ chain }, Math.max(0, head - last));
+      } catch {
+        rpcUp.set({ chain }, 0);
+      }
+    })
+  );
+}
+
+// GET /metrics — Prometheus text format, every chain at once
+app.get("/metrics", async (req, res, next) => {
+  try {
+    await collectNetworkMetrics();
+    res.type("text/plain; version=0.0.4").send(metrics.render());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Unknown routes get a JSON error like everything else
+app.use((req, res) => {
+  res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
+});
+
+// --- Error handler ---
+app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Request body is not valid JSON", code: "INVALID_JSON" });
+  }
+  console.error(err.stack);
+  res.status(500).json({ error: "Internal server error" });
+});
+
+// --- Start ---
+if (require.main === module) {
+  initContracts();
+  for (const net of networks.values()) net.indexer.start();
+  const server = app.listen(PORT, () => {
+    console.log(`Clawshake x402 server running on port ${PORT}`);
+    for (const net of networks.values()) {
+      const prefix = net === defaultNetwork ? "/ (default)" : `/${net.name}`;
+      console.log(`  ${net.name} (chain ${net.chainId === null ? "?" : net.chainId}) at ${prefix}`);
+      console.log(`    Escrow:   ${net.escrow.target}`);
+      console.log(`    Registry: ${net.registry.target}`);
+    }
   });
+  attachEventSocket(server);
 }
 
 // Export for testing
-module.exports = { app, initContracts, set402Headers };
+module.exports = { app, initContracts, getIndexer, attachEventSocket, set402Headers, ESCROW_ABI, spec, metrics };
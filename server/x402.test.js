@@ -8,11 +8,14 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 
 describe("x402 HTTP Server", function () {
   let usdc, escrow, registry;
   let deployer, requester, worker;
-  let app, server;
+  let app, server, x402, contractConfig;
 
   before(async function () {
     [deployer, requester, worker] = await ethers.getSigners();
@@ -25,7 +28,7 @@ describe("x402 HTTP Server", function () {
     registry = await AgentRegistry.deploy();
 
     const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
-    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address);
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
 
     await escrow.setRegistry(await registry.getAddress());
     await registry.authorizeCaller(await escrow.getAddress());
@@ -45,12 +48,14 @@ describe("x402 HTTP Server", function () {
     const registryAddr = await registry.getAddress();
 
     // Create server from x402.js app, injecting hardhat provider
-    const x402 = require("./x402.js");
-    x402.initContracts({
+    x402 = require("./x402.js");
+    contractConfig = {
       provider: ethers.provider,
       escrowAddress: escrowAddr,
       registryAddress: registryAddr,
-    });
+    };
+    x402.initContracts(contractConfig);
+    await x402.getIndexer().sync();
     app = x402.app;
 
     // Start test server on random port
@@ -62,7 +67,7 @@ describe("x402 HTTP Server", function () {
     if (server) server.close();
   });
 
-  function request(method, path, body) {
+  function request(method, path, body, headers = {}) {
     const port = server.address().port;
     return new Promise((resolve, reject) => {
       const options = {
@@ -70,7 +75,7 @@ describe("x402 HTTP Server", function () {
         port,
         path,
         method,
-        headers: { "Content-Type": "application/json" },
+        headers: { "Content-Type": "application/json", ...headers },
       };
 
       const req = http.request(options, (res) => {
@@ -109,6 +114,23 @@ describe("x402 HTTP Server", function () {
     expect(res.body.requester).to.equal(requester.address);
   });
 
+  it("GET /shake/:id — reflects state changes once the indexer catches up", async function () {
+    const tx = await escrow.connect(requester).createShake(100_000000, 86400, ethers.id("Indexed task"));
+    const shakeId = Number((await escrow.getShakeCount()) - 1n);
+    await tx.wait();
+    expect((await request("GET", `/shake/${shakeId}`)).status).to.equal(404);
+
+    await x402.getIndexer().sync();
+    expect((await request("GET", `/shake/${shakeId}`)).body.status).to.equal("Pending");
+
+    await escrow.connect(worker).acceptShake(shakeId);
+    await x402.getIndexer().sync();
+    const res = await request("GET", `/shake/${shakeId}`);
+    expect(res.body.status).to.equal("Active");
+    expect(res.body.worker).to.equal(worker.address);
+    expect(res.body.remainingBudgetUSDC).to.equal(100);
+  });
+
   it("GET /shake/:id — returns 404 for nonexistent shake", async function () {
     const res = await request("GET", "/shake/999");
     expect(res.status).to.equal(404);
@@ -134,6 +156,288 @@ describe("x402 HTTP Server", function () {
     expect(res.status).to.equal(400);
   });
 
+  it("POST /shake — confirms a paid shake from its ShakeCreated log", async function () {
+    const taskHash = ethers.id("Paid task");
+    const tx = await escrow.connect(requester).createShake(250_000000, 86400, taskHash);
+    await tx.wait();
+
+    const res = await request("POST", "/shake", {
+      amount: 250_000000,
+      deadline: 86400,
+      taskHash,
+      paymentTx: tx.hash,
+    });
+
+    expect(res.status).to.equal(201);
+    expect(res.body.shakeId).to.equal(Number(await escrow.getShakeCount()) - 1);
+    expect(res.body.requester).to.equal(requester.address);
+    expect(res.body.status).to.equal("confirmed");
+  });
+
+  it("POST /shake — rejects a payment tx that was already consumed", async function () {
+    const taskHash = ethers.id("Replayed task");
+    const tx = await escrow.connect(requester).createShake(100_000000, 86400, taskHash);
+    await tx.wait();
+    const body = { amount: 100_000000, deadline: 86400, taskHash, paymentTx: tx.hash };
+
+    expect((await request("POST", "/shake", body)).status).to.equal(201);
+    const replay = await request("POST", "/shake", body);
+    expect(replay.status).to.equal(409);
+    expect(replay.body.error).to.equal("Payment transaction already used");
+  });
+
+  it("POST /shake — still rejects a consumed payment after a restart", async function () {
+    const indexPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "clawshake-")), "index.json");
+    const taskHash = ethers.id("Restarted task");
+    const tx = await escrow.connect(requester).createShake(100_000000, 86400, taskHash);
+    await tx.wait();
+    const body = { amount: 100_000000, deadline: 86400, taskHash, paymentTx: tx.hash };
+
+    try {
+      x402.initContracts({ ...contractConfig, indexPath });
+      expect((await request("POST", "/shake", body)).status).to.equal(201);
+
+      // A fresh store over the same file, as after a restart
+      x402.initContracts({ ...contractConfig, indexPath });
+      const replay = await request("POST", "/shake", body);
+      expect(replay.status).to.equal(409);
+      expect(replay.body.code).to.equal("PAYMENT_ALREADY_USED");
+    } finally {
+      x402.initContracts(contractConfig);
+      await x402.getIndexer().sync();
+    }
+  });
+
+  it("POST /shake — rejects a payment whose amount or taskHash does not match", async function () {
+    const taskHash = ethers.id("Mismatched task");
+    const tx = await escrow.connect(requester).createShake(100_000000, 86400, taskHash);
+    await tx.wait();
+
+    const wrongAmount = await request("POST", "/shake", {
+      amount: 999_000000, deadline: 86400, taskHash, paymentTx: tx.hash,
+    });
+    expect(wrongAmount.status).to.equal(400);
+    expect(wrongAmount.body.error).to.equal("Payment does not match request");
+
+    const wrongTask = await request("POST", "/shake", {
+      amount: 100_000000, deadline: 86400, taskHash: ethers.id("Other task"), paymentTx: tx.hash,
+    });
+    expect(wrongTask.status).to.equal(400);
+  });
+
+  it("POST /shake — rejects an unrelated transaction", async function () {
+    const tx = await usdc.faucet(requester.address, 1_000000);
+    await tx.wait();
+
+    const res = await request("POST", "/shake", {
+      amount: 1_000000, deadline: 86400, taskHash: ethers.id("Anything"), paymentTx: tx.hash,
+    });
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.equal("Payment does not match request");
+  });
+
+  describe("Skill-filtered jobs", function () {
+    let scrapeJobId;
+
+    before(async function () {
+      const res = await request("POST", "/tasks", {
+        title: "Scrape listings",
+        description: "Scrape 50k listings into a CSV",
+        requiredSkills: ["Web Scraping", "ETL"],
+      });
+      expect(res.status).to.equal(201);
+      expect(res.body.requiredSkills).to.deep.equal(["web_scraping", "etl"]);
+
+      await escrow.connect(requester).createShake(300_000000, 86400, res.body.taskHash);
+      scrapeJobId = Number(await escrow.getShakeCount()) - 1;
+      await x402.getIndexer().sync();
+    });
+
+    it("POST /tasks — derives the taskHash from the canonical document", async function () {
+      const a = await request("POST", "/tasks", { title: "T", description: "D", requiredSkills: ["coding"] });
+      const b = await request("POST", "/tasks", { requiredSkills: ["coding"], description: "D", title: "T" });
+      expect(a.status).to.equal(201);
+      expect(b.status).to.equal(200);
+      expect(a.body.taskHash).to.equal(b.body.taskHash);
+      expect(a.body.taskHash).to.equal(ethers.id('{"description":"D","requiredSkills":["coding"],"title":"T"}'));
+    });
+
+    it("POST /tasks — rejects a document without required skills", async function () {
+      const res = await request("POST", "/tasks", { title: "T", description: "D", requiredSkills: [] });
+      expect(res.status).to.equal(400);
+    });
+
+    it("GET /jobs?skills — lists jobs whose required skills are covered, via synonyms and case-folding", async function () {
+      const res = await request("GET", "/jobs?skills=Scraping,data-pipeline,coding");
+      expect(res.status).to.equal(200);
+      expect(res.body.filters.skills).to.deep.equal(["web_scraping", "etl", "coding"]);
+      expect(res.body.jobs.map((j) => j.shakeId)).to.deep.equal([scrapeJobId]);
+      expect(res.body.jobs[0].requiredSkills).to.deep.equal(["web_scraping", "etl"]);
+    });
+
+    it("GET /jobs?skills — hides jobs the caller cannot fully do, and untagged jobs", async function () {
+      const partial = await request("GET", "/jobs?skills=web_scraping");
+      expect(partial.body.count).to.equal(0);
+
+      const unrelated = await request("GET", "/jobs?skills=coding");
+      expect(unrelated.body.count).to.equal(0);
+    });
+
+    it("GET /jobs — without a skills filter still lists untagged jobs", async function () {
+      const res = await request("GET", "/jobs");
+      const ids = res.body.jobs.map((j) => j.shakeId);
+      expect(ids).to.include(0);
+      expect(ids).to.include(scrapeJobId);
+      expect(res.body.jobs.find((j) => j.shakeId === 0).requiredSkills).to.equal(null);
+    });
+  });
+
+  describe("Task specifications", function () {
+    const spec = {
+      title: "Build dashboard",
+      description: "Interactive sales dashboard from the attached dataset",
+      acceptanceCriteria: ["Loads in under 2s", "Covers Q1-Q4"],
+      requiredSkills: ["visualization", "coding"],
+      attachments: [
+        { name: "sales.csv", uri: "ipfs://QmSales", hash: ethers.id("sales.csv"), size: 2048, mimeType: "text/csv" },
+      ],
+    };
+    let taskHash, shakeId;
+
+    before(async function () {
+      const res = await request("POST", "/tasks", spec);
+      expect(res.status).to.equal(201);
+      taskHash = res.body.taskHash;
+
+      await escrow.connect(requester).createShake(120_000000, 86400, taskHash);
+      shakeId = Number(await escrow.getShakeCount()) - 1;
+      await x402.getIndexer().sync();
+    });
+
+    it("GET /tasks/:hash — serves the stored specification", async function () {
+      const res = await request("GET", `/tasks/${taskHash}`);
+      expect(res.status).to.equal(200);
+      expect(res.body.task).to.deep.equal(spec);
+      expect(res.body.requiredSkills).to.deep.equal(["visualization", "coding"]);
+    });
+
+    it("GET /tasks/:hash — 404 for an unknown hash, 400 for a malformed one", async function () {
+      expect((await request("GET", `/tasks/${ethers.id("nope")}`)).status).to.equal(404);
+      expect((await request("GET", "/tasks/0x1234")).status).to.equal(400);
+    });
+
+    it("POST /tasks — validates the attachments manifest", async function () {
+      const res = await request("POST", "/tasks", { ...spec, attachments: [{ name: "x" }] });
+      expect(res.status).to.equal(400);
+      expect(res.body.error).to.equal("attachments[0].uri is required");
+    });
+
+    it("GET /shake/:id and /jobs — embed the resolved specification", async function () {
+      const shake = await request("GET", `/shake/${shakeId}`);
+      expect(shake.body.task.title).to.equal("Build dashboard");
+
+      const jobs = await request("GET", "/jobs");
+      expect(jobs.body.jobs.find((j) => j.shakeId === shakeId).task).to.deep.equal(spec);
+      expect(jobs.body.jobs.find((j) => j.shakeId === 0).task).to.equal(null);
+    });
+  });
+
+  describe("X-Payment-Proof header", function () {
+    async function paidShake(label, signer = requester) {
+      const taskHash = ethers.id(label);
+      const tx = await escrow.connect(requester).createShake(50_000000, 86400, taskHash);
+      const receipt = await tx.wait();
+      const log = receipt.logs
+        .map((l) => { try { return escrow.interface.parseLog(l); } catch { return null; } })
+        .find((l) => l && l.name === "ShakeCreated");
+      const { chainId } = await ethers.provider.getNetwork();
+      return { taskHash, tx, receipt, shakeId: Number(log.args.shakeId), chainId, signer };
+    }
+
+    async function proofFor({ tx, receipt, shakeId, chainId, signer }, overrides = {}) {
+      const fields = {
+        txHash: tx.hash,
+        chainId: chainId.toString(),
+        blockNumber: receipt.blockNumber.toString(),
+        shakeId: shakeId.toString(),
+        ...overrides,
+      };
+      const message = `${fields.txHash}:${fields.chainId}:${fields.blockNumber}:${fields.shakeId}`;
+      const signature = await signer.signMessage(message);
+      return `${message}:${signature}`;
+    }
+
+    function body(p) {
+      return { amount: 50_000000, deadline: 86400, taskHash: p.taskHash };
+    }
+
+    it("accepts a proof signed by the shake requester", async function () {
+      const p = await paidShake("Proof task");
+      const res = await request("POST", "/shake", body(p), { "X-Payment-Proof": await proofFor(p) });
+
+      expect(res.status).to.equal(201);
+      expect(res.body.shakeId).to.equal(p.shakeId);
+      expect(res.headers["x-shake-id"]).to.equal(p.shakeId.toString());
+    });
+
+    it("rejects a proof signed by someone other than the requester", async function () {
+      const p = await paidShake("Forged proof task", worker);
+      const res = await request("POST", "/shake", body(p), { "X-Payment-Proof": await proofFor(p) });
+
+      expect(res.status).to.equal(403);
+      expect(res.body.error).to.equal("Proof not signed by shake requester");
+    });
+
+    it("rejects a proof for another chain", async function () {
+      const p = await paidShake("Wrong chain task");
+      const proof = await proofFor(p, { chainId: "8453" });
+      const res = await request("POST", "/shake", body(p), { "X-Payment-Proof": proof });
+
+      expect(res.status).to.equal(400);
+      expect(res.body.error).to.equal("Chain ID mismatch");
+    });
+
+    it("rejects a proof with the wrong block number or shake ID", async function () {
+      const p = await paidShake("Wrong block task");
+
+      const badBlock = await proofFor(p, { blockNumber: "1" });
+      const r1 = await request("POST", "/shake", body(p), { "X-Payment-Proof": badBlock });
+      expect(r1.status).to.equal(400);
+      expect(r1.body.error).to.equal("Block number mismatch");
+
+      const badShake = await proofFor(p, { shakeId: "0" });
+      const r2 = await request("POST", "/shake", body(p), { "X-Payment-Proof": badShake });
+      expect(r2.status).to.equal(400);
+      expect(r2.body.error).to.equal("Shake ID mismatch");
+    });
+
+    it("rejects a malformed proof header", async function () {
+      const p = await paidShake("Malformed proof task");
+      const res = await request("POST", "/shake", body(p), { "X-Payment-Proof": `${p.tx.hash}:1:2` });
+
+      expect(res.status).to.equal(400);
+      expect(res.body.error).to.match(/Invalid proof format/);
+    });
+
+    it("enforces the minimum confirmation count", async function () {
+      const p = await paidShake("Unconfirmed task");
+      x402.initContracts({ ...contractConfig, minConfirmations: 3 });
+      try {
+        const res = await request("POST", "/shake", body(p), { "X-Payment-Proof": await proofFor(p) });
+        expect(res.status).to.equal(400);
+        expect(res.body.error).to.equal("Insufficient confirmations");
+        expect(res.body.required).to.equal(3);
+
+        await ethers.provider.send("hardhat_mine", ["0x2"]);
+        const retry = await request("POST", "/shake", body(p), { "X-Payment-Proof": await proofFor(p) });
+        expect(retry.status).to.equal(201);
+      } finally {
+        x402.initContracts({ ...contractConfig, minConfirmations: 1 });
+        await x402.getIndexer().sync();
+      }
+    });
+  });
+
   it("GET /agent/:address — returns agent passport", async function () {
     const res = await request("GET", `/agent/${worker.address}`);
     expect(res.status).to.equal(200);
@@ -0,0 +1,131 @@
+/**
+ * Yield Positions
+ *
+ * HTTP view of YieldEscrow deposits. Principal, shares and the withdrawn flag
+ * come from `getDeposit`; current value is the vault's `convertToAssets` for
+ * the deposit's shares, read live. Which deposits belong to a depositor, and
+ * how a withdrawn deposit was actually split, come from the indexed
+ * Deposited / Withdrawn events.
+ *
+ * Yield split (mirrors YieldEscrow constants):
+ *   80% → worker, 15% → requester (depositor), remainder (5%) → treasury
+ */
+
+const { ethers } = require("ethers");
+
+const WORKER_YIELD_BPS = 8000n;
+const REQUESTER_YIELD_BPS = 1500n;
+const YEAR = 365 * 86400;
+// Annualizing less than a day of accrual produces meaningless APYs
+const MIN_APY_WINDOW = 86400;
+
+const VAULT_ABI = ["function convertToAssets(uint256 shares) view returns (uint256)"];
+
+/** Projected payout of `yieldEarned` as YieldEscrow.withdrawFromVault would split it. */
+function splitYield(yieldEarned) {
+  const worker = (yieldEarned * WORKER_YIELD_BPS) / 10000n;
+  const requester = (yieldEarned * REQUESTER_YIELD_BPS) / 10000n;
+  return { worker, requester, treasury: yieldEarned - worker - requester };
+}
+
+/**
+ * Annual percentage yield (percent, 2 decimals) of growing `principal` to
+ * `assets` over `elapsed` seconds, compounded. Null for windows under a day.
+ */
+function apyOf(principal, assets, elapsed) {
+  if (principal === 0n || elapsed < MIN_APY_WINDOW) return null;
+  const growth = Number(assets) / Number(principal);
+  const apy = (Math.pow(growth, YEAR / elapsed) - 1) * 100;
+  return Number.isFinite(apy) ? Math.round(apy * 100) / 100 : null;
+}
+
+function stringify(split) {
+  return { worker: split.worker.toString(), requester: split.requester.toString(), treasury: split.treasury.toString() };
+}
+
+/** Indexed Withdrawn event for a deposit, shaped as the realized split. */
+function withdrawalOf(store, depositId) {
+  const [e] = store.listEventsNamed("YieldEscrow", "Withdrawn", (ev) => Number(ev.args.depositId) === depositId);
+  if (!e) return null;
+  return {
+    txHash: e.txHash,
+    blockNumber: e.blockNumber,
+    withdrawnAt: e.timestamp,
+    split: { worker: e.args.workerYield, requester: e.args.requesterYield, treasury: e.args.protocolYield },
+  };
+}
+
+/**
+ * Live position of one deposit, or null if it doesn't exist.
+ * `now` is the chain timestamp APY and age are measured against.
+ */
+async function describeDeposit(yieldEscrow, store, depositId, now) {
+  const d = await yieldEscrow.getDeposit(depositId);
+  if (d.depositor === ethers.ZeroAddress) return null;
+
+  const depositedAt = Number(d.depositedAt);
+  const age = Math.max(now - depositedAt, 0);
+  const base = {
+    depositId,
+    depositor: d.depositor,
+    principal: d.principal.toString(),
+    shares: d.shares.toString(),
+    depositedAt,
+    age,
+    withdrawn: d.withdrawn,
+  };
+
+  if (d.withdrawn) {
+    // Shares were redeemed; the realized split is in the Withdrawn event
+    return { ...base, vault: null, currentAssets: null, accruedYield: "0", split: null, apy: null, withdrawal: withdrawalOf(store, depositId) };
+  }
+
+  const vaultAddress = await yieldEscrow.vault();
+  if (vaultAddress === ethers.ZeroAddress) {
+    return { ...base, vault: null, currentAssets: null, accruedYield: null, split: null, apy: null, withdrawal: null };
+  }
+
+  const vault = new ethers.Contract(vaultAddress, VAULT_ABI, yieldEscrow.runner);
+  const currentAssets = await vault.convertToAssets(d.shares);
+  // Vault losses are absorbed by the principal; accrued yield never goes negative
+  const accruedYield = currentAssets > d.principal ? currentAssets - d.principal : 0n;
+  return {
+    ...base,
+    vault: vaultAddress,
+    currentAssets: currentAssets.toString(),
+    accruedYield: accruedYield.toString(),
+    split: stringify(splitYield(accruedYield)),
+    apy: apyOf(d.principal, currentAssets, age),
+    withdrawal: null,
+  };
+}
+
+/** Every deposit made by `depositor`, with totals across the open ones. */
+async function listDeposits(yieldEscrow, store, depositor, now) {
+  const target = depositor.toLowerCase();
+  const ids = store
+    .listEventsNamed("YieldEscrow", "Deposited", (e) => e.args.depositor.toLowerCase() === target)
+    .map((e) => Number(e.args.depositId));
+
+  const deposits = [];
+  for (const id of ids) {
+    const deposit = await describeDeposit(yieldEscrow, store, id, now);
+    if (deposit) deposits.push(deposit);
+  }
+
+  const open = deposits.filter((d) => !d.withdrawn && d.currentAssets !== null);
+  const sum = (list, field) => list.reduce((acc, d) => acc + BigInt(d[field]), 0n);
+  const accrued = sum(open, "accruedYield");
+  return {
+    depositor,
+    count: deposits.length,
+    open: open.length,
+    totalPrincipal: sum(open, "principal").toString(),
+    totalAssets: sum(open, "currentAssets").toString(),
+    totalAccruedYield: accrued.toString(),
+    split: stringify(splitYield(accrued)),
+    deposits,
+  };
+}
+
+module.exports = { describeDeposit, listDeposits, splitYield, apyOf, WORKER_YIELD_BPS, REQUESTER_YIELD_BPS };
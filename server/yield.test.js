@@ -0,0 +1,127 @@
+/**
+ * Yield Position Tests
+ *
+ * Deposits into YieldEscrow backed by MockVault, accrues yield with
+ * simulateYield and checks GET /yield/:depositId and
+ * /yield/depositor/:address before and after a withdrawal.
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+
+describe("x402 Yield Positions", function () {
+  let usdc, vault, yieldEscrow;
+  let deployer, requester, worker, stranger;
+  let x402, server, port;
+
+  before(async function () {
+    [deployer, requester, worker, stranger] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+    const escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
+    const MockVault = await ethers.getContractFactory("MockVault");
+    vault = await MockVault.deploy(await usdc.getAddress());
+    const YieldEscrow = await ethers.getContractFactory("YieldEscrow");
+    yieldEscrow = await YieldEscrow.deploy(await usdc.getAddress(), await vault.getAddress(), deployer.address);
+
+    await usdc.faucet(requester.address, 10000_000000);
+    await usdc.connect(requester).approve(await yieldEscrow.getAddress(), ethers.MaxUint256);
+    await usdc.faucet(deployer.address, 10000_000000);
+    await usdc.connect(deployer).approve(await vault.getAddress(), ethers.MaxUint256);
+
+    x402 = require("./x402.js");
+    x402.initContracts({
+      provider: ethers.provider,
+      escrowAddress: await escrow.getAddress(),
+      yieldEscrowAddress: await yieldEscrow.getAddress(),
+      startBlock: (await usdc.deploymentTransaction().wait()).blockNumber,
+    });
+
+    server = http.createServer(x402.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(function () {
+    if (server) server.close();
+  });
+
+  async function get(path) {
+    const res = await fetch(`http://localhost:${port}${path}`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  const sync = () => x402.getIndexer().sync();
+
+  it("GET /yield/:depositId — values a fresh deposit at principal", async function () {
+    await yieldEscrow.connect(requester).depositToVault(1000_000000, 0);
+
+    const { status, body } = await get("/yield/0");
+    expect(status).to.equal(200);
+    expect(body.depositor).to.equal(requester.address);
+    expect(body.principal).to.equal("1000000000");
+    expect(body.shares).to.equal("1000000000");
+    expect(body.vault).to.equal(await vault.getAddress());
+    expect(body.currentAssets).to.equal("1000000000");
+    expect(body.accruedYield).to.equal("0");
+    expect(body.split).to.deep.equal({ worker: "0", requester: "0", treasury: "0" });
+    // Less than a day old — too short to annualize
+    expect(body.apy).to.equal(null);
+  });
+
+  it("GET /yield/:depositId — reports accrued yield, the 80/15/5 split and APY", async function () {
+    await ethers.provider.send("evm_increaseTime", [30 * 86400]);
+    await vault.simulateYield(4_000000);
+
+    const { body } = await get("/yield/0");
+    expect(body.currentAssets).to.equal("1004000000");
+    expect(body.accruedYield).to.equal((await yieldEscrow.getAccruedYield(0)).toString());
+    expect(body.split).to.deep.equal({ worker: "3200000", requester: "600000", treasury: "200000" });
+    expect(body.age).to.be.at.least(30 * 86400);
+    // 0.4% over 30 days compounds to just under 5% a year
+    expect(body.apy).to.be.within(4.9, 5.0);
+  });
+
+  it("GET /yield/depositor/:address — totals open deposits", async function () {
+    await yieldEscrow.connect(requester).depositToVault(500_000000, 0);
+    await sync();
+
+    const { status, body } = await get(`/yield/depositor/${requester.address.toLowerCase()}`);
+    expect(status).to.equal(200);
+    expect(body.depositor).to.equal(requester.address);
+    expect(body.count).to.equal(2);
+    expect(body.deposits.map((d) => d.depositId)).to.deep.equal([0, 1]);
+    expect(body.totalPrincipal).to.equal("1500000000");
+    // The second deposit's shares round down by a unit in MockVault
+    expect(Number(body.totalAssets)).to.be.within(1503999999, 1504000000);
+    expect(body.totalAccruedYield).to.equal("4000000");
+
+    const none = await get(`/yield/depositor/${stranger.address}`);
+    expect(none.body.count).to.equal(0);
+    expect(none.body.totalPrincipal).to.equal("0");
+  });
+
+  it("GET /yield/:depositId — shows the realized split once withdrawn", async function () {
+    await yieldEscrow.connect(requester).withdrawFromVault(0, worker.address, 0);
+    await sync();
+
+    const { body } = await get("/yield/0");
+    expect(body.withdrawn).to.equal(true);
+    expect(body.currentAssets).to.equal(null);
+    expect(body.withdrawal.split).to.deep.equal({ worker: "3200000", requester: "600000", treasury: "200000" });
+
+    const listed = await get(`/yield/depositor/${requester.address}`);
+    expect(listed.body.count).to.equal(2);
+    expect(listed.body.open).to.equal(1);
+    expect(listed.body.totalPrincipal).to.equal("500000000");
+  });
+
+  it("rejects malformed IDs and addresses, 404s unknown deposits", async function () {
+    expect((await get("/yield/abc")).status).to.equal(400);
+    expect((await get("/yield/99")).status).to.equal(404);
+    expect((await get("/yield/depositor/0xnope")).status).to.equal(400);
+  });
+});
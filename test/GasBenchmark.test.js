@@ -28,7 +28,7 @@ describe("Gas Benchmarks", function () {
     registry = await AgentRegistry.deploy();
 
     const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
-    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address);
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
 
     await escrow.setRegistry(await registry.getAddress());
     await registry.authorizeCaller(await escrow.getAddress());
@@ -16,7 +16,7 @@ describe("ShakeEscrow", function () {
     registry = await AgentRegistry.deploy();
 
     const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
-    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address);
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
 
     // Link registry to escrow
     await escrow.setRegistry(await registry.getAddress());
@@ -720,6 +720,128 @@ describe("ShakeEscrow", function () {
     });
   });
 
+  describe("Trusted Forwarder (ERC-2771)", function () {
+    let forwarder, untrusted;
+
+    beforeEach(async function () {
+      const ShakeForwarder = await ethers.getContractFactory("ShakeForwarder");
+      forwarder = await ShakeForwarder.deploy();
+
+      // The outer escrow was deployed without a forwarder; this one trusts it from construction
+      untrusted = escrow;
+      const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
+      escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, await forwarder.getAddress());
+      await usdc.connect(requester).approve(await escrow.getAddress(), ethers.MaxUint256);
+
+      for (const target of [escrow, untrusted]) {
+        await target.connect(requester).createShake(AMOUNT, 86400, ethers.id("relayed task"));
+      }
+    });
+
+    // Worker signs an EIP-712 ForwardRequest; anyone can submit it
+    async function signRequest(signer, data, to = escrow) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const request = {
+        from: signer.address,
+        to: await to.getAddress(),
+        value: 0n,
+        gas: 300000n,
+        nonce: await forwarder.nonces(signer.address),
+        deadline: (await ethers.provider.getBlock("latest")).timestamp + 3600,
+        data,
+      };
+      const signature = await signer.signTypedData(
+        { name: "ShakeForwarder", version: "1", chainId, verifyingContract: await forwarder.getAddress() },
+        {
+          ForwardRequest: [
+            { name: "from", type: "address" },
+            { name: "to", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "gas", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint48" },
+            { name: "data", type: "bytes" },
+          ],
+        },
+        request
+      );
+      return { ...request, signature };
+    }
+
+    it("fixes the forwarder at deployment", async function () {
+      expect(await escrow.trustedForwarder()).to.equal(await forwarder.getAddress());
+      expect(await untrusted.isTrustedForwarder(await forwarder.getAddress())).to.equal(false);
+      expect(await untrusted.isTrustedForwarder(ethers.ZeroAddress)).to.equal(false);
+      // No setter: not even the treasury can repoint it at an address that would speak for users
+      expect(escrow.interface.getFunction("setTrustedForwarder")).to.equal(null);
+    });
+
+    it("rejects relayed calls to an escrow that doesn't trust the forwarder", async function () {
+      const request = await signRequest(worker, untrusted.interface.encodeFunctionData("acceptShake", [0]), untrusted);
+      await expect(
+        forwarder.connect(outsider).execute(request)
+      ).to.be.revertedWithCustomError(forwarder, "ERC2771UntrustfulTarget");
+    });
+
+    it("resolves the signer as the caller for relayed actions", async function () {
+      expect(await escrow.isTrustedForwarder(await forwarder.getAddress())).to.equal(true);
+
+      const accept = await signRequest(worker, escrow.interface.encodeFunctionData("acceptShake", [0]));
+      await forwarder.connect(outsider).execute(accept);
+      expect((await escrow.getShake(0)).worker).to.equal(worker.address);
+
+      const deliver = await signRequest(worker, escrow.interface.encodeFunctionData("deliverShake", [0, ethers.id("proof")]));
+      await forwarder.connect(outsider).execute(deliver);
+      expect((await escrow.getShake(0)).status).to.equal(2); // Delivered
+      expect(await forwarder.nonces(worker.address)).to.equal(2);
+    });
+
+    it("ignores appended senders from untrusted callers", async function () {
+      const data = escrow.interface.encodeFunctionData("acceptShake", [0]) + worker.address.slice(2);
+      await outsider.sendTransaction({ to: await escrow.getAddress(), data });
+      expect((await escrow.getShake(0)).worker).to.equal(outsider.address);
+    });
+  });
+
+  describe("Designated Workers (negotiated shakes)", function () {
+    it("only lets the designated worker accept", async function () {
+      await expect(escrow.connect(requester).createShakeFor(AMOUNT, 86400, ethers.id("rfq"), worker.address))
+        .to.emit(escrow, "WorkerDesignated").withArgs(0, worker.address);
+      expect(await escrow.designatedWorker(0)).to.equal(worker.address);
+
+      await expect(
+        escrow.connect(outsider).acceptShake(0)
+      ).to.be.revertedWithCustomError(escrow, "NotDesignatedWorker");
+      await escrow.connect(worker).acceptShake(0);
+      expect((await escrow.getShake(0)).worker).to.equal(worker.address);
+    });
+
+    it("reserves negotiated sub-hires for the chosen sub-agent", async function () {
+      await escrow.connect(requester).createShake(AMOUNT, 86400, ethers.id("task"));
+      await escrow.connect(worker).acceptShake(0);
+      await escrow.connect(worker).createChildShakeFor(0, 100_000000, 86400, ethers.id("sub"), subWorker.address);
+
+      expect(await escrow.getRemainingBudget(0)).to.equal(AMOUNT - 100_000000);
+      await expect(
+        escrow.connect(outsider).acceptShake(1)
+      ).to.be.revertedWithCustomError(escrow, "NotDesignatedWorker");
+      await escrow.connect(subWorker).acceptShake(1);
+      expect((await escrow.getShake(1)).worker).to.equal(subWorker.address);
+    });
+
+    it("rejects a zero or self-dealing designated worker", async function () {
+      await expect(
+        escrow.connect(requester).createShakeFor(AMOUNT, 86400, ethers.id("rfq"), ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(escrow, "ZeroAddress");
+
+      await escrow.connect(requester).createShake(AMOUNT, 86400, ethers.id("task"));
+      await escrow.connect(worker).acceptShake(0);
+      await expect(
+        escrow.connect(worker).createChildShakeFor(0, 100_000000, 86400, ethers.id("sub"), worker.address)
+      ).to.be.revertedWithCustomError(escrow, "SelfDeal");
+    });
+  });
+
   describe("AgentRegistry", function () {
     it("should register agents with SBT passports", async function () {
       const passport = await registry.getPassport(worker.address);
@@ -20,7 +20,7 @@ describe("v3.1 Features", function () {
     registry = await AgentRegistry.deploy();
 
     const ShakeEscrow = await ethers.getContractFactory("ShakeEscrow");
-    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address);
+    escrow = await ShakeEscrow.deploy(await usdc.getAddress(), deployer.address, ethers.ZeroAddress);
 
     await escrow.setRegistry(await registry.getAddress());
     await registry.authorizeCaller(await escrow.getAddress());